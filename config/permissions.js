@@ -0,0 +1,71 @@
+// Named permissions that can be granted through assignable roles.
+// Users with the admin account role hold every permission everywhere.
+const PERMISSIONS = {
+  'user:read': 'View user accounts',
+  'user:manage': 'Create, edit, deactivate and delete user accounts, reset passwords and manage sign-in security',
+  'role:manage': 'Define roles and assign them to users',
+  'student:read': 'View students and their timetables',
+  'student:manage': 'Create, edit and delete students',
+  'student:review-updates': 'Approve or reject department, level and matric number changes students ask for',
+  'lecturer:read': 'View lecturers',
+  'lecturer:manage': 'Create, edit and delete lecturers',
+  'department:read': 'View departments',
+  'department:manage': 'Create, edit and delete departments',
+  'course:read': 'View courses',
+  'course:manage': 'Create, edit and delete courses and their requirements',
+  'course:assign': 'Assign lecturers to courses',
+  'academic-session:manage': 'Create, activate, archive and move between academic sessions',
+  'enrollment:read': 'View enrollments',
+  'enrollment:manage': 'Enroll students and change enrollment status',
+  'enrollment:override': 'Enroll students regardless of limits and requirements',
+  'schedule:read': 'View class schedules',
+  'schedule:manage': 'Create, generate and change class schedules',
+  'timetable:read': 'View exam timetables and their reports',
+  'timetable:manage': 'Create, generate and change exam timetables',
+  'timetable:publish': 'Publish and unpublish exam timetables',
+  'venue:manage': 'Create, edit and delete venues',
+  'transcript:read': 'View student transcripts',
+  'report:read': 'View the dashboard and reports',
+  'settings:read': 'View system settings',
+  'settings:manage': 'Change system settings',
+  'announcement:manage': 'Post announcements',
+  'faq:manage': 'Create, edit and delete FAQs'
+};
+
+// Where a role assignment applies: everywhere, one department, or every department of a faculty
+const SCOPE_TYPES = ['global', 'department', 'faculty'];
+
+// Held by the lecturer set as a department's headOfDepartment, for that department only
+const HEAD_OF_DEPARTMENT_PERMISSIONS = [
+  'student:read', 'student:review-updates', 'lecturer:read', 'course:read', 'course:assign',
+  'enrollment:read', 'enrollment:manage', 'report:read'
+];
+
+// Starting points offered when defining a role
+const ROLE_TEMPLATES = {
+  'registry-officer': {
+    name: 'Registry officer',
+    description: 'Manages class schedules, exam timetables and venues',
+    permissions: [
+      'course:read', 'department:read', 'schedule:read', 'schedule:manage',
+      'timetable:read', 'timetable:manage', 'timetable:publish', 'venue:manage'
+    ]
+  },
+  'head-of-department': {
+    name: 'Head of department',
+    description: 'Runs a department; assign it scoped to that department. Lecturers set as a department\'s head hold these there already.',
+    permissions: HEAD_OF_DEPARTMENT_PERMISSIONS
+  },
+  auditor: {
+    name: 'Auditor',
+    description: 'Read-only access to records, reports and settings',
+    permissions: Object.keys(PERMISSIONS).filter(permission => permission.endsWith(':read'))
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  SCOPE_TYPES,
+  HEAD_OF_DEPARTMENT_PERMISSIONS,
+  ROLE_TEMPLATES
+};
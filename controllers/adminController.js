@@ -14,6 +14,13 @@ const Settings = require('../models/Settings');
 const ExamTimetable = require('../models/ExamTimetable');
 const bcrypt = require('bcryptjs');
 const SystemActivity = require('../models/SystemActivity')
+const { checkScheduleBooking } = require('../services/venueBookingService');
+const { validateScale } = require('../services/gradebookService');
+const { validateRequirements } = require('../services/prerequisiteService');
+const { revokeSession, revokeUserSessions } = require('../services/sessionService');
+const { resetFailedLogins } = require('../services/loginSecurityService');
+const { departmentFilter, inDepartmentScope } = require('../services/permissionService');
+const Session = require('../models/Session');
 // const mongoose = require('mongoose');
 
 
@@ -158,9 +165,11 @@ exports.createBulkSchedules = async (req, res) => {
   session.startTransaction();
   
   try {
-    const { schedules } = req.body;
+    const { schedules, allowConflicts = false } = req.body;
     
     if (!schedules || !Array.isArray(schedules) || schedules.length === 0) {
+      await session.abortTransaction();
+      session.endSession();
       return res.status(400).json({
         success: false,
         message: 'Please provide an array of schedules'
@@ -174,36 +183,19 @@ exports.createBulkSchedules = async (req, res) => {
       const schedule = schedules[i];
       
       // Check required fields
-      if (!schedule.course) {
-        validationErrors.push({
-          index: i,
-          error: 'Course is required'
-        });
-      }
-      
-      if (!schedule.day) {
-        validationErrors.push({
-          index: i,
-          error: 'Day is required'
-        });
-      }
-      
-      if (!schedule.startTime) {
-        validationErrors.push({
-          index: i,
-          error: 'Start time is required'
-        });
-      }
-      
-      if (!schedule.endTime) {
-        validationErrors.push({
-          index: i,
-          error: 'End time is required'
-        });
-      }
+      ['course', 'lecturer', 'date', 'time', 'venue'].forEach(field => {
+        if (!schedule[field]) {
+          validationErrors.push({
+            index: i,
+            error: `${field.charAt(0).toUpperCase() + field.slice(1)} is required`
+          });
+        }
+      });
     }
     
     if (validationErrors.length > 0) {
+      await session.abortTransaction();
+      session.endSession();
       return res.status(400).json({
         success: false,
         message: 'Validation errors in schedules',
@@ -211,47 +203,40 @@ exports.createBulkSchedules = async (req, res) => {
       });
     }
     
-    // Check for schedule conflicts
+    // Check every schedule against the venue registry and the earlier schedules in this batch
     const conflicts = [];
+    const capacityWarnings = [];
     
     for (let i = 0; i < schedules.length; i++) {
-      const { day, room, startTime, endTime } = schedules[i];
+      const booking = await checkScheduleBooking(schedules[i], { pending: schedules.slice(0, i) });
       
-      if (room) {
-        const existingSchedule = await Schedule.findOne({
-          day,
-          room,
-          $or: [
-            {
-              startTime: { $lt: endTime },
-              endTime: { $gt: startTime }
-            }
-          ]
-        }).session(session);
-        
-        if (existingSchedule) {
-          conflicts.push({
-            index: i,
-            conflictingSchedule: existingSchedule,
-            message: `Room ${room} is already booked during this time on ${day}`
-          });
-        }
+      if (booking.venue) {
+        schedules[i].venueRef = booking.venue._id;
+        schedules[i].venue = booking.venue.name;
       }
+      
+      booking.conflicts.forEach(conflict => conflicts.push({ index: i, ...conflict }));
+      booking.capacity.forEach(issue => capacityWarnings.push({ index: i, ...issue }));
     }
     
-    if (conflicts.length > 0) {
+    if (conflicts.length > 0 && !allowConflicts) {
       await session.abortTransaction();
       session.endSession();
       
       return res.status(400).json({
         success: false,
-        message: 'Schedule conflicts detected',
-        conflicts
+        message: 'Venue double-bookings detected',
+        conflicts,
+        capacityWarnings,
+        suggestion: 'Choose another venue or time, or resend the request with allowConflicts: true to save anyway'
       });
     }
     
     // Create schedules
-    const createdSchedules = await Schedule.insertMany(schedules, { session });
+    const createdSchedules = await Schedule.insertMany(
+      schedules.map(schedule => ({ ...schedule, createdBy: req.user.id })),
+      { session }
+    );
     
     await session.commitTransaction();
     session.endSession();
@@ -261,19 +246,15 @@ exports.createBulkSchedules = async (req, res) => {
       _id: { $in: createdSchedules.map(s => s._id) }
     })
     .populate('course', 'code title')
-    .populate({
-      path: 'lecturer',
-      select: 'user',
-      populate: {
-        path: 'user',
-        select: 'fullName email'
-      }
-    });
+    .populate('lecturer', 'fullName email');
     
     res.status(201).json({
       success: true,
       message: `Successfully created ${createdSchedules.length} schedules`,
-      data: populatedSchedules
+      data: populatedSchedules,
+      warnings: conflicts.length > 0 || capacityWarnings.length > 0
+        ? { conflicts, capacity: capacityWarnings }
+        : undefined
     });
   } catch (error) {
     await session.abortTransaction();
@@ -296,16 +277,7 @@ exports.createBulkSchedules = async (req, res) => {
 exports.updateSchedule = async (req, res) => {
   try {
     const { id } = req.params;
-    const {
-      course,
-      lecturer,
-      day,
-      startTime,
-      endTime,
-      room,
-      type,
-      isRecurring
-    } = req.body;
+    const { allowConflicts = false } = req.body;
     
     // Find the schedule
     const schedule = await Schedule.findById(id);
@@ -316,62 +288,51 @@ exports.updateSchedule = async (req, res) => {
       });
     }
     
-    // Check for schedule conflicts if room or time is changing
-    if (room && (room !== schedule.room || 
-                 day !== schedule.day || 
-                 startTime !== schedule.startTime || 
-                 endTime !== schedule.endTime)) {
-      
-      const conflictingSchedule = await Schedule.findOne({
-        _id: { $ne: id },
-        day: day || schedule.day,
-        room,
-        $or: [
-          {
-            startTime: { $lt: endTime || schedule.endTime },
-            endTime: { $gt: startTime || schedule.startTime }
-          }
-        ]
-      });
+    const fields = ['course', 'lecturer', 'date', 'time', 'duration', 'venue',
+      'isRecurring', 'recurrencePattern', 'academicSession', 'semester', 'status', 'notes'];
+    
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) schedule[field] = req.body[field];
+    });
+    
+    // A new venue name must be resolved again
+    if (req.body.venue !== undefined) schedule.venueRef = undefined;
+    
+    // Re-check the venue booking whenever where or when the class happens changes
+    const bookingFields = ['course', 'date', 'time', 'duration', 'venue', 'isRecurring', 'recurrencePattern', 'academicSession', 'semester', 'status'];
+    let booking = { conflicts: [], capacity: [] };
+    
+    if (schedule.status !== 'canceled' && bookingFields.some(field => req.body[field] !== undefined)) {
+      booking = await checkScheduleBooking(schedule, { excludeSchedule: schedule._id });
       
-      if (conflictingSchedule) {
+      if (booking.conflicts.length > 0 && !allowConflicts) {
         return res.status(400).json({
           success: false,
-          message: `Room ${room} is already booked during this time on ${day || schedule.day}`,
-          conflict: conflictingSchedule
+          message: `${schedule.venue} is already booked during this time`,
+          conflicts: booking.conflicts,
+          suggestion: 'Choose another venue or time, or resend the request with allowConflicts: true to save anyway'
         });
       }
+      
+      if (booking.venue) {
+        schedule.venueRef = booking.venue._id;
+        schedule.venue = booking.venue.name;
+      }
     }
     
-    // Update schedule
-    const updatedSchedule = await Schedule.findByIdAndUpdate(
-      id,
-      {
-        course: course || schedule.course,
-        lecturer: lecturer || schedule.lecturer,
-        day: day || schedule.day,
-        startTime: startTime || schedule.startTime,
-        endTime: endTime || schedule.endTime,
-        room: room || schedule.room,
-        type: type || schedule.type,
-        isRecurring: isRecurring !== undefined ? isRecurring : schedule.isRecurring
-      },
-      { new: true }
-    )
-    .populate('course', 'code title')
-    .populate({
-      path: 'lecturer',
-      select: 'user',
-      populate: {
-        path: 'user',
-        select: 'fullName email'
-      }
-    });
+    await schedule.save();
+    
+    const updatedSchedule = await Schedule.findById(id)
+      .populate('course', 'code title')
+      .populate('lecturer', 'fullName email');
     
     res.status(200).json({
       success: true,
       message: 'Schedule updated successfully',
-      data: updatedSchedule
+      data: updatedSchedule,
+      warnings: booking.conflicts.length > 0 || booking.capacity.length > 0
+        ? { conflicts: booking.conflicts, capacity: booking.capacity }
+        : undefined
     });
   } catch (error) {
     console.error('Error updating schedule:', error);
@@ -1426,7 +1387,17 @@ exports.createUser = async (req, res) => {
         message: 'Please provide fullName, email, password and role'
       });
     }
-    
+
+    // Administrator accounts hold every permission, so only administrators create them
+    if (role === 'admin' && req.user.role !== 'admin') {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can create administrator accounts'
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -1609,7 +1580,17 @@ exports.createUser = async (req, res) => {
         message: 'Please provide fullName, email, password and role'
       });
     }
-    
+
+    // Administrator accounts hold every permission, so only administrators create them
+    if (role === 'admin' && req.user.role !== 'admin') {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can create administrator accounts'
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -1804,6 +1785,11 @@ exports.toggleUserStatus = async (req, res) => {
       { new: true }
     ).select('-password');
     
+    // Deactivated users are signed out of every device
+    if (isActive === false) {
+      await revokeUserSessions(userId, 'admin', { revokedBy: req.user.id });
+    }
+    
     res.status(200).json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -1863,6 +1849,14 @@ exports.changeUserRole = async (req, res) => {
         message: 'You cannot change your own role'
       });
     }
+
+    // Administrator accounts hold every permission, so only administrators make or unmake them
+    if ((role === 'admin' || user.role === 'admin') && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can grant or remove administrator access'
+      });
+    }
     
     // Handle role-specific data
     if (role === 'student') {
@@ -2055,6 +2049,9 @@ exports.resetUserPassword = async (req, res) => {
     
     await user.save();
     
+    // Sign the user out everywhere so the old password stops working at once
+    await revokeUserSessions(user._id, 'password_changed', { revokedBy: req.user.id });
+    
     // Log this action
     await SystemActivity.create({
       user: req.user.id,
@@ -3143,7 +3140,7 @@ exports.getLecturersByDepartment = async (req, res) => {
 /**
  * @desc    Assign a course to a lecturer
  * @route   POST /api/admin/assign-course
- * @access  Private/Admin
+ * @access  Private/Admin, or heads of the course's department
  */
 exports.assignCourse = async (req, res) => {
   const session = await mongoose.startSession();
@@ -3177,6 +3174,14 @@ exports.assignCourse = async (req, res) => {
         message: 'Course not found'
       });
     }
+
+    // Department-scoped holders may only staff their own department's courses
+    if (!(await inDepartmentScope(req.permissionScope, course.department))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only assign lecturers to courses in your department'
+      });
+    }
     
     // Check if course is already assigned to lecturer
     if (lecturer.courses.includes(courseId)) {
@@ -4529,6 +4534,9 @@ exports.updateCourse = async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = { ...req.body };
+    // Requirements are checked for loops and unknown grades by updateCourseRequirements
+    delete updateData.prerequisites;
+    delete updateData.corequisites;
     
     // Find course
     const course = await Course.findById(id);
@@ -6098,11 +6106,11 @@ exports.getDashboardStats = async (req, res) => {
 exports.getSystemSettings = async (req, res) => {
   try {
     // Get or create system settings
-    let settings = await SystemSettings.findOne();
+    let settings = await Settings.findOne();
     
     if (!settings) {
       // Create default settings if none exist
-      settings = await SystemSettings.create({
+      settings = await Settings.create({
         systemName: 'GemSpace',
         academicYear: new Date().getFullYear().toString(),
         enrollmentSettings: {
@@ -6152,11 +6160,37 @@ exports.updateSystemSettings = async (req, res) => {
       enrollmentSettings,
       emailSettings,
       uiSettings,
+      attendanceSettings,
+      transcriptSettings,
+      gradingScale,
+      twoFactorSettings,
+      loginSecuritySettings,
       maintenanceMode
     } = req.body;
     
+    if (gradingScale !== undefined) {
+      const problem = validateScale(gradingScale);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+    }
+
+    if (twoFactorSettings && twoFactorSettings.requiredRoles !== undefined) {
+      const roles = ['student', 'lecturer', 'admin'];
+      if (!Array.isArray(twoFactorSettings.requiredRoles) ||
+        twoFactorSettings.requiredRoles.some(role => !roles.includes(role))) {
+        return res.status(400).json({
+          success: false,
+          message: `Two-factor required roles must be a list of: ${roles.join(', ')}`
+        });
+      }
+    }
+    
     // Get current settings
-    let settings = await SystemSettings.findOne();
+    let settings = await Settings.findOne();
     
     if (!settings) {
       return res.status(404).json({
@@ -6166,7 +6200,7 @@ exports.updateSystemSettings = async (req, res) => {
     }
     
     // Update settings
-    const updatedSettings = await SystemSettings.findByIdAndUpdate(
+    const updatedSettings = await Settings.findByIdAndUpdate(
       settings._id,
       {
         systemName: systemName || settings.systemName,
@@ -6183,10 +6217,27 @@ exports.updateSystemSettings = async (req, res) => {
           ...settings.uiSettings,
           ...uiSettings
         } : settings.uiSettings,
+        attendanceSettings: attendanceSettings ? {
+          ...settings.toObject().attendanceSettings,
+          ...attendanceSettings
+        } : settings.attendanceSettings,
+        transcriptSettings: transcriptSettings ? {
+          ...settings.toObject().transcriptSettings,
+          ...transcriptSettings
+        } : settings.transcriptSettings,
+        gradingScale: gradingScale || settings.gradingScale,
+        twoFactorSettings: twoFactorSettings ? {
+          ...settings.toObject().twoFactorSettings,
+          ...twoFactorSettings
+        } : settings.twoFactorSettings,
+        loginSecuritySettings: loginSecuritySettings ? {
+          ...settings.toObject().loginSecuritySettings,
+          ...loginSecuritySettings
+        } : settings.loginSecuritySettings,
         maintenanceMode: maintenanceMode !== undefined ? maintenanceMode : settings.maintenanceMode,
         updatedAt: Date.now()
       },
-      { new: true }
+      { new: true, runValidators: true }
     );
     
     // Log the settings change
@@ -6668,7 +6719,7 @@ exports.createAnnouncement = async (req, res) => {
 /**
  * @desc    Get all enrollments with filters
  * @route   GET /api/admin/enrollments
- * @access  Private/Admin
+ * @access  Private/Admin, or heads of department for their department's courses
  */
 exports.getEnrollments = async (req, res) => {
   try {
@@ -6758,6 +6809,12 @@ exports.getEnrollments = async (req, res) => {
       query.course = { $in: courses.map(c => c._id) };
     }
     
+    // Department-scoped holders only see enrollments in their department's courses
+    if (!req.permissionScope.all) {
+      const scopedCourses = await Course.find(await departmentFilter(req.permissionScope)).select('_id');
+      query.$and = [{ course: { $in: scopedCourses.map(c => c._id) } }];
+    }
+    
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
@@ -7253,7 +7310,7 @@ exports.importEnrollmentsFromCSV = async (req, res) => {
 /**
  * @desc    Update enrollment status
  * @route   PATCH /api/admin/enrollments/:enrollmentId
- * @access  Private/Admin
+ * @access  Private/Admin, or heads of the course's department
  */
 exports.updateEnrollmentStatus = async (req, res) => {
   try {
@@ -7278,6 +7335,15 @@ exports.updateEnrollmentStatus = async (req, res) => {
       });
     }
     
+    // Department-scoped holders may only decide requests for their department's courses
+    const course = await Course.findById(enrollment.course).select('department');
+    if (!(await inDepartmentScope(req.permissionScope, course && course.department))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only decide enrollment requests for courses in your department'
+      });
+    }
+    
     // Update enrollment
     enrollment.status = status;
     if (notes) {
@@ -7804,4 +7870,597 @@ exports.createCourse = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Get a course's prerequisites and co-requisites
+ * @route   GET /api/admin/courses/:courseId/requirements
+ * @access  Private/Admin
+ */
+exports.getCourseRequirements = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid course ID'
+      });
+    }
+
+    const course = await Course.findById(courseId)
+      .select('code title prerequisites corequisites')
+      .populate('prerequisites.course', 'code title')
+      .populate('corequisites', 'code title');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Courses that list this one, so admins can see what a change affects
+    const requiredBy = await Course.find({
+      $or: [{ 'prerequisites.course': course._id }, { corequisites: course._id }]
+    }).select('code title');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: course._id,
+        code: course.code,
+        title: course.title,
+        prerequisites: course.prerequisites,
+        corequisites: course.corequisites,
+        requiredBy
+      }
+    });
+  } catch (error) {
+    console.error('Error getting course requirements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting course requirements',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Set a course's prerequisites (with minimum grades) and co-requisites
+ * @route   PUT /api/admin/courses/:courseId/requirements
+ * @access  Private/Admin
+ */
+exports.updateCourseRequirements = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid course ID'
+      });
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Lists that are left out keep their current value
+    const result = await validateRequirements(
+      course,
+      req.body.prerequisites !== undefined ? req.body.prerequisites : course.prerequisites,
+      req.body.corequisites !== undefined ? req.body.corequisites : course.corequisites
+    );
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    course.prerequisites = result.prerequisites;
+    course.corequisites = result.corequisites;
+    await course.save();
+
+    await SystemActivity.create({
+      user: req.user.id,
+      action: 'UPDATE_COURSE_REQUIREMENTS',
+      details: `Set ${result.prerequisites.length} prerequisite(s) and ${result.corequisites.length} co-requisite(s) for ${course.code}`,
+      affectedModel: 'Course',
+      affectedId: course._id
+    });
+
+    await course.populate([
+      { path: 'prerequisites.course', select: 'code title' },
+      { path: 'corequisites', select: 'code title' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Course requirements updated',
+      data: {
+        _id: course._id,
+        code: course.code,
+        title: course.title,
+        prerequisites: course.prerequisites,
+        corequisites: course.corequisites
+      }
+    });
+  } catch (error) {
+    console.error('Error updating course requirements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating course requirements',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List a user's sessions (signed-in devices)
+ * @route   GET /api/admin/users/:userId/sessions
+ * @access  Private/Admin
+ */
+exports.getUserSessions = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    // Ended sessions are included when asked for, as a record of recent sign-ins
+    const filter = { user: userId };
+    if (req.query.includeRevoked !== 'true') {
+      filter.revokedAt = null;
+      filter.expiresAt = { $gt: new Date() };
+    }
+
+    const sessions = await Session.find(filter)
+      .populate('revokedBy', 'fullName email')
+      .sort('-lastUsedAt')
+      .limit(100);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        isActive: session.isActive()
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting user sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting user sessions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Revoke one of a user's sessions, or all of them when no session is given
+ * @route   DELETE /api/admin/users/:userId/sessions
+ * @route   DELETE /api/admin/users/:userId/sessions/:sessionId
+ * @access  Private/Admin
+ */
+exports.endUserSessions = async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId) || (sessionId && !mongoose.Types.ObjectId.isValid(sessionId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const user = await User.findById(userId).select('fullName email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    let count = 0;
+    if (sessionId) {
+      const session = await Session.findOne({ _id: sessionId, user: userId });
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+      if (session.isActive()) {
+        await revokeSession(session, 'admin', req.user.id);
+        count = 1;
+      }
+    } else {
+      count = await revokeUserSessions(userId, 'admin', { revokedBy: req.user.id });
+    }
+
+    await SystemActivity.create({
+      user: req.user.id,
+      action: 'REVOKE_SESSIONS',
+      details: `Admin revoked ${count} session(s) of ${user.fullName} (${user.email})`,
+      affectedModel: 'User',
+      affectedId: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${count} session(s) revoked`
+    });
+  } catch (error) {
+    console.error('Error revoking user sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking user sessions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Turn off a user's two-factor sign-in, e.g. after a lost phone and recovery codes
+ * @route   DELETE /api/admin/users/:userId/two-factor
+ * @access  Private/Admin
+ */
+exports.resetUserTwoFactor = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const user = await User.findById(userId).select('fullName email role twoFactor');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Users whose role requires it are sent an email code at their next sign-in until they set up again
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    await SystemActivity.create({
+      user: req.user.id,
+      action: 'RESET_TWO_FACTOR',
+      details: `Admin reset two-factor sign-in for ${user.fullName} (${user.email})`,
+      affectedModel: 'User',
+      affectedId: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor sign-in reset'
+    });
+  } catch (error) {
+    console.error('Error resetting two-factor sign-in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting two-factor sign-in',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List accounts locked after too many failed logins
+ * @route   GET /api/admin/locked-accounts
+ * @access  Private/Admin
+ */
+exports.getLockedAccounts = async (req, res) => {
+  try {
+    const users = await User.find({ lockedUntil: { $gt: new Date() } })
+      .select('fullName email role failedLoginAttempts lastFailedLoginAt lockedUntil')
+      .sort('-lastFailedLoginAt');
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    console.error('Error getting locked accounts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting locked accounts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Unlock an account locked after too many failed logins
+ * @route   POST /api/admin/users/:userId/unlock
+ * @access  Private/Admin
+ */
+exports.unlockUserAccount = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const user = await User.findById(userId).select('fullName email failedLoginAttempts lastFailedLoginAt lockedUntil');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Login throttling for the account is cleared too, so the user can sign in straight away
+    await resetFailedLogins(user);
+    await user.save({ validateBeforeSave: false });
+
+    await SystemActivity.create({
+      user: req.user.id,
+      action: 'UNLOCK_ACCOUNT',
+      details: `Admin unlocked the account of ${user.fullName} (${user.email})`,
+      affectedModel: 'User',
+      affectedId: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked'
+    });
+  } catch (error) {
+    console.error('Error unlocking account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List students' pending department, level and matric number changes
+ * @route   GET /api/admin/student-updates
+ * @access  Private/Admin, or heads of department for their department's students
+ */
+exports.getPendingStudentUpdates = async (req, res) => {
+  try {
+    const students = await Student.find({
+      'pendingUpdates.status': 'pending',
+      'pendingUpdates.requestedAt': { $exists: true },
+      ...(await departmentFilter(req.permissionScope))
+    })
+      .select('user matricNumber department level pendingUpdates')
+      .populate('user', 'fullName email')
+      .sort('pendingUpdates.requestedAt');
+
+    res.status(200).json({
+      success: true,
+      count: students.length,
+      data: students
+    });
+  } catch (error) {
+    console.error('Error getting pending student updates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting pending student updates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Approve or reject a student's pending changes
+ * @route   PUT /api/admin/students/:id/pending-updates
+ * @access  Private/Admin, or heads of department for their department's students
+ */
+exports.reviewStudentUpdates = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { action, notes } = req.body;
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be approve or reject'
+      });
+    }
+
+    const student = mongoose.Types.ObjectId.isValid(id)
+      ? await Student.findById(id).populate('user', 'fullName email')
+      : null;
+    const pending = student && student.pendingUpdates;
+    if (!pending || pending.status !== 'pending' || !pending.requestedAt) {
+      return res.status(404).json({
+        success: false,
+        message: student ? 'This student has no pending changes' : 'Student not found'
+      });
+    }
+
+    // A move between departments needs a say from both sides, so both must be in scope
+    const departmentsInvolved = [student.department];
+    if (action === 'approve' && pending.department && pending.department !== student.department) {
+      departmentsInvolved.push(pending.department);
+    }
+    for (const department of departmentsInvolved) {
+      if (!(await inDepartmentScope(req.permissionScope, department))) {
+        return res.status(403).json({
+          success: false,
+          message: departmentsInvolved.length > 1
+            ? 'Moving a student to another department needs an administrator or the head of both departments'
+            : 'You can only review changes for students in your department'
+        });
+      }
+    }
+
+    if (action === 'approve') {
+      if (pending.matricNumber && pending.matricNumber !== student.matricNumber &&
+        await Student.exists({ matricNumber: pending.matricNumber, _id: { $ne: student._id } })) {
+        return res.status(400).json({
+          success: false,
+          message: `Matric number ${pending.matricNumber} already belongs to another student`
+        });
+      }
+      if (pending.department) student.department = pending.department;
+      if (pending.level) student.level = pending.level;
+      if (pending.matricNumber) student.matricNumber = pending.matricNumber;
+    }
+
+    student.pendingUpdates.status = action === 'approve' ? 'approved' : 'rejected';
+    student.pendingUpdates.reviewedAt = new Date();
+    student.pendingUpdates.reviewedBy = req.user._id;
+    if (notes !== undefined) student.pendingUpdates.notes = notes;
+    await student.save();
+
+    await SystemActivity.create({
+      user: req.user._id,
+      action: action === 'approve' ? 'APPROVE_STUDENT_UPDATES' : 'REJECT_STUDENT_UPDATES',
+      details: `${action === 'approve' ? 'Approved' : 'Rejected'} profile changes for ${student.user ? student.user.fullName : 'a student'} (${student.matricNumber || 'no matric number'})`,
+      affectedModel: 'Student',
+      affectedId: student._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: action === 'approve' ? 'Changes approved and applied' : 'Changes rejected',
+      data: student
+    });
+  } catch (error) {
+    console.error('Error reviewing student updates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing student updates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Department report: students, courses, staffing and enrollments
+ * @route   GET /api/admin/departments/:id/report
+ * @access  Private/Admin, or the department's head
+ */
+exports.getDepartmentReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const department = mongoose.Types.ObjectId.isValid(id)
+      ? await Department.findById(id).populate({ path: 'headOfDepartment', select: 'staffId user', populate: { path: 'user', select: 'fullName email' } })
+      : null;
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    if (!(await inDepartmentScope(req.permissionScope, department._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view reports for your department'
+      });
+    }
+
+    // Records name their department by ID, name or code, in any case
+    const inDepartment = await departmentFilter({ all: false, departments: [department._id] });
+    const [studentsByLevel, pendingUpdates, courses, lecturers] = await Promise.all([
+      Student.aggregate([
+        { $match: inDepartment },
+        { $group: { _id: '$level', count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ]),
+      Student.countDocuments({
+        ...inDepartment,
+        'pendingUpdates.status': 'pending',
+        'pendingUpdates.requestedAt': { $exists: true }
+      }),
+      Course.find(inDepartment).select('code title level credits lecturer'),
+      Lecturer.find(inDepartment).select('staffId user courses').populate('user', 'fullName email')
+    ]);
+
+    const courseIds = courses.map(course => course._id);
+    const enrollmentCounts = await Enrollment.aggregate([
+      { $match: { course: { $in: courseIds } } },
+      { $group: { _id: { course: '$course', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const enrollmentsByStatus = {};
+    const acceptedByCourse = new Map();
+    enrollmentCounts.forEach(({ _id, count }) => {
+      enrollmentsByStatus[_id.status] = (enrollmentsByStatus[_id.status] || 0) + count;
+      if (_id.status === 'accepted') acceptedByCourse.set(_id.course.toString(), count);
+    });
+
+    // Teaching load counts every course a lecturer teaches, in any department
+    const taughtCourses = await Course.find({ lecturer: { $in: lecturers.map(lecturer => lecturer._id) } }).select('lecturer credits');
+    const workload = lecturers.map(lecturer => {
+      const teaching = taughtCourses.filter(course => (course.lecturer || []).some(id => String(id) === String(lecturer._id)));
+      return {
+        lecturer: lecturer._id,
+        name: lecturer.user ? lecturer.user.fullName : null,
+        staffId: lecturer.staffId,
+        courses: teaching.length,
+        credits: teaching.reduce((sum, course) => sum + (course.credits || 0), 0)
+      };
+    }).sort((a, b) => b.credits - a.credits);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        department: {
+          _id: department._id,
+          name: department.name,
+          code: department.code,
+          headOfDepartment: department.headOfDepartment
+        },
+        students: {
+          total: studentsByLevel.reduce((sum, entry) => sum + entry.count, 0),
+          byLevel: studentsByLevel.map(entry => ({ level: entry._id, count: entry.count })),
+          pendingUpdates
+        },
+        courses: {
+          total: courses.length,
+          withoutLecturer: courses.filter(course => !course.lecturer || course.lecturer.length === 0).length,
+          list: courses.map(course => ({
+            _id: course._id,
+            code: course.code,
+            title: course.title,
+            level: course.level,
+            credits: course.credits,
+            lecturer: course.lecturer || null,
+            enrolled: acceptedByCourse.get(course._id.toString()) || 0
+          }))
+        },
+        enrollments: enrollmentsByStatus,
+        lecturers: workload
+      }
+    });
+  } catch (error) {
+    console.error('Error getting department report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting department report',
+      error: error.message
+    });
+  }
+};
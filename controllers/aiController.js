@@ -6,23 +6,10 @@ const path = require('path');
 const axios = require('axios'); 
 const { textModel, complexModel } = require('../utils/aiModels');
 const Conversation = require('../models/Conversation');
+const { extractTextFromPDF, extractTextFromDOCX, canExtract } = require('../utils/textExtraction');
 
 const API_VERSION = "v1beta";
 
-let pdfParse;
-let mammoth;
-try {
-  pdfParse = require('pdf-parse');
-} catch (err) {
-  console.warn('pdf-parse module not found. PDF processing will not be available.');
-}
-
-try {
-  mammoth = require('mammoth');
-} catch (err) {
-  console.warn('mammoth module not found. DOCX processing will not be available.');
-}
-
 // Ensure uploads directory exists
 const uploadsDir = './uploads';
 if (!fs.existsSync(uploadsDir)) {
@@ -56,35 +43,6 @@ const upload = multer({
   }
 }).single('file');
 
-async function extractTextFromPDF(filePath) {
-  if (!pdfParse) {
-    throw new Error('PDF processing is not available. Please install pdf-parse package.');
-  }
-
-  const dataBuffer = fs.readFileSync(filePath);
-  try {
-    const data = await pdfParse(dataBuffer);
-    return data.text;
-  } catch (error) {
-    console.error('Error extracting text from PDF:', error);
-    throw new Error('Failed to extract text from PDF');
-  }
-}
-
-async function extractTextFromDOCX(filePath) {
-  if (!mammoth) {
-    throw new Error('DOCX processing is not available. Please install mammoth package.');
-  }
-
-  try {
-    const result = await mammoth.extractRawText({ path: filePath });
-    return result.value;
-  } catch (error) {
-    console.error('Error extracting text from DOCX:', error);
-    throw new Error('Failed to extract text from DOCX');
-  }
-}
-
 exports.generateText = async (req, res) => {
   try {
     const { prompt, maxTokens = 800 } = req.body;
@@ -285,7 +243,7 @@ exports.summarizeDocument = async (req, res) => {
       // Extract text based on file type
       try {
         if (fileExt === '.pdf') {
-          if (!pdfParse) {
+          if (!canExtract('.pdf')) {
             fs.unlinkSync(filePath);
             return res.status(400).json({
               success: false,
@@ -294,7 +252,7 @@ exports.summarizeDocument = async (req, res) => {
           }
           text = await extractTextFromPDF(filePath);
         } else if (fileExt === '.docx') {
-          if (!mammoth) {
+          if (!canExtract('.docx')) {
             fs.unlinkSync(filePath);
             return res.status(400).json({
               success: false,
@@ -7,6 +7,24 @@ const Department = require('../models/Department');
 const fs = require('fs');
 const path = require('path');
 const mongoose = require('mongoose');
+const { checkAssignmentSimilarity, resolveUploadPath } = require('../services/similarityService');
+const { parseRubric, scoreRubric, formatGrade } = require('../services/rubricService');
+const { getDefaultScale } = require('../services/gradebookService');
+const { createVersion, ensureVersionHistory, findVersion } = require('../services/submissionVersionService');
+const { activeExtension, dueDateFor, applyStudentDeadline } = require('../services/deadlineService');
+const { getCourseRosters } = require('../services/examConflictService');
+const { suggestGrade } = require('../services/gradingAssistantService');
+const {
+  getSheetStudents,
+  buildGradeSheet,
+  renderGradeSheet,
+  readGradeSheet,
+  validateGradeRows
+} = require('../services/gradeSheetService');
+const { toCsv, sendCsv } = require('../utils/csv');
+const { createZip, MAX_ENTRIES: ZIP_MAX_ENTRIES, MAX_SIZE: ZIP_MAX_SIZE } = require('../utils/zip');
+const { sendXlsx } = require('../utils/xlsx');
+const { canManageCourse } = require('../utils/courseAccess');
 // ==================== LECTURER FUNCTIONS ====================
 
 /**
@@ -89,7 +107,9 @@ exports.createAssignment = async (req, res) => {
       totalMarks, 
       instructions,
       isActive = true,
-      visibleToStudents = true
+      visibleToStudents = true,
+      gradingScheme,
+      rubric
     } = req.body;
     
     // Validate required fields
@@ -100,6 +120,14 @@ exports.createAssignment = async (req, res) => {
       });
     }
     
+    const parsedRubric = rubric !== undefined ? parseRubric(rubric) : { criteria: [] };
+    if (parsedRubric.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedRubric.error
+      });
+    }
+    
     // Check if this lecturer teaches the course
     const course = await Course.findById(courseId);
     if (!course) {
@@ -247,7 +275,9 @@ exports.createAssignment = async (req, res) => {
       isActive,
       visibleToStudents,
       lecturer: lecturer._id, // Add lecturer ID
-      academicSession: academicSessionId // Add academic session if available
+      academicSession: academicSessionId, // Add academic session if available
+      gradingScheme,
+      rubric: parsedRubric.criteria
     });
     
     // Add this assignment to the course
@@ -306,7 +336,9 @@ exports.updateAssignment = async (req, res) => {
       instructions,
       isActive,
       visibleToStudents,
-      removeFiles = []
+      removeFiles = [],
+      gradingScheme,
+      rubric
     } = req.body;
     
     // Find lecturer profile using the authenticated user's ID
@@ -342,6 +374,26 @@ exports.updateAssignment = async (req, res) => {
       }
     }
     
+    // A rubric cannot change under submissions already marked against it
+    let parsedRubric;
+    if (rubric !== undefined) {
+      parsedRubric = parseRubric(rubric);
+      if (parsedRubric.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsedRubric.error
+        });
+      }
+      
+      const rubricGraded = assignment.submissions.some(submission => submission.grade?.rubric?.length > 0);
+      if (rubricGraded) {
+        return res.status(400).json({
+          success: false,
+          message: 'The rubric cannot be changed after submissions have been marked with it'
+        });
+      }
+    }
+    
     // Process uploaded files
     const files = req.files || [];
     const newFiles = files.map(file => ({
@@ -372,9 +424,11 @@ exports.updateAssignment = async (req, res) => {
         files: [...existingFiles, ...newFiles],
         isActive: isActive !== undefined ? isActive : assignment.isActive,
         visibleToStudents: visibleToStudents !== undefined ? visibleToStudents : assignment.visibleToStudents,
+        gradingScheme: gradingScheme || assignment.gradingScheme,
+        rubric: parsedRubric ? parsedRubric.criteria : assignment.rubric,
         updatedAt: Date.now()
       },
-      { new: true }
+      { new: true, runValidators: true }
     );
     
     // If visibility changed to visible, notify students
@@ -657,7 +711,12 @@ exports.getAssignment = async (req, res) => {
       );
       
       // Add submission info to response
-      assignment._doc.studentSubmission = submission || null;
+      // Draft grades from the grading assistant are for the lecturer only
+      const { gradeSuggestion, ...ownSubmission } = submission ? submission.toObject() : {};
+      assignment._doc.studentSubmission = submission ? ownSubmission : null;
+      applyStudentDeadline(assignment._doc, assignment, student._id);
+      // Classmates' submissions, with their draft grades, similarity scores and versions, stay hidden
+      delete assignment._doc.submissions;
     }
     
     res.status(200).json({
@@ -733,6 +792,650 @@ exports.getSubmissions = async (req, res) => {
   }
 };
 
+// Load an assignment and check the current user may manage it (its lecturer, course lecturers or admins)
+const findManagedAssignment = async (req, res, action) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid assignment ID'
+    });
+    return null;
+  }
+
+  const assignment = await Assignment.findById(id);
+  if (!assignment) {
+    res.status(404).json({
+      success: false,
+      message: 'Assignment not found'
+    });
+    return null;
+  }
+
+  const lecturer = await Lecturer.findOne({ user: req.user.id }).select('_id');
+  const ownsAssignment = lecturer && assignment.lecturer && assignment.lecturer.toString() === lecturer._id.toString();
+  if (!ownsAssignment && !(await canManageCourse(req.user, assignment.course))) {
+    res.status(403).json({
+      success: false,
+      message: `You do not have permission to ${action}`
+    });
+    return null;
+  }
+
+  return assignment;
+};
+
+// Folder or file name that is safe on every operating system
+const safeName = (value) => String(value || '').replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '-').replace(/\s+/g, ' ').trim();
+
+// @desc    Download submissions as a ZIP with one folder per student and a manifest
+// @route   GET /api/assignments/:id/submissions/archive?ungradedOnly=true&lateOnly=true
+// @access  Private/Lecturer
+exports.downloadSubmissionsArchive = async (req, res) => {
+  try {
+    const ungradedOnly = req.query.ungradedOnly === 'true';
+    const lateOnly = req.query.lateOnly === 'true';
+
+    const assignment = await findManagedAssignment(req, res, 'download submissions for this assignment');
+    if (!assignment) return;
+
+    const students = await Student.find({ _id: { $in: assignment.submissions.map(submission => submission.student) } })
+      .select('matricNumber user')
+      .populate('user', 'fullName');
+
+    const entries = assignment.submissions
+      .map(submission => {
+        const student = students.find(item => item._id.toString() === submission.student.toString());
+        const dueDate = dueDateFor(assignment, submission.student);
+        const late = new Date(submission.submittedAt) > dueDate;
+        return {
+          submission,
+          student,
+          late,
+          minutesLate: late ? Math.ceil((new Date(submission.submittedAt) - dueDate) / 60000) : 0,
+          folder: safeName([student?.matricNumber, student?.user?.fullName].filter(Boolean).join(' - ') || submission.student)
+        };
+      })
+      .filter(entry => !ungradedOnly || entry.submission.status !== 'graded')
+      .filter(entry => !lateOnly || entry.late)
+      .sort((a, b) => a.folder.localeCompare(b.folder));
+
+    if (entries.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No submissions match the selected filters'
+      });
+    }
+
+    // The archive has no ZIP64 support, so one too large is refused before anything is streamed
+    let fileCount = 1;
+    let totalBytes = 0;
+    for (const { submission } of entries) {
+      if (submission.comments && assignment.submissionType !== 'file') fileCount += 1;
+      for (const file of submission.files || []) {
+        const filePath = resolveUploadPath(file.fileUrl);
+        if (!filePath) continue;
+        fileCount += 1;
+        totalBytes += (await fs.promises.stat(filePath)).size;
+      }
+    }
+    if (fileCount > ZIP_MAX_ENTRIES || totalBytes > ZIP_MAX_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `These submissions are too large for one archive (${fileCount} files, ${Math.ceil(totalBytes / (1024 * 1024))} MB). Please download them in smaller batches using the filters.`
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${safeName(assignment.title).replace(/[^\w.-]+/g, '_')}-submissions.zip"`
+    });
+    res.status(200);
+
+    // Files are read and written one at a time so large classes do not fill memory
+    const zip = createZip(chunk => res.write(chunk));
+    // A cancelled download never drains, so closing or failing also ends the wait
+    const waitForDrain = () => (res.writableNeedDrain && !res.destroyed
+      ? new Promise(resolve => {
+        const done = () => {
+          res.off('drain', done).off('close', done).off('error', done);
+          resolve();
+        };
+        res.once('drain', done).once('close', done).once('error', done);
+      })
+      : null);
+    const manifest = [];
+
+    for (const entry of entries) {
+      // Stop reading files once the client has gone away
+      if (res.destroyed) return;
+      const { submission } = entry;
+      const added = [];
+      const missing = [];
+
+      for (const file of submission.files || []) {
+        const filePath = resolveUploadPath(file.fileUrl);
+        if (!filePath) {
+          missing.push(file.filename);
+          continue;
+        }
+        const data = await fs.promises.readFile(filePath);
+        added.push(zip.add(`${entry.folder}/${safeName(file.filename) || path.basename(filePath)}`, data, { date: submission.submittedAt }));
+        await waitForDrain();
+        if (res.destroyed) return;
+      }
+
+      if (submission.comments && assignment.submissionType !== 'file') {
+        added.push(zip.add(`${entry.folder}/submission-text.txt`, submission.comments, { date: submission.submittedAt }));
+      }
+
+      manifest.push([
+        entry.student?.matricNumber,
+        entry.student?.user?.fullName,
+        entry.folder,
+        new Date(submission.submittedAt).toISOString(),
+        submission.versions && submission.versions.length > 0 ? submission.versions.length : 1,
+        entry.late ? 'yes' : 'no',
+        entry.minutesLate,
+        submission.status,
+        submission.grade && typeof submission.grade.score === 'number' ? submission.grade.score : '',
+        added.map(name => name.slice(entry.folder.length + 1)).join('; '),
+        missing.join('; ')
+      ]);
+    }
+
+    zip.add('manifest.csv', toCsv(
+      ['Matric Number', 'Name', 'Folder', 'Submitted At', 'Version', 'Late', 'Minutes Late', 'Status', 'Score', 'Files', 'Missing Files'],
+      manifest
+    ));
+    zip.finish();
+    res.end();
+  } catch (error) {
+    console.error('Error creating submissions archive:', error);
+    if (res.headersSent) {
+      // The archive is already streaming, so the download can only be cut short
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating submissions archive',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Check submissions for similarity with each other and earlier sessions
+// @route   GET /api/assignments/:id/similarity
+// @access  Private/Lecturer
+exports.getSubmissionSimilarity = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { includePrevious = 'true', refresh = 'false', minScore = 0 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assignment ID'
+      });
+    }
+
+    const assignment = await Assignment.findById(id);
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const lecturer = await Lecturer.findOne({ user: req.user.id }).select('_id');
+    const ownsAssignment = lecturer && assignment.lecturer && assignment.lecturer.toString() === lecturer._id.toString();
+    if (!ownsAssignment && !(await canManageCourse(req.user, assignment.course))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to check this assignment'
+      });
+    }
+
+    const { checkedAt, results, extraction, previousAssignments } = await checkAssignmentSimilarity(assignment, {
+      includePrevious: includePrevious !== 'false',
+      refresh: refresh === 'true'
+    });
+
+    // Student details for every submission that appears in the report
+    const studentIds = new Set();
+    results.forEach(result => {
+      studentIds.add(result.student);
+      result.matches.forEach(match => studentIds.add(match.student));
+    });
+    const students = await Student.find({ _id: { $in: [...studentIds] } })
+      .select('matricNumber user')
+      .populate('user', 'fullName email');
+    const studentOf = (studentId) => {
+      const student = students.find(item => item._id.toString() === studentId);
+      return student
+        ? { _id: student._id, name: student.user?.fullName, matricNumber: student.matricNumber }
+        : { _id: studentId };
+    };
+
+    const data = results
+      .filter(result => result.score >= Number(minScore || 0))
+      .sort((a, b) => b.score - a.score)
+      .map(result => {
+        const record = extraction.get(result.id);
+        return {
+          submission: result.id,
+          student: studentOf(result.student),
+          score: result.score,
+          wordCount: result.wordCount,
+          extractionErrors: record ? record.extractionErrors : [],
+          matches: result.matches.map(match => ({
+            ...match,
+            student: studentOf(match.student)
+          }))
+        };
+      });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data: {
+        assignment: {
+          _id: assignment._id,
+          title: assignment.title,
+          submissions: assignment.submissions.length
+        },
+        checkedAt,
+        comparedWith: previousAssignments,
+        submissions: data
+      }
+    });
+  } catch (error) {
+    console.error('Error checking submission similarity:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking submission similarity',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the version history of a submission
+// @route   GET /api/assignments/:id/submissions/:submissionId/versions
+// @access  Private/Lecturer
+exports.getSubmissionVersions = async (req, res) => {
+  try {
+    const { id, submissionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(submissionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assignment or submission ID'
+      });
+    }
+
+    const assignment = await Assignment.findById(id);
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const lecturer = await Lecturer.findOne({ user: req.user.id }).select('_id');
+    const ownsAssignment = lecturer && assignment.lecturer && assignment.lecturer.toString() === lecturer._id.toString();
+    if (!ownsAssignment && !(await canManageCourse(req.user, assignment.course))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this submission'
+      });
+    }
+
+    const submission = assignment.submissions.id(submissionId);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    ensureVersionHistory(assignment, submission);
+
+    res.status(200).json({
+      success: true,
+      count: submission.versions.length,
+      data: {
+        submission: submission._id,
+        student: submission.student,
+        dueDate: dueDateFor(assignment, submission.student),
+        originalDueDate: assignment.dueDate,
+        gradedVersion: submission.grade?.version || null,
+        versions: [...submission.versions].reverse()
+      }
+    });
+  } catch (error) {
+    console.error('Error getting submission versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting submission versions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Grant one or more students an extended deadline
+// @route   POST /api/assignments/:id/extensions
+// @access  Private/Lecturer
+exports.grantExtensions = async (req, res) => {
+  try {
+    const { students, student, dueDate, reason } = req.body;
+
+    const assignment = await findManagedAssignment(req, res, 'manage extensions for this assignment');
+    if (!assignment) return;
+
+    const requested = [].concat(students || student || []).map(String).filter(Boolean);
+    if (requested.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose at least one student'
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason for the extension'
+      });
+    }
+
+    const extendedDueDate = new Date(dueDate);
+    if (!dueDate || isNaN(extendedDueDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid extended due date'
+      });
+    }
+
+    if (extendedDueDate <= assignment.dueDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'The extended due date must be after the assignment due date'
+      });
+    }
+
+    // Students may be given by ID or matric number
+    const ids = requested.filter(value => mongoose.Types.ObjectId.isValid(value));
+    const found = await Student.find({ $or: [{ _id: { $in: ids } }, { matricNumber: { $in: requested } }] })
+      .select('matricNumber user')
+      .populate('user', 'fullName');
+
+    const rosters = await getCourseRosters([assignment.course]);
+    const roster = rosters.get(assignment.course.toString()) || new Set();
+
+    const notFound = requested.filter(value => !found.some(item => item._id.toString() === value || item.matricNumber === value));
+    const notEnrolled = found.filter(item => !roster.has(item._id.toString()));
+    if (notFound.length > 0 || notEnrolled.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Extensions can only be granted to students registered on the course',
+        data: {
+          notFound,
+          notEnrolled: notEnrolled.map(item => item.matricNumber || item._id)
+        }
+      });
+    }
+
+    const grantedAt = new Date();
+    const granted = found.map(item => ({
+      student: item._id,
+      dueDate: extendedDueDate,
+      reason: String(reason).trim(),
+      grantedBy: req.user.id,
+      grantedAt
+    }));
+
+    assignment.extensions.push(...granted);
+    await assignment.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Extension granted to ${granted.length} student(s)`,
+      data: assignment.extensions.slice(-granted.length)
+    });
+  } catch (error) {
+    console.error('Error granting extensions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error granting extensions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the extensions of an assignment, including revoked ones
+// @route   GET /api/assignments/:id/extensions
+// @access  Private/Lecturer
+exports.getExtensions = async (req, res) => {
+  try {
+    const assignment = await findManagedAssignment(req, res, 'manage extensions for this assignment');
+    if (!assignment) return;
+
+    await assignment.populate([
+      { path: 'extensions.student', select: 'matricNumber user', populate: { path: 'user', select: 'fullName email' } },
+      { path: 'extensions.grantedBy', select: 'fullName email role' },
+      { path: 'extensions.revokedBy', select: 'fullName email role' }
+    ]);
+
+    const data = assignment.extensions
+      .map(extension => ({
+        ...extension.toObject(),
+        active: !extension.revokedAt && extension.student &&
+          activeExtension(assignment, extension.student._id)?._id.toString() === extension._id.toString()
+      }))
+      .sort((a, b) => new Date(b.grantedAt) - new Date(a.grantedAt));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data: {
+        dueDate: assignment.dueDate,
+        extensions: data
+      }
+    });
+  } catch (error) {
+    console.error('Error getting extensions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting extensions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke an extension (the record is kept for the audit trail)
+// @route   DELETE /api/assignments/:id/extensions/:extensionId
+// @access  Private/Lecturer
+exports.revokeExtension = async (req, res) => {
+  try {
+    const { extensionId } = req.params;
+    const { reason } = req.body || {};
+
+    const assignment = await findManagedAssignment(req, res, 'manage extensions for this assignment');
+    if (!assignment) return;
+
+    const extension = mongoose.Types.ObjectId.isValid(extensionId) ? assignment.extensions.id(extensionId) : null;
+    if (!extension) {
+      return res.status(404).json({
+        success: false,
+        message: 'Extension not found'
+      });
+    }
+
+    if (extension.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This extension has already been revoked'
+      });
+    }
+
+    extension.revokedAt = new Date();
+    extension.revokedBy = req.user.id;
+    extension.revokeReason = reason;
+    await assignment.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Extension revoked',
+      data: extension
+    });
+  } catch (error) {
+    console.error('Error revoking extension:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking extension',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download an assignment's grade sheet (roster, submission status and scores)
+// @route   GET /api/assignments/:id/grades/export?format=csv|xlsx
+// @access  Private/Lecturer
+exports.exportGrades = async (req, res) => {
+  try {
+    const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+
+    const assignment = await findManagedAssignment(req, res, 'export grades for this assignment');
+    if (!assignment) return;
+
+    const students = await getSheetStudents(assignment);
+    const sheet = buildGradeSheet(assignment, students);
+    const filename = `${assignment.title}-grades.${format}`;
+
+    if (format === 'xlsx') {
+      return sendXlsx(res, filename, renderGradeSheet(sheet, format));
+    }
+    sendCsv(res, filename, renderGradeSheet(sheet, format));
+  } catch (error) {
+    console.error('Error exporting grades:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting grades',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Import scores and feedback from a filled-in grade sheet (CSV or XLSX)
+// @route   POST /api/assignments/:id/grades/import
+// @access  Private/Lecturer
+exports.importGrades = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    const assignment = await findManagedAssignment(req, res, 'grade this assignment');
+    if (!assignment) {
+      await session.abortTransaction();
+      return;
+    }
+
+    if (!req.file) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a .csv or .xlsx grade sheet'
+      });
+    }
+
+    // A single score cannot fill in a rubric
+    if (assignment.rubric && assignment.rubric.length > 0) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'This assignment uses a rubric. Please grade each submission against the rubric.'
+      });
+    }
+
+    const { rows, error } = readGradeSheet(req.file);
+    if (error) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const students = await getSheetStudents(assignment);
+    const results = validateGradeRows(rows, assignment, students);
+    const valid = results.filter(result => result.status === 'valid');
+
+    if (!dryRun && valid.length > 0) {
+      const lecturer = await Lecturer.findOne({ user: req.user.id }).select('_id');
+      const scale = await getDefaultScale();
+      const gradedAt = new Date();
+
+      valid.forEach(result => {
+        const submission = assignment.submissions.id(result.submission);
+        ensureVersionHistory(assignment, submission);
+        const previous = submission.grade || {};
+        // A new score grades the latest version; a feedback-only change keeps the graded version
+        const scoreChanged = previous.score !== result.score;
+
+        submission.grade = {
+          score: result.score,
+          version: scoreChanged || !previous.version ? submission.versions.length : previous.version,
+          ...formatGrade(result.score, assignment, scale),
+          rubric: [],
+          feedback: result.feedback,
+          gradedBy: lecturer ? lecturer._id : previous.gradedBy,
+          gradedAt
+        };
+        submission.status = 'graded';
+      });
+
+      await assignment.save({ session });
+    }
+
+    await session.commitTransaction();
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? `${valid.length} row(s) ready to import, ${count('failed')} with errors`
+        : `${valid.length} grade(s) imported, ${count('failed')} row(s) with errors`,
+      data: {
+        dryRun,
+        summary: {
+          rows: results.length,
+          imported: dryRun ? 0 : valid.length,
+          valid: valid.length,
+          unchanged: count('unchanged'),
+          skipped: count('skipped'),
+          failed: count('failed')
+        },
+        rows: results.map(({ submission, ...result }) => ({
+          ...result,
+          success: result.status !== 'failed'
+        }))
+      }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('Error importing grades:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing grades',
+      error: error.message
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
 // ==================== STUDENT FUNCTIONS ====================
 
 // @desc    Submit assignment
@@ -781,9 +1484,9 @@ exports.submitAssignment = async (req, res) => {
       });
     }
     
-    // Check if submission is on time or late
+    // Check if submission is on time or late (against the student's own deadline)
     const now = new Date();
-    const isLate = now > assignment.dueDate;
+    const isLate = now > dueDateFor(assignment, student._id);
     
     if (isLate && !assignment.allowLateSubmission) {
       return res.status(400).json({
@@ -830,6 +1533,7 @@ exports.submitAssignment = async (req, res) => {
       submittedAt: now,
       files,
       comments,
+      versions: [createVersion(assignment, null, { student: student._id, files, comments, submittedAt: now })],
       status: isLate ? 'late' : 'submitted'
     };
     
@@ -846,7 +1550,7 @@ exports.submitAssignment = async (req, res) => {
       await Task.create({
         title: `Submit ${assignment.title}`,
         description: `Submission for ${assignment.title} in ${assignment.course.code}`,
-        dueDate: assignment.dueDate,
+        dueDate: dueDateFor(assignment, student._id),
         priority: 'high',
         category: 'academic',
         relatedCourse: assignment.course,
@@ -911,9 +1615,9 @@ exports.updateSubmission = async (req, res) => {
       });
     }
     
-    // Check if submission is on time or late
+    // Check if submission is on time or late (against the student's own deadline)
     const now = new Date();
-    const isLate = now > assignment.dueDate;
+    const isLate = now > dueDateFor(assignment, student._id);
     
     if (isLate && !assignment.allowLateSubmission) {
       return res.status(400).json({
@@ -965,20 +1669,26 @@ exports.updateSubmission = async (req, res) => {
       files.push(...(assignment.submissions[existingSubmissionIndex].files || []));
     }
     
-    // Update submission
-    assignment.submissions[existingSubmissionIndex] = {
-      ...assignment.submissions[existingSubmissionIndex].toObject(),
+    // Each update is kept as a new version; the submission itself shows the latest one
+    const submission = assignment.submissions[existingSubmissionIndex];
+    ensureVersionHistory(assignment, submission);
+    const version = createVersion(assignment, submission, {
       files,
-      comments: comments !== undefined ? comments : assignment.submissions[existingSubmissionIndex].comments,
-      submittedAt: now, // Update submission time
-      status: isLate ? 'late' : 'submitted'
-    };
+      comments: comments !== undefined ? comments : submission.comments,
+      submittedAt: now
+    });
+    
+    submission.versions.push(version);
+    submission.files = files;
+    submission.comments = version.comments;
+    submission.submittedAt = now; // Update submission time
+    submission.status = isLate ? 'late' : 'submitted';
     
     await assignment.save();
     
     res.status(200).json({
       success: true,
-      message: 'Submission updated successfully',
+      message: `Submission updated successfully (version ${version.number})`,
       data: assignment.submissions[existingSubmissionIndex]
     });
   } catch (error) {
@@ -1045,13 +1755,14 @@ exports.getStudentAssignments = async (req, res) => {
         // Check if overdue
         const now = new Date();
         assignmentObj.submissionStatus = {
-          status: now > assignment.dueDate ? 'overdue' : 'pending',
+          status: now > dueDateFor(assignment, student._id) ? 'overdue' : 'pending',
           hasGrade: false
         };
       }
       
       // Remove other students' submissions for privacy
       delete assignmentObj.submissions;
+      applyStudentDeadline(assignmentObj, assignment, student._id);
       
       return assignmentObj;
     });
@@ -1139,26 +1850,48 @@ exports.getStudentAssignment = async (req, res) => {
     
     // Add submission status
     if (studentSubmission) {
-      sanitizedAssignment.submission = studentSubmission;
+      ensureVersionHistory(assignment, studentSubmission);
+      sanitizedAssignment.submission = studentSubmission.toObject();
+      delete sanitizedAssignment.submission.gradeSuggestion;
       sanitizedAssignment.submissionStatus = {
         status: studentSubmission.status,
         submittedAt: studentSubmission.submittedAt,
         hasGrade: !!studentSubmission.grade?.score,
-        grade: studentSubmission.grade || null
+        grade: studentSubmission.grade || null,
+        versions: studentSubmission.versions.length,
+        gradedVersion: studentSubmission.grade?.version || null
       };
+      
+      // Show the rubric filled in with the marks awarded for each criterion
+      if (assignment.rubric && assignment.rubric.length > 0) {
+        const marks = studentSubmission.grade?.rubric || [];
+        sanitizedAssignment.filledRubric = assignment.rubric.map(criterion => {
+          const mark = marks.find(item => item.criterion && item.criterion.toString() === criterion._id.toString());
+          return {
+            ...criterion.toObject(),
+            awarded: mark ? {
+              level: mark.level,
+              levelLabel: mark.levelLabel,
+              points: mark.points,
+              maxPoints: mark.maxPoints,
+              comment: mark.comment
+            } : null
+          };
+        });
+      }
     } else {
       // Check if assignment is overdue
       const now = new Date();
       sanitizedAssignment.submissionStatus = {
-        status: now > assignment.dueDate ? 'overdue' : 'pending',
+        status: now > dueDateFor(assignment, student._id) ? 'overdue' : 'pending',
         hasGrade: false,
         grade: null
       };
     }
     
-    // Calculate time remaining until due date
+    // Calculate time remaining until the student's due date
     const now = new Date();
-    const dueDate = new Date(assignment.dueDate);
+    const dueDate = dueDateFor(assignment, student._id);
     const timeRemaining = dueDate - now;
     
     sanitizedAssignment.timeRemaining = {
@@ -1174,6 +1907,7 @@ exports.getStudentAssignment = async (req, res) => {
     
     // Remove other students' submissions for privacy
     delete sanitizedAssignment.submissions;
+    applyStudentDeadline(sanitizedAssignment, assignment, student._id);
     
     res.status(200).json({
       success: true,
@@ -1195,13 +1929,13 @@ exports.getStudentAssignment = async (req, res) => {
 exports.gradeSubmission = async (req, res) => {
   try {
     const { id, submissionId } = req.params;
-    const { score, feedback } = req.body;
+    const { score, feedback, rubric, version } = req.body;
     
     // Validate input
-    if (score === undefined) {
+    if (score === undefined && rubric === undefined) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide a score'
+        message: 'Please provide a score or rubric marks'
       });
     }
     
@@ -1240,9 +1974,55 @@ exports.gradeSubmission = async (req, res) => {
       });
     }
     
+    // Lecturers may grade any version; the latest is graded by default
+    const submission = assignment.submissions[submissionIndex];
+    ensureVersionHistory(assignment, submission);
+    const gradedVersion = findVersion(submission, version);
+    if (!gradedVersion) {
+      return res.status(404).json({
+        success: false,
+        message: `Submission version ${version} not found`
+      });
+    }
+    
+    // Rubric assignments are marked criterion by criterion and scaled to the assignment's total points
+    let finalScore;
+    let rubricMarks = [];
+    if (assignment.rubric && assignment.rubric.length > 0) {
+      if (rubric === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'This assignment uses a rubric. Please mark each criterion.'
+        });
+      }
+
+      const result = scoreRubric(assignment.rubric, rubric);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      rubricMarks = result.criteria;
+      finalScore = result.max > 0 ? Math.round(result.total / result.max * assignment.totalPoints * 100) / 100 : 0;
+    } else {
+      if (score === undefined || isNaN(Number(score)) || Number(score) < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide a valid score'
+        });
+      }
+      finalScore = Math.min(Number(score), assignment.totalPoints); // Ensure score doesn't exceed total points
+    }
+    
     // Update grade
+    const scale = await getDefaultScale();
     assignment.submissions[submissionIndex].grade = {
-      score: Math.min(score, assignment.totalPoints), // Ensure score doesn't exceed total points
+      score: finalScore,
+      version: gradedVersion.number,
+      ...formatGrade(finalScore, assignment, scale),
+      rubric: rubricMarks,
       feedback: feedback || '',
       gradedBy: lecturer._id,
       gradedAt: new Date()
@@ -1265,4 +2045,209 @@ exports.gradeSubmission = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// Find a submission of a managed assignment from the URL
+const findManagedSubmission = async (req, res, action) => {
+  const assignment = await findManagedAssignment(req, res, action);
+  if (!assignment) return {};
+
+  const submission = assignment.submissions.id(req.params.submissionId);
+  if (!submission) {
+    res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+    return {};
+  }
+
+  ensureVersionHistory(assignment, submission);
+  return { assignment, submission };
+};
+
+// @desc    Ask the grading assistant for a suggested score and feedback on a text submission
+// @route   POST /api/assignments/:id/submissions/:submissionId/suggestion
+// @access  Private/Lecturer
+exports.requestGradeSuggestion = async (req, res) => {
+  try {
+    const { assignment, submission } = await findManagedSubmission(req, res, 'grade this assignment');
+    if (!assignment) return;
+
+    if (assignment.submissionType === 'file') {
+      return res.status(400).json({
+        success: false,
+        message: 'Suggestions are only available for assignments with text submissions'
+      });
+    }
+
+    // The latest version is used by default, as when grading
+    const version = findVersion(submission, req.body.version);
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: `Submission version ${req.body.version} not found`
+      });
+    }
+
+    const text = (version.comments || '').trim();
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'This submission has no text to assess'
+      });
+    }
+
+    let result;
+    try {
+      result = await suggestGrade(assignment, text);
+    } catch (error) {
+      console.error('Grading assistant error:', error);
+      result = { error: 'The grading assistant is not available right now' };
+    }
+    if (result.error) {
+      return res.status(502).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    submission.gradeSuggestion = {
+      ...result.suggestion,
+      version: version.number,
+      status: 'pending',
+      requestedBy: req.user.id,
+      createdAt: new Date()
+    };
+    await assignment.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Suggestion saved as a draft. Accept or edit it to record the grade.',
+      data: submission.gradeSuggestion
+    });
+  } catch (error) {
+    console.error('Error requesting grade suggestion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting grade suggestion',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Accept a grade suggestion, optionally with a changed score, rubric marks or feedback
+// @route   POST /api/assignments/:id/submissions/:submissionId/suggestion/accept
+// @access  Private/Lecturer
+exports.acceptGradeSuggestion = async (req, res) => {
+  try {
+    const { assignment, submission } = await findManagedSubmission(req, res, 'grade this assignment');
+    if (!assignment) return;
+
+    const suggestion = submission.gradeSuggestion;
+    if (!suggestion || suggestion.status !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        message: 'There is no pending suggestion for this submission'
+      });
+    }
+
+    const { score, rubric, feedback } = req.body;
+    let finalScore = suggestion.score;
+    let rubricMarks = suggestion.rubric;
+    let edited = false;
+
+    if (assignment.rubric && assignment.rubric.length > 0) {
+      if (rubric !== undefined) {
+        const result = scoreRubric(assignment.rubric, rubric);
+        if (result.error) {
+          return res.status(400).json({
+            success: false,
+            message: result.error
+          });
+        }
+        rubricMarks = result.criteria;
+        finalScore = result.max > 0 ? Math.round(result.total / result.max * assignment.totalPoints * 100) / 100 : 0;
+        edited = true;
+      }
+    } else if (score !== undefined) {
+      if (isNaN(Number(score)) || Number(score) < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide a valid score'
+        });
+      }
+      finalScore = Math.min(Number(score), assignment.totalPoints);
+      edited = finalScore !== suggestion.score;
+    }
+
+    if (feedback !== undefined && feedback !== suggestion.feedback) edited = true;
+
+    const lecturer = await Lecturer.findOne({ user: req.user.id }).select('_id');
+    const scale = await getDefaultScale();
+    submission.grade = {
+      score: finalScore,
+      version: suggestion.version,
+      ...formatGrade(finalScore, assignment, scale),
+      rubric: rubricMarks,
+      feedback: feedback !== undefined ? feedback : suggestion.feedback || '',
+      gradedBy: lecturer ? lecturer._id : submission.grade?.gradedBy,
+      gradedAt: new Date()
+    };
+    submission.status = 'graded';
+
+    suggestion.status = 'accepted';
+    suggestion.edited = edited;
+    suggestion.reviewedBy = req.user.id;
+    suggestion.reviewedAt = new Date();
+
+    await assignment.save();
+
+    res.status(200).json({
+      success: true,
+      data: submission
+    });
+  } catch (error) {
+    console.error('Error accepting grade suggestion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting grade suggestion',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Dismiss a grade suggestion without grading
+// @route   DELETE /api/assignments/:id/submissions/:submissionId/suggestion
+// @access  Private/Lecturer
+exports.dismissGradeSuggestion = async (req, res) => {
+  try {
+    const { assignment, submission } = await findManagedSubmission(req, res, 'grade this assignment');
+    if (!assignment) return;
+
+    const suggestion = submission.gradeSuggestion;
+    if (!suggestion || suggestion.status !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        message: 'There is no pending suggestion for this submission'
+      });
+    }
+
+    suggestion.status = 'dismissed';
+    suggestion.reviewedBy = req.user.id;
+    suggestion.reviewedAt = new Date();
+    await assignment.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Suggestion dismissed',
+      data: suggestion
+    });
+  } catch (error) {
+    console.error('Error dismissing grade suggestion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error dismissing grade suggestion',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,647 @@
+const mongoose = require('mongoose');
+const AttendanceSession = require('../models/AttendanceSession');
+const Schedule = require('../models/Schedule');
+const Course = require('../models/Course');
+const Student = require('../models/Student');
+const Settings = require('../models/Settings');
+const { expandOccurrences } = require('../services/scheduleOccurrenceService');
+const { dayKey, getCourseRosters } = require('../services/examConflictService');
+const {
+  generateSecret,
+  currentCode,
+  verifyCode,
+  parseQrPayload,
+  claimCheckInAttempt,
+  releaseCheckInAttempts,
+  closeSession,
+  markStudent,
+  closeExpiredSessions,
+  getStudentCourseIds,
+  getAttendanceThreshold,
+  buildRegister
+} = require('../services/attendanceService');
+const { toCsv, sendCsv } = require('../utils/csv');
+const { canManageCourse } = require('../utils/courseAccess');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_WINDOW_MINUTES = 240;
+
+// Load an attendance session the current user may manage
+const loadSession = async (req, res, { withSecret = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid attendance session ID'
+    });
+    return null;
+  }
+
+  const query = AttendanceSession.findById(req.params.id);
+  const session = await (withSecret ? query.select('+secret') : query);
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: 'Attendance session not found'
+    });
+    return null;
+  }
+
+  if (!(await canManageCourse(req.user, session.course, session.openedBy))) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage attendance for this course'
+    });
+    return null;
+  }
+
+  // A window left open past its closing time is closed before it is used
+  if (session.status === 'open' && session.closesAt < new Date()) {
+    await closeSession(session);
+  }
+
+  return session;
+};
+
+// Session details safe to send to clients
+const summarize = (session) => ({
+  _id: session._id,
+  schedule: session.schedule,
+  course: session.course,
+  occurrenceDate: session.occurrenceDate,
+  date: session.date,
+  startTime: session.startTime,
+  endTime: session.endTime,
+  venue: session.venue,
+  codeInterval: session.codeInterval,
+  opensAt: session.opensAt,
+  closesAt: session.closesAt,
+  status: session.status,
+  closedAt: session.closedAt,
+  present: session.records.filter(record => record.present).length
+});
+
+const codeResponse = (session) => {
+  const { code, qrPayload, expiresAt } = currentCode(session);
+  return {
+    code,
+    qrPayload,
+    expiresAt,
+    expiresIn: Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000)),
+    closesAt: session.closesAt
+  };
+};
+
+// @desc    Open an attendance window for one occurrence of a class schedule
+// @route   POST /api/lecturer/attendance/sessions
+// @access  Private (Lecturer teaching the course)
+exports.openAttendanceSession = async (req, res) => {
+  try {
+    const { scheduleId, date, durationMinutes, codeInterval } = req.body;
+
+    if (!scheduleId || !mongoose.Types.ObjectId.isValid(scheduleId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid scheduleId'
+      });
+    }
+
+    const occurrenceKey = date || dayKey(new Date());
+    if (!DATE_PATTERN.test(occurrenceKey)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Occurrence date must be in YYYY-MM-DD format'
+      });
+    }
+
+    if (occurrenceKey > dayKey(new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attendance cannot be opened for a class that has not happened yet'
+      });
+    }
+
+    const schedule = await Schedule.findById(scheduleId)
+      .populate('academicSession', 'startDate endDate semesters');
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    if (!(await canManageCourse(req.user, schedule.course, schedule.lecturer))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to take attendance for this class'
+      });
+    }
+
+    const occurrence = expandOccurrences(schedule, null, null, { includeCanceled: true })
+      .find(item => dayKey(item.originalDate) === occurrenceKey || dayKey(item.date) === occurrenceKey);
+
+    if (!occurrence) {
+      return res.status(404).json({
+        success: false,
+        message: `The schedule has no class on ${occurrenceKey}`
+      });
+    }
+
+    if (occurrence.status === 'canceled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This class was cancelled'
+      });
+    }
+
+    const existing = await AttendanceSession.findOne({
+      schedule: schedule._id,
+      occurrenceDate: occurrence.originalDate
+    }).select('+secret');
+
+    if (existing && existing.isAcceptingCheckIns()) {
+      return res.status(200).json({
+        success: true,
+        message: 'Attendance is already open for this class',
+        data: { session: summarize(existing), ...codeResponse(existing) }
+      });
+    }
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attendance for this class has already been taken. Mark students manually to make corrections.',
+        data: { session: summarize(existing) }
+      });
+    }
+
+    const settings = await Settings.findOne().select('attendanceSettings');
+    const defaults = (settings && settings.attendanceSettings) || {};
+    const minutes = Math.min(Number(durationMinutes) || defaults.windowMinutes || 15, MAX_WINDOW_MINUTES);
+    const interval = Math.max(Number(codeInterval) || defaults.codeRotationSeconds || 30, 10);
+    const now = new Date();
+
+    const session = await AttendanceSession.create({
+      schedule: schedule._id,
+      course: schedule.course,
+      occurrenceDate: occurrence.originalDate,
+      date: occurrence.date,
+      startTime: occurrence.startTime,
+      endTime: occurrence.endTime,
+      venue: occurrence.venue,
+      openedBy: req.user.id,
+      secret: generateSecret(),
+      codeInterval: interval,
+      opensAt: now,
+      closesAt: new Date(now.getTime() + minutes * 60 * 1000)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Attendance window opened',
+      data: { session: summarize(session), ...codeResponse(session) }
+    });
+  } catch (error) {
+    console.error('Error opening attendance session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get attendance sessions of a course
+// @route   GET /api/lecturer/attendance/sessions?course=:courseId
+// @access  Private (Lecturer teaching the course)
+exports.getAttendanceSessions = async (req, res) => {
+  try {
+    const { course } = req.query;
+
+    if (!course || !mongoose.Types.ObjectId.isValid(course)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid course'
+      });
+    }
+
+    if (!(await canManageCourse(req.user, course))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view attendance for this course'
+      });
+    }
+
+    await closeExpiredSessions({ course });
+    const sessions = await AttendanceSession.find({ course }).sort({ date: -1, startTime: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(summarize)
+    });
+  } catch (error) {
+    console.error('Error getting attendance sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get an attendance session with its check-ins
+// @route   GET /api/lecturer/attendance/sessions/:id
+// @access  Private (Lecturer teaching the course)
+exports.getAttendanceSession = async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    await session.populate({
+      path: 'records.student',
+      select: 'matricNumber level user',
+      populate: { path: 'user', select: 'fullName email' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...summarize(session),
+        records: session.records
+      }
+    });
+  } catch (error) {
+    console.error('Error getting attendance session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the current check-in code and QR payload
+// @route   GET /api/lecturer/attendance/sessions/:id/code
+// @access  Private (Lecturer teaching the course)
+exports.getAttendanceCode = async (req, res) => {
+  try {
+    const session = await loadSession(req, res, { withSecret: true });
+    if (!session) return;
+
+    if (!session.isAcceptingCheckIns()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This attendance window is closed'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: codeResponse(session)
+    });
+  } catch (error) {
+    console.error('Error getting attendance code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Close an attendance window and record absentees
+// @route   PUT /api/lecturer/attendance/sessions/:id/close
+// @access  Private (Lecturer teaching the course)
+exports.closeAttendanceSession = async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    await closeSession(session);
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance window closed',
+      data: summarize(session)
+    });
+  } catch (error) {
+    console.error('Error closing attendance session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark students present or absent manually
+// @route   POST /api/lecturer/attendance/sessions/:id/records
+// @access  Private (Lecturer teaching the course)
+exports.markAttendance = async (req, res) => {
+  try {
+    const marks = Array.isArray(req.body.records) ? req.body.records : [req.body];
+
+    if (marks.length === 0 || marks.some(mark => !mark.student || !mongoose.Types.ObjectId.isValid(mark.student))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid student for every record'
+      });
+    }
+
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    const rosters = await getCourseRosters([session.course]);
+    const roster = rosters.get(session.course.toString()) || new Set();
+    const unregistered = marks.filter(mark => !roster.has(mark.student.toString()));
+
+    if (unregistered.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some students are not registered for this course',
+        data: unregistered.map(mark => mark.student)
+      });
+    }
+
+    for (const mark of marks) {
+      await markStudent(session, mark.student, mark.present !== false, req.user.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${marks.length} attendance record(s) updated`,
+      data: summarize(session)
+    });
+  } catch (error) {
+    console.error('Error marking attendance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the attendance register of a course, with exam eligibility
+// @route   GET /api/lecturer/attendance/courses/:courseId/register
+// @access  Private (Lecturer teaching the course)
+exports.getCourseRegister = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { format, threshold } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid course ID'
+      });
+    }
+
+    if (threshold !== undefined && (isNaN(Number(threshold)) || Number(threshold) < 0 || Number(threshold) > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Threshold must be a percentage between 0 and 100'
+      });
+    }
+
+    const course = await Course.findById(courseId).select('code title');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!(await canManageCourse(req.user, courseId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view attendance for this course'
+      });
+    }
+
+    const register = await buildRegister(courseId, {
+      threshold: threshold !== undefined ? Number(threshold) : undefined
+    });
+
+    if (format === 'csv') {
+      const headers = [
+        'Matric Number',
+        'Name',
+        ...register.sessions.map(session => `${dayKey(session.date)} ${session.startTime || ''}`.trim()),
+        'Attended',
+        'Total',
+        'Percentage',
+        'Eligible'
+      ];
+      const rows = register.students.map(row => [
+        row.student.matricNumber,
+        row.student.name,
+        ...row.marks.map(present => (present ? 'P' : 'A')),
+        row.attended,
+        row.total,
+        row.percentage,
+        row.eligible ? 'Yes' : 'No'
+      ]);
+      return sendCsv(res, `${course.code}-attendance.csv`, toCsv(headers, rows));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        course,
+        ...register,
+        ineligible: register.students.filter(row => !row.eligible).length
+      }
+    });
+  } catch (error) {
+    console.error('Error getting attendance register:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Check in to an open attendance window with its code or QR payload
+// @route   POST /api/student/attendance/check-in
+// @access  Private (Student)
+exports.checkIn = async (req, res) => {
+  try {
+    const { payload, sessionId } = req.body;
+    const scanned = payload ? parseQrPayload(payload) : null;
+
+    if (payload && !scanned) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unrecognised attendance QR code'
+      });
+    }
+
+    const code = scanned ? scanned.code : String(req.body.code || '').trim();
+    if (!/^\d{6}$/.test(code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the 6-digit attendance code'
+      });
+    }
+
+    const student = await Student.findOne({ user: req.user.id }).select('courses');
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const courseIds = await getStudentCourseIds(student);
+    const now = new Date();
+    const filter = {
+      course: { $in: courseIds },
+      status: 'open',
+      opensAt: { $lte: now },
+      closesAt: { $gte: now }
+    };
+    const targetId = scanned ? scanned.sessionId : sessionId;
+    if (targetId) {
+      if (!mongoose.Types.ObjectId.isValid(targetId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid attendance session ID'
+        });
+      }
+      filter._id = targetId;
+    }
+
+    // A typed code is matched against every open window of the student's courses.
+    // Each window's attempt is taken before the code is checked, so parallel
+    // requests cannot get past the limit
+    const open = await AttendanceSession.find(filter).select('+secret');
+    const claimed = await Promise.all(open.map(item => claimCheckInAttempt(item._id, student._id)));
+    const sessions = open.filter((item, index) => claimed[index]);
+    if (open.length > 0 && sessions.length === 0) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many incorrect attendance codes. Please ask your lecturer to mark your attendance.'
+      });
+    }
+
+    const session = sessions.find(item => verifyCode(item, code, now));
+
+    if (!session) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired attendance code'
+      });
+    }
+
+    // Only wrong codes count towards the limit
+    await releaseCheckInAttempts(sessions.map(item => item._id), student._id);
+
+    // Only one check-in per student; the filter makes this safe against repeated requests
+    const updated = await AttendanceSession.findOneAndUpdate(
+      { _id: session._id, status: 'open', 'records.student': { $ne: student._id } },
+      {
+        $push: {
+          records: { student: student._id, present: true, method: scanned ? 'qr' : 'code', checkedInAt: now }
+        }
+      },
+      { new: true }
+    ).populate('course', 'code title');
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already checked in to this class'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Checked in successfully',
+      data: {
+        session: updated._id,
+        course: updated.course,
+        date: updated.date,
+        startTime: updated.startTime,
+        venue: updated.venue,
+        checkedInAt: now
+      }
+    });
+  } catch (error) {
+    console.error('Error checking in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the current student's attendance per course
+// @route   GET /api/student/attendance
+// @access  Private (Student)
+exports.getMyAttendance = async (req, res) => {
+  try {
+    const student = await Student.findOne({ user: req.user.id }).select('courses');
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const courseIds = await getStudentCourseIds(student);
+    await closeExpiredSessions({ course: { $in: courseIds } });
+
+    const threshold = await getAttendanceThreshold();
+
+    const [courses, sessions] = await Promise.all([
+      Course.find({ _id: { $in: courseIds } }).select('code title'),
+      AttendanceSession.find({ course: { $in: courseIds } }).select('course date startTime status records').sort({ date: 1 })
+    ]);
+
+    const id = student._id.toString();
+    const data = courses.map(course => {
+      const held = sessions.filter(session => session.course.toString() === course._id.toString());
+      const history = held.map(session => {
+        const record = session.records.find(item => item.student.toString() === id);
+        return {
+          date: session.date,
+          startTime: session.startTime,
+          status: session.status,
+          present: Boolean(record && record.present),
+          checkedInAt: record ? record.checkedInAt : undefined
+        };
+      });
+      const attended = history.filter(item => item.present).length;
+      const percentage = held.length > 0 ? Math.round((attended / held.length) * 1000) / 10 : 100;
+
+      return {
+        course,
+        attended,
+        total: held.length,
+        percentage,
+        eligible: percentage >= threshold,
+        history
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        threshold,
+        courses: data
+      }
+    });
+  } catch (error) {
+    console.error('Error getting student attendance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
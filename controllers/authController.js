@@ -5,12 +5,43 @@ const Admin = require('../models/Admin');
 const AcademicSession = require('../models/AcademicSession');
 const Course = require('../models/Course');
 const Department = require('../models/Department'); // Added Department model
-const jwt = require('jsonwebtoken');  
+const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const sendEmail = require('../utils/sendEmail');
 const emailService = require('../services/emailService');
 const { formatDepartmentInfo } = require('../utils/responseHelpers'); 
+const Session = require('../models/Session');
+const {
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken
+} = require('../services/sessionService');
+const {
+  getTwoFactorSettings,
+  needsSecondStep,
+  generateRecoveryCodes,
+  sendEmailCode,
+  startChallenge,
+  findChallenge,
+  completeChallenge
+} = require('../services/twoFactorService');
+const { generateSecret, verifyCode: verifyTotpCode, provisioningUri } = require('../utils/totp');
+const Settings = require('../models/Settings');
+const { permissionSummary } = require('../services/permissionService');
+const {
+  MAX_CODE_ATTEMPTS,
+  getLoginSecuritySettings,
+  checkThrottle,
+  recordAttempt,
+  clearThrottle,
+  isLocked,
+  recordFailedLogin,
+  resetFailedLogins,
+  isNewDevice,
+  sendNewDeviceAlert
+} = require('../services/loginSecurityService');
 
 // Validate email format before sending
 const isValidEmail = (email) => {
@@ -18,6 +49,76 @@ const isValidEmail = (email) => {
   return emailRegex.test(email);
 };
 
+// Refuse a throttled request, telling the client how long to wait
+const tooManyAttempts = (res, seconds) => {
+  const wait = seconds >= 120 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`;
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    success: false,
+    message: `Too many attempts. Please try again in ${wait}.`,
+    retryAfter: seconds
+  });
+};
+
+// Refuse a login to a locked account
+const accountLocked = (res, user) => res.status(423).json({
+  success: false,
+  message: 'This account is temporarily locked after too many failed logins. Please try again later or contact an administrator.',
+  lockedUntil: user.lockedUntil
+});
+
+// Refuse a login to a deactivated account
+const accountInactive = (res) => res.status(403).json({
+  success: false,
+  message: 'This account has been deactivated. Please contact an administrator.'
+});
+
+// Record the sign-in, start a session and send the tokens
+const sendSignedIn = async (user, req, res) => {
+  const loginSecurity = await getLoginSecuritySettings();
+  const newDevice = loginSecurity.newDeviceAlerts && await isNewDevice(user, req);
+
+  // Update last login
+  user.lastLogin = Date.now();
+  await resetFailedLogins(user);
+  await user.save({ validateBeforeSave: false });
+
+  // Start a session for this device
+  const { token, refreshToken } = await createSession(user, req);
+
+  if (newDevice) {
+    sendNewDeviceAlert(user, req).catch(error => console.error('New device alert error:', error));
+  }
+
+  // Set cookie for JWT
+  const cookieOptions = {
+    expires: new Date(
+      Date.now() + (parseInt(process.env.JWT_COOKIE_EXPIRES_IN) || 30) * 24 * 60 * 60 * 1000
+    ),
+    httpOnly: true
+  };
+
+  // Use secure cookies in production
+  if (process.env.NODE_ENV === 'production') {
+    cookieOptions.secure = true;
+  }
+
+  res.cookie('token', token, cookieOptions);
+
+  res.status(200).json({
+    success: true,
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      fullName: user.fullName,
+      email: user.email,
+      role: user.role,
+      passwordChangeRequired: user.passwordChangeRequired
+    }
+  });
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -114,8 +215,8 @@ exports.register = async (req, res) => {
       await Admin.create({ user: user._id });
     }
 
-    // Generate token
-    const token = user.getSignedJwtToken();
+    // Start a session for the new account
+    const { token, refreshToken } = await createSession(user, req);
 
     const verificationToken = user.getEmailVerificationToken();
     user.verificationTokenExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
@@ -127,6 +228,7 @@ exports.register = async (req, res) => {
     res.status(201).json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         fullName: user.fullName,
@@ -195,20 +297,35 @@ exports.login = async (req, res) => {
       });
     }
 
+    // Repeated failures from this address or for this account must wait
+    const wait = await checkThrottle('login', req, email);
+    if (wait) {
+      return tooManyAttempts(res, wait);
+    }
+
     // Check if user exists
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordAttempt('login', req, email);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    if (isLocked(user)) {
+      return accountLocked(res, user);
+    }
+
     // Check if password is correct
     try {
       const isPasswordValid = await user.matchPassword(password);
       
       if (!isPasswordValid) {
+        await recordAttempt('login', req, email);
+        if (await recordFailedLogin(user, await getLoginSecuritySettings())) {
+          return accountLocked(res, user);
+        }
         return res.status(401).json({
           success: false,
           message: 'Invalid email or password'
@@ -222,46 +339,29 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Update last login
-    user.lastLogin = Date.now();
-    await user.save({ validateBeforeSave: false });
-
-    // Create token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET || 'temporary_secret_key',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '30d' }
-    );
-
-    // Set cookie for JWT
-    const cookieOptions = {
-      expires: new Date(
-        Date.now() + (parseInt(process.env.JWT_COOKIE_EXPIRES_IN) || 30) * 24 * 60 * 60 * 1000
-      ),
-      httpOnly: true
-    };
-
-    // Use secure cookies in production
-    if (process.env.NODE_ENV === 'production') {
-      cookieOptions.secure = true;
+    if (user.isActive === false) {
+      return accountInactive(res);
     }
 
-    res.cookie('token', token, cookieOptions);
+    // Accounts with two-factor sign-in get a challenge instead of a session
+    const twoFactorSettings = await getTwoFactorSettings();
+    if (needsSecondStep(user, twoFactorSettings)) {
+      const challenge = await startChallenge(user, req, twoFactorSettings);
+      if (challenge.error) {
+        return res.status(500).json({
+          success: false,
+          message: challenge.error
+        });
+      }
 
-    // Remove password from response
-    user.password = undefined;
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        ...challenge
+      });
+    }
 
-    res.status(200).json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        fullName: user.fullName,
-        email: user.email,
-        role: user.role,
-        passwordChangeRequired: user.passwordChangeRequired
-      }
-    });
+    await sendSignedIn(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -423,6 +523,9 @@ exports.changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; this one stays signed in
+    await revokeUserSessions(user._id, 'password_changed', { revokedBy: user._id, except: req.session && req.session._id });
+
     res.status(200).json({
       success: true,
       message: 'Password updated successfully'
@@ -450,6 +553,13 @@ exports.forgotPassword = async (req, res) => {
       });
     }
 
+    // Every request counts, so reset emails cannot be used to flood a mailbox
+    const wait = await checkThrottle('send-code', req, email);
+    if (wait) {
+      return tooManyAttempts(res, wait);
+    }
+    await recordAttempt('send-code', req, email);
+
     const user = await User.findOne({ email });
 
     if (!user) {
@@ -543,15 +653,30 @@ exports.resetPassword = async (req, res) => {
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
 
+    // A new password also lifts any lockout from failed logins
+    await resetFailedLogins(user);
+
     await user.save();
 
-    // Return token for automatic login
-    const token = user.getSignedJwtToken();
+    // Sign out every device that used the old password
+    await revokeUserSessions(user._id, 'password_changed', { revokedBy: user._id });
+
+    // A reset link only proves access to the mailbox, so two-factor accounts still sign in fully
+    if (needsSecondStep(user, await getTwoFactorSettings())) {
+      return res.status(200).json({
+        success: true,
+        message: 'Password reset successfully. Please log in with your new password.'
+      });
+    }
+
+    // Sign in here
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Password reset successfully',
-      token // Allow immediate login after reset
+      token, // Allow immediate login after reset
+      refreshToken
     });
   } catch (error) {
     console.error('Reset password error:', error);
@@ -601,6 +726,9 @@ exports.verifyEmail = async (req, res) => {
   }
 };
 
+// @desc    Swap a refresh token for a new access token and refresh token
+// @route   POST /api/auth/refresh-token
+// @access  Public
 exports.refreshToken = async (req, res) => {
   try {
     const { refreshToken } = req.body;
@@ -612,49 +740,479 @@ exports.refreshToken = async (req, res) => {
       });
     }
 
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    
-    // Get user
-    const user = await User.findById(decoded.id);
-    
-    if (!user) {
+    // Each refresh token works once; the response carries its replacement
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = async (req, res) => {
+  try {
+    if (req.session) {
+      await revokeSession(req.session, 'logout', req.user._id);
+    }
+
+    res.cookie('token', 'none', {
+      expires: new Date(Date.now() + 10 * 1000),
+      httpOnly: true
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Log out of every device, including this one
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user._id, 'logout_all', { revokedBy: req.user._id });
+
+    res.cookie('token', 'none', {
+      expires: new Date(Date.now() + 10 * 1000),
+      httpOnly: true
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Logged out of ${count} session(s)`
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    List the devices the current user is signed in on
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort('-lastUsedAt');
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: Boolean(req.session && session._id.toString() === req.session._id.toString())
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Log out one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+exports.revokeOwnSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = mongoose.Types.ObjectId.isValid(sessionId)
+      ? await Session.findOne({ _id: sessionId, user: req.user._id })
+      : null;
+
+    if (!session) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Session not found'
       });
     }
 
-    // Create new access token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    await revokeSession(session, 'logout', req.user._id);
 
     res.status(200).json({
       success: true,
-      token
+      message: 'Session logged out'
     });
   } catch (error) {
-    console.error('Refresh token error:', error);
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Complete a two-factor sign-in with a code
+// @route   POST /api/auth/login/verify
+// @access  Public
+exports.verifyLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, method } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the challenge token and code'
+      });
+    }
+
+    const challenge = await findChallenge(challengeToken);
+    const owner = challenge && await User.findById(challenge.user).select('email failedLoginAttempts lastFailedLoginAt lockedUntil');
+    if (!owner) {
+      return res.status(401).json({
+        success: false,
+        message: 'This sign-in has expired. Please log in again.'
+      });
+    }
+
+    // Wrong codes count like wrong passwords, so new challenges cannot be used to keep guessing
+    const wait = await checkThrottle('login', req, owner.email);
+    if (wait) {
+      return tooManyAttempts(res, wait);
+    }
+    if (isLocked(owner)) {
+      return accountLocked(res, owner);
+    }
+
+    const result = await completeChallenge(challenge, { code, method }, await getTwoFactorSettings());
+    if (result.error) {
+      await recordAttempt('login', req, owner.email);
+      if (await recordFailedLogin(owner, await getLoginSecuritySettings())) {
+        return accountLocked(res, owner);
+      }
+      return res.status(result.expired ? 401 : 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await sendSignedIn(result.user, req, res);
+  } catch (error) {
+    console.error('Verify login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Email a new code for a two-factor sign-in
+// @route   POST /api/auth/login/resend
+// @access  Public
+exports.resendLoginCode = async (req, res) => {
+  try {
+    const challenge = await findChallenge(req.body.challengeToken);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'This sign-in has expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(challenge.user);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'This sign-in has expired. Please log in again.'
+      });
+    }
+
+    // Also serves users of an authenticator app who do not have it to hand
+    const { error } = await sendEmailCode(challenge, user);
+    if (error) {
+      return res.status(429).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'A new sign-in code has been emailed to you',
+      expiresAt: challenge.expiresAt
+    });
+  } catch (error) {
+    console.error('Resend login code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Load the current user with the secret two-factor fields, checking the password when given one
+const loadTwoFactorUser = async (req, res, { password = false } = {}) => {
+  const user = await User.findById(req.user._id)
+    .select('+password +twoFactor.totpSecret +twoFactor.pendingTotpSecret +twoFactor.recoveryCodes +twoFactor.lastTotpStep');
+
+  if (password && (!req.body.password || !(await user.matchPassword(req.body.password)))) {
     res.status(401).json({
       success: false,
-      message: 'Invalid or expired refresh token'
+      message: 'Password is incorrect'
     });
+    return null;
   }
+
+  return user;
 };
 
+// @desc    Get the current user's two-factor sign-in status
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const [user, twoFactorSettings] = await Promise.all([
+      User.findById(req.user._id).select('+twoFactor.recoveryCodes'),
+      getTwoFactorSettings()
+    ]);
+    const twoFactor = user.twoFactor || {};
 
-exports.logout = (req, res) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
-  });
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: Boolean(twoFactor.enabled),
+        method: twoFactor.enabled ? twoFactor.method : null,
+        enabledAt: twoFactor.enabledAt || null,
+        recoveryCodesRemaining: twoFactor.enabled ? (twoFactor.recoveryCodes || []).length : 0,
+        requiredForRole: twoFactorSettings.requiredRoles.includes(user.role)
+      }
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
 
-  res.status(200).json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+// @desc    Start setting up an authenticator app
+// @route   POST /api/auth/2fa/totp
+// @access  Private
+exports.setupTotp = async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req, res, { password: true });
+    if (!user) return;
+
+    const settings = await Settings.findOne().select('siteName');
+    const issuer = (settings && settings.siteName) || 'GemSpace';
+
+    // Nothing changes until a code from the app confirms the new secret
+    const secret = generateSecret();
+    user.twoFactor.pendingTotpSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code from the app',
+      data: {
+        secret,
+        otpauthUri: provisioningUri(secret, user.email, issuer)
+      }
+    });
+  } catch (error) {
+    console.error('Set up authenticator app error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Turn on sign-in with an authenticator app
+// @route   POST /api/auth/2fa/totp/confirm
+// @access  Private
+exports.confirmTotp = async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req, res);
+    const secret = user.twoFactor.pendingTotpSecret;
+
+    if (!secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start setting up an authenticator app first'
+      });
+    }
+
+    const step = verifyTotpCode(secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code. Check the time on your device and try again.'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.method = 'totp';
+    user.twoFactor.totpSecret = secret;
+    user.twoFactor.pendingTotpSecret = undefined;
+    user.twoFactor.lastTotpStep = step;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Authenticator app sign-in is on. Store these recovery codes somewhere safe; they will not be shown again.',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('Confirm authenticator app error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Turn on sign-in with an emailed code
+// @route   POST /api/auth/2fa/email
+// @access  Private
+exports.enableEmailTwoFactor = async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req, res, { password: true });
+    if (!user) return;
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.method = 'email';
+    user.twoFactor.totpSecret = undefined;
+    user.twoFactor.pendingTotpSecret = undefined;
+    user.twoFactor.lastTotpStep = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email code sign-in is on. Store these recovery codes somewhere safe; they will not be shown again.',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('Enable email two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Replace the current user's recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req, res, { password: true });
+    if (!user) return;
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor sign-in is not on for this account'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes created; the old ones no longer work',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Turn off two-factor sign-in
+// @route   DELETE /api/auth/2fa
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req, res, { password: true });
+    if (!user) return;
+
+    const twoFactorSettings = await getTwoFactorSettings();
+    if (twoFactorSettings.requiredRoles.includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor sign-in is required for ${user.role} accounts and cannot be turned off`
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor sign-in is off'
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    List the named permissions the current user holds and where
+// @route   GET /api/auth/permissions
+// @access  Private
+exports.getMyPermissions = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await permissionSummary(req.user)
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
 };
 
 // @desc    Send email verification code
@@ -671,6 +1229,13 @@ exports.sendVerificationCode = async (req, res) => {
       });
     }
 
+    // Every request counts, so codes cannot be used to flood a mailbox
+    const wait = await checkThrottle('send-code', req, email);
+    if (wait) {
+      return tooManyAttempts(res, wait);
+    }
+    await recordAttempt('send-code', req, email);
+
     const user = await User.findOne({ email });
 
     if (!user) {
@@ -689,6 +1254,7 @@ exports.sendVerificationCode = async (req, res) => {
       
       // Set expiration time (15 minutes)
       user.verificationCodeExpire = Date.now() + 15 * 60 * 1000;
+      user.verificationCodeAttempts = 0;
       
       await user.save();
 
@@ -729,19 +1295,54 @@ exports.verifyCode = async (req, res) => {
       });
     }
 
+    const wait = await checkThrottle('verify-code', req, email);
+    if (wait) {
+      return tooManyAttempts(res, wait);
+    }
+
     const user = await User.findOne({
       email,
-      verificationCode: code,
+      verificationCode: { $exists: true, $ne: null },
       verificationCodeExpire: { $gt: Date.now() }
     });
 
-    if (!user) {
+    if (!user || String(code).trim() !== user.verificationCode) {
+      await recordAttempt('verify-code', req, email);
+
+      // A code guessed at too often is thrown away; a new one has to be requested
+      if (user) {
+        user.verificationCodeAttempts = (user.verificationCodeAttempts || 0) + 1;
+        if (user.verificationCodeAttempts >= MAX_CODE_ATTEMPTS) {
+          user.verificationCode = undefined;
+          user.verificationCodeExpire = undefined;
+          user.verificationCodeAttempts = 0;
+        }
+        await user.save({ validateBeforeSave: false });
+      }
+
       return res.status(400).json({
         success: false,
         message: 'Invalid or expired verification code'
       });
     }
 
+    // Signing in with a code is refused where a password login would be
+    if (purpose === 'login') {
+      if (isLocked(user)) {
+        return accountLocked(res, user);
+      }
+      if (user.isActive === false) {
+        return accountInactive(res);
+      }
+      // An emailed code alone must not get around an authenticator app or a required second step
+      if (needsSecondStep(user, await getTwoFactorSettings())) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor sign-in is on for this account. Please log in with your password.'
+        });
+      }
+    }
+
     // Handle different verification purposes
     switch (purpose) {
       case 'account':
@@ -755,25 +1356,22 @@ exports.verifyCode = async (req, res) => {
         break;
       
       case 'login':
-        // For login verification, we'll generate a token
-        const token = user.getSignedJwtToken();
+        // For login verification, a session is started below
         break;
     }
 
     // Clear the verification code
     user.verificationCode = undefined;
     user.verificationCodeExpire = undefined;
+    user.verificationCodeAttempts = 0;
+    await clearThrottle('verify-code', email);
     
     await user.save();
 
     // Respond based on purpose
     if (purpose === 'login') {
-      // Return token for login purpose
-      res.status(200).json({
-        success: true,
-        message: 'Verification successful',
-        token
-      });
+      // Sign in the same way a password login does
+      await sendSignedIn(user, req, res);
     } else {
       // For other purposes
       res.status(200).json({
@@ -0,0 +1,120 @@
+const User = require('../models/User');
+const { buildCalendar } = require('../utils/icalendar');
+const { getUserCalendarEvents } = require('../services/calendarFeedService');
+
+// Build the public feed URLs for a calendar token
+const feedUrls = (req, token) => {
+  const url = `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`;
+  return {
+    url,
+    webcalUrl: url.replace(/^https?:/, 'webcal:')
+  };
+};
+
+/**
+ * @desc    Get the user's calendar subscription URL
+ * @route   GET /api/calendar/subscription
+ * @access  Private
+ */
+exports.getFeedSubscription = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarToken');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Create the token on first use
+    if (!user.calendarToken) {
+      user.getCalendarToken();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: feedUrls(req, user.calendarToken)
+    });
+  } catch (error) {
+    console.error('Error getting calendar subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting calendar subscription',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Replace the calendar token, invalidating the old feed URL
+ * @route   POST /api/calendar/subscription/reset
+ * @access  Private
+ */
+exports.resetFeedSubscription = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const token = user.getCalendarToken();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar link reset. Update your calendar app with the new URL.',
+      data: feedUrls(req, token)
+    });
+  } catch (error) {
+    console.error('Error resetting calendar subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting calendar subscription',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a user's timetable as an iCalendar feed
+ * @route   GET /api/calendar/feed/:token.ics
+ * @access  Public (secret token)
+ */
+exports.getCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token });
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const events = await getUserCalendarEvents(user);
+    const calendar = buildCalendar({
+      name: `GemSpace - ${user.fullName}`,
+      events
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="gemspace.ics"',
+      'Cache-Control': 'no-cache'
+    });
+    res.status(200).send(calendar);
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building calendar feed',
+      error: error.message
+    });
+  }
+};
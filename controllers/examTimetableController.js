@@ -4,6 +4,10 @@ const Lecturer = require('../models/Lecturer');
 const Student = require('../models/Student');
 const AcademicSession = require('../models/AcademicSession');
 const mongoose = require('mongoose');
+const { detectConflicts, getCourseRosters, toMinutes, dayKey } = require('../services/examConflictService');
+const { buildSlots, generateExamSchedule } = require('../services/examTimetableGenerator');
+const Venue = require('../models/Venue');
+const { checkExamBookings, getVenueBookings } = require('../services/venueBookingService');
 
 // Helper to get current/most recent academic session
 async function getCurrentAcademicSession() {
@@ -24,6 +28,34 @@ async function getCurrentAcademicSession() {
   }
 }
 
+// Response body used when a write would introduce exam clashes
+const conflictResponse = (conflicts) => ({
+  success: false,
+  message: 'Exam session conflicts detected',
+  conflicts,
+  suggestion: 'Resolve the clashes or resend the request with allowConflicts: true to save anyway'
+});
+
+// Clashes inside the timetable plus venue double-bookings and capacity problems from the venue registry
+const checkTimetable = async (timetable, sessionIds) => {
+  const conflicts = await detectConflicts(timetable.sessions, sessionIds ? { onlySessions: sessionIds } : undefined);
+  const bookings = await checkExamBookings(timetable, sessionIds);
+
+  conflicts.bookings = bookings.conflicts;
+  conflicts.total += bookings.conflicts.length;
+  conflicts.capacity = bookings.capacity;
+  conflicts.unregisteredVenues = bookings.unregistered;
+
+  return conflicts;
+};
+
+// Capacity problems and unregistered venues are reported but never block a save
+const warningsOf = (conflicts) => (
+  conflicts.total > 0 || conflicts.capacity.length > 0 || conflicts.unregisteredVenues.length > 0
+    ? conflicts
+    : undefined
+);
+
 // @desc    Create a new exam timetable
 // @route   POST /api/admin/timetables
 // @access  Private/Admin
@@ -298,7 +330,8 @@ exports.addExamSession = async (req, res) => {
       endTime,
       venue,
       invigilators = [],
-      notes
+      notes,
+      allowConflicts = false
     } = req.body;
 
     if (!course || !date || !startTime || !endTime || !venue) {
@@ -345,12 +378,20 @@ exports.addExamSession = async (req, res) => {
       notes
     });
 
+    const newSession = timetable.sessions[timetable.sessions.length - 1];
+    const conflicts = await checkTimetable(timetable, [newSession._id]);
+
+    if (conflicts.total > 0 && !allowConflicts) {
+      return res.status(400).json(conflictResponse(conflicts));
+    }
+
     timetable.updatedBy = req.user.id;
     await timetable.save();
 
     res.status(201).json({
       success: true,
-      data: timetable
+      data: timetable,
+      warnings: warningsOf(conflicts)
     });
   } catch (error) {
     console.error(error);
@@ -374,7 +415,8 @@ exports.updateExamSession = async (req, res) => {
       endTime,
       venue,
       invigilators,
-      notes
+      notes,
+      allowConflicts = false
     } = req.body;
 
     // Don't require all fields for updates
@@ -435,6 +477,12 @@ exports.updateExamSession = async (req, res) => {
     if (invigilators) timetable.sessions[sessionIndex].invigilators = invigilators;
     if (notes !== undefined) timetable.sessions[sessionIndex].notes = notes;
 
+    const conflicts = await checkTimetable(timetable, [timetable.sessions[sessionIndex]._id]);
+
+    if (conflicts.total > 0 && !allowConflicts) {
+      return res.status(400).json(conflictResponse(conflicts));
+    }
+
     timetable.updatedBy = req.user.id;
     await timetable.save();
 
@@ -459,7 +507,8 @@ exports.updateExamSession = async (req, res) => {
           title: timetable.title
         },
         session: timetable.sessions[sessionIndex]
-      }
+      },
+      warnings: warningsOf(conflicts)
     });
   } catch (error) {
     console.error(error);
@@ -520,7 +569,7 @@ exports.removeExamSession = async (req, res) => {
 // @access  Private/Admin
 exports.togglePublishStatus = async (req, res) => {
   try {
-    const { publish } = req.body;
+    const { publish, allowConflicts = false } = req.body;
 
     if (publish === undefined) {
       return res.status(400).json({
@@ -538,6 +587,17 @@ exports.togglePublishStatus = async (req, res) => {
       });
     }
 
+    // Don't publish a timetable with outstanding clashes unless explicitly allowed
+    if (publish && !allowConflicts) {
+      const conflicts = await checkTimetable(timetable);
+      if (conflicts.total > 0) {
+        return res.status(400).json({
+          ...conflictResponse(conflicts),
+          message: 'Cannot publish a timetable with unresolved conflicts'
+        });
+      }
+    }
+
     timetable.isPublished = publish;
     if (publish) {
       timetable.publishedAt = Date.now();
@@ -565,7 +625,7 @@ exports.togglePublishStatus = async (req, res) => {
 // @access  Private/Admin
 exports.bulkAddExamSessions = async (req, res) => {
   try {
-    const { sessions } = req.body;
+    const { sessions, allowConflicts = false } = req.body;
 
     if (!sessions || !Array.isArray(sessions) || sessions.length === 0) {
       return res.status(400).json({
@@ -613,6 +673,7 @@ exports.bulkAddExamSessions = async (req, res) => {
     }
 
     // Add all sessions
+    const newSessionIds = [];
     for (const session of sessions) {
       const { course, date, startTime, endTime, venue, invigilators = [], notes } = session;
 
@@ -625,6 +686,13 @@ exports.bulkAddExamSessions = async (req, res) => {
         invigilators,
         notes
       });
+      newSessionIds.push(timetable.sessions[timetable.sessions.length - 1]._id);
+    }
+
+    const conflicts = await checkTimetable(timetable, newSessionIds);
+
+    if (conflicts.total > 0 && !allowConflicts) {
+      return res.status(400).json(conflictResponse(conflicts));
     }
 
     timetable.updatedBy = req.user.id;
@@ -645,7 +713,8 @@ exports.bulkAddExamSessions = async (req, res) => {
     res.status(201).json({
       success: true,
       message: `${sessions.length} exam sessions added successfully`,
-      data: timetable
+      data: timetable,
+      warnings: warningsOf(conflicts)
     });
   } catch (error) {
     console.error(error);
@@ -662,7 +731,7 @@ exports.bulkAddExamSessions = async (req, res) => {
 // @access  Private/Admin
 exports.bulkUpdateExamSessions = async (req, res) => {
   try {
-    const { sessions } = req.body;
+    const { sessions, allowConflicts = false } = req.body;
 
     if (!sessions || !Array.isArray(sessions) || sessions.length === 0) {
       return res.status(400).json({
@@ -755,6 +824,12 @@ exports.bulkUpdateExamSessions = async (req, res) => {
       }
     }
 
+    const conflicts = await checkTimetable(timetable, results.filter(r => r.success).map(r => r.id));
+
+    if (conflicts.total > 0 && !allowConflicts) {
+      return res.status(400).json(conflictResponse(conflicts));
+    }
+
     timetable.updatedBy = req.user.id;
     await timetable.save();
 
@@ -776,7 +851,8 @@ exports.bulkUpdateExamSessions = async (req, res) => {
       success: true,
       message: `${successCount} out of ${sessions.length} sessions updated successfully`,
       results,
-      data: timetable
+      data: timetable,
+      warnings: warningsOf(conflicts)
     });
   } catch (error) {
     console.error(error);
@@ -853,6 +929,293 @@ exports.bulkDeleteExamSessions = async (req, res) => {
   }
 };
 
+// @desc    Generate a clash-free draft schedule for a timetable
+// @route   POST /api/admin/timetables/:id/generate
+// @access  Private/Admin
+exports.generateExamTimetable = async (req, res) => {
+  try {
+    const {
+      courses: courseIds,
+      startDate,
+      endDate,
+      timeSlots = [
+        { startTime: '09:00', endTime: '12:00' },
+        { startTime: '14:00', endTime: '17:00' }
+      ],
+      venues,
+      invigilators,
+      studentsPerInvigilator = 50,
+      includeWeekends = false,
+      keepExisting = false,
+      dryRun = false
+    } = req.body;
+
+    // Default to every active venue in the registry
+    const examVenues = Array.isArray(venues) && venues.length > 0
+      ? venues
+      : (await Venue.find({ isActive: true })).map(venue => ({
+          name: venue.name,
+          capacity: venue.examCapacity || venue.capacity,
+          registered: venue
+        }));
+
+    if (examVenues.length === 0 || examVenues.some(venue => !venue.name || !(venue.capacity > 0))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please register venues or provide an array of venues with name and capacity'
+      });
+    }
+
+    const timePattern = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+    if (!Array.isArray(timeSlots) || timeSlots.length === 0 ||
+        timeSlots.some(slot => !timePattern.test(slot.startTime) || !timePattern.test(slot.endTime))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Time slots must include startTime and endTime in HH:MM format'
+      });
+    }
+
+    const timetable = await ExamTimetable.findById(req.params.id);
+
+    if (!timetable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam timetable not found'
+      });
+    }
+
+    if (timetable.isPublished) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot modify a published timetable. Unpublish it first.'
+      });
+    }
+
+    // Default to every active course in the timetable's session and semester
+    const courseQuery = Array.isArray(courseIds) && courseIds.length > 0
+      ? { _id: { $in: courseIds } }
+      : {
+          academicSession: timetable.academicSession,
+          semester: timetable.semester,
+          isActive: true
+        };
+    const courses = await Course.find(courseQuery).select('code title lecturer');
+
+    if (courses.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No courses found to schedule'
+      });
+    }
+
+    // Default invigilator pool is the lecturers teaching the courses
+    const invigilatorPool = Array.isArray(invigilators) && invigilators.length > 0
+      ? invigilators
+      : [...new Set(courses.flatMap(course => course.lecturer.map(id => id.toString())))];
+
+    const foundInvigilators = await Lecturer.countDocuments({ _id: { $in: invigilatorPool } });
+    if (foundInvigilators !== invigilatorPool.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more invigilators were not found'
+      });
+    }
+
+    const slots = buildSlots(
+      startDate || timetable.startDate,
+      endDate || timetable.endDate,
+      timeSlots,
+      includeWeekends
+    );
+
+    if (slots.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The date range does not contain any exam days'
+      });
+    }
+
+    // Rooms already taken by classes or other timetables are unavailable for those slots
+    const venueBookings = [];
+    for (const venue of examVenues) {
+      const bookings = await getVenueBookings(
+        venue.registered || { name: venue.name },
+        slots[0].date,
+        slots[slots.length - 1].date,
+        { excludeTimetable: timetable._id }
+      );
+      venueBookings.push(...bookings.map(booking => ({ ...booking, venue: venue.name })));
+    }
+
+    const existingSessions = keepExisting ? timetable.sessions : [];
+    const rosters = await getCourseRosters([
+      ...courses.map(course => course._id),
+      ...existingSessions.map(session => session.course)
+    ]);
+
+    const result = generateExamSchedule({
+      courses,
+      rosters,
+      slots,
+      venues: examVenues,
+      invigilators: invigilatorPool,
+      studentsPerInvigilator,
+      existingSessions,
+      venueBookings
+    });
+
+    const draftSessions = [
+      ...existingSessions.map(session => session.toObject()),
+      ...result.sessions
+    ];
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: `Generated ${result.sessions.length} exam sessions (not saved)`,
+        data: {
+          sessions: draftSessions,
+          unscheduled: result.unscheduled,
+          stats: result.stats
+        }
+      });
+    }
+
+    timetable.sessions = draftSessions;
+    const conflicts = await checkTimetable(timetable);
+
+    timetable.updatedBy = req.user.id;
+    await timetable.save();
+
+    await timetable.populate([
+      {
+        path: 'sessions.course',
+        select: 'title code'
+      },
+      {
+        path: 'academicSession',
+        select: 'name year'
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: `Generated ${result.sessions.length} exam sessions. Review the draft before publishing.`,
+      data: timetable,
+      unscheduled: result.unscheduled,
+      stats: result.stats,
+      warnings: warningsOf(conflicts)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get student, venue and invigilator clashes in a timetable
+// @route   GET /api/admin/timetables/:id/conflicts
+// @access  Private/Admin
+exports.getTimetableConflicts = async (req, res) => {
+  try {
+    const timetable = await ExamTimetable.findById(req.params.id)
+      .populate('academicSession', 'name year');
+
+    if (!timetable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam timetable not found'
+      });
+    }
+
+    const conflicts = await checkTimetable(timetable);
+
+    // Resolve IDs into readable details for registry staff
+    const studentIds = [...new Set(conflicts.students.flatMap(c => c.students))];
+    const lecturerIds = [...new Set(conflicts.invigilators.flatMap(c => c.invigilators))];
+    const courseIds = [...new Set(timetable.sessions.map(session => session.course.toString()))];
+
+    const [students, lecturers, courses] = await Promise.all([
+      Student.find({ _id: { $in: studentIds } })
+        .select('matricNumber user')
+        .populate('user', 'fullName email'),
+      Lecturer.find({ _id: { $in: lecturerIds } })
+        .select('staffId user')
+        .populate('user', 'fullName email'),
+      Course.find({ _id: { $in: courseIds } }).select('code title')
+    ]);
+
+    const studentMap = new Map(students.map(s => [s._id.toString(), {
+      _id: s._id,
+      matricNumber: s.matricNumber,
+      name: s.user?.fullName,
+      email: s.user?.email
+    }]));
+    const lecturerMap = new Map(lecturers.map(l => [l._id.toString(), {
+      _id: l._id,
+      staffId: l.staffId,
+      name: l.user?.fullName,
+      email: l.user?.email
+    }]));
+    const courseMap = new Map(courses.map(c => [c._id.toString(), {
+      _id: c._id,
+      code: c.code,
+      title: c.title
+    }]));
+
+    const withCourses = conflict => ({
+      ...conflict,
+      courses: conflict.courses.map(id => courseMap.get(id) || { _id: id })
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        timetable: {
+          _id: timetable._id,
+          title: timetable.title,
+          academicSession: timetable.academicSession,
+          isPublished: timetable.isPublished
+        },
+        summary: {
+          total: conflicts.total,
+          studentClashes: conflicts.students.length,
+          affectedStudents: studentIds.length,
+          venueClashes: conflicts.venues.length,
+          invigilatorClashes: conflicts.invigilators.length,
+          venueDoubleBookings: conflicts.bookings.length,
+          overCapacity: conflicts.capacity.length
+        },
+        students: conflicts.students.map(conflict => ({
+          ...withCourses(conflict),
+          students: conflict.students.map(id => studentMap.get(id) || { _id: id })
+        })),
+        venues: conflicts.venues.map(withCourses),
+        invigilators: conflicts.invigilators.map(conflict => ({
+          ...withCourses(conflict),
+          invigilators: conflict.invigilators.map(id => lecturerMap.get(id) || { _id: id })
+        })),
+        bookings: conflicts.bookings,
+        capacity: conflicts.capacity.map(issue => ({
+          ...issue,
+          course: courseMap.get(issue.course) || { _id: issue.course }
+        })),
+        unregisteredVenues: conflicts.unregisteredVenues
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // ----------------- USER FACING ENDPOINTS -----------------
 
 // @desc    Get published exam timetables
@@ -924,8 +1287,11 @@ exports.getPublishedTimetable = async (req, res) => {
   }
 };
 
-// @desc    Get exam timetable for a lecturer
-// @route   GET /api/lecturers/timetables
+// Length of an exam session in minutes
+const sessionMinutes = session => toMinutes(session.endTime) - toMinutes(session.startTime);
+
+// @desc    Get exam duties for a lecturer (courses taught and invigilation)
+// @route   GET /api/lecturer/timetables
 // @access  Private (Lecturers only)
 exports.getLecturerTimetable = async (req, res) => {
   try {
@@ -941,38 +1307,198 @@ exports.getLecturerTimetable = async (req, res) => {
 
     // Find courses taught by this lecturer
     const courses = await Course.find({
-      lecturer: lecturer._id
+      $or: [{ lecturer: lecturer._id }, { _id: { $in: lecturer.courses } }]
     }).select('_id');
 
-    const courseIds = courses.map(course => course._id);
+    const courseIds = courses.map(course => course._id.toString());
+    const lecturerId = lecturer._id.toString();
 
-    // Find all published timetables
+    // Find published timetables with a session for these courses or this invigilator
     const timetables = await ExamTimetable.find({
-      isPublished: true
-    }).populate('academicSession', 'name year');
+      isPublished: true,
+      $or: [
+        { 'sessions.course': { $in: courseIds } },
+        { 'sessions.invigilators': lecturer._id }
+      ]
+    })
+      .populate('academicSession', 'name year')
+      .populate({
+        path: 'sessions.course',
+        select: 'title code'
+      });
 
-    // Filter sessions to only include courses taught by this lecturer
-    // or where lecturer is an invigilator
-    const lecturerTimetables = timetables.map(timetable => {
-      // Deep clone the timetable object
-      const filteredTimetable = JSON.parse(JSON.stringify(timetable));
+    const duties = [];
 
-      // Filter sessions for this lecturer's courses
-      filteredTimetable.sessions = timetable.sessions.filter(session => {
-        // Include if course is taught by lecturer OR lecturer is an invigilator
-        return (
-          courseIds.some(id => id.toString() === session.course.toString()) ||
-          session.invigilators.some(inv => inv.toString() === lecturer._id.toString())
-        );
-      });
+    const lecturerTimetables = timetables.map(timetable => {
+      const filteredTimetable = {
+        _id: timetable._id,
+        title: timetable.title,
+        academicSession: timetable.academicSession,
+        semester: timetable.semester,
+        examType: timetable.examType,
+        startDate: timetable.startDate,
+        endDate: timetable.endDate
+      };
+
+      // Tag each session with the lecturer's role in it
+      filteredTimetable.sessions = timetable.sessions.reduce((list, session) => {
+        const teaching = courseIds.includes((session.course._id || session.course).toString());
+        const invigilating = session.invigilators.some(inv => inv.toString() === lecturerId);
+
+        if (!teaching && !invigilating) return list;
+
+        const duty = {
+          ...session.toObject(),
+          timetable: timetable._id,
+          roles: [teaching && 'course-lecturer', invigilating && 'invigilator'].filter(Boolean),
+          durationMinutes: sessionMinutes(session)
+        };
+        duties.push(duty);
+        list.push(duty);
+        return list;
+      }, []);
 
       return filteredTimetable;
-    }).filter(timetable => timetable.sessions.length > 0); // Only include timetables with matching sessions
+    }).filter(timetable => timetable.sessions.length > 0);
+
+    // Workload totals per day
+    const days = new Map();
+    duties.forEach(duty => {
+      const key = dayKey(duty.date);
+      if (!days.has(key)) {
+        days.set(key, { date: key, sessions: 0, invigilationMinutes: 0, courseExamMinutes: 0 });
+      }
+      const day = days.get(key);
+      day.sessions += 1;
+      if (duty.roles.includes('invigilator')) day.invigilationMinutes += duty.durationMinutes;
+      if (duty.roles.includes('course-lecturer')) day.courseExamMinutes += duty.durationMinutes;
+    });
+
+    const workload = [...days.values()]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(day => ({
+        ...day,
+        invigilationHours: Math.round(day.invigilationMinutes / 6) / 10
+      }));
+
+    const totalInvigilationMinutes = workload.reduce((sum, day) => sum + day.invigilationMinutes, 0);
 
     res.status(200).json({
       success: true,
       count: lecturerTimetables.length,
-      data: lecturerTimetables
+      data: lecturerTimetables,
+      workload: {
+        days: workload,
+        totalSessions: duties.length,
+        invigilationSessions: duties.filter(d => d.roles.includes('invigilator')).length,
+        totalInvigilationHours: Math.round(totalInvigilationMinutes / 6) / 10
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get invigilation hours per lecturer for balancing duties
+// @route   GET /api/admin/timetables/:id/invigilation-report
+// @access  Private/Admin
+exports.getInvigilationReport = async (req, res) => {
+  try {
+    const timetable = await ExamTimetable.findById(req.params.id)
+      .populate('academicSession', 'name year');
+
+    if (!timetable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam timetable not found'
+      });
+    }
+
+    const totals = new Map();
+    const ensure = id => {
+      if (!totals.has(id)) {
+        totals.set(id, { minutes: 0, sessions: 0, days: new Map() });
+      }
+      return totals.get(id);
+    };
+
+    timetable.sessions.forEach(session => {
+      session.invigilators.forEach(inv => {
+        const entry = ensure(inv.toString());
+        entry.minutes += sessionMinutes(session);
+        entry.sessions += 1;
+        const key = dayKey(session.date);
+        entry.days.set(key, (entry.days.get(key) || 0) + sessionMinutes(session));
+      });
+    });
+
+    // Lecturers of the examined courses are part of the pool even with no duties yet
+    const courseIds = [...new Set(timetable.sessions.map(session => session.course.toString()))];
+    const courses = await Course.find({ _id: { $in: courseIds } }).select('lecturer');
+    courses.forEach(course => course.lecturer.forEach(id => ensure(id.toString())));
+
+    const lecturers = await Lecturer.find({ _id: { $in: [...totals.keys()] } })
+      .select('staffId department user')
+      .populate('user', 'fullName email');
+
+    const rows = lecturers.map(lecturer => {
+      const entry = totals.get(lecturer._id.toString());
+      return {
+        lecturer: {
+          _id: lecturer._id,
+          name: lecturer.user?.fullName,
+          email: lecturer.user?.email,
+          staffId: lecturer.staffId,
+          department: lecturer.department
+        },
+        sessions: entry.sessions,
+        hours: Math.round(entry.minutes / 6) / 10,
+        daysOnDuty: entry.days.size,
+        maxHoursInADay: Math.round(Math.max(0, ...entry.days.values()) / 6) / 10
+      };
+    });
+
+    const hours = rows.map(row => row.hours);
+    const mean = hours.length ? hours.reduce((sum, h) => sum + h, 0) / hours.length : 0;
+    const variance = hours.length
+      ? hours.reduce((sum, h) => sum + Math.pow(h - mean, 2), 0) / hours.length
+      : 0;
+
+    // Flag anyone more than 25% away from the average load
+    const tolerance = Math.max(mean * 0.25, 0.5);
+    rows.forEach(row => {
+      row.status = row.hours > mean + tolerance
+        ? 'overloaded'
+        : row.hours < mean - tolerance ? 'underloaded' : 'balanced';
+    });
+    rows.sort((a, b) => b.hours - a.hours);
+
+    const sessionsWithoutInvigilators = timetable.sessions.filter(s => s.invigilators.length === 0).length;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        timetable: {
+          _id: timetable._id,
+          title: timetable.title,
+          academicSession: timetable.academicSession
+        },
+        summary: {
+          lecturers: rows.length,
+          totalHours: Math.round(hours.reduce((sum, h) => sum + h, 0) * 10) / 10,
+          averageHours: Math.round(mean * 10) / 10,
+          standardDeviation: Math.round(Math.sqrt(variance) * 10) / 10,
+          minHours: hours.length ? Math.min(...hours) : 0,
+          maxHours: hours.length ? Math.max(...hours) : 0,
+          sessionsWithoutInvigilators
+        },
+        lecturers: rows
+      }
     });
   } catch (error) {
     console.error(error);
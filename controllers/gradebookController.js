@@ -0,0 +1,461 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Gradebook = require('../models/Gradebook');
+const Student = require('../models/Student');
+const {
+  validateComponents,
+  validateScale,
+  getGradebook,
+  buildGradebook
+} = require('../services/gradebookService');
+const { getStudentCourseIds } = require('../services/attendanceService');
+const { getCourseRosters } = require('../services/examConflictService');
+const { toCsv, sendCsv } = require('../utils/csv');
+const { canManageCourse } = require('../utils/courseAccess');
+
+// Load a course the current user teaches
+const loadCourse = async (req, res) => {
+  const { courseId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(courseId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid course ID'
+    });
+    return null;
+  }
+
+  const course = await Course.findById(courseId).select('code title credits academicSession semester');
+  if (!course) {
+    res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+    return null;
+  }
+
+  if (!(await canManageCourse(req.user, course._id))) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage grades for this course'
+    });
+    return null;
+  }
+
+  return course;
+};
+
+const configOf = (gradebook) => ({
+  _id: gradebook.isNew ? undefined : gradebook._id,
+  configured: !gradebook.isNew,
+  components: gradebook.components,
+  gradingScale: gradebook.gradingScale,
+  isPublished: gradebook.isPublished,
+  publishedAt: gradebook.publishedAt
+});
+
+// @desc    Get a course gradebook with computed grades
+// @route   GET /api/lecturer/courses/:courseId/gradebook
+// @access  Private (Lecturer teaching the course)
+exports.getCourseGradebook = async (req, res) => {
+  try {
+    const course = await loadCourse(req, res);
+    if (!course) return;
+
+    const gradebook = await getGradebook(course);
+    const rows = await buildGradebook(course, gradebook);
+
+    if (req.query.format === 'csv') {
+      const headers = [
+        'Matric Number',
+        'Name',
+        ...gradebook.components.map(component => `${component.name} (${component.weight}%)`),
+        'Final Score',
+        'Grade',
+        'Grade Point',
+        'Complete'
+      ];
+      const csvRows = rows.map(row => [
+        row.student.matricNumber,
+        row.student.name,
+        ...row.components.map(result => (result.percent === null ? '' : result.percent)),
+        row.finalScore,
+        row.letter,
+        row.gradePoint,
+        row.complete ? 'Yes' : 'No'
+      ]);
+      return sendCsv(res, `${course.code}-gradebook.csv`, toCsv(headers, csvRows));
+    }
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      data: {
+        course,
+        gradebook: configOf(gradebook),
+        students: rows
+      }
+    });
+  } catch (error) {
+    console.error('Error getting gradebook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Define the weighted components and grading scale of a course
+// @route   PUT /api/lecturer/courses/:courseId/gradebook
+// @access  Private (Lecturer teaching the course)
+exports.updateGradebook = async (req, res) => {
+  try {
+    const { components, gradingScale } = req.body;
+
+    if (components === undefined && gradingScale === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide components or a gradingScale'
+      });
+    }
+
+    const course = await loadCourse(req, res);
+    if (!course) return;
+
+    const gradebook = await getGradebook(course);
+
+    if (components !== undefined) {
+      const normalized = Array.isArray(components)
+        ? components.map(component => ({ ...component, weight: Number(component.weight) }))
+        : components;
+      const problem = validateComponents(normalized);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+
+      for (const [field, label, article] of [['assignments', 'assignment', 'An'], ['quizzes', 'quiz', 'A']]) {
+        const claimed = normalized.flatMap(component => component[field] || []);
+        if (claimed.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid ${label} ID in components`
+          });
+        }
+        if (new Set(claimed.map(String)).size !== claimed.length) {
+          return res.status(400).json({
+            success: false,
+            message: `${article} ${label} can only count towards one component`
+          });
+        }
+      }
+
+      // Existing components keep their IDs (and entered scores) when sent back with their _id
+      gradebook.components = normalized.map(({ _id, name, source, weight, assignments, quizzes, dropLowest, maxScore }) => ({
+        ...(_id && mongoose.Types.ObjectId.isValid(_id) ? { _id } : {}),
+        name: String(name).trim(),
+        source: source || 'manual',
+        weight,
+        assignments: source === 'assignments' ? assignments || [] : [],
+        quizzes: source === 'quizzes' ? quizzes || [] : [],
+        dropLowest: dropLowest || 0,
+        maxScore: maxScore || 100
+      }));
+
+      const kept = new Set(gradebook.components.map(component => component._id.toString()));
+      gradebook.scores = gradebook.scores.filter(entry => kept.has(entry.component.toString()));
+    }
+
+    if (gradingScale !== undefined) {
+      const problem = validateScale(gradingScale);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+      gradebook.gradingScale = gradingScale.map(({ letter, minScore, gradePoint }) => ({
+        letter: String(letter).trim(),
+        minScore,
+        gradePoint: Number(gradePoint) || 0
+      }));
+    }
+
+    gradebook.updatedBy = req.user.id;
+    await gradebook.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Gradebook updated',
+      data: configOf(gradebook)
+    });
+  } catch (error) {
+    console.error('Error updating gradebook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Enter scores for manual components such as tests and exams
+// @route   PUT /api/lecturer/courses/:courseId/gradebook/scores
+// @access  Private (Lecturer teaching the course)
+exports.recordScores = async (req, res) => {
+  try {
+    const { scores } = req.body;
+
+    if (!Array.isArray(scores) || scores.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an array of scores'
+      });
+    }
+
+    const course = await loadCourse(req, res);
+    if (!course) return;
+
+    const gradebook = await getGradebook(course);
+    if (gradebook.isNew) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please set up the gradebook components first'
+      });
+    }
+
+    const rosters = await getCourseRosters([course._id]);
+    const roster = rosters.get(course._id.toString()) || new Set();
+    const errors = [];
+
+    scores.forEach((entry, index) => {
+      const component = entry.component && gradebook.components.find(item => item._id.toString() === String(entry.component) ||
+        item.name.toLowerCase() === String(entry.component).toLowerCase());
+
+      if (!component || component.source !== 'manual') {
+        errors.push({ index, message: 'Unknown manual component' });
+      } else if (!entry.student || !roster.has(String(entry.student))) {
+        errors.push({ index, message: 'Student is not registered for this course' });
+      } else if (entry.score !== null && (typeof entry.score !== 'number' || entry.score < 0 || entry.score > component.maxScore)) {
+        errors.push({ index, message: `Score must be between 0 and ${component.maxScore}` });
+      } else {
+        entry.component = component._id;
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some scores could not be recorded',
+        errors
+      });
+    }
+
+    scores.forEach(entry => {
+      const existing = gradebook.scores.find(item => item.student.toString() === String(entry.student) &&
+        item.component.toString() === entry.component.toString());
+
+      // A null score clears the entry
+      if (entry.score === null) {
+        if (existing) gradebook.scores.pull(existing);
+      } else if (existing) {
+        existing.score = entry.score;
+        existing.updatedBy = req.user.id;
+        existing.updatedAt = new Date();
+      } else {
+        gradebook.scores.push({ student: entry.student, component: entry.component, score: entry.score, updatedBy: req.user.id });
+      }
+    });
+
+    gradebook.updatedBy = req.user.id;
+    await gradebook.save();
+
+    res.status(200).json({
+      success: true,
+      message: `${scores.length} score(s) recorded`
+    });
+  } catch (error) {
+    console.error('Error recording scores:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Publish final grades to students' enrollments
+// @route   POST /api/lecturer/courses/:courseId/gradebook/publish
+// @access  Private (Lecturer teaching the course)
+exports.publishGrades = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { includeIncomplete = false } = req.body;
+
+    const course = await loadCourse(req, res);
+    if (!course) {
+      await session.abortTransaction();
+      return;
+    }
+
+    const gradebook = await getGradebook(course);
+    const problem = validateComponents(gradebook.components);
+    if (gradebook.isNew || problem) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: problem || 'Please set up the gradebook components first'
+      });
+    }
+
+    const rows = await buildGradebook(course, gradebook);
+    const publish = rows.filter(row => includeIncomplete || row.complete);
+    const skipped = rows.filter(row => !publish.includes(row));
+    const now = new Date();
+
+    if (publish.length > 0) {
+      const existing = await Enrollment.find({
+        course: course._id,
+        student: { $in: publish.map(row => row.student._id) }
+      }).select('student grade score gradePoint academicSession semester gradedAt');
+      const byStudent = new Map(existing.map(enrollment => [enrollment.student.toString(), enrollment]));
+
+      await Enrollment.bulkWrite(publish.map(row => {
+        const previous = byStudent.get(row.student._id.toString());
+        // A grade from an earlier session is kept as a previous attempt of a repeated course
+        const repeated = previous && previous.grade && previous.academicSession &&
+          String(previous.academicSession) !== String(course.academicSession);
+
+        return {
+          updateOne: {
+            filter: { student: row.student._id, course: course._id },
+            update: {
+              $set: {
+                grade: row.letter,
+                score: row.finalScore,
+                gradePoint: row.gradePoint,
+                gradedAt: now,
+                academicSession: course.academicSession,
+                semester: course.semester,
+                updatedBy: req.user.id
+              },
+              ...(repeated ? {
+                $push: {
+                  previousAttempts: {
+                    grade: previous.grade,
+                    score: previous.score,
+                    gradePoint: previous.gradePoint,
+                    academicSession: previous.academicSession,
+                    semester: previous.semester,
+                    gradedAt: previous.gradedAt
+                  }
+                }
+              } : {}),
+              // Students registered directly on their profile get an enrollment to hold the grade
+              $setOnInsert: { status: 'accepted', enrolledBy: req.user.id }
+            },
+            upsert: true
+          }
+        };
+      }), { session });
+    }
+
+    gradebook.isPublished = true;
+    gradebook.publishedAt = now;
+    gradebook.publishedBy = req.user.id;
+    await gradebook.save({ session });
+
+    await session.commitTransaction();
+
+    res.status(200).json({
+      success: true,
+      message: `Grades published for ${publish.length} student(s)`,
+      data: {
+        published: publish.length,
+        skipped: skipped.map(row => ({
+          student: row.student,
+          pendingGrading: row.pendingGrading,
+          missing: row.components.filter(result => result.percent === null).map(result => result.name)
+        }))
+      }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('Error publishing grades:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Get the current student's grade breakdown per course
+// @route   GET /api/student/grades
+// @access  Private (Student)
+exports.getMyGrades = async (req, res) => {
+  try {
+    const student = await Student.findOne({ user: req.user.id }).select('courses');
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    let courseIds = await getStudentCourseIds(student);
+    if (req.query.course) courseIds = courseIds.filter(id => id === req.query.course);
+
+    const courses = await Course.find({ _id: { $in: courseIds } }).select('code title credits academicSession');
+    const [gradebooks, enrollments] = await Promise.all([
+      Gradebook.find({ course: { $in: courseIds } }),
+      Enrollment.find({ student: student._id, course: { $in: courseIds } }).select('course grade score gradePoint gradedAt')
+    ]);
+
+    const data = [];
+    for (const course of courses) {
+      const gradebook = gradebooks.find(item => item.course.toString() === course._id.toString() &&
+        String(item.academicSession) === String(course.academicSession));
+      if (!gradebook) continue;
+
+      const [row] = await buildGradebook(course, gradebook, { studentIds: [student._id.toString()] });
+      if (!row) continue;
+
+      const enrollment = enrollments.find(item => item.course.toString() === course._id.toString());
+      const published = gradebook.isPublished && enrollment && enrollment.grade;
+
+      data.push({
+        course: { _id: course._id, code: course.code, title: course.title, credits: course.credits },
+        components: row.components,
+        isPublished: gradebook.isPublished,
+        // Running totals are shown, but the final grade only once the lecturer publishes it
+        runningScore: row.finalScore,
+        finalScore: published ? enrollment.score : null,
+        grade: published ? enrollment.grade : null,
+        gradePoint: published ? enrollment.gradePoint : null,
+        gradedAt: published ? enrollment.gradedAt : null
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error getting student grades:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
@@ -5,6 +5,7 @@ const Student = require('../models/Student');
 const User = require('../models/User');
 const path = require('path');
 const fs = require('fs');
+const { checkScheduleBooking } = require('../services/venueBookingService');
 
 // Optional imports with fallbacks
 let Schedule, Task, Chat, FAQ, Department, bucket;
@@ -90,16 +91,37 @@ exports.setSchedule = async (req, res) => {
       });
     }
 
+    // Check the venue is free before booking it
+    const existing = await Schedule.findOne({ course: courseId, date: new Date(date) });
+    const booking = await checkScheduleBooking(
+      { ...(existing ? existing.toObject() : {}), course: courseId, date: new Date(date), time, venue, venueRef: undefined },
+      { excludeSchedule: existing && existing._id }
+    );
+
+    if (booking.conflicts.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${venue} is already booked during this time`,
+        conflicts: booking.conflicts
+      });
+    }
+
     // Create or update schedule entry
     const scheduleEntry = await Schedule.findOneAndUpdate(
       { course: courseId, date: new Date(date) },
-      { time, venue, lecturer: id },
+      {
+        time,
+        venue: booking.venue ? booking.venue.name : venue,
+        venueRef: booking.venue ? booking.venue._id : undefined,
+        lecturer: id
+      },
       { new: true, upsert: true }
     );
 
     res.status(200).json({
       success: true,
-      data: scheduleEntry
+      data: scheduleEntry,
+      warnings: booking.capacity.length > 0 ? { capacity: booking.capacity } : undefined
     });
   } catch (error) {
     console.error(error);
@@ -0,0 +1,390 @@
+const mongoose = require('mongoose');
+const BankQuestion = require('../models/BankQuestion');
+const Course = require('../models/Course');
+const Quiz = require('../models/Quiz');
+const {
+  parseClassification,
+  parseBankQuestions,
+  bankQuestionsFromGenerated,
+  questionsFromRows,
+  questionStatistics
+} = require('../services/questionBankService');
+const { parseQuestions } = require('../services/quizService');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+const { canManageCourse } = require('../utils/courseAccess');
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Load the course in the URL if the current user may manage its question bank
+const loadBankCourse = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.courseId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid course ID'
+    });
+    return null;
+  }
+
+  const course = await Course.findById(req.params.courseId).select('code title');
+  if (!course) {
+    res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+    return null;
+  }
+
+  if (!(await canManageCourse(req.user, course._id))) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage the question bank for this course'
+    });
+    return null;
+  }
+
+  return course;
+};
+
+// Load a bank question the current user may manage
+const loadBankQuestion = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid question ID'
+    });
+    return null;
+  }
+
+  const question = await BankQuestion.findById(req.params.id);
+  if (!question) {
+    res.status(404).json({
+      success: false,
+      message: 'Question not found'
+    });
+    return null;
+  }
+
+  if (!(await canManageCourse(req.user, question.course, question.createdBy))) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage the question bank for this course'
+    });
+    return null;
+  }
+
+  return question;
+};
+
+// Filter on the bank from query parameters
+const bankFilter = (courseId, query) => {
+  const filter = { course: courseId };
+  if (query.includeArchived !== 'true') filter.isArchived = false;
+  if (query.tag) filter.tags = String(query.tag).trim().toLowerCase();
+  if (query.difficulty) filter.difficulty = String(query.difficulty).toLowerCase();
+  if (query.type) filter.type = query.type;
+  if (query.topic) filter.topic = new RegExp(`^${escapeRegex(String(query.topic).trim())}$`, 'i');
+  if (query.learningOutcome) filter.learningOutcome = new RegExp(`^${escapeRegex(String(query.learningOutcome).trim())}$`, 'i');
+  if (query.search) filter.text = new RegExp(escapeRegex(query.search), 'i');
+  return filter;
+};
+
+// @desc    Get a course's question bank, filtered by tag, topic, difficulty or learning outcome
+// @route   GET /api/lecturer/courses/:courseId/question-bank
+// @access  Private (Lecturer teaching the course)
+exports.getBankQuestions = async (req, res) => {
+  try {
+    const course = await loadBankCourse(req, res);
+    if (!course) return;
+
+    const questions = await BankQuestion.find(bankFilter(course._id, req.query)).sort({ topic: 1, createdAt: 1 });
+
+    // Tags and topics in use, to build filters with
+    const [tags, topics] = await Promise.all([
+      BankQuestion.distinct('tags', { course: course._id, isArchived: false }),
+      BankQuestion.distinct('topic', { course: course._id, isArchived: false })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: questions.length,
+      data: {
+        course,
+        tags: tags.sort(),
+        topics: topics.filter(Boolean).sort(),
+        questions
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching question bank:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add questions to a course's question bank
+// @route   POST /api/lecturer/courses/:courseId/question-bank
+// @access  Private (Lecturer teaching the course)
+exports.createBankQuestions = async (req, res) => {
+  try {
+    const course = await loadBankCourse(req, res);
+    if (!course) return;
+
+    const input = Array.isArray(req.body.questions) ? req.body.questions : [req.body];
+    const { questions, error } = parseBankQuestions(input);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const created = await BankQuestion.insertMany(questions.map(question => ({
+      ...question,
+      course: course._id,
+      source: 'manual',
+      createdBy: req.user.id
+    })));
+
+    res.status(201).json({
+      success: true,
+      count: created.length,
+      data: created
+    });
+  } catch (error) {
+    console.error('Error adding bank questions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Import questions into the bank from a CSV/XLSX file or the AI quiz generator's output
+// @route   POST /api/lecturer/courses/:courseId/question-bank/import
+// @access  Private (Lecturer teaching the course)
+exports.importBankQuestions = async (req, res) => {
+  try {
+    const course = await loadBankCourse(req, res);
+    if (!course) return;
+
+    let result;
+    let source;
+    if (req.file) {
+      const { rows, error } = readSpreadsheet(req.file);
+      result = error ? { error } : questionsFromRows(rows);
+      source = 'csv';
+    } else if (req.body.generatedQuiz !== undefined) {
+      const generated = req.body.generatedQuiz && req.body.generatedQuiz.quiz ? req.body.generatedQuiz.quiz : req.body.generatedQuiz;
+      // Classification given alongside the generated quiz applies to every question
+      result = bankQuestionsFromGenerated(generated, {
+        topic: req.body.topic,
+        difficulty: req.body.difficulty,
+        learningOutcome: req.body.learningOutcome,
+        tags: req.body.tags
+      });
+      source = 'ai';
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV or XLSX file, or send generatedQuiz'
+      });
+    }
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const created = dryRun || result.questions.length === 0 ? [] : await BankQuestion.insertMany(result.questions.map(question => ({
+      ...question,
+      course: course._id,
+      source,
+      createdBy: req.user.id
+    })));
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      dryRun,
+      summary: {
+        imported: result.questions.length,
+        failed: result.rows ? result.rows.filter(row => row.status === 'failed').length : 0
+      },
+      rows: result.rows,
+      data: dryRun ? result.questions : created
+    });
+  } catch (error) {
+    console.error('Error importing bank questions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get item statistics (option choices, facility, discrimination) for a course's question bank
+// @route   GET /api/lecturer/courses/:courseId/question-bank/statistics
+// @access  Private (Lecturer teaching the course)
+exports.getBankStatistics = async (req, res) => {
+  try {
+    const course = await loadBankCourse(req, res);
+    if (!course) return;
+
+    const questions = await BankQuestion.find(bankFilter(course._id, req.query))
+      .select('type text topic difficulty learningOutcome tags options isArchived')
+      .sort({ topic: 1, createdAt: 1 });
+    const stats = await questionStatistics(questions);
+
+    res.status(200).json({
+      success: true,
+      count: questions.length,
+      data: questions.map(question => ({
+        _id: question._id,
+        type: question.type,
+        text: question.text,
+        topic: question.topic,
+        difficulty: question.difficulty,
+        learningOutcome: question.learningOutcome,
+        tags: question.tags,
+        isArchived: question.isArchived,
+        ...stats.get(question._id.toString())
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching question bank statistics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a bank question with its statistics
+// @route   GET /api/lecturer/question-bank/:id
+// @access  Private (Lecturer teaching the course)
+exports.getBankQuestion = async (req, res) => {
+  try {
+    const question = await loadBankQuestion(req, res);
+    if (!question) return;
+
+    const [stats, quizzes] = await Promise.all([
+      questionStatistics([question]),
+      Quiz.find({ 'questions.bankQuestion': question._id }).select('title isPublished createdAt')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...question.toObject(),
+        statistics: stats.get(question._id.toString()),
+        quizzes
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching bank question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a bank question; quizzes already built from it keep their copy
+// @route   PUT /api/lecturer/question-bank/:id
+// @access  Private (Lecturer teaching the course)
+exports.updateBankQuestion = async (req, res) => {
+  try {
+    const question = await loadBankQuestion(req, res);
+    if (!question) return;
+
+    const contentFields = ['type', 'text', 'options', 'acceptedAnswers', 'caseSensitive', 'points', 'explanation', 'answer'];
+    if (contentFields.some(field => req.body[field] !== undefined)) {
+      const current = question.toObject();
+      const { questions, error } = parseQuestions([{
+        type: current.type,
+        text: current.text,
+        options: current.options,
+        acceptedAnswers: current.acceptedAnswers,
+        caseSensitive: current.caseSensitive,
+        points: current.points,
+        explanation: current.explanation,
+        ...req.body
+      }]);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.replace(/^Question 1/, 'The question')
+        });
+      }
+      question.set(questions[0]);
+    }
+
+    const { classification, error } = parseClassification(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    question.set(classification);
+    if (req.body.isArchived !== undefined) question.isArchived = req.body.isArchived === true || req.body.isArchived === 'true';
+
+    await question.save();
+
+    res.status(200).json({
+      success: true,
+      data: question
+    });
+  } catch (error) {
+    console.error('Error updating bank question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a bank question, or archive it if quizzes have used it
+// @route   DELETE /api/lecturer/question-bank/:id
+// @access  Private (Lecturer teaching the course)
+exports.deleteBankQuestion = async (req, res) => {
+  try {
+    const question = await loadBankQuestion(req, res);
+    if (!question) return;
+
+    const used = await Quiz.exists({ 'questions.bankQuestion': question._id });
+    if (used) {
+      question.isArchived = true;
+      await question.save();
+      return res.status(200).json({
+        success: true,
+        message: 'The question has been used in quizzes, so it was archived instead of deleted',
+        data: question
+      });
+    }
+
+    await question.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Question deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting bank question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,922 @@
+const mongoose = require('mongoose');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const Course = require('../models/Course');
+const Lecturer = require('../models/Lecturer');
+const Student = require('../models/Student');
+const BankQuestion = require('../models/BankQuestion');
+const {
+  parseQuestions,
+  fromGeneratedQuiz,
+  parseAnswers,
+  buildAttemptOrder,
+  attemptDeadline,
+  gradeAttempt,
+  totalAttempt,
+  closeIfExpired,
+  presentQuestions,
+  canRevealAnswers,
+  quizPercentage
+} = require('../services/quizService');
+const { parseDrawRules, drawQuestions, toQuizQuestion } = require('../services/questionBankService');
+const { getStudentCourseIds } = require('../services/attendanceService');
+const { canManageCourse } = require('../utils/courseAccess');
+
+const SCORING_POLICIES = ['highest', 'latest', 'average'];
+const SHOW_ANSWERS = ['after_submit', 'after_close', 'never'];
+
+// Read quiz settings from a request body; only fields that were sent are returned
+const parseSettings = (body) => {
+  const settings = {};
+
+  ['title', 'description', 'instructions'].forEach(field => {
+    if (body[field] !== undefined) settings[field] = body[field];
+  });
+  ['shuffleQuestions', 'shuffleOptions', 'isPublished'].forEach(field => {
+    if (body[field] !== undefined) settings[field] = body[field] === true || body[field] === 'true';
+  });
+
+  if (body.timeLimitMinutes !== undefined) {
+    const minutes = body.timeLimitMinutes === null || body.timeLimitMinutes === '' ? null : Number(body.timeLimitMinutes);
+    if (minutes !== null && (isNaN(minutes) || minutes < 1)) return { error: 'Time limit must be at least 1 minute' };
+    settings.timeLimitMinutes = minutes;
+  }
+
+  if (body.maxAttempts !== undefined) {
+    const attempts = Number(body.maxAttempts);
+    if (!Number.isInteger(attempts) || attempts < 1) return { error: 'Attempt limit must be a whole number of at least 1' };
+    settings.maxAttempts = attempts;
+  }
+
+  for (const field of ['availableFrom', 'availableUntil']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      settings[field] = null;
+      continue;
+    }
+    const date = new Date(body[field]);
+    if (isNaN(date.getTime())) return { error: `Invalid ${field} date` };
+    settings[field] = date;
+  }
+
+  if (body.scoringPolicy !== undefined) {
+    if (!SCORING_POLICIES.includes(body.scoringPolicy)) return { error: `Scoring policy must be one of: ${SCORING_POLICIES.join(', ')}` };
+    settings.scoringPolicy = body.scoringPolicy;
+  }
+
+  if (body.showAnswers !== undefined) {
+    if (!SHOW_ANSWERS.includes(body.showAnswers)) return { error: `showAnswers must be one of: ${SHOW_ANSWERS.join(', ')}` };
+    settings.showAnswers = body.showAnswers;
+  }
+
+  return { settings };
+};
+
+// Questions from the body: written out, taken from the AI quiz generator's output,
+// or drawn at random from the course's question bank by tag
+const questionsFrom = async (body, courseId) => {
+  if (body.draw !== undefined) {
+    const { rules, error } = parseDrawRules(body.draw);
+    if (error) return { error };
+    const bank = await BankQuestion.find({ course: courseId, isArchived: false });
+    const { questions, error: drawError } = drawQuestions(bank, rules);
+    if (drawError) return { error: drawError };
+    return { questions: questions.map(toQuizQuestion), source: 'bank' };
+  }
+  if (body.generatedQuiz !== undefined) {
+    const generated = body.generatedQuiz && body.generatedQuiz.quiz ? body.generatedQuiz.quiz : body.generatedQuiz;
+    return { ...fromGeneratedQuiz(generated), source: 'ai' };
+  }
+  return { ...parseQuestions(body.questions), source: 'manual' };
+};
+
+// Load a quiz the current user may manage
+const loadQuiz = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid quiz ID'
+    });
+    return null;
+  }
+
+  const quiz = await Quiz.findById(req.params.id);
+  if (!quiz) {
+    res.status(404).json({
+      success: false,
+      message: 'Quiz not found'
+    });
+    return null;
+  }
+
+  if (!(await canManageCourse(req.user, quiz.course, quiz.createdBy))) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage quizzes for this course'
+    });
+    return null;
+  }
+
+  return quiz;
+};
+
+// Load a published quiz of one of the current student's courses
+const loadStudentQuiz = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid quiz ID'
+    });
+    return {};
+  }
+
+  const student = await Student.findOne({ user: req.user.id }).select('courses');
+  if (!student) {
+    res.status(404).json({
+      success: false,
+      message: 'Student profile not found'
+    });
+    return {};
+  }
+
+  const quiz = await Quiz.findById(req.params.id).populate('course', 'code title');
+  const courseIds = await getStudentCourseIds(student);
+  // A quiz whose course was deleted keeps a null course after populate
+  if (!quiz || !quiz.isPublished || !quiz.course || !courseIds.includes(quiz.course._id.toString())) {
+    res.status(404).json({
+      success: false,
+      message: 'Quiz not found'
+    });
+    return {};
+  }
+
+  return { student, quiz };
+};
+
+const windowStatus = (quiz, now = new Date()) => {
+  if (quiz.availableFrom && now < quiz.availableFrom) return 'upcoming';
+  if (quiz.availableUntil && now > quiz.availableUntil) return 'closed';
+  return 'open';
+};
+
+// What a student sees of an attempt: questions while it is running, the result once it is finished
+const attemptView = (quiz, attempt, now = new Date()) => {
+  const finished = attempt.status !== 'in_progress';
+  const reveal = finished && canRevealAnswers(quiz, now);
+  return {
+    _id: attempt._id,
+    number: attempt.number,
+    status: attempt.status,
+    startedAt: attempt.startedAt,
+    deadline: attempt.deadline,
+    submittedAt: attempt.submittedAt,
+    ...(finished ? {
+      score: attempt.score,
+      maxScore: attempt.maxScore,
+      percentage: attempt.percentage,
+      needsReview: attempt.needsReview
+    } : {}),
+    questions: !finished || reveal ? presentQuestions(quiz, attempt, { reveal }) : undefined
+  };
+};
+
+// ==================== LECTURER FUNCTIONS ====================
+
+// @desc    Create a quiz from written questions, the AI quiz generator's output or the question bank
+// @route   POST /api/lecturer/quizzes
+// @access  Private (Lecturer teaching the course)
+exports.createQuiz = async (req, res) => {
+  try {
+    const { course: courseId } = req.body;
+
+    if (!courseId || !mongoose.Types.ObjectId.isValid(courseId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid course'
+      });
+    }
+
+    const course = await Course.findById(courseId).select('code academicSession');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!(await canManageCourse(req.user, course._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to create quizzes for this course'
+      });
+    }
+
+    const { settings, error } = parseSettings(req.body);
+    const { questions, error: questionError, source } = await questionsFrom(req.body, course._id);
+    if (error || questionError) {
+      return res.status(400).json({
+        success: false,
+        message: error || questionError
+      });
+    }
+
+    if (!settings.title || !String(settings.title).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please add a title'
+      });
+    }
+
+    if (settings.availableFrom && settings.availableUntil && settings.availableFrom >= settings.availableUntil) {
+      return res.status(400).json({
+        success: false,
+        message: 'The quiz must close after it opens'
+      });
+    }
+
+    const lecturer = await Lecturer.findOne({ user: req.user.id }).select('_id');
+    const quiz = await Quiz.create({
+      ...settings,
+      course: course._id,
+      academicSession: course.academicSession,
+      lecturer: lecturer ? lecturer._id : undefined,
+      createdBy: req.user.id,
+      questions,
+      source,
+      publishedAt: settings.isPublished ? new Date() : undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      data: quiz.toObject({ virtuals: true })
+    });
+  } catch (error) {
+    console.error('Error creating quiz:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List quizzes of the courses the lecturer teaches
+// @route   GET /api/lecturer/quizzes?course=
+// @access  Private (Lecturer)
+exports.getQuizzes = async (req, res) => {
+  try {
+    const { course } = req.query;
+    let query;
+
+    if (course) {
+      if (!mongoose.Types.ObjectId.isValid(course) || !(await canManageCourse(req.user, course))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view quizzes for this course'
+        });
+      }
+      query = { course };
+    } else {
+      const lecturer = await Lecturer.findOne({ user: req.user.id }).select('_id');
+      const courses = lecturer ? await Course.find({ lecturer: lecturer._id }).select('_id') : [];
+      query = { $or: [{ createdBy: req.user.id }, { course: { $in: courses.map(item => item._id) } }] };
+    }
+
+    const quizzes = await Quiz.find(query)
+      .populate('course', 'code title')
+      .sort('-createdAt');
+
+    const counts = await QuizAttempt.aggregate([
+      { $match: { quiz: { $in: quizzes.map(quiz => quiz._id) } } },
+      { $group: { _id: '$quiz', attempts: { $sum: 1 }, students: { $addToSet: '$student' }, needsReview: { $sum: { $cond: ['$needsReview', 1, 0] } } } }
+    ]);
+
+    const data = quizzes.map(quiz => {
+      const count = counts.find(item => item._id.toString() === quiz._id.toString());
+      const { questions, ...summary } = quiz.toObject({ virtuals: true });
+      return {
+        ...summary,
+        questionCount: questions.length,
+        status: windowStatus(quiz),
+        attempts: count ? count.attempts : 0,
+        students: count ? count.students.length : 0,
+        needsReview: count ? count.needsReview : 0
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error getting quizzes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a quiz with its questions and answers
+// @route   GET /api/lecturer/quizzes/:id
+// @access  Private (Lecturer teaching the course)
+exports.getQuiz = async (req, res) => {
+  try {
+    const quiz = await loadQuiz(req, res);
+    if (!quiz) return;
+
+    await quiz.populate('course', 'code title');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...quiz.toObject({ virtuals: true }),
+        status: windowStatus(quiz),
+        attempts: await QuizAttempt.countDocuments({ quiz: quiz._id })
+      }
+    });
+  } catch (error) {
+    console.error('Error getting quiz:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a quiz's settings or questions
+// @route   PUT /api/lecturer/quizzes/:id
+// @access  Private (Lecturer teaching the course)
+exports.updateQuiz = async (req, res) => {
+  try {
+    const quiz = await loadQuiz(req, res);
+    if (!quiz) return;
+
+    const { settings, error } = parseSettings(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (['questions', 'generatedQuiz', 'draw'].some(field => req.body[field] !== undefined)) {
+      // Questions are fixed once students have attempted them, so every attempt is marked the same way
+      if (await QuizAttempt.exists({ quiz: quiz._id })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Questions cannot be changed after students have started the quiz'
+        });
+      }
+
+      const { questions, error: questionError, source } = await questionsFrom(req.body, quiz.course);
+      if (questionError) {
+        return res.status(400).json({
+          success: false,
+          message: questionError
+        });
+      }
+      quiz.questions = questions;
+      quiz.source = source;
+    }
+
+    if (settings.title !== undefined && !String(settings.title).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please add a title'
+      });
+    }
+
+    if (settings.isPublished && !quiz.isPublished) quiz.publishedAt = new Date();
+    quiz.set(settings);
+
+    if (quiz.availableFrom && quiz.availableUntil && quiz.availableFrom >= quiz.availableUntil) {
+      return res.status(400).json({
+        success: false,
+        message: 'The quiz must close after it opens'
+      });
+    }
+
+    await quiz.save();
+
+    res.status(200).json({
+      success: true,
+      data: quiz.toObject({ virtuals: true })
+    });
+  } catch (error) {
+    console.error('Error updating quiz:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a quiz nobody has attempted
+// @route   DELETE /api/lecturer/quizzes/:id
+// @access  Private (Lecturer teaching the course)
+exports.deleteQuiz = async (req, res) => {
+  try {
+    const quiz = await loadQuiz(req, res);
+    if (!quiz) return;
+
+    if (await QuizAttempt.exists({ quiz: quiz._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This quiz has attempts and cannot be deleted. Unpublish it instead.'
+      });
+    }
+
+    await quiz.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Quiz deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting quiz:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get every attempt at a quiz with the score that counts for each student
+// @route   GET /api/lecturer/quizzes/:id/attempts
+// @access  Private (Lecturer teaching the course)
+exports.getQuizAttempts = async (req, res) => {
+  try {
+    const quiz = await loadQuiz(req, res);
+    if (!quiz) return;
+
+    const attempts = await QuizAttempt.find({ quiz: quiz._id })
+      .populate({ path: 'student', select: 'matricNumber user', populate: { path: 'user', select: 'fullName email' } })
+      .sort({ student: 1, number: 1 });
+
+    for (const attempt of attempts) {
+      await closeIfExpired(quiz, attempt);
+    }
+
+    const byStudent = new Map();
+    attempts.forEach(attempt => {
+      const key = attempt.student ? attempt.student._id.toString() : 'unknown';
+      if (!byStudent.has(key)) byStudent.set(key, []);
+      byStudent.get(key).push(attempt);
+    });
+
+    const data = [...byStudent.values()].map(list => ({
+      student: list[0].student ? {
+        _id: list[0].student._id,
+        name: list[0].student.user?.fullName,
+        email: list[0].student.user?.email,
+        matricNumber: list[0].student.matricNumber
+      } : null,
+      percentage: quizPercentage(quiz, list),
+      needsReview: list.some(attempt => attempt.needsReview),
+      attempts: list.map(attempt => ({
+        _id: attempt._id,
+        number: attempt.number,
+        status: attempt.status,
+        startedAt: attempt.startedAt,
+        submittedAt: attempt.submittedAt,
+        score: attempt.score,
+        maxScore: attempt.maxScore,
+        percentage: attempt.percentage,
+        needsReview: attempt.needsReview,
+        answers: attempt.answers
+      }))
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data: {
+        quiz: { _id: quiz._id, title: quiz.title, totalPoints: quiz.totalPoints, scoringPolicy: quiz.scoringPolicy },
+        students: data
+      }
+    });
+  } catch (error) {
+    console.error('Error getting quiz attempts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark answers by hand (short answers awaiting review, or to override the automatic mark)
+// @route   PUT /api/lecturer/quizzes/:id/attempts/:attemptId
+// @access  Private (Lecturer teaching the course)
+exports.reviewQuizAttempt = async (req, res) => {
+  try {
+    const { marks } = req.body;
+
+    const quiz = await loadQuiz(req, res);
+    if (!quiz) return;
+
+    const attempt = mongoose.Types.ObjectId.isValid(req.params.attemptId)
+      ? await QuizAttempt.findOne({ _id: req.params.attemptId, quiz: quiz._id })
+      : null;
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found'
+      });
+    }
+
+    await closeIfExpired(quiz, attempt);
+    if (attempt.status === 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'This attempt has not been submitted yet'
+      });
+    }
+
+    if (!Array.isArray(marks) || marks.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide marks as [{ question, points, feedback }]'
+      });
+    }
+
+    for (const mark of marks) {
+      const question = quiz.questions.find(item => item._id.toString() === String(mark.question));
+      const answer = attempt.answers.find(item => item.question.toString() === String(mark.question));
+      const points = Number(mark.points);
+      if (!question || !answer) {
+        return res.status(400).json({
+          success: false,
+          message: 'Mark given for a question that is not on this quiz'
+        });
+      }
+      if (isNaN(points) || points < 0 || points > question.points) {
+        return res.status(400).json({
+          success: false,
+          message: `Points for "${question.text}" must be between 0 and ${question.points}`
+        });
+      }
+
+      answer.pointsAwarded = points;
+      answer.isCorrect = points === question.points;
+      answer.needsReview = false;
+      answer.reviewedBy = req.user.id;
+      if (mark.feedback !== undefined) answer.feedback = mark.feedback;
+    }
+
+    totalAttempt(quiz, attempt);
+    await attempt.save();
+
+    res.status(200).json({
+      success: true,
+      data: attempt
+    });
+  } catch (error) {
+    console.error('Error reviewing quiz attempt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// ==================== STUDENT FUNCTIONS ====================
+
+// @desc    List published quizzes of the student's courses
+// @route   GET /api/student/quizzes
+// @access  Private (Student)
+exports.getMyQuizzes = async (req, res) => {
+  try {
+    const student = await Student.findOne({ user: req.user.id }).select('courses');
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const courseIds = await getStudentCourseIds(student);
+    const query = { course: { $in: courseIds }, isPublished: true };
+    if (req.query.course && courseIds.includes(String(req.query.course))) query.course = req.query.course;
+
+    const [quizzes, attempts] = await Promise.all([
+      Quiz.find(query).populate('course', 'code title').sort('availableUntil'),
+      QuizAttempt.find({ student: student._id }).select('quiz number status deadline percentage needsReview answers')
+    ]);
+
+    const now = new Date();
+    const data = [];
+    for (const quiz of quizzes) {
+      const mine = attempts.filter(attempt => attempt.quiz.toString() === quiz._id.toString());
+      for (const attempt of mine) {
+        await closeIfExpired(quiz, attempt, now);
+      }
+      const inProgress = mine.find(attempt => attempt.status === 'in_progress');
+
+      data.push({
+        _id: quiz._id,
+        title: quiz.title,
+        description: quiz.description,
+        course: quiz.course,
+        questionCount: quiz.questions.length,
+        totalPoints: quiz.totalPoints,
+        timeLimitMinutes: quiz.timeLimitMinutes,
+        availableFrom: quiz.availableFrom,
+        availableUntil: quiz.availableUntil,
+        status: windowStatus(quiz, now),
+        maxAttempts: quiz.maxAttempts,
+        attemptsUsed: mine.length,
+        attemptsRemaining: Math.max(quiz.maxAttempts - mine.length, 0),
+        inProgressAttempt: inProgress ? inProgress._id : null,
+        percentage: quizPercentage(quiz, mine)
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error getting student quizzes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a quiz's details and the student's attempts
+// @route   GET /api/student/quizzes/:id
+// @access  Private (Student)
+exports.getStudentQuiz = async (req, res) => {
+  try {
+    const { student, quiz } = await loadStudentQuiz(req, res);
+    if (!quiz) return;
+
+    const attempts = await QuizAttempt.find({ quiz: quiz._id, student: student._id }).sort('number');
+    const now = new Date();
+    for (const attempt of attempts) {
+      await closeIfExpired(quiz, attempt, now);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: quiz._id,
+        title: quiz.title,
+        description: quiz.description,
+        instructions: quiz.instructions,
+        course: quiz.course,
+        questionCount: quiz.questions.length,
+        totalPoints: quiz.totalPoints,
+        timeLimitMinutes: quiz.timeLimitMinutes,
+        availableFrom: quiz.availableFrom,
+        availableUntil: quiz.availableUntil,
+        status: windowStatus(quiz, now),
+        maxAttempts: quiz.maxAttempts,
+        scoringPolicy: quiz.scoringPolicy,
+        percentage: quizPercentage(quiz, attempts),
+        attempts: attempts.map(attempt => {
+          const { questions, ...summary } = attemptView(quiz, attempt, now);
+          return summary;
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Error getting quiz:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start an attempt (or resume the one in progress)
+// @route   POST /api/student/quizzes/:id/attempts
+// @access  Private (Student)
+exports.startQuizAttempt = async (req, res) => {
+  try {
+    const { student, quiz } = await loadStudentQuiz(req, res);
+    if (!quiz) return;
+
+    const now = new Date();
+    const attempts = await QuizAttempt.find({ quiz: quiz._id, student: student._id }).sort('number');
+    for (const attempt of attempts) {
+      await closeIfExpired(quiz, attempt, now);
+    }
+
+    const inProgress = attempts.find(attempt => attempt.status === 'in_progress');
+    if (inProgress) {
+      return res.status(200).json({
+        success: true,
+        message: 'Resuming your attempt in progress',
+        data: attemptView(quiz, inProgress, now)
+      });
+    }
+
+    if (!quiz.isOpen(now)) {
+      return res.status(400).json({
+        success: false,
+        message: windowStatus(quiz, now) === 'upcoming' ? 'This quiz is not open yet' : 'This quiz has closed'
+      });
+    }
+
+    if (attempts.length >= quiz.maxAttempts) {
+      return res.status(400).json({
+        success: false,
+        message: `You have used all ${quiz.maxAttempts} attempt(s) for this quiz`
+      });
+    }
+
+    const attempt = await QuizAttempt.create({
+      quiz: quiz._id,
+      course: quiz.course._id,
+      student: student._id,
+      number: attempts.length + 1,
+      startedAt: now,
+      deadline: attemptDeadline(quiz, now),
+      ...buildAttemptOrder(quiz)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: attemptView(quiz, attempt, now)
+    });
+  } catch (error) {
+    // Two starts at the same moment race for the same attempt number
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'An attempt was just started. Please reload the quiz.'
+      });
+    }
+    console.error('Error starting quiz attempt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// Load one of the current student's attempts at a quiz
+const loadAttempt = async (req, res, student, quiz) => {
+  const attempt = mongoose.Types.ObjectId.isValid(req.params.attemptId)
+    ? await QuizAttempt.findOne({ _id: req.params.attemptId, quiz: quiz._id, student: student._id })
+    : null;
+  if (!attempt) {
+    res.status(404).json({
+      success: false,
+      message: 'Attempt not found'
+    });
+    return null;
+  }
+  return closeIfExpired(quiz, attempt);
+};
+
+// Replace the saved answers of the questions that were sent
+const saveAnswers = (quiz, attempt, input) => {
+  const { answers, error } = parseAnswers(quiz, input);
+  if (error) return error;
+
+  const answered = new Set(answers.map(answer => answer.question.toString()));
+  attempt.answers = [
+    ...attempt.answers.filter(answer => !answered.has(answer.question.toString())),
+    ...answers
+  ];
+  return null;
+};
+
+// @desc    Get an attempt: the questions while it runs, the result once it is finished
+// @route   GET /api/student/quizzes/:id/attempts/:attemptId
+// @access  Private (Student)
+exports.getMyQuizAttempt = async (req, res) => {
+  try {
+    const { student, quiz } = await loadStudentQuiz(req, res);
+    if (!quiz) return;
+
+    const attempt = await loadAttempt(req, res, student, quiz);
+    if (!attempt) return;
+
+    res.status(200).json({
+      success: true,
+      data: attemptView(quiz, attempt)
+    });
+  } catch (error) {
+    console.error('Error getting quiz attempt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Save answers during an attempt
+// @route   PUT /api/student/quizzes/:id/attempts/:attemptId
+// @access  Private (Student)
+exports.saveQuizAnswers = async (req, res) => {
+  try {
+    const { student, quiz } = await loadStudentQuiz(req, res);
+    if (!quiz) return;
+
+    const attempt = await loadAttempt(req, res, student, quiz);
+    if (!attempt) return;
+
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: attempt.status === 'timed_out' ? 'Time is up for this attempt' : 'This attempt has already been submitted'
+      });
+    }
+
+    const error = saveAnswers(quiz, attempt, req.body.answers);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await attempt.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Answers saved',
+      data: {
+        answered: attempt.answers.length,
+        deadline: attempt.deadline
+      }
+    });
+  } catch (error) {
+    console.error('Error saving quiz answers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Submit an attempt for marking (answers may be sent with it)
+// @route   POST /api/student/quizzes/:id/attempts/:attemptId/submit
+// @access  Private (Student)
+exports.submitQuizAttempt = async (req, res) => {
+  try {
+    const { student, quiz } = await loadStudentQuiz(req, res);
+    if (!quiz) return;
+
+    const attempt = await loadAttempt(req, res, student, quiz);
+    if (!attempt) return;
+
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: attempt.status === 'timed_out'
+          ? 'Time ran out and your saved answers were submitted automatically'
+          : 'This attempt has already been submitted',
+        data: attemptView(quiz, attempt)
+      });
+    }
+
+    if (req.body.answers !== undefined) {
+      const error = saveAnswers(quiz, attempt, req.body.answers);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+    }
+
+    attempt.status = 'submitted';
+    attempt.submittedAt = new Date();
+    gradeAttempt(quiz, attempt);
+    await attempt.save();
+
+    res.status(200).json({
+      success: true,
+      message: attempt.needsReview
+        ? 'Quiz submitted. Some answers will be marked by your lecturer.'
+        : 'Quiz submitted',
+      data: attemptView(quiz, attempt)
+    });
+  } catch (error) {
+    console.error('Error submitting quiz attempt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
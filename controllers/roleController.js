@@ -0,0 +1,414 @@
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const SystemActivity = require('../models/SystemActivity');
+const { PERMISSIONS, SCOPE_TYPES, ROLE_TEMPLATES } = require('../config/permissions');
+const { hasPermission, permissionSummary, validatePermissions } = require('../services/permissionService');
+
+const logActivity = (req, action, details, affectedModel, affectedId) => SystemActivity.create({
+  user: req.user.id,
+  action,
+  details,
+  affectedModel,
+  affectedId
+});
+
+// Permissions the current user cannot hand out, since they do not hold them where they would apply
+const beyondOwnPermissions = async (req, permissions, department) => {
+  if (req.user.role === 'admin') return [];
+  const missing = [];
+  for (const permission of permissions) {
+    if (!(await hasPermission(req.user, permission, department))) missing.push(permission);
+  }
+  return missing;
+};
+
+const refuseEscalation = (res, missing) => res.status(403).json({
+  success: false,
+  message: `You cannot grant permissions you do not hold yourself: ${missing.join(', ')}`
+});
+
+// @desc    List the permissions, scopes and role templates available
+// @route   GET /api/admin/permissions
+// @access  Private (role:manage)
+exports.getPermissionCatalog = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+      scopes: SCOPE_TYPES,
+      templates: Object.entries(ROLE_TEMPLATES).map(([key, template]) => ({ key, ...template }))
+    }
+  });
+};
+
+// @desc    List roles with how many users hold each
+// @route   GET /api/admin/roles
+// @access  Private (role:manage)
+exports.getRoles = async (req, res) => {
+  try {
+    const [roles, holders] = await Promise.all([
+      Role.find().sort('name'),
+      User.aggregate([
+        { $unwind: '$roleAssignments' },
+        { $group: { _id: '$roleAssignments.role', users: { $addToSet: '$_id' } } }
+      ])
+    ]);
+    const holderCount = new Map(holders.map(entry => [entry._id.toString(), entry.users.length]));
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles.map(role => ({
+        ...role.toObject(),
+        userCount: holderCount.get(role._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Define a role, optionally starting from a template
+// @route   POST /api/admin/roles
+// @access  Private (role:manage)
+exports.createRole = async (req, res) => {
+  try {
+    let { name, description, permissions, template } = req.body;
+
+    if (template) {
+      const base = ROLE_TEMPLATES[template];
+      if (!base) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown template. Use one of: ${Object.keys(ROLE_TEMPLATES).join(', ')}`
+        });
+      }
+      name = name || base.name;
+      description = description || base.description;
+      permissions = permissions || base.permissions;
+    }
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a role name'
+      });
+    }
+
+    const problem = validatePermissions(permissions || []);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const missing = await beyondOwnPermissions(req, permissions || []);
+    if (missing.length > 0) {
+      return refuseEscalation(res, missing);
+    }
+
+    if (await Role.exists({ name: String(name).trim() })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions || [])],
+      createdBy: req.user.id
+    });
+
+    await logActivity(req, 'CREATE_ROLE', `Created role ${role.name}`, 'Role', role._id);
+
+    res.status(201).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Rename a role or change its permissions
+// @route   PUT /api/admin/roles/:id
+// @access  Private (role:manage)
+exports.updateRole = async (req, res) => {
+  try {
+    const role = mongoose.Types.ObjectId.isValid(req.params.id) ? await Role.findById(req.params.id) : null;
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    if (permissions !== undefined) {
+      const problem = validatePermissions(permissions);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+      const added = permissions.filter(permission => !role.permissions.includes(permission));
+      const missing = await beyondOwnPermissions(req, added);
+      if (missing.length > 0) {
+        return refuseEscalation(res, missing);
+      }
+      role.permissions = [...new Set(permissions)];
+    }
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role name cannot be empty'
+        });
+      }
+      if (await Role.exists({ name: String(name).trim(), _id: { $ne: role._id } })) {
+        return res.status(400).json({
+          success: false,
+          message: 'A role with this name already exists'
+        });
+      }
+      role.name = name;
+    }
+    if (description !== undefined) role.description = description;
+
+    await role.save();
+
+    await logActivity(req, 'UPDATE_ROLE', `Updated role ${role.name}: ${role.permissions.join(', ') || 'no permissions'}`, 'Role', role._id);
+
+    res.status(200).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a role and take it away from everyone holding it
+// @route   DELETE /api/admin/roles/:id
+// @access  Private (role:manage)
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = mongoose.Types.ObjectId.isValid(req.params.id) ? await Role.findById(req.params.id) : null;
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const result = await User.updateMany(
+      { 'roleAssignments.role': role._id },
+      { $pull: { roleAssignments: { role: role._id } } }
+    );
+    await role.deleteOne();
+
+    await logActivity(req, 'DELETE_ROLE', `Deleted role ${role.name}, removing it from ${result.modifiedCount} user(s)`, 'Role', role._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Role deleted and removed from ${result.modifiedCount} user(s)`
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List a user's role assignments and the permissions they add up to
+// @route   GET /api/admin/users/:userId/roles
+// @access  Private (role:manage)
+exports.getUserRoles = async (req, res) => {
+  try {
+    const user = mongoose.Types.ObjectId.isValid(req.params.userId)
+      ? await User.findById(req.params.userId)
+        .select('fullName email role roleAssignments')
+        .populate('roleAssignments.role', 'name description permissions')
+        .populate('roleAssignments.department', 'name code')
+        .populate('roleAssignments.assignedBy', 'fullName email')
+      : null;
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: { _id: user._id, fullName: user.fullName, email: user.email, role: user.role },
+        assignments: user.roleAssignments,
+        permissions: await permissionSummary(user)
+      }
+    });
+  } catch (error) {
+    console.error('Get user roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Assign a role to a user, everywhere or for one department or faculty
+// @route   POST /api/admin/users/:userId/roles
+// @access  Private (role:manage)
+exports.assignRole = async (req, res) => {
+  try {
+    const { role: roleId, department, faculty } = req.body;
+
+    const ids = [req.params.userId, roleId, department, faculty].filter(id => id !== undefined && id !== null && id !== '');
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+    if (department && faculty) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scope a role to a department or a faculty, not both'
+      });
+    }
+
+    const [user, role] = await Promise.all([
+      User.findById(req.params.userId).select('fullName email roleAssignments'),
+      roleId ? Role.findById(roleId) : null
+    ]);
+    if (!user || !role) {
+      return res.status(404).json({
+        success: false,
+        message: user ? 'Role not found' : 'User not found'
+      });
+    }
+
+    const missing = await beyondOwnPermissions(req, role.permissions, faculty ? undefined : department);
+    if (missing.length > 0) {
+      return refuseEscalation(res, missing);
+    }
+
+    let scopeLabel = 'everywhere';
+    if (department) {
+      const found = await Department.findById(department).select('name');
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          message: 'Department not found'
+        });
+      }
+      scopeLabel = `for ${found.name}`;
+    }
+    if (faculty) {
+      if (!(await Department.exists({ faculty }))) {
+        return res.status(404).json({
+          success: false,
+          message: 'No departments belong to this faculty'
+        });
+      }
+      scopeLabel = `for faculty ${faculty}`;
+    }
+
+    const sameScope = (assignment) => assignment.role.toString() === role._id.toString() &&
+      String(assignment.department || '') === String(department || '') &&
+      String(assignment.faculty || '') === String(faculty || '');
+    if (user.roleAssignments.some(sameScope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The user already has this role with this scope'
+      });
+    }
+
+    user.roleAssignments.push({
+      role: role._id,
+      department: department || undefined,
+      faculty: faculty || undefined,
+      assignedBy: req.user.id
+    });
+    await user.save({ validateBeforeSave: false });
+
+    await logActivity(req, 'ASSIGN_ROLE', `Gave ${user.fullName} (${user.email}) the role ${role.name} ${scopeLabel}`, 'User', user._id);
+
+    res.status(201).json({
+      success: true,
+      data: user.roleAssignments[user.roleAssignments.length - 1]
+    });
+  } catch (error) {
+    console.error('Assign role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Take a role assignment away from a user
+// @route   DELETE /api/admin/users/:userId/roles/:assignmentId
+// @access  Private (role:manage)
+exports.removeRoleAssignment = async (req, res) => {
+  try {
+    const { userId, assignmentId } = req.params;
+
+    const user = mongoose.Types.ObjectId.isValid(userId)
+      ? await User.findById(userId).select('fullName email roleAssignments').populate('roleAssignments.role', 'name')
+      : null;
+    const assignment = user && mongoose.Types.ObjectId.isValid(assignmentId) ? user.roleAssignments.id(assignmentId) : null;
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: user ? 'Role assignment not found' : 'User not found'
+      });
+    }
+
+    const roleName = assignment.role ? assignment.role.name : 'a deleted role';
+    user.roleAssignments.pull(assignment._id);
+    await user.save({ validateBeforeSave: false });
+
+    await logActivity(req, 'REMOVE_ROLE', `Took the role ${roleName} away from ${user.fullName} (${user.email})`, 'User', user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role assignment removed'
+    });
+  } catch (error) {
+    console.error('Remove role assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,549 @@
+const mongoose = require('mongoose');
+const Schedule = require('../models/Schedule');
+const Course = require('../models/Course');
+const Lecturer = require('../models/Lecturer');
+const Department = require('../models/Department');
+const AcademicSession = require('../models/AcademicSession');
+const Venue = require('../models/Venue');
+const { expandOccurrences, findOverride, getOccurrences } = require('../services/scheduleOccurrenceService');
+const { checkOccurrenceBooking, getVenueBookings } = require('../services/venueBookingService');
+const { dayKey, getCourseRosters } = require('../services/examConflictService');
+const { inDepartmentScope } = require('../services/permissionService');
+const {
+  parseDay,
+  parseOfficeHours,
+  buildPeriods,
+  generateClassTimetable
+} = require('../services/classTimetableGenerator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Load a schedule the current user may manage: the lecturer teaching it, or on admin routes
+// anyone holding the route's schedule permission for the course's department
+const loadSchedule = async (req, res) => {
+  const schedule = await Schedule.findById(req.params.id)
+    .populate('course', 'code title department')
+    .populate('academicSession', 'name startDate endDate semesters');
+
+  if (!schedule) {
+    res.status(404).json({
+      success: false,
+      message: 'Schedule not found'
+    });
+    return null;
+  }
+
+  const teaches = schedule.lecturer && schedule.lecturer.toString() === req.user.id;
+  const permitted = req.permissionScope &&
+    await inDepartmentScope(req.permissionScope, schedule.course && schedule.course.department);
+  if (!teaches && !permitted) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to modify this schedule'
+    });
+    return null;
+  }
+
+  return schedule;
+};
+
+// Find the occurrence the series generated for the :date parameter
+const findOccurrence = (schedule, date) => expandOccurrences(schedule, null, null, { includeCanceled: true })
+  .find(occurrence => dayKey(occurrence.originalDate) === date);
+
+// @desc    Get the occurrences of a class schedule
+// @route   GET /api/admin/schedules/:id/occurrences
+// @route   GET /api/lecturer/schedules/:id/occurrences
+// @access  Private (schedule:read for the course's department, or the schedule's lecturer)
+exports.getScheduleOccurrences = async (req, res) => {
+  try {
+    const schedule = await loadSchedule(req, res);
+    if (!schedule) return;
+
+    const { from, to, includeCanceled = 'true' } = req.query;
+    const occurrences = expandOccurrences(schedule, from, to, {
+      includeCanceled: includeCanceled === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      count: occurrences.length,
+      data: {
+        schedule: {
+          _id: schedule._id,
+          course: schedule.course,
+          time: schedule.time,
+          duration: schedule.duration,
+          venue: schedule.venue,
+          isRecurring: schedule.isRecurring,
+          recurrencePattern: schedule.recurrencePattern,
+          academicSession: schedule.academicSession,
+          semester: schedule.semester,
+          status: schedule.status
+        },
+        occurrences
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel, move or change the venue of a single occurrence
+// @route   PUT /api/admin/schedules/:id/occurrences/:date
+// @route   PUT /api/lecturer/schedules/:id/occurrences/:date
+// @access  Private (schedule:manage for the course's department, or the schedule's lecturer)
+exports.overrideOccurrence = async (req, res) => {
+  try {
+    const { cancel = false, date, time, duration, venue, reason, allowConflicts = false } = req.body;
+
+    if (!DATE_PATTERN.test(req.params.date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Occurrence date must be in YYYY-MM-DD format'
+      });
+    }
+
+    if (!cancel && !date && !time && !duration && !venue) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please set cancel, or provide a new date, time, duration or venue'
+      });
+    }
+
+    if (date && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date'
+      });
+    }
+
+    const schedule = await loadSchedule(req, res);
+    if (!schedule) return;
+
+    const occurrence = findOccurrence(schedule, req.params.date);
+    if (!occurrence) {
+      return res.status(404).json({
+        success: false,
+        message: `No class in this series on ${req.params.date}`
+      });
+    }
+
+    // Changes build on any earlier override of the same occurrence
+    const previous = findOverride(schedule, occurrence.originalDate);
+    const override = {
+      originalDate: occurrence.originalDate,
+      status: cancel ? 'canceled' : 'rescheduled',
+      date: date ? new Date(date) : previous && previous.date,
+      time: time || (previous && previous.time),
+      duration: duration || (previous && previous.duration),
+      venue: venue || (previous && previous.venue),
+      venueRef: venue ? undefined : previous && previous.venueRef,
+      reason: reason || (previous && previous.reason),
+      updatedBy: req.user.id
+    };
+
+    schedule.overrides = schedule.overrides.filter(item => item !== previous);
+    schedule.overrides.push(override);
+
+    let booking = { conflicts: [], capacity: [] };
+    if (!cancel) {
+      const [changed] = expandOccurrences(schedule, null, null, { includeCanceled: true })
+        .filter(item => dayKey(item.originalDate) === req.params.date);
+
+      booking = await checkOccurrenceBooking(schedule, changed);
+
+      if (booking.conflicts.length > 0 && !allowConflicts) {
+        return res.status(400).json({
+          success: false,
+          message: `${changed.venue} is already booked during this time`,
+          conflicts: booking.conflicts,
+          suggestion: 'Choose another venue or time, or resend the request with allowConflicts: true to save anyway'
+        });
+      }
+
+      if (booking.venue && override.venue) {
+        const saved = schedule.overrides[schedule.overrides.length - 1];
+        saved.venueRef = booking.venue._id;
+        saved.venue = booking.venue.name;
+      }
+    }
+
+    await schedule.save();
+
+    const [updated] = expandOccurrences(schedule, null, null, { includeCanceled: true })
+      .filter(item => dayKey(item.originalDate) === req.params.date);
+
+    res.status(200).json({
+      success: true,
+      message: cancel ? 'Class cancelled for this date' : 'Class updated for this date',
+      data: updated,
+      warnings: booking.conflicts.length > 0 || booking.capacity.length > 0
+        ? { conflicts: booking.conflicts, capacity: booking.capacity }
+        : undefined
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Restore a single occurrence to the series defaults
+// @route   DELETE /api/admin/schedules/:id/occurrences/:date
+// @route   DELETE /api/lecturer/schedules/:id/occurrences/:date
+// @access  Private (schedule:manage for the course's department, or the schedule's lecturer)
+exports.restoreOccurrence = async (req, res) => {
+  try {
+    const schedule = await loadSchedule(req, res);
+    if (!schedule) return;
+
+    const override = DATE_PATTERN.test(req.params.date) &&
+      findOverride(schedule, new Date(`${req.params.date}T00:00:00.000Z`));
+
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        message: `No changes recorded for ${req.params.date}`
+      });
+    }
+
+    schedule.overrides = schedule.overrides.filter(item => item !== override);
+    await schedule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Occurrence restored to the regular schedule',
+      data: findOccurrence(schedule, req.params.date)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the lecturer's own class occurrences for a date range
+// @route   GET /api/lecturer/schedules
+// @access  Private/Lecturer
+exports.getLecturerOccurrences = async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 6 * DAY_MS);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to < from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date range (from and to)'
+      });
+    }
+
+    const occurrences = await getOccurrences({ lecturer: req.user.id }, from, to, { includeCanceled: true });
+
+    res.status(200).json({
+      success: true,
+      count: occurrences.length,
+      data: occurrences
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// Turn dated occurrences into weekly blocks ({ day, startTime, endTime })
+const weeklyBlocks = (occurrences) => occurrences.map(occurrence => ({
+  day: occurrence.date.getUTCDay(),
+  startTime: occurrence.startTime,
+  endTime: occurrence.endTime
+}));
+
+// @desc    Generate a clash-free weekly class timetable for a department, level and semester
+// @route   POST /api/admin/schedules/generate
+// @access  Private/Admin
+exports.generateClassTimetable = async (req, res) => {
+  try {
+    const {
+      department,
+      level,
+      semester,
+      academicSession: sessionId,
+      courses: courseIds,
+      days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+      dayStart = '08:00',
+      dayEnd = '18:00',
+      periodMinutes = 60,
+      breaks = [{ startTime: '12:00', endTime: '13:00' }],
+      minutesPerCredit = 60,
+      maxMeetingMinutes = 120,
+      venues: venueIds,
+      replaceExisting = false,
+      dryRun = false
+    } = req.body;
+
+    if (!department || !level || !semester) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide department, level and semester'
+      });
+    }
+
+    const weekdays = (Array.isArray(days) ? days : []).map(parseDay);
+    if (weekdays.length === 0 || weekdays.some(day => day < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Days must be weekday names such as Monday'
+      });
+    }
+
+    if (!TIME_PATTERN.test(dayStart) || !TIME_PATTERN.test(dayEnd) ||
+        !Array.isArray(breaks) || breaks.some(item => !TIME_PATTERN.test(item.startTime) || !TIME_PATTERN.test(item.endTime))) {
+      return res.status(400).json({
+        success: false,
+        message: 'dayStart, dayEnd and breaks must use HH:MM format'
+      });
+    }
+
+    const lengths = { periodMinutes, minutesPerCredit, maxMeetingMinutes };
+    const invalidLength = Object.keys(lengths).find(key => !(Number.isInteger(Number(lengths[key])) && Number(lengths[key]) > 0));
+    if (invalidLength) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidLength} must be a positive whole number of minutes`
+      });
+    }
+
+    const periods = buildPeriods(dayStart, dayEnd, Number(periodMinutes), breaks);
+    if (periods.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The teaching day does not contain any periods'
+      });
+    }
+
+    const session = sessionId
+      ? await AcademicSession.findById(sessionId)
+      : await AcademicSession.getCurrent();
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Academic session not found'
+      });
+    }
+
+    // Course.department holds either the department ID or its name
+    const dept = await Department.findOne(/^[a-f\d]{24}$/i.test(department)
+      ? { _id: department }
+      : {
+          $or: [
+            { name: { $regex: new RegExp(`^${String(department).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') } },
+            { code: String(department).toUpperCase() }
+          ]
+        });
+    const departmentValues = dept ? [dept._id, dept.name, dept.code] : [department];
+
+    // Classes run for the semester, or the whole session if it has no semester dates
+    const term = (session.semesters || []).find(item => item.startDate && item.endDate &&
+      String(item.name || '').toLowerCase().includes(String(semester).toLowerCase())) || session;
+    const from = term.startDate;
+    const to = term.endDate;
+
+    const bucket = await Course.find({
+      department: { $in: departmentValues },
+      level: String(level),
+      semester,
+      academicSession: session._id,
+      isActive: true
+    }).select('code title credits isCompulsory lecturer');
+
+    const selected = Array.isArray(courseIds) && courseIds.length > 0
+      ? bucket.filter(course => courseIds.includes(course._id.toString()))
+      : bucket;
+
+    if (selected.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No active courses found for this department, level and semester'
+      });
+    }
+
+    const existing = await Schedule.find({
+      course: { $in: bucket.map(course => course._id) },
+      academicSession: session._id
+    }).populate('academicSession', 'startDate endDate semesters');
+
+    const selectedIds = new Set(selected.map(course => course._id.toString()));
+    const replaced = replaceExisting
+      ? existing.filter(schedule => selectedIds.has(schedule.course.toString()))
+      : [];
+    const replacedIds = new Set(replaced.map(schedule => schedule._id.toString()));
+
+    // Without replaceExisting, courses that already have classes are left alone
+    const alreadyScheduled = new Set(existing
+      .filter(schedule => !replacedIds.has(schedule._id.toString()))
+      .map(schedule => schedule.course.toString()));
+    const toGenerate = selected.filter(course => !alreadyScheduled.has(course._id.toString()));
+
+    // Lecturer availability: office hours and classes for their other courses
+    const lecturers = await Lecturer.find({
+      _id: { $in: toGenerate.flatMap(course => course.lecturer) }
+    }).select('user officeHours');
+    const userOf = new Map(lecturers.map(lecturer => [lecturer._id.toString(), lecturer.user.toString()]));
+
+    const lecturerBusy = new Map();
+    const addBusy = (map, key, blocks) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(...blocks);
+    };
+
+    lecturers.forEach(lecturer => addBusy(lecturerBusy, lecturer.user.toString(), parseOfficeHours(lecturer.officeHours)));
+
+    const otherClasses = await getOccurrences(
+      { lecturer: { $in: [...userOf.values()] }, _id: { $nin: [...replacedIds] } },
+      from,
+      to
+    );
+    otherClasses.forEach(occurrence => addBusy(lecturerBusy, occurrence.lecturer.toString(), weeklyBlocks([occurrence])));
+
+    // Venue availability, ignoring exam bookings and the classes being replaced
+    const venues = Array.isArray(venueIds) && venueIds.length > 0
+      ? await Venue.find({ _id: { $in: venueIds }, isActive: true })
+      : await Venue.find({ isActive: true, type: { $ne: 'exam-hall' } });
+
+    if (venues.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No active venues available. Register venues first.'
+      });
+    }
+
+    const venueBusy = new Map();
+    for (const venue of venues) {
+      const bookings = await getVenueBookings(venue, from, to);
+      addBusy(venueBusy, venue.name, weeklyBlocks(bookings.filter(booking =>
+        booking.type === 'class' && !replacedIds.has(booking.reference.toString()))));
+    }
+
+    // Compulsory courses of this level that keep their current classes still block those times
+    const compulsoryIds = new Set(bucket.filter(course => course.isCompulsory).map(course => course._id.toString()));
+    const compulsoryBusy = weeklyBlocks(existing
+      .filter(schedule => compulsoryIds.has(schedule.course.toString()) && !replacedIds.has(schedule._id.toString()))
+      .flatMap(schedule => expandOccurrences(schedule, from, to)));
+
+    const rosters = await getCourseRosters(toGenerate.map(course => course._id));
+
+    const result = generateClassTimetable({
+      courses: toGenerate.map(course => ({
+        _id: course._id,
+        code: course.code,
+        credits: course.credits,
+        isCompulsory: course.isCompulsory,
+        lecturers: course.lecturer.map(id => userOf.get(id.toString())).filter(Boolean)
+      })),
+      rosters,
+      days: weekdays,
+      periods,
+      venues: venues.map(venue => ({ _id: venue._id, name: venue.name, capacity: venue.capacity })),
+      lecturerBusy,
+      venueBusy,
+      compulsoryBusy,
+      minutesPerCredit: Number(minutesPerCredit),
+      maxMeetingMinutes: Number(maxMeetingMinutes)
+    });
+
+    // Each weekly meeting becomes a weekly series starting on its first day in the term
+    const firstDay = dayKey(from);
+    const schedules = result.sessions.map(meeting => {
+      const date = new Date(`${firstDay}T00:00:00.000Z`);
+      date.setUTCDate(date.getUTCDate() + ((meeting.day - date.getUTCDay() + 7) % 7));
+
+      return {
+        course: meeting.course,
+        lecturer: meeting.lecturers[0],
+        date,
+        time: meeting.startTime,
+        duration: meeting.duration,
+        venue: meeting.venue,
+        venueRef: meeting.venueRef,
+        isRecurring: true,
+        recurrencePattern: 'weekly',
+        academicSession: session._id,
+        semester,
+        notes: meeting.parts > 1 ? `Meeting ${meeting.part} of ${meeting.parts} each week` : undefined,
+        createdBy: req.user.id
+      };
+    });
+
+    const skipped = selected
+      .filter(course => alreadyScheduled.has(course._id.toString()))
+      .map(course => ({ course: course._id, code: course.code, reason: 'Already has class schedules (use replaceExisting)' }));
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: `Generated ${schedules.length} weekly classes (not saved)`,
+        data: {
+          timetable: result.sessions,
+          unscheduled: [...result.unscheduled, ...skipped],
+          stats: result.stats
+        }
+      });
+    }
+
+    const transaction = await mongoose.startSession();
+    let created;
+    try {
+      transaction.startTransaction();
+      if (replaced.length > 0) {
+        await Schedule.deleteMany({ _id: { $in: [...replacedIds] } }, { session: transaction });
+      }
+      created = await Schedule.insertMany(schedules, { session: transaction });
+      await transaction.commitTransaction();
+    } catch (error) {
+      await transaction.abortTransaction();
+      throw error;
+    } finally {
+      transaction.endSession();
+    }
+
+    const populated = await Schedule.find({ _id: { $in: created.map(schedule => schedule._id) } })
+      .populate('course', 'code title')
+      .populate('lecturer', 'fullName email')
+      .sort({ date: 1, time: 1 });
+
+    res.status(201).json({
+      success: true,
+      message: `Created ${created.length} weekly classes${replaced.length > 0 ? `, replacing ${replaced.length}` : ''}`,
+      data: populated,
+      timetable: result.sessions,
+      unscheduled: [...result.unscheduled, ...skipped],
+      stats: result.stats
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
@@ -12,6 +12,12 @@ const mongoose = require('mongoose');
 const path = require('path');
 const fs = require('fs');
 const { formatDepartmentInfo } = require('../utils/responseHelpers');
+const { getOccurrences } = require('../services/scheduleOccurrenceService');
+const { dueDateFor, applyStudentDeadline } = require('../services/deadlineService');
+const { getAcademicRecord, unmetRequirements } = require('../services/prerequisiteService');
+
+// How far ahead the dashboard looks for upcoming classes
+const UPCOMING_SCHEDULE_DAYS = 14;
 
 // @desc    Get student dashboard data
 // @route   GET /api/students/:id/dashboard
@@ -46,14 +52,19 @@ exports.getDashboard = async (req, res) => {
       dueDate: { $gte: new Date() }
     }).sort('dueDate');
 
-    // Get upcoming schedule
-    const schedule = await Schedule.find({
-      course: { $in: student.courses },
-      date: { $gte: new Date() }
-    })
-    .populate('course', 'name code')
-    .sort('date startTime')
-    .limit(5);
+    // Get upcoming classes, with recurring series expanded and per-class changes applied
+    const now = new Date();
+    const today = now.toISOString().slice(0, 10);
+    const currentTime = now.toISOString().slice(11, 16);
+    const occurrences = await getOccurrences(
+      { course: { $in: student.courses.map(course => course._id) } },
+      now,
+      new Date(now.getTime() + UPCOMING_SCHEDULE_DAYS * 24 * 60 * 60 * 1000),
+      { includeCanceled: true }
+    );
+    const schedule = occurrences
+      .filter(occurrence => occurrence.date.toISOString().slice(0, 10) > today || occurrence.endTime > currentTime)
+      .slice(0, 5);
     
     // Get study groups
     const studyGroups = await StudyGroup.find({
@@ -548,14 +559,20 @@ exports.getAvailableCourses = async (req, res) => {
           path: 'user',
           select: 'fullName email'
         }
-      });
+      })
+      .populate('prerequisites.course', 'code title')
+      .populate('corequisites', 'code title');
+    
+    const record = await getAcademicRecord(student);
     
-    // Add enrollment status
+    // Add enrollment status, and lock courses whose requirements are not met yet
     const coursesWithStatus = availableCourses.map(course => {
       const courseObj = course.toObject();
       courseObj.isEnrolled = student.courses.some(c => 
         c.toString() === course._id.toString()
       );
+      courseObj.unmetRequirements = courseObj.isEnrolled ? [] : unmetRequirements(course, record);
+      courseObj.isLocked = courseObj.unmetRequirements.length > 0;
       return courseObj;
     });
     
@@ -582,7 +599,19 @@ exports.getAvailableCourses = async (req, res) => {
     });
   }
 };
-// @desc    Enroll in a course
+
+// Why a course cannot be enrolled in right now, or null when it can
+const enrollmentProblem = (course, activeSession) => {
+  if (course.isActive === false) {
+    return `${course.code} is not open for enrollment`;
+  }
+  if (activeSession && course.academicSession && course.academicSession.toString() !== activeSession._id.toString()) {
+    return `${course.code} is not offered in the current academic session`;
+  }
+  return null;
+};
+
+// @desc    Enroll in a course, optionally together with its co-requisites (body: { corequisites: [courseId] })
 // @route   POST /api/student/courses/:courseId/enroll
 // @access  Private/Student
 exports.enrollInCourse = async (req, res) => {
@@ -590,7 +619,9 @@ exports.enrollInCourse = async (req, res) => {
     const { courseId } = req.params;
     
     // Validate the course exists
-    const course = await Course.findById(courseId);
+    const course = await Course.findById(courseId)
+      .populate('prerequisites.course', 'code title')
+      .populate('corequisites', 'code title');
     if (!course) {
       return res.status(404).json({
         success: false,
@@ -619,19 +650,70 @@ exports.enrollInCourse = async (req, res) => {
       });
     }
     
-    // Enroll the student - add course to their list
-    student.courses.push(courseId);
+    // Co-requisites taken at the same time are enrolled in alongside this course
+    const alongsideIds = [].concat(req.body.corequisites || []).map(String);
+    const corequisiteIds = (course.corequisites || []).filter(Boolean).map(c => c._id.toString());
+    const notCorequisite = alongsideIds.filter(id => !corequisiteIds.includes(id));
+    if (notCorequisite.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Only co-requisites of ${course.code} can be enrolled in alongside it`
+      });
+    }
+    
+    const alongside = alongsideIds.length === 0 ? [] : await Course.find({ _id: { $in: alongsideIds } })
+      .populate('prerequisites.course', 'code title')
+      .populate('corequisites', 'code title');
+    if (alongside.length !== new Set(alongsideIds).size) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more co-requisite courses were not found'
+      });
+    }
+    const enrolling = [course, ...alongside.filter(c => !student.courses.some(id => id.toString() === c._id.toString()))];
+    const enrollingIds = new Set(enrolling.map(c => c._id.toString()));
+
+    // Co-requisites enrolled in alongside must be open to enrollment just like the course itself
+    const activeSession = await AcademicSession.findOne({ isActive: true }).select('_id');
+    const unavailable = enrolling.map(c => enrollmentProblem(c, activeSession)).filter(Boolean);
+    if (unavailable.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: unavailable.join('. ')
+      });
+    }
+    
+    // Every course being enrolled in must have its prerequisites and co-requisites met
+    const record = await getAcademicRecord(student);
+    const blocked = enrolling
+      .map(c => ({
+        course: { _id: c._id, code: c.code, title: c.title },
+        unmetRequirements: unmetRequirements(c, record, { alongside: enrollingIds })
+      }))
+      .filter(item => item.unmetRequirements.length > 0);
+    
+    if (blocked.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You do not meet the requirements for ${blocked.map(item => item.course.code).join(', ')}`,
+        data: blocked
+      });
+    }
+    
+    // Enroll the student - add courses to their list
+    enrolling.forEach(c => student.courses.push(c._id));
     await student.save();
     
     res.status(200).json({
       success: true,
-      message: `Successfully enrolled in ${course.code}: ${course.title}`,
+      message: `Successfully enrolled in ${enrolling.map(c => `${c.code}: ${c.title}`).join(', ')}`,
       data: {
         course: {
           _id: course._id,
           code: course.code,
           title: course.title
         },
+        corequisites: enrolling.slice(1).map(c => ({ _id: c._id, code: c.code, title: c.title })),
         enrollmentDate: new Date()
       }
     });
@@ -1361,7 +1443,7 @@ exports.getCourseDetails = async (req, res) => {
         // Check if overdue
         const now = new Date();
         assignmentObj.submissionStatus = {
-          status: now > assignment.dueDate ? 'overdue' : 'pending',
+          status: now > dueDateFor(assignment, student._id) ? 'overdue' : 'pending',
           hasGrade: false,
           grade: null
         };
@@ -1369,6 +1451,7 @@ exports.getCourseDetails = async (req, res) => {
       
       // Remove other students' submissions for privacy
       delete assignmentObj.submissions;
+      applyStudentDeadline(assignmentObj, assignment, student._id);
       
       return assignmentObj;
     });
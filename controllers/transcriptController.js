@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const Settings = require('../models/Settings');
+const { getTranscript, transcriptToPdf } = require('../services/transcriptService');
+const { sendPdf } = require('../utils/pdf');
+
+const studentDetails = (student) => ({
+  _id: student._id,
+  name: student.user?.fullName,
+  email: student.user?.email,
+  matricNumber: student.matricNumber,
+  department: student.department,
+  level: student.level,
+  program: student.program
+});
+
+// Respond with a transcript as JSON, or as a PDF when ?format=pdf
+const sendTranscript = async (req, res, student) => {
+  const transcript = await getTranscript(student);
+  const details = studentDetails(student);
+
+  if (req.query.format === 'pdf') {
+    const settings = await Settings.findOne().select('siteName');
+    const buffer = transcriptToPdf(transcript, details, settings ? settings.siteName : undefined);
+    return sendPdf(res, `transcript-${details.matricNumber || student._id}.pdf`, buffer);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      student: details,
+      ...transcript
+    }
+  });
+};
+
+// @desc    Get the current student's transcript with GPA and CGPA
+// @route   GET /api/student/transcript
+// @access  Private (Student)
+exports.getMyTranscript = async (req, res) => {
+  try {
+    const student = await Student.findOne({ user: req.user.id })
+      .select('user matricNumber department level program')
+      .populate('user', 'fullName email');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    await sendTranscript(req, res, student);
+  } catch (error) {
+    console.error('Error getting transcript:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a student's transcript (by student or user ID)
+ * @route   GET /api/admin/students/:id/transcript
+ * @access  Private/Admin
+ */
+exports.getStudentTranscript = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid student ID'
+      });
+    }
+
+    const student = await Student.findOne({ $or: [{ _id: id }, { user: id }] })
+      .select('user matricNumber department level program')
+      .populate('user', 'fullName email');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    await sendTranscript(req, res, student);
+  } catch (error) {
+    console.error('Error getting student transcript:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting student transcript',
+      error: error.message
+    });
+  }
+};
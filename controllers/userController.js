@@ -3,6 +3,8 @@ const Course = require('../models/Course');
 const FAQ = require('../models/FAQ');
 const Student = require('../models/Student');
 const Lecturer = require('../models/Lecturer');
+const User = require('../models/User');
+const { revokeUserSessions } = require('../services/sessionService');
 
 // @desc    Change password (including for first login)
 // @route   PUT /api/users/change-password
@@ -39,6 +41,9 @@ exports.changePassword = async (req, res) => {
     
     await user.save();
     
+    // Sign out every other device; this one stays signed in
+    await revokeUserSessions(user._id, 'password_changed', { revokedBy: user._id, except: req.session && req.session._id });
+    
     res.status(200).json({
       success: true,
       message: 'Password updated successfully'
@@ -0,0 +1,290 @@
+const Venue = require('../models/Venue');
+const Schedule = require('../models/Schedule');
+const ExamTimetable = require('../models/ExamTimetable');
+const { resolveVenue, getVenueBookings, buildAvailability } = require('../services/venueBookingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range the availability query will expand
+const MAX_AVAILABILITY_DAYS = 62;
+
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// @desc    Get all venues
+// @route   GET /api/venues
+// @access  Private
+exports.getVenues = async (req, res) => {
+  try {
+    const { building, type, minCapacity, search, includeInactive } = req.query;
+
+    const query = {};
+    if (includeInactive !== 'true') query.isActive = true;
+    if (building) query.building = { $regex: building, $options: 'i' };
+    if (type) query.type = type;
+    if (minCapacity) query.capacity = { $gte: parseInt(minCapacity) };
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { code: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const venues = await Venue.find(query)
+      .populate('department', 'name code')
+      .sort({ building: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: venues.length,
+      data: venues
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a single venue
+// @route   GET /api/venues/:id
+// @access  Private
+exports.getVenue = async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id)
+      .populate('department', 'name code');
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: venue
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a venue
+// @route   POST /api/venues
+// @access  Private/Admin
+exports.createVenue = async (req, res) => {
+  try {
+    const { name, code, capacity } = req.body;
+
+    if (!name || !capacity) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide venue name and capacity'
+      });
+    }
+
+    const existingVenue = await resolveVenue(name) || (code && await resolveVenue(code));
+
+    if (existingVenue) {
+      return res.status(400).json({
+        success: false,
+        message: 'Venue with this name or code already exists'
+      });
+    }
+
+    const venue = await Venue.create({
+      ...req.body,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Venue created successfully',
+      data: venue
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a venue
+// @route   PUT /api/venues/:id
+// @access  Private/Admin
+exports.updateVenue = async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id);
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue not found'
+      });
+    }
+
+    const previousName = venue.name;
+    const fields = ['name', 'code', 'building', 'floor', 'capacity', 'examCapacity',
+      'type', 'facilities', 'department', 'isActive', 'notes'];
+
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) venue[field] = req.body[field];
+    });
+
+    await venue.save();
+
+    // Keep the display name on existing bookings in step with the registry
+    if (venue.name !== previousName) {
+      await Promise.all([
+        Schedule.updateMany({ venueRef: venue._id }, { venue: venue.name }),
+        ExamTimetable.updateMany(
+          { 'sessions.venueRef': venue._id },
+          { $set: { 'sessions.$[session].venue': venue.name } },
+          { arrayFilters: [{ 'session.venueRef': venue._id }] }
+        )
+      ]);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Venue updated successfully',
+      data: venue
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a venue
+// @route   DELETE /api/venues/:id
+// @access  Private/Admin
+exports.deleteVenue = async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id);
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue not found'
+      });
+    }
+
+    const today = new Date(new Date().toISOString().slice(0, 10));
+    const [classes, exams] = await Promise.all([
+      Schedule.countDocuments({
+        venueRef: venue._id,
+        status: { $ne: 'canceled' },
+        $or: [{ date: { $gte: today } }, { isRecurring: true }]
+      }),
+      ExamTimetable.countDocuments({
+        sessions: { $elemMatch: { venueRef: venue._id, date: { $gte: today } } }
+      })
+    ]);
+
+    if (classes > 0 || exams > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Venue has upcoming bookings. Move them or deactivate the venue instead.',
+        data: { classes, examTimetables: exams }
+      });
+    }
+
+    await venue.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Venue deleted successfully',
+      data: { id: req.params.id }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get bookings and free periods of a venue for a date range
+// @route   GET /api/venues/:id/availability
+// @access  Private
+exports.getVenueAvailability = async (req, res) => {
+  try {
+    const { dayStart = '08:00', dayEnd = '18:00' } = req.query;
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 6 * DAY_MS);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to < from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date range (from and to)'
+      });
+    }
+
+    if ((to - from) / DAY_MS > MAX_AVAILABILITY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot be longer than ${MAX_AVAILABILITY_DAYS} days`
+      });
+    }
+
+    if (!TIME_PATTERN.test(dayStart) || !TIME_PATTERN.test(dayEnd)) {
+      return res.status(400).json({
+        success: false,
+        message: 'dayStart and dayEnd must be in HH:MM format'
+      });
+    }
+
+    const venue = await Venue.findById(req.params.id);
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue not found'
+      });
+    }
+
+    const bookings = await getVenueBookings(venue, from, to);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        venue: {
+          _id: venue._id,
+          name: venue.name,
+          code: venue.code,
+          building: venue.building,
+          capacity: venue.capacity,
+          isActive: venue.isActive
+        },
+        from: from.toISOString().slice(0, 10),
+        to: to.toISOString().slice(0, 10),
+        days: buildAvailability(bookings, from, to, dayStart, dayEnd)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
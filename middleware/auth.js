@@ -1,5 +1,4 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { verifyAccessToken } = require('../services/sessionService');
 
 // Protect routes - verify token and attach user to request
 exports.protect = async (req, res, next) => {
@@ -24,36 +23,27 @@ exports.protect = async (req, res, next) => {
       });
     }
     
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Find user by ID
-      const user = await User.findById(decoded.id);
-      
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
-      
-      // Attach user to request
-      req.user = {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-        fullName: user.fullName,
-        passwordChangeRequired: user.passwordChangeRequired
-      };
-      
-      next();
-    } catch (error) {
+    // Verify token and check its session has not been logged out or revoked
+    const { user, session, error } = await verifyAccessToken(token);
+    
+    if (error) {
       return res.status(401).json({
         success: false,
-        message: 'Token is invalid or expired'
+        message: error
       });
     }
+    
+    // Attach user and session to request
+    req.user = {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      fullName: user.fullName,
+      passwordChangeRequired: user.passwordChangeRequired
+    };
+    req.session = session;
+    
+    next();
   } catch (error) {
     console.error('Auth middleware error:', error);
     res.status(500).json({
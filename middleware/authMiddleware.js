@@ -1,6 +1,9 @@
 // middleware/authMiddleware.js
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const { verifyAccessToken } = require('../services/sessionService');
+const { permissionScope } = require('../services/permissionService');
+const { PERMISSIONS } = require('../config/permissions');
 
 // Protect routes
 exports.protect = async (req, res, next) => {
@@ -27,19 +30,20 @@ exports.protect = async (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Set user in req
-    req.user = await User.findById(decoded.id);
+    // Verify token and check its session has not been logged out or revoked
+    const { user, session, error } = await verifyAccessToken(token);
     
-    if (!req.user) {
+    if (error) {
       return res.status(401).json({
         success: false,
         message: 'Not authorized to access this route'
       });
     }
 
+    // Set user and session in req
+    req.user = user;
+    req.session = session;
+
     next();
   } catch (error) {
     return res.status(401).json({
@@ -69,4 +73,65 @@ exports.authorize = (...roles) => {
     
     next();
   };
-};
\ No newline at end of file
+};
+
+// Grant access to holders of a named permission (see config/permissions.js)
+// Routes marked scoped also accept department or faculty grants; they must then limit their
+// work to req.permissionScope.departments unless req.permissionScope.all is set.
+exports.requirePermission = (permission, { scoped = false } = {}) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission '${permission}'`);
+  }
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, no token'
+      });
+    }
+
+    try {
+      const scope = await permissionScope(req.user, permission);
+
+      if (!scope.all && !(scoped && scope.departments.length > 0)) {
+        return res.status(403).json({
+          success: false,
+          message: `You do not have the '${permission}' permission`
+        });
+      }
+
+      req.permissionScope = scope;
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error while checking permissions'
+      });
+    }
+  };
+};
+
+// Only admins may change admin accounts, so user management permissions cannot be used to take one over
+exports.protectAdminAccounts = async (req, res, next) => {
+  try {
+    const targetId = req.params.userId || req.params.id;
+    if (req.user.role !== 'admin' && mongoose.Types.ObjectId.isValid(targetId)) {
+      const target = await User.findById(targetId).select('role');
+      if (target && target.role === 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only administrators can change administrator accounts'
+        });
+      }
+    }
+    next();
+  } catch (error) {
+    console.error('Admin account check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while checking permissions'
+    });
+  }
+};
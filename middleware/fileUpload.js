@@ -125,6 +125,19 @@ const resourceUpload = multer({
   }
 });
 
+// Spreadsheets are kept in memory because they are read once and not stored
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv and .xlsx files are allowed!'), false);
+    }
+  }
+});
+
 // Export functions - fixed names to be consistent
 module.exports = {
   // Single file uploads
@@ -141,5 +154,6 @@ module.exports = {
   assignmentFiles: (fieldName, maxCount) => assignmentUpload.array(fieldName, maxCount),
   resourceFile: (fieldName) => courseResourceUpload.single(fieldName),
   courseRepChatFile: (fieldName, maxCount) => courseRepChatUpload.array(fieldName, maxCount),
-  uploadFile: (fieldName, maxSize = 10) => resourceUpload.single(fieldName)
+  uploadFile: (fieldName, maxSize = 10) => resourceUpload.single(fieldName),
+  spreadsheet: (fieldName) => spreadsheetUpload.single(fieldName)
 };
\ No newline at end of file
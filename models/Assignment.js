@@ -1,6 +1,82 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+// A snapshot of what a student handed in; versions are only ever appended
+const submissionVersionSchema = new Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  submittedAt: {
+    type: Date,
+    required: true
+  },
+  files: [{
+    filename: String,
+    fileUrl: String,
+    mimeType: String,
+    size: Number
+  }],
+  comments: String,
+  isLate: {
+    type: Boolean,
+    default: false
+  },
+  // Minutes past the deadline, and the penalty (%) that applied when this version was handed in
+  minutesLate: {
+    type: Number,
+    default: 0
+  },
+  latePenalty: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Mark given for one rubric criterion
+const rubricMarkSchema = new Schema({
+  criterion: Schema.Types.ObjectId,
+  title: String,
+  level: Schema.Types.ObjectId,
+  levelLabel: String,
+  points: Number,
+  maxPoints: Number,
+  comment: String
+}, { _id: false });
+
+const gradeSuggestionSchema = new Schema({
+  score: Number,
+  // Version the suggestion was made for
+  version: Number,
+  rubric: [rubricMarkSchema],
+  feedback: String,
+  provider: String,
+  model: String,
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'dismissed'],
+    default: 'pending'
+  },
+  // Whether the lecturer changed the score, rubric marks or feedback when accepting
+  edited: {
+    type: Boolean,
+    default: false
+  },
+  requestedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  reviewedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, { _id: false });
+
 const submissionSchema = new Schema({
   student: {
     type: Schema.Types.ObjectId,
@@ -20,8 +96,17 @@ const submissionSchema = new Schema({
   comments: {
     type: String
   },
+  versions: [submissionVersionSchema],
   grade: {
     score: Number,
+    // Version the grade was given for
+    version: Number,
+    // Score expressed in the assignment's grading scheme
+    percentage: Number,
+    letter: String,
+    display: String,
+    // Criterion-by-criterion marks when the assignment has a rubric
+    rubric: [rubricMarkSchema],
     feedback: String,
     gradedBy: {
       type: Schema.Types.ObjectId,
@@ -29,6 +114,13 @@ const submissionSchema = new Schema({
     },
     gradedAt: Date
   },
+  // Draft grade from the grading assistant; it only becomes the grade once a lecturer accepts it
+  gradeSuggestion: gradeSuggestionSchema,
+  // Result of the latest similarity check against other submissions
+  similarity: {
+    score: Number,
+    checkedAt: Date
+  },
   status: {
     type: String,
     enum: ['submitted', 'late', 'graded', 'returned'],
@@ -36,6 +128,62 @@ const submissionSchema = new Schema({
   }
 });
 
+// One row of a grading rubric, with a descriptor and points for each level of performance
+const rubricCriterionSchema = new Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  levels: [{
+    label: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: String,
+    points: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }]
+});
+
+// A personal deadline for one student. Entries are never deleted, so they double as the audit trail.
+const extensionSchema = new Schema({
+  student: {
+    type: Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  grantedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  grantedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokeReason: String
+});
+
 // Main Assignment Schema
 const assignmentSchema = new Schema({
   title: {
@@ -110,7 +258,9 @@ const assignmentSchema = new Schema({
     type: String,
     enum: ['points', 'percentage', 'letter'],
     default: 'points'
-  }
+  },
+  rubric: [rubricCriterionSchema],
+  extensions: [extensionSchema]
 }, { timestamps: true });
 
 // Indexes for efficient queries
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const attendanceRecordSchema = new Schema({
+  student: {
+    type: Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  present: {
+    type: Boolean,
+    default: true
+  },
+  method: {
+    type: String,
+    enum: ['code', 'qr', 'manual'],
+    default: 'code'
+  },
+  checkedInAt: {
+    type: Date,
+    default: Date.now
+  },
+  markedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// An attendance window opened for one occurrence of a class schedule
+const attendanceSessionSchema = new Schema({
+  schedule: {
+    type: Schema.Types.ObjectId,
+    ref: 'Schedule',
+    required: true
+  },
+  course: {
+    type: Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // Date the schedule series generated for the occurrence
+  occurrenceDate: {
+    type: Date,
+    required: true
+  },
+  // Date and time the class actually took place (after any reschedule)
+  date: {
+    type: Date,
+    required: true
+  },
+  startTime: String,
+  endTime: String,
+  venue: String,
+  openedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Seed for the rotating check-in code; never sent to students
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  codeInterval: {
+    type: Number,
+    default: 30, // Seconds each code stays valid
+    min: 10
+  },
+  opensAt: {
+    type: Date,
+    default: Date.now
+  },
+  closesAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  closedAt: Date,
+  records: [attendanceRecordSchema],
+  // Wrong codes entered by each student; too many and the student can no longer check in to this window
+  failedCheckIns: [{
+    _id: false,
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: 'Student'
+    },
+    count: {
+      type: Number,
+      default: 0
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+attendanceSessionSchema.index({ schedule: 1, occurrenceDate: 1 }, { unique: true });
+attendanceSessionSchema.index({ course: 1, date: 1 });
+attendanceSessionSchema.index({ status: 1, closesAt: 1 });
+
+// Whether students can still check in
+attendanceSessionSchema.methods.isAcceptingCheckIns = function(now = new Date()) {
+  return this.status === 'open' && this.opensAt <= now && now <= this.closesAt;
+};
+
+const AttendanceSession = mongoose.model('AttendanceSession', attendanceSessionSchema);
+module.exports = AttendanceSession;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Recent failed or repeated requests to a sign-in endpoint, per account or per IP address
+const authThrottleSchema = new Schema({
+  // e.g. "login:account:jane@example.com" or "login:ip:10.0.0.1"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: Date,
+  // No further attempts are accepted before this time
+  blockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Records are removed once the counting window has passed
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthThrottle = mongoose.model('AuthThrottle', authThrottleSchema);
+module.exports = AuthThrottle;
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const optionSchema = new Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  isCorrect: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// A reusable question in a course's question bank; quizzes take copies of it
+const bankQuestionSchema = new Schema({
+  course: {
+    type: Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['mcq', 'multi_select', 'true_false', 'short_answer'],
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Please add the question text'],
+    trim: true
+  },
+  options: [optionSchema],
+  acceptedAnswers: [{
+    type: String,
+    trim: true
+  }],
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  points: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  explanation: String,
+  topic: {
+    type: String,
+    trim: true
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard']
+  },
+  learningOutcome: {
+    type: String,
+    trim: true
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  source: {
+    type: String,
+    enum: ['manual', 'csv', 'ai'],
+    default: 'manual'
+  },
+  // Questions already used in quizzes are archived instead of deleted so their statistics remain
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+bankQuestionSchema.index({ course: 1, isArchived: 1 });
+bankQuestionSchema.index({ course: 1, tags: 1 });
+
+const BankQuestion = mongoose.model('BankQuestion', bankQuestionSchema);
+module.exports = BankQuestion;
@@ -61,6 +61,21 @@ const CourseSchema = new Schema({
     type: Boolean,
     default: false
   },
+  // Courses that must be passed first; minimumGrade is the lowest letter that counts (any pass when empty)
+  prerequisites: [{
+    _id: false,
+    course: {
+      type: Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true
+    },
+    minimumGrade: String
+  }],
+  // Courses that must be taken in the same semester unless already passed
+  corequisites: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Course'
+  }],
   sessionHistory: [{
     session: {
       type: Schema.Types.ObjectId,
@@ -20,6 +20,34 @@ const EnrollmentSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Final course score (percentage) and grade point behind the letter grade, set when a gradebook is published
+  score: {
+    type: Number,
+    default: null
+  },
+  gradePoint: {
+    type: Number,
+    default: null
+  },
+  gradedAt: Date,
+  // Session and semester the current grade was earned in
+  academicSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicSession'
+  },
+  semester: String,
+  // Earlier graded attempts when a student repeats the course
+  previousAttempts: [{
+    grade: String,
+    score: Number,
+    gradePoint: Number,
+    academicSession: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AcademicSession'
+    },
+    semester: String,
+    gradedAt: Date
+  }],
   remarks: {
     type: String
   },
@@ -35,6 +35,11 @@ const examSessionSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Registered venue the session was resolved to, if any
+  venueRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Venue'
+  },
   invigilators: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Lecturer'
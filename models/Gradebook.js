@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A weighted part of the final course score
+const componentSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Please name the grade component'],
+    trim: true
+  },
+  // Where scores come from: graded assignments, online quizzes, attendance registers or scores entered by the lecturer
+  source: {
+    type: String,
+    enum: ['assignments', 'quizzes', 'attendance', 'manual'],
+    default: 'manual'
+  },
+  weight: {
+    type: Number,
+    required: [true, 'Please give the component a weight'],
+    min: 0,
+    max: 100
+  },
+  // Assignments counted by an assignments component; empty means every assignment not claimed by another component
+  assignments: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Assignment'
+  }],
+  // Quizzes counted by a quizzes component; empty means every quiz not claimed by another component
+  quizzes: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Quiz'
+  }],
+  // Number of lowest assignment or quiz scores ignored
+  dropLowest: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Highest score a lecturer can enter for a manual component (e.g. 30 for a test marked out of 30)
+  maxScore: {
+    type: Number,
+    default: 100,
+    min: 1
+  }
+});
+
+const gradingBandSchema = new Schema({
+  letter: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lowest final score (percentage) that earns the letter
+  minScore: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  gradePoint: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const scoreSchema = new Schema({
+  student: {
+    type: Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  component: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Grading configuration and manually entered scores of one course in one academic session
+const gradebookSchema = new Schema({
+  course: {
+    type: Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  academicSession: {
+    type: Schema.Types.ObjectId,
+    ref: 'AcademicSession'
+  },
+  components: [componentSchema],
+  gradingScale: [gradingBandSchema],
+  scores: [scoreSchema],
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  publishedAt: Date,
+  publishedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+gradebookSchema.index({ course: 1, academicSession: 1 }, { unique: true });
+
+const Gradebook = mongoose.model('Gradebook', gradebookSchema);
+module.exports = Gradebook;
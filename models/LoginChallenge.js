@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// The second step of a sign-in: issued once the password is right, completed with a one-time code
+const loginChallengeSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the challenge token given to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Method asked for first; the user may switch to an email code or a recovery code
+  method: {
+    type: String,
+    enum: ['totp', 'email'],
+    required: true
+  },
+  // SHA-256 of the code last emailed for this challenge
+  emailCodeHash: {
+    type: String,
+    select: false
+  },
+  emailSentAt: Date,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  ipAddress: String,
+  userAgent: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Challenges are removed as soon as they expire
+loginChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginChallenge = mongoose.model('LoginChallenge', loginChallengeSchema);
+module.exports = LoginChallenge;
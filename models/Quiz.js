@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const optionSchema = new Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  isCorrect: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// One question; options are used by choice questions, acceptedAnswers by short-answer questions
+const quizQuestionSchema = new Schema({
+  type: {
+    type: String,
+    enum: ['mcq', 'multi_select', 'true_false', 'short_answer'],
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Please add the question text'],
+    trim: true
+  },
+  options: [optionSchema],
+  // Short-answer responses that earn full marks; none means the answer is marked by hand
+  acceptedAnswers: [{
+    type: String,
+    trim: true
+  }],
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  points: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  explanation: String,
+  // Question bank entry this question was drawn from (its options keep the bank's option IDs)
+  bankQuestion: {
+    type: Schema.Types.ObjectId,
+    ref: 'BankQuestion'
+  }
+});
+
+// A timed quiz or test taken online by the students of a course
+const quizSchema = new Schema({
+  title: {
+    type: String,
+    required: [true, 'Please add a title'],
+    trim: true
+  },
+  description: String,
+  instructions: String,
+  course: {
+    type: Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  academicSession: {
+    type: Schema.Types.ObjectId,
+    ref: 'AcademicSession'
+  },
+  lecturer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Lecturer'
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  questions: [quizQuestionSchema],
+  // Minutes allowed from starting an attempt; empty means untimed
+  timeLimitMinutes: {
+    type: Number,
+    min: 1
+  },
+  availableFrom: Date,
+  availableUntil: Date,
+  maxAttempts: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Which attempt counts when several are allowed
+  scoringPolicy: {
+    type: String,
+    enum: ['highest', 'latest', 'average'],
+    default: 'highest'
+  },
+  shuffleQuestions: {
+    type: Boolean,
+    default: true
+  },
+  shuffleOptions: {
+    type: Boolean,
+    default: true
+  },
+  // When students see correct answers and explanations
+  showAnswers: {
+    type: String,
+    enum: ['after_submit', 'after_close', 'never'],
+    default: 'after_close'
+  },
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  publishedAt: Date,
+  source: {
+    type: String,
+    enum: ['manual', 'ai', 'bank'],
+    default: 'manual'
+  }
+}, {
+  timestamps: true
+});
+
+quizSchema.virtual('totalPoints').get(function() {
+  return (this.questions || []).reduce((sum, question) => sum + (question.points || 0), 0);
+});
+
+// Whether students can start an attempt at the given time
+quizSchema.methods.isOpen = function(now = new Date()) {
+  return this.isPublished &&
+    (!this.availableFrom || now >= this.availableFrom) &&
+    (!this.availableUntil || now <= this.availableUntil);
+};
+
+quizSchema.index({ course: 1, academicSession: 1 });
+quizSchema.index({ 'questions.bankQuestion': 1 });
+
+const Quiz = mongoose.model('Quiz', quizSchema);
+module.exports = Quiz;
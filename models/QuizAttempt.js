@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const answerSchema = new Schema({
+  question: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  // Chosen option IDs for choice questions
+  selected: [Schema.Types.ObjectId],
+  // Typed response for short-answer questions
+  text: String,
+  isCorrect: Boolean,
+  pointsAwarded: {
+    type: Number,
+    default: 0
+  },
+  // Short answers with no accepted answer wait for the lecturer
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+  reviewedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  feedback: String
+}, { _id: false });
+
+// One student's attempt at a quiz
+const quizAttemptSchema = new Schema({
+  quiz: {
+    type: Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  course: {
+    type: Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  student: {
+    type: Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the attempt closes: the time limit or the end of the availability window, whichever comes first
+  deadline: Date,
+  submittedAt: Date,
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted', 'timed_out'],
+    default: 'in_progress'
+  },
+  // Order the questions and their options were shown in
+  questionOrder: [Schema.Types.ObjectId],
+  optionOrder: [{
+    _id: false,
+    question: Schema.Types.ObjectId,
+    options: [Schema.Types.ObjectId]
+  }],
+  answers: [answerSchema],
+  score: Number,
+  maxScore: Number,
+  percentage: Number,
+  needsReview: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+quizAttemptSchema.index({ quiz: 1, student: 1, number: 1 }, { unique: true });
+quizAttemptSchema.index({ student: 1, course: 1 });
+
+const QuizAttempt = mongoose.model('QuizAttempt', quizAttemptSchema);
+module.exports = QuizAttempt;
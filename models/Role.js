@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { PERMISSIONS } = require('../config/permissions');
+
+// A named set of permissions that can be assigned to users, globally or for a department or faculty
+const roleSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  permissions: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS)
+  }],
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const Role = mongoose.model('Role', roleSchema);
+module.exports = Role;
@@ -2,6 +2,46 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+// Change to a single occurrence of a recurring series (cancellation, move or venue change)
+const occurrenceOverrideSchema = new Schema({
+  // Date the series generated for the occurrence
+  originalDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['canceled', 'rescheduled'],
+    default: 'rescheduled'
+  },
+  date: {
+    type: Date
+  },
+  time: {
+    type: String
+  },
+  duration: {
+    type: Number,
+    min: 1
+  },
+  venue: {
+    type: String
+  },
+  venueRef: {
+    type: Schema.Types.ObjectId,
+    ref: 'Venue'
+  },
+  reason: {
+    type: String
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
 const scheduleSchema = new Schema({
   course: {
     type: Schema.Types.ObjectId,
@@ -21,10 +61,20 @@ const scheduleSchema = new Schema({
     type: String,
     required: true
   },
+  duration: {
+    type: Number,
+    default: 60, // Length of the class in minutes
+    min: 1
+  },
   venue: {
     type: String,
     required: true
   },
+  // Registered venue the booking was resolved to, if any
+  venueRef: {
+    type: Schema.Types.ObjectId,
+    ref: 'Venue'
+  },
   isRecurring: {
     type: Boolean,
     default: false
@@ -38,6 +88,11 @@ const scheduleSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'AcademicSession'
   },
+  // Semester name within the academic session; recurring classes run until it ends
+  semester: {
+    type: String
+  },
+  overrides: [occurrenceOverrideSchema],
   status: {
     type: String,
     enum: ['scheduled', 'canceled', 'rescheduled', 'completed'],
@@ -59,6 +114,7 @@ scheduleSchema.index({ course: 1, date: 1 });
 scheduleSchema.index({ lecturer: 1, date: 1 });
 scheduleSchema.index({ academicSession: 1 });
 scheduleSchema.index({ date: 1, status: 1 });
+scheduleSchema.index({ venueRef: 1, date: 1 });
 
 const Schedule = mongoose.model('Schedule', scheduleSchema);
 module.exports = Schedule;
\ No newline at end of file
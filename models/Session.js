@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A signed-in device. Its refresh token is replaced on every use; the tokens it has
+// handed out before are kept (hashed) so that replaying an old one can be detected.
+const sessionSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the refresh token that is currently valid
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  device: String,
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokeReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'admin', 'token_reuse', 'password_changed']
+  }
+}, {
+  timestamps: true
+});
+
+// Whether the session can still be used at the given time
+sessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Ended sessions are kept for a month as a record of sign-ins, then removed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const Session = mongoose.model('Session', sessionSchema);
+module.exports = Session;
@@ -29,6 +29,90 @@ const SettingsSchema = new mongoose.Schema({
   },
   logoUrl: String,
   faviconUrl: String,
+  // Default grading scale for course gradebooks and transcripts
+  gradingScale: {
+    type: [{
+      _id: false,
+      letter: String,
+      minScore: Number,
+      gradePoint: Number
+    }],
+    default: [
+      { letter: 'A', minScore: 70, gradePoint: 5 },
+      { letter: 'B', minScore: 60, gradePoint: 4 },
+      { letter: 'C', minScore: 50, gradePoint: 3 },
+      { letter: 'D', minScore: 45, gradePoint: 2 },
+      { letter: 'E', minScore: 40, gradePoint: 1 },
+      { letter: 'F', minScore: 0, gradePoint: 0 }
+    ]
+  },
+  transcriptSettings: {
+    // Which attempt of a repeated course counts towards the CGPA
+    repeatPolicy: {
+      type: String,
+      enum: ['latest', 'best', 'all'],
+      default: 'latest'
+    }
+  },
+  attendanceSettings: {
+    // Minimum attendance (%) for a student to be eligible to sit a course's exam
+    threshold: {
+      type: Number,
+      default: 75,
+      min: 0,
+      max: 100
+    },
+    // Seconds each rotating check-in code stays valid
+    codeRotationSeconds: {
+      type: Number,
+      default: 30,
+      min: 10
+    },
+    // Minutes a check-in window stays open unless the lecturer chooses otherwise
+    windowMinutes: {
+      type: Number,
+      default: 15,
+      min: 1
+    }
+  },
+  twoFactorSettings: {
+    // Roles that must pass a second step at sign-in; users without an authenticator app get an email code
+    requiredRoles: [{
+      type: String,
+      enum: ['student', 'lecturer', 'admin']
+    }],
+    // Minutes a sign-in challenge, and the code emailed for it, stays valid
+    challengeMinutes: {
+      type: Number,
+      default: 10,
+      min: 1,
+      max: 60
+    },
+    // Wrong codes allowed before the challenge is cancelled and the password must be entered again
+    maxAttempts: {
+      type: Number,
+      default: 5,
+      min: 1
+    }
+  },
+  loginSecuritySettings: {
+    // Consecutive failed logins before the account is locked
+    maxFailedLogins: {
+      type: Number,
+      default: 5,
+      min: 1
+    },
+    lockoutMinutes: {
+      type: Number,
+      default: 15,
+      min: 1
+    },
+    // Email users when they sign in from a device not seen before
+    newDeviceAlerts: {
+      type: Boolean,
+      default: true
+    }
+  },
   updatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Text extracted from an assignment submission, kept so similarity checks do not re-read every file
+const submissionTextSchema = new Schema({
+  submission: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  assignment: {
+    type: Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  course: {
+    type: Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  academicSession: {
+    type: Schema.Types.ObjectId,
+    ref: 'AcademicSession'
+  },
+  student: {
+    type: Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  wordCount: {
+    type: Number,
+    default: 0
+  },
+  // Identifies the files the text came from; a resubmission changes it and forces re-extraction
+  signature: {
+    type: String,
+    required: true
+  },
+  extractionErrors: [String],
+  extractedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+submissionTextSchema.index({ submission: 1 }, { unique: true });
+submissionTextSchema.index({ course: 1, academicSession: 1 });
+
+const SubmissionText = mongoose.model('SubmissionText', submissionTextSchema);
+module.exports = SubmissionText;
@@ -79,11 +79,84 @@ const UserSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  calendarToken: {
+    type: String,
+    select: false,
+    index: { unique: true, sparse: true }
+  },
   verificationCode: String,
   verificationCodeExpire: Date,
+  // Wrong guesses at the current verification code; the code is discarded after too many
+  verificationCodeAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Roles granting named permissions on top of the account role; no department or faculty means everywhere
+  roleAssignments: [{
+    role: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Role',
+      required: true
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department'
+    },
+    faculty: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Faculty'
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Consecutive failed logins, reset by a successful one
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  // Logins are refused until this time after too many failures
+  lockedUntil: Date,
   isVerified: {
     type: Boolean,
     default: false
+  },
+  // Second sign-in step: an authenticator app (TOTP) or a code sent by email
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    method: {
+      type: String,
+      enum: ['totp', 'email']
+    },
+    totpSecret: {
+      type: String,
+      select: false
+    },
+    // Secret shown during set-up, kept until the first code from the app confirms it
+    pendingTotpSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted app code, so a code cannot be used twice
+    lastTotpStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
   }
 }, { timestamps: true });
 
@@ -102,10 +175,10 @@ UserSchema.pre('save', async function(next) {
   }
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
+// Sign JWT for a session and return
+UserSchema.methods.getSignedJwtToken = function(sessionId) {
   return jwt.sign(
-    { id: this._id, role: this.role },
+    { id: this._id, role: this.role, sid: sessionId },
     process.env.JWT_SECRET || 'your_jwt_fallback_secret',
     { expiresIn: process.env.JWT_EXPIRES_IN || '30d' }
   );
@@ -152,4 +225,10 @@ UserSchema.methods.getEmailVerificationToken = function() {
   return verificationToken;
 };
 
+// Generate a new secret token for the user's calendar feed URL
+UserSchema.methods.getCalendarToken = function() {
+  this.calendarToken = crypto.randomBytes(24).toString('hex');
+  return this.calendarToken;
+};
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const venueSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a venue name'],
+    trim: true,
+    unique: true
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    unique: true,
+    sparse: true
+  },
+  building: {
+    type: String,
+    trim: true
+  },
+  floor: {
+    type: String,
+    trim: true
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Please provide the seating capacity'],
+    min: 1
+  },
+  // Seats usable under exam conditions, when lower than the normal capacity
+  examCapacity: {
+    type: Number,
+    min: 1
+  },
+  type: {
+    type: String,
+    enum: ['lecture-hall', 'classroom', 'laboratory', 'seminar-room', 'exam-hall', 'other'],
+    default: 'classroom'
+  },
+  facilities: [{
+    type: String,
+    trim: true
+  }],
+  department: {
+    type: Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+venueSchema.index({ building: 1, name: 1 });
+
+const Venue = mongoose.model('Venue', venueSchema);
+module.exports = Venue;
@@ -1,17 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const academicSessionController = require('../controllers/academicSessionController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
 
 // Public routes (still require authentication)
 router.get('/', protect, academicSessionController.getAllAcademicSessions);
 router.get('/current', protect, academicSessionController.getCurrentSession);
 
-// Admin-only routes
-router.post('/', protect, authorize('admin'), academicSessionController.createAcademicSession);
-router.put('/:id', protect, authorize('admin'), academicSessionController.updateAcademicSession);
-router.delete('/:id', protect, authorize('admin'), academicSessionController.deleteAcademicSession);
-router.put('/:id/activate', protect, authorize('admin'), academicSessionController.setActiveSession);
-router.put('/:id/archive', protect, authorize('admin'), academicSessionController.archiveAcademicSession);
+// Academic session management
+router.post('/', protect, requirePermission('academic-session:manage'), academicSessionController.createAcademicSession);
+router.put('/:id', protect, requirePermission('academic-session:manage'), academicSessionController.updateAcademicSession);
+router.delete('/:id', protect, requirePermission('academic-session:manage'), academicSessionController.deleteAcademicSession);
+router.put('/:id/activate', protect, requirePermission('academic-session:manage'), academicSessionController.setActiveSession);
+router.put('/:id/archive', protect, requirePermission('academic-session:manage'), academicSessionController.archiveAcademicSession);
 
 module.exports = router;
\ No newline at end of file
@@ -1,138 +1,177 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, requirePermission, protectAdminAccounts } = require('../middleware/authMiddleware');
 const fileUpload = require('../middleware/fileUpload');
 const examTimetableController = require('../controllers/examTimetableController');
 const academicSessionController = require('../controllers/academicSessionController');
+const scheduleController = require('../controllers/scheduleController');
+const transcriptController = require('../controllers/transcriptController');
+const roleController = require('../controllers/roleController');
 
-// Apply auth middleware to all routes
+// Apply auth middleware to all routes; each route then requires a named permission,
+// which admin accounts hold everywhere and other users get through assigned roles
 router.use(protect);
-router.use(authorize('admin'));
+
+// Roles and permissions
+router.get('/permissions', requirePermission('role:manage'), roleController.getPermissionCatalog);
+router.get('/roles', requirePermission('role:manage'), roleController.getRoles);
+router.post('/roles', requirePermission('role:manage'), roleController.createRole);
+router.put('/roles/:id', requirePermission('role:manage'), roleController.updateRole);
+router.delete('/roles/:id', requirePermission('role:manage'), roleController.deleteRole);
+router.get('/users/:userId/roles', requirePermission('role:manage'), roleController.getUserRoles);
+router.post('/users/:userId/roles', requirePermission('role:manage'), roleController.assignRole);
+router.delete('/users/:userId/roles/:assignmentId', requirePermission('role:manage'), roleController.removeRoleAssignment);
 
 // User management routes
-router.get('/users', adminController.getAllUsers);
-router.get('/users/:id', adminController.getUserById);
-router.put('/users/:id', adminController.updateUser);
-router.delete('/users/:id', adminController.deleteUser);
-router.post('/users', adminController.createUser);
+router.get('/users', requirePermission('user:read'), adminController.getAllUsers);
+router.get('/users/:id', requirePermission('user:read'), adminController.getUserById);
+router.put('/users/:id', requirePermission('user:manage'), protectAdminAccounts, adminController.updateUser);
+router.delete('/users/:id', requirePermission('user:manage'), protectAdminAccounts, adminController.deleteUser);
+router.post('/users', requirePermission('user:manage'), adminController.createUser);
 // router.post('/users/bulk', adminController.createUsersBulk);
-router.patch('/users/:userId/status', adminController.toggleUserStatus);
-router.patch('/users/:userId/role', adminController.changeUserRole);
-router.post('/users/:userId/reset-password', adminController.resetUserPassword);
+router.patch('/users/:userId/status', requirePermission('user:manage'), protectAdminAccounts, adminController.toggleUserStatus);
+router.patch('/users/:userId/role', requirePermission('role:manage'), adminController.changeUserRole);
+router.post('/users/:userId/reset-password', requirePermission('user:manage'), protectAdminAccounts, adminController.resetUserPassword);
+router.get('/users/:userId/sessions', requirePermission('user:read'), adminController.getUserSessions);
+router.delete('/users/:userId/sessions', requirePermission('user:manage'), protectAdminAccounts, adminController.endUserSessions);
+router.delete('/users/:userId/sessions/:sessionId', requirePermission('user:manage'), protectAdminAccounts, adminController.endUserSessions);
+router.delete('/users/:userId/two-factor', requirePermission('user:manage'), protectAdminAccounts, adminController.resetUserTwoFactor);
+router.post('/users/:userId/unlock', requirePermission('user:manage'), protectAdminAccounts, adminController.unlockUserAccount);
+router.get('/locked-accounts', requirePermission('user:read'), adminController.getLockedAccounts);
 
 // Student management
-router.get('/students', adminController.getAllStudents);
-router.post('/students', adminController.createStudent);
-router.put('/students/:id', adminController.updateStudent);
-router.delete('/students/:id', adminController.deleteStudent);
-router.get('/students/:userId/timetables', examTimetableController.getStudentTimetableByAdmin);
+router.get('/students', requirePermission('student:read'), adminController.getAllStudents);
+router.post('/students', requirePermission('student:manage'), adminController.createStudent);
+router.put('/students/:id', requirePermission('student:manage'), adminController.updateStudent);
+router.delete('/students/:id', requirePermission('student:manage'), adminController.deleteStudent);
+router.get('/students/:userId/timetables', requirePermission('student:read'), examTimetableController.getStudentTimetableByAdmin);
+router.get('/student-updates', requirePermission('student:review-updates', { scoped: true }), adminController.getPendingStudentUpdates);
+router.put('/students/:id/pending-updates', requirePermission('student:review-updates', { scoped: true }), adminController.reviewStudentUpdates);
+router.get('/students/:id/transcript', requirePermission('transcript:read'), transcriptController.getStudentTranscript);
 
 // Lecturer management
-router.get('/lecturers', adminController.getAllLecturers);
-router.post('/lecturers', adminController.createLecturer);
-router.put('/lecturers/:id', adminController.updateLecturer);
-router.delete('/lecturers/:id', adminController.deleteLecturer);
-router.get('/lecturers/department/:departmentName', adminController.getLecturersByDepartment);
-router.post('/assign-course', adminController.assignCourse);
-router.post('/assign-courses', adminController.assignMultipleCourses);
-router.delete('/courses/:courseId/lecturers/:lecturerId', adminController.removeLecturerFromCourse);
-router.put('/courses/:courseId/lecturers', adminController.updateCourseLecturers);
+router.get('/lecturers', requirePermission('lecturer:read'), adminController.getAllLecturers);
+router.post('/lecturers', requirePermission('lecturer:manage'), adminController.createLecturer);
+router.put('/lecturers/:id', requirePermission('lecturer:manage'), adminController.updateLecturer);
+router.delete('/lecturers/:id', requirePermission('lecturer:manage'), adminController.deleteLecturer);
+router.get('/lecturers/department/:departmentName', requirePermission('lecturer:read'), adminController.getLecturersByDepartment);
+router.post('/assign-course', requirePermission('course:assign', { scoped: true }), adminController.assignCourse);
+router.post('/assign-courses', requirePermission('course:assign'), adminController.assignMultipleCourses);
+router.delete('/courses/:courseId/lecturers/:lecturerId', requirePermission('course:assign'), adminController.removeLecturerFromCourse);
+router.put('/courses/:courseId/lecturers', requirePermission('course:assign'), adminController.updateCourseLecturers);
 
 // Department management
-router.get('/departments', adminController.getAllDepartments);
-router.post('/departments', adminController.createDepartment);
-router.put('/departments/:id', adminController.updateDepartment);
-router.delete('/departments/:id', adminController.deleteDepartment);
-router.get('/departments/by-name/:departmentName', adminController.getDepartmentDetails);
+router.get('/departments', requirePermission('department:read'), adminController.getAllDepartments);
+router.post('/departments', requirePermission('department:manage'), adminController.createDepartment);
+router.put('/departments/:id', requirePermission('department:manage'), adminController.updateDepartment);
+router.delete('/departments/:id', requirePermission('department:manage'), adminController.deleteDepartment);
+router.get('/departments/:id/report', requirePermission('report:read', { scoped: true }), adminController.getDepartmentReport);
+router.get('/departments/by-name/:departmentName', requirePermission('department:read'), adminController.getDepartmentDetails);
 
 // Course management
-router.post('/courses/bulk', adminController.createCoursesBulk);
-router.patch('/courses/batch', adminController.batchUpdateCourses);
-router.get('/courses/department/:departmentName', adminController.getCoursesByDepartment);
-router.get('/courses/session/:sessionId', adminController.getCoursesBySession);
-router.get('/courses', adminController.getAllCourses);
-router.post('/courses', adminController.createCourse);
-router.put('/courses/:id', adminController.updateCourse);
-router.delete('/courses/:id', adminController.deleteCourse);
-router.delete('/schedules/course/:courseId', adminController.deleteCoursesSchedules);
+router.post('/courses/bulk', requirePermission('course:manage'), adminController.createCoursesBulk);
+router.patch('/courses/batch', requirePermission('course:manage'), adminController.batchUpdateCourses);
+router.get('/courses/department/:departmentName', requirePermission('course:read'), adminController.getCoursesByDepartment);
+router.get('/courses/session/:sessionId', requirePermission('course:read'), adminController.getCoursesBySession);
+router.get('/courses', requirePermission('course:read'), adminController.getAllCourses);
+router.post('/courses', requirePermission('course:manage'), adminController.createCourse);
+router.put('/courses/:id', requirePermission('course:manage'), adminController.updateCourse);
+router.delete('/courses/:id', requirePermission('course:manage'), adminController.deleteCourse);
+router.delete('/schedules/course/:courseId', requirePermission('schedule:manage'), adminController.deleteCoursesSchedules);
 // Set course as compulsory/optional
-router.patch('/courses/:courseId/compulsory', adminController.setCourseCompulsory);
+router.patch('/courses/:courseId/compulsory', requirePermission('course:manage'), adminController.setCourseCompulsory);
 // Assign compulsory courses to matching students
-router.post('/courses/assign-compulsory', adminController.assignCompulsoryCourses);
+router.post('/courses/assign-compulsory', requirePermission('enrollment:manage'), adminController.assignCompulsoryCourses);
+// Prerequisites and co-requisites checked when students enroll
+router.get('/courses/:courseId/requirements', requirePermission('course:read'), adminController.getCourseRequirements);
+router.put('/courses/:courseId/requirements', requirePermission('course:manage'), adminController.updateCourseRequirements);
 
 // Academic session management
-router.get('/academic-sessions', adminController.getAllAcademicSessions);
-router.post('/academic-sessions', adminController.createAcademicSession);
-router.put('/academic-sessions/:id', adminController.updateAcademicSession);
-router.delete('/academic-sessions/:id', adminController.deleteAcademicSession);
-router.put('/academic-sessions/:id/activate', adminController.setActiveSession);
-router.put('/academic-sessions/:id/archive', adminController.archiveAcademicSession);
-router.post('/academic-sessions/transition', adminController.prepareSessionTransition);
+router.get('/academic-sessions', requirePermission('academic-session:manage'), adminController.getAllAcademicSessions);
+router.post('/academic-sessions', requirePermission('academic-session:manage'), adminController.createAcademicSession);
+router.put('/academic-sessions/:id', requirePermission('academic-session:manage'), adminController.updateAcademicSession);
+router.delete('/academic-sessions/:id', requirePermission('academic-session:manage'), adminController.deleteAcademicSession);
+router.put('/academic-sessions/:id/activate', requirePermission('academic-session:manage'), adminController.setActiveSession);
+router.put('/academic-sessions/:id/archive', requirePermission('academic-session:manage'), adminController.archiveAcademicSession);
+router.post('/academic-sessions/transition', requirePermission('academic-session:manage'), adminController.prepareSessionTransition);
 
 // Dashboard statistics
-router.get('/dashboard', adminController.getDashboardStats);
+router.get('/dashboard', requirePermission('report:read'), adminController.getDashboardStats);
 
 // System settings
-router.get('/settings', adminController.getSystemSettings);
-router.put('/settings', adminController.updateSystemSettings);
+router.get('/settings', requirePermission('settings:read'), adminController.getSystemSettings);
+router.put('/settings', requirePermission('settings:manage'), adminController.updateSystemSettings);
 
 // Reports & Analytics
-router.get('/reports/enrollments', adminController.getEnrollmentStats);
-router.get('/reports/lecturer-workload', adminController.getLecturerWorkload);
+router.get('/reports/enrollments', requirePermission('report:read'), adminController.getEnrollmentStats);
+router.get('/reports/lecturer-workload', requirePermission('report:read'), adminController.getLecturerWorkload);
 
 // Content Management
-router.post('/announcements', adminController.createAnnouncement);
+router.post('/announcements', requirePermission('announcement:manage'), adminController.createAnnouncement);
 
 // Schedule Management
 // router.post('/schedule', adminController.setGlobalSchedule);
-router.get('/schedules', adminController.getSchedules);
-router.post('/schedules/bulk', adminController.createBulkSchedules);
-router.put('/schedules/:id', adminController.updateSchedule);
-router.delete('/schedules/:id', adminController.deleteSchedule);
+router.get('/schedules', requirePermission('schedule:read'), adminController.getSchedules);
+router.post('/schedules/bulk', requirePermission('schedule:manage'), adminController.createBulkSchedules);
+router.post('/schedules/generate', requirePermission('schedule:manage'), scheduleController.generateClassTimetable);
+router.put('/schedules/:id', requirePermission('schedule:manage'), adminController.updateSchedule);
+router.delete('/schedules/:id', requirePermission('schedule:manage'), adminController.deleteSchedule);
+router.get('/schedules/:id/occurrences', requirePermission('schedule:read', { scoped: true }), scheduleController.getScheduleOccurrences);
+router.put('/schedules/:id/occurrences/:date', requirePermission('schedule:manage', { scoped: true }), scheduleController.overrideOccurrence);
+router.delete('/schedules/:id/occurrences/:date', requirePermission('schedule:manage', { scoped: true }), scheduleController.restoreOccurrence);
 
 // FAQ Management
-router.get('/faqs', adminController.getAllFAQs);
-router.get('/faqs/:faqId', adminController.getFAQById);
-router.post('/faqs', adminController.createFAQ);
-router.put('/faqs/:faqId', adminController.updateFAQ);
-router.delete('/faqs/:faqId', adminController.deleteFAQ);
+router.get('/faqs', requirePermission('faq:manage'), adminController.getAllFAQs);
+router.get('/faqs/:faqId', requirePermission('faq:manage'), adminController.getFAQById);
+router.post('/faqs', requirePermission('faq:manage'), adminController.createFAQ);
+router.put('/faqs/:faqId', requirePermission('faq:manage'), adminController.updateFAQ);
+router.delete('/faqs/:faqId', requirePermission('faq:manage'), adminController.deleteFAQ);
 
 // Enrollment Management
-router.get('/enrollments', adminController.getEnrollments);
-router.post('/enrollments', adminController.forceEnrollStudent);
-router.post('/enrollments/batch', adminController.batchEnrollment);
-router.post('/enrollments/import', adminController.importEnrollmentsFromCSV);
-router.patch('/enrollments/:enrollmentId', adminController.updateEnrollmentStatus);
-router.delete('/enrollments/:enrollmentId', adminController.deleteEnrollment);
+router.get('/enrollments', requirePermission('enrollment:read', { scoped: true }), adminController.getEnrollments);
+router.post('/enrollments', requirePermission('enrollment:override'), adminController.forceEnrollStudent);
+router.post('/enrollments/batch', requirePermission('enrollment:manage'), adminController.batchEnrollment);
+router.post('/enrollments/import', requirePermission('enrollment:manage'), adminController.importEnrollmentsFromCSV);
+router.patch('/enrollments/:enrollmentId', requirePermission('enrollment:manage', { scoped: true }), adminController.updateEnrollmentStatus);
+router.delete('/enrollments/:enrollmentId', requirePermission('enrollment:manage'), adminController.deleteEnrollment);
 
 // Exam Timetable Routes
 router.route('/timetables')
-  .get(examTimetableController.getAllExamTimetables)
-  .post(examTimetableController.createExamTimetable);
+  .get(requirePermission('timetable:read'), examTimetableController.getAllExamTimetables)
+  .post(requirePermission('timetable:manage'), examTimetableController.createExamTimetable);
 
 router.route('/timetables/:id')
-  .get(examTimetableController.getExamTimetable)
-  .put(examTimetableController.updateExamTimetable)
-  .delete(examTimetableController.deleteExamTimetable);
+  .get(requirePermission('timetable:read'), examTimetableController.getExamTimetable)
+  .put(requirePermission('timetable:manage'), examTimetableController.updateExamTimetable)
+  .delete(requirePermission('timetable:manage'), examTimetableController.deleteExamTimetable);
 
 // Bulk operations for exam sessions
 router.route('/timetables/:id/sessions/bulk')
-  .post(examTimetableController.bulkAddExamSessions)
-  .put(examTimetableController.bulkUpdateExamSessions)
-  .delete(examTimetableController.bulkDeleteExamSessions);
+  .post(requirePermission('timetable:manage'), examTimetableController.bulkAddExamSessions)
+  .put(requirePermission('timetable:manage'), examTimetableController.bulkUpdateExamSessions)
+  .delete(requirePermission('timetable:manage'), examTimetableController.bulkDeleteExamSessions);
 
 // Individual session route
 router.route('/timetables/:id/sessions')
-  .post(examTimetableController.addExamSession);
+  .post(requirePermission('timetable:manage'), examTimetableController.addExamSession);
 
 // Session ID route
 router.route('/timetables/:id/sessions/:sessionId')
-  .put(examTimetableController.updateExamSession)
-  .delete(examTimetableController.removeExamSession);
+  .put(requirePermission('timetable:manage'), examTimetableController.updateExamSession)
+  .delete(requirePermission('timetable:manage'), examTimetableController.removeExamSession);
 
 // Publish timetable route
 router.route('/timetables/:id/publish')
-  .put(examTimetableController.togglePublishStatus);
+  .put(requirePermission('timetable:publish'), examTimetableController.togglePublishStatus);
+
+// Draft schedule generation
+router.post('/timetables/:id/generate', requirePermission('timetable:manage'), examTimetableController.generateExamTimetable);
+
+// Clash report for a timetable
+router.get('/timetables/:id/conflicts', requirePermission('timetable:read'), examTimetableController.getTimetableConflicts);
+
+// Invigilation workload balancing
+router.get('/timetables/:id/invigilation-report', requirePermission('timetable:read'), examTimetableController.getInvigilationReport);
 
 module.exports = router;
\ No newline at end of file
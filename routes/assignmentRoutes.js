@@ -32,6 +32,17 @@ router.post(
   assignmentController.gradeSubmission
 );
 
+// Grading assistant suggestions, kept as drafts until accepted (lecturer only)
+router.route('/:id/submissions/:submissionId/suggestion')
+  .post(authorize('lecturer', 'admin'), assignmentController.requestGradeSuggestion)
+  .delete(authorize('lecturer', 'admin'), assignmentController.dismissGradeSuggestion);
+
+router.post(
+  '/:id/submissions/:submissionId/suggestion/accept',
+  authorize('lecturer', 'admin'),
+  assignmentController.acceptGradeSuggestion
+);
+
 // Get submissions for an assignment (lecturer only)
 router.get(
   '/:id/submissions',
@@ -39,6 +50,52 @@ router.get(
   assignmentController.getSubmissions
 );
 
+// Download submissions as a ZIP archive (lecturer only)
+router.get(
+  '/:id/submissions/archive',
+  authorize('lecturer', 'admin'),
+  assignmentController.downloadSubmissionsArchive
+);
+
+// Version history of a submission (lecturer only)
+router.get(
+  '/:id/submissions/:submissionId/versions',
+  authorize('lecturer', 'admin'),
+  assignmentController.getSubmissionVersions
+);
+
+// Similarity report for an assignment's submissions (lecturer only)
+router.get(
+  '/:id/similarity',
+  authorize('lecturer', 'admin'),
+  assignmentController.getSubmissionSimilarity
+);
+
+// Bulk grading through a CSV/XLSX grade sheet (lecturer only)
+router.get(
+  '/:id/grades/export',
+  authorize('lecturer', 'admin'),
+  assignmentController.exportGrades
+);
+
+router.post(
+  '/:id/grades/import',
+  authorize('lecturer', 'admin'),
+  fileUpload.spreadsheet('file'),
+  assignmentController.importGrades
+);
+
+// Per-student deadline extensions (lecturer only)
+router.route('/:id/extensions')
+  .get(authorize('lecturer', 'admin'), assignmentController.getExtensions)
+  .post(authorize('lecturer', 'admin'), assignmentController.grantExtensions);
+
+router.delete(
+  '/:id/extensions/:extensionId',
+  authorize('lecturer', 'admin'),
+  assignmentController.revokeExtension
+);
+
 // Student submission routes
 router.post(
   '/:id/submit',
@@ -22,6 +22,8 @@ router.post('/forgot-password', forgotPassword);
 router.post('/reset-password/:resetToken', authController.resetPassword);
 router.get('/verify-email/:verificationToken', verifyEmail);
 router.post('/refresh-token', refreshToken);
+router.post('/login/verify', authController.verifyLogin);
+router.post('/login/resend', authController.resendLoginCode);
 
 // Send verification code
 router.post('/send-verification', authController.sendVerificationCode);
@@ -31,9 +33,21 @@ router.post('/verify-code', authController.verifyCode);
 
 // Protected routes
 router.get('/me', protect, getCurrentUser);
+router.get('/permissions', protect, authController.getMyPermissions);
 router.put('/update-profile', protect, updateProfile);
 router.put('/change-password', protect, changePassword);
 router.post('/logout', protect, logout);
+router.post('/logout-all', protect, authController.logoutAll);
+router.get('/sessions', protect, authController.getSessions);
+router.delete('/sessions/:sessionId', protect, authController.revokeOwnSession);
+
+// Two-factor sign-in
+router.get('/2fa', protect, authController.getTwoFactorStatus);
+router.delete('/2fa', protect, authController.disableTwoFactor);
+router.post('/2fa/totp', protect, authController.setupTotp);
+router.post('/2fa/totp/confirm', protect, authController.confirmTotp);
+router.post('/2fa/email', protect, authController.enableEmailTwoFactor);
+router.post('/2fa/recovery-codes', protect, authController.regenerateRecoveryCodes);
 
 // Check if this route exists
 router.post('/register', authController.register);
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+const { protect } = require('../middleware/authMiddleware');
+
+// Feed polled by calendar apps - authenticated by the token in the URL
+router.get('/feed/:token.ics', calendarController.getCalendarFeed);
+
+// Subscription management for the logged-in user
+router.get('/subscription', protect, calendarController.getFeedSubscription);
+router.post('/subscription/reset', protect, calendarController.resetFeedSubscription);
+
+module.exports = router;
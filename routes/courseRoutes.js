@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const courseController = require('../controllers/courseController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
 const fileUpload = require('../middleware/fileUpload');
 
 // Public routes (no authentication needed)
@@ -19,33 +19,32 @@ router.get('/:id', courseController.getCourseById);
 router.get('/', courseController.getAllCourses);
 router.get('/:id/resources', courseController.getCourseResources);
 
-// Admin only routes
-router.use(authorize('admin'));
-router.post('/', protect, authorize('admin'), courseController.createCourse);
-router.put('/:id', courseController.updateCourse);
-router.delete('/:id', courseController.deleteCourse);
+// Course management
+router.post('/', requirePermission('course:manage'), courseController.createCourse);
+router.put('/:id', requirePermission('course:manage'), courseController.updateCourse);
+router.delete('/:id', requirePermission('course:manage'), courseController.deleteCourse);
 
-// Bulk operations for admin
-router.post('/bulk-create', courseController.bulkCreateCourses);
-router.post('/bulk-update', courseController.bulkUpdateCourses);
-router.post('/bulk-delete', courseController.bulkDeleteCourses);
+// Bulk operations
+router.post('/bulk-create', requirePermission('course:manage'), courseController.bulkCreateCourses);
+router.post('/bulk-update', requirePermission('course:manage'), courseController.bulkUpdateCourses);
+router.post('/bulk-delete', requirePermission('course:manage'), courseController.bulkDeleteCourses);
 
 // Enrollment management
-router.post('/:id/enroll', courseController.enrollStudents);
-router.delete('/:id/enroll', courseController.removeStudentsFromCourse);
+router.post('/:id/enroll', requirePermission('enrollment:manage'), courseController.enrollStudents);
+router.delete('/:id/enroll', requirePermission('enrollment:manage'), courseController.removeStudentsFromCourse);
 
 // Lecturer assignment
-router.post('/:id/assign-lecturer', courseController.assignLecturer);
-router.delete('/:id/lecturer', courseController.removeLecturer);
+router.post('/:id/assign-lecturer', requirePermission('course:assign'), courseController.assignLecturer);
+router.delete('/:id/lecturer', requirePermission('course:assign'), courseController.removeLecturer);
 
 // Department management
-router.get('/by-department/:departmentId', courseController.getCoursesByDepartment);
-router.get('/by-faculty/:facultyId', courseController.getCoursesByFaculty);
+router.get('/by-department/:departmentId', requirePermission('course:read'), courseController.getCoursesByDepartment);
+router.get('/by-faculty/:facultyId', requirePermission('course:read'), courseController.getCoursesByFaculty);
 
 // Academic session management
-router.get('/by-session/:sessionId', courseController.getCoursesBySession);
+router.get('/by-session/:sessionId', requirePermission('course:read'), courseController.getCoursesBySession);
 
 // Add the statistics route with the implemented controller method
-router.get('/statistics', courseController.getCourseStatistics);
+router.get('/statistics', requirePermission('report:read'), courseController.getCourseStatistics);
 
 module.exports = router;
\ No newline at end of file
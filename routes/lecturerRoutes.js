@@ -4,6 +4,12 @@ const lecturerController = require('../controllers/lecturerController');
 const resourceController = require('../controllers/resourceController');
 const assignmentController = require('../controllers/assignmentController');
 const courseRepController = require('../controllers/courseRepController');
+const examTimetableController = require('../controllers/examTimetableController');
+const scheduleController = require('../controllers/scheduleController');
+const attendanceController = require('../controllers/attendanceController');
+const gradebookController = require('../controllers/gradebookController');
+const quizController = require('../controllers/quizController');
+const questionBankController = require('../controllers/questionBankController');
 const { protect, authorize } = require('../middleware/authMiddleware');
 const fileUpload = require('../middleware/fileUpload');
 
@@ -80,4 +86,46 @@ router.delete('/tasks/:id', lecturerController.deleteTask);
 // Chat routes
 router.post('/chat', lecturerController.chatWithStudent);
 
+// Class schedule occurrences (cancel, move or re-room a single class)
+router.get('/schedules', scheduleController.getLecturerOccurrences);
+router.get('/schedules/:id/occurrences', scheduleController.getScheduleOccurrences);
+router.put('/schedules/:id/occurrences/:date', scheduleController.overrideOccurrence);
+router.delete('/schedules/:id/occurrences/:date', scheduleController.restoreOccurrence);
+
+// Class attendance (check-in windows, manual marking and registers)
+router.get('/attendance/sessions', attendanceController.getAttendanceSessions);
+router.post('/attendance/sessions', attendanceController.openAttendanceSession);
+router.get('/attendance/sessions/:id', attendanceController.getAttendanceSession);
+router.get('/attendance/sessions/:id/code', attendanceController.getAttendanceCode);
+router.put('/attendance/sessions/:id/close', attendanceController.closeAttendanceSession);
+router.post('/attendance/sessions/:id/records', attendanceController.markAttendance);
+router.get('/attendance/courses/:courseId/register', attendanceController.getCourseRegister);
+
+// Course gradebooks (weighted components, manual scores and final grades)
+router.get('/courses/:courseId/gradebook', gradebookController.getCourseGradebook);
+router.put('/courses/:courseId/gradebook', gradebookController.updateGradebook);
+router.put('/courses/:courseId/gradebook/scores', gradebookController.recordScores);
+router.post('/courses/:courseId/gradebook/publish', gradebookController.publishGrades);
+
+// Online quizzes (questions, availability windows, results and manual marking)
+router.get('/quizzes', quizController.getQuizzes);
+router.post('/quizzes', quizController.createQuiz);
+router.get('/quizzes/:id', quizController.getQuiz);
+router.put('/quizzes/:id', quizController.updateQuiz);
+router.delete('/quizzes/:id', quizController.deleteQuiz);
+router.get('/quizzes/:id/attempts', quizController.getQuizAttempts);
+router.put('/quizzes/:id/attempts/:attemptId', quizController.reviewQuizAttempt);
+
+// Course question banks (tagged questions, imports and item statistics)
+router.get('/courses/:courseId/question-bank', questionBankController.getBankQuestions);
+router.post('/courses/:courseId/question-bank', questionBankController.createBankQuestions);
+router.post('/courses/:courseId/question-bank/import', fileUpload.spreadsheet('file'), questionBankController.importBankQuestions);
+router.get('/courses/:courseId/question-bank/statistics', questionBankController.getBankStatistics);
+router.get('/question-bank/:id', questionBankController.getBankQuestion);
+router.put('/question-bank/:id', questionBankController.updateBankQuestion);
+router.delete('/question-bank/:id', questionBankController.deleteBankQuestion);
+
+// Exam timetable and invigilation duties
+router.get('/timetables', examTimetableController.getLecturerTimetable);
+
 module.exports = router;
\ No newline at end of file
@@ -4,6 +4,10 @@ const studentController = require('../controllers/studentController');
 const assignmentController = require('../controllers/assignmentController');
 const courseResourceController = require('../controllers/courseResourceController');
 const examTimetableController = require('../controllers/examTimetableController');
+const attendanceController = require('../controllers/attendanceController');
+const gradebookController = require('../controllers/gradebookController');
+const transcriptController = require('../controllers/transcriptController');
+const quizController = require('../controllers/quizController');
 const taskController = require('../controllers/taskController');
 const courseRepController = require('../controllers/courseRepController');
 const studentCourseRepController = require('../controllers/studentCourseRepController');
@@ -36,6 +40,14 @@ router.put('/assignments/:id/submit',
   fileUpload.uploadMultiple('files', 5), 
   assignmentController.updateSubmission);
 
+// Quiz routes
+router.get('/quizzes', quizController.getMyQuizzes);
+router.get('/quizzes/:id', quizController.getStudentQuiz);
+router.post('/quizzes/:id/attempts', quizController.startQuizAttempt);
+router.get('/quizzes/:id/attempts/:attemptId', quizController.getMyQuizAttempt);
+router.put('/quizzes/:id/attempts/:attemptId', quizController.saveQuizAnswers);
+router.post('/quizzes/:id/attempts/:attemptId/submit', quizController.submitQuizAttempt);
+
 // Task routes
 router.get('/tasks', studentController.getStudentTasks);
 router.get('/tasks/:id', studentController.getTaskDetails);
@@ -58,6 +70,14 @@ router.post(
   studentCourseRepController.sendMessage
 );
 
+// Grade routes
+router.get('/grades', gradebookController.getMyGrades);
+router.get('/transcript', transcriptController.getMyTranscript);
+
+// Attendance routes
+router.get('/attendance', attendanceController.getMyAttendance);
+router.post('/attendance/check-in', attendanceController.checkIn);
+
 // Timetable route
 router.get('/timetables', examTimetableController.getStudentTimetable);
 
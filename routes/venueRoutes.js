@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const venueController = require('../controllers/venueController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+
+// Apply auth middleware
+router.use(protect);
+
+// Venue lookup and availability (all authenticated users)
+router.get('/', venueController.getVenues);
+router.get('/:id', venueController.getVenue);
+router.get('/:id/availability', venueController.getVenueAvailability);
+
+// Venue management
+router.post('/', requirePermission('venue:manage'), venueController.createVenue);
+router.put('/:id', requirePermission('venue:manage'), venueController.updateVenue);
+router.delete('/:id', requirePermission('venue:manage'), venueController.deleteVenue);
+
+module.exports = router;
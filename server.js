@@ -45,6 +45,8 @@ const academicSessionRoutes = require('./routes/academicSessionRoutes');
 const assignmentRoutes = require('./routes/assignmentRoutes');
 const taskRoutes = require('./routes/taskRoutes');
 const connectionRoutes = require('./routes/connectionRoutes'); 
+const calendarRoutes = require('./routes/calendarRoutes');
+const venueRoutes = require('./routes/venueRoutes');
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 
@@ -101,6 +103,12 @@ mongoose.connection.once('open', () => {
   fixMongoIndexes();
 });
 
+// Proxies whose X-Forwarded-For is believed when working out req.ip.
+// Render puts one load balancer in front of the app; set TRUST_PROXY to a hop count or
+// proxy addresses for other deployments (0 when clients connect directly).
+const trustProxy = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -131,6 +139,8 @@ app.use('/api/assignments', assignmentRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/lecturers', require('./routes/lecturerRoutes'));
 app.use('/api/connections', connectionRoutes); // Added connectionRoutes
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/venues', venueRoutes);
 // Root route
 app.get('/', (req, res) => {
   res.send('GEM-SPACE API is running');
@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const AttendanceSession = require('../models/AttendanceSession');
+const Student = require('../models/Student');
+const Enrollment = require('../models/Enrollment');
+const Settings = require('../models/Settings');
+const { getCourseRosters } = require('./examConflictService');
+
+const QR_PREFIX = 'GEMSPACE-ATTENDANCE';
+const DEFAULT_THRESHOLD = 75;
+
+// Wrong codes a student may enter for one attendance window before check-in is refused
+const MAX_CHECK_IN_ATTEMPTS = 5;
+
+// Secret used to derive the rotating codes of one attendance window
+const generateSecret = () => crypto.randomBytes(20).toString('hex');
+
+/**
+ * Derive the 6-digit code for a time step (HOTP, RFC 4226)
+ * @param {string} secret - Hex secret of the attendance session
+ * @param {number} counter - Time step number
+ * @returns {string}
+ */
+const codeForCounter = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', Buffer.from(secret, 'hex')).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+  return String(value).padStart(6, '0');
+};
+
+const counterAt = (session, time) => Math.floor(time.getTime() / 1000 / session.codeInterval);
+
+const qrPayload = (session, code) => `${QR_PREFIX}:${session._id}:${code}`;
+
+/**
+ * Get the code currently shown for an attendance session
+ * @param {Object} session - AttendanceSession with its secret selected
+ * @param {Date} [now]
+ * @returns {Object} - { code, qrPayload, expiresAt }
+ */
+const currentCode = (session, now = new Date()) => {
+  const counter = counterAt(session, now);
+  const code = codeForCounter(session.secret, counter);
+  return {
+    code,
+    qrPayload: qrPayload(session, code),
+    expiresAt: new Date((counter + 1) * session.codeInterval * 1000)
+  };
+};
+
+/**
+ * Check a submitted code, allowing the previous code for students who typed it as it rotated
+ * @param {Object} session - AttendanceSession with its secret selected
+ * @param {string} code - Code entered by the student
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const verifyCode = (session, code, now = new Date()) => {
+  const counter = counterAt(session, now);
+  const submitted = String(code || '').trim();
+  return [counter, counter - 1].some(step => {
+    const expected = codeForCounter(session.secret, step);
+    return submitted.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(submitted), Buffer.from(expected));
+  });
+};
+
+/**
+ * Take one code attempt for a student in an attendance window, in the same
+ * update that checks the student is still below the limit
+ * @param {string} sessionId - AttendanceSession ID
+ * @param {string} studentId - Student ID
+ * @returns {Promise<boolean>} - false once the student has used all attempts
+ */
+const claimCheckInAttempt = async (sessionId, studentId) => {
+  const increment = () => AttendanceSession.findOneAndUpdate(
+    { _id: sessionId, failedCheckIns: { $elemMatch: { student: studentId, count: { $lt: MAX_CHECK_IN_ATTEMPTS } } } },
+    { $inc: { 'failedCheckIns.$.count': 1 } }
+  );
+  if (await increment()) return true;
+
+  const added = await AttendanceSession.findOneAndUpdate(
+    { _id: sessionId, 'failedCheckIns.student': { $ne: studentId } },
+    { $push: { failedCheckIns: { student: studentId, count: 1 } } }
+  );
+  if (added) return true;
+
+  // Another request may have added the student's entry in between
+  return Boolean(await increment());
+};
+
+/**
+ * Give back attempts taken by a code that turned out to be correct
+ * @param {Array} sessionIds - AttendanceSession IDs
+ * @param {string} studentId - Student ID
+ * @returns {Promise<void>}
+ */
+const releaseCheckInAttempts = async (sessionIds, studentId) => {
+  if (sessionIds.length === 0) return;
+  await AttendanceSession.updateMany(
+    { _id: { $in: sessionIds }, failedCheckIns: { $elemMatch: { student: studentId, count: { $gt: 0 } } } },
+    { $inc: { 'failedCheckIns.$.count': -1 } }
+  );
+};
+
+/**
+ * Read a scanned QR payload
+ * @param {string} payload
+ * @returns {Object|null} - { sessionId, code }
+ */
+const parseQrPayload = (payload) => {
+  const match = String(payload || '').trim().match(new RegExp(`^${QR_PREFIX}:([a-f\\d]{24}):(\\d{6})$`, 'i'));
+  return match ? { sessionId: match[1], code: match[2] } : null;
+};
+
+/**
+ * Minimum attendance percentage for exam eligibility, from system settings
+ * @returns {Promise<number>}
+ */
+const getAttendanceThreshold = async () => {
+  const settings = await Settings.findOne().select('attendanceSettings');
+  const threshold = settings && settings.attendanceSettings && settings.attendanceSettings.threshold;
+  return typeof threshold === 'number' ? threshold : DEFAULT_THRESHOLD;
+};
+
+/**
+ * Close an attendance window and record the outcome on each student's profile
+ * Registered students who did not check in are recorded as absent.
+ * @param {Object} session - AttendanceSession document
+ * @returns {Promise<Object>} - The closed session
+ */
+const closeSession = async (session) => {
+  if (session.status === 'closed') return session;
+
+  // Claimed atomically, so a window closed by a lecturer and by the expiry sweep at once is recorded only once
+  const now = new Date();
+  const closed = await AttendanceSession.findOneAndUpdate(
+    { _id: session._id, status: 'open' },
+    { $set: { status: 'closed', closedAt: now }, $min: { closesAt: now } },
+    { new: true }
+  );
+  const current = closed || await AttendanceSession.findById(session._id);
+  if (current) {
+    ['status', 'closedAt', 'closesAt', 'records'].forEach(field => { session[field] = current[field]; });
+  }
+  if (!closed) return session;
+
+  const rosters = await getCourseRosters([closed.course]);
+  const present = new Set(closed.records.filter(record => record.present).map(record => record.student.toString()));
+  const students = new Set([...(rosters.get(closed.course.toString()) || []), ...present]);
+
+  if (students.size > 0) {
+    await Student.bulkWrite([...students].map(studentId => ({
+      updateOne: {
+        filter: { _id: studentId },
+        update: {
+          $push: {
+            attendance: { date: session.date, course: session.course, present: present.has(studentId) }
+          }
+        }
+      }
+    })));
+  }
+
+  return session;
+};
+
+/**
+ * Mark a student present or absent after the fact
+ * Once the window has closed the student's profile entry is corrected as well.
+ * @param {Object} session - AttendanceSession document
+ * @param {string} studentId - Student ID
+ * @param {boolean} present
+ * @param {string} markedBy - User ID of the lecturer or admin
+ * @returns {Promise<Object>} - The updated session
+ */
+const markStudent = async (session, studentId, present, markedBy) => {
+  const record = session.records.find(item => item.student.toString() === studentId.toString());
+  if (record) {
+    record.present = present;
+    record.method = 'manual';
+    record.markedBy = markedBy;
+    record.checkedInAt = new Date();
+  } else {
+    session.records.push({ student: studentId, present, method: 'manual', markedBy });
+  }
+  await session.save();
+
+  if (session.status === 'closed') {
+    const updated = await Student.updateOne(
+      { _id: studentId, attendance: { $elemMatch: { date: session.date, course: session.course } } },
+      { $set: { 'attendance.$.present': present } }
+    );
+    if (updated.matchedCount === 0) {
+      await Student.updateOne(
+        { _id: studentId },
+        { $push: { attendance: { date: session.date, course: session.course, present } } }
+      );
+    }
+  }
+
+  return session;
+};
+
+/**
+ * Close every open window whose check-in period has passed
+ * @param {Object} [filter] - Extra AttendanceSession filter (e.g. { course })
+ * @returns {Promise<number>} - Number of sessions closed
+ */
+const closeExpiredSessions = async (filter = {}) => {
+  const expired = await AttendanceSession.find({ ...filter, status: 'open', closesAt: { $lt: new Date() } });
+  for (const session of expired) {
+    await closeSession(session);
+  }
+  return expired.length;
+};
+
+/**
+ * Courses a student is registered for, directly or through an accepted enrollment
+ * @param {Object} student - Student document
+ * @returns {Promise<Array<string>>} - Course IDs
+ */
+const getStudentCourseIds = async (student) => {
+  const enrollments = await Enrollment.find({ student: student._id, status: 'accepted' }).select('course');
+  return [...new Set([
+    ...(student.courses || []).map(course => course.toString()),
+    ...enrollments.map(enrollment => enrollment.course.toString())
+  ])];
+};
+
+/**
+ * Build the attendance register of a course
+ * @param {string} courseId
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Eligibility threshold (percentage); defaults to the system setting
+ * @returns {Promise<Object>} - { threshold, sessions, students }
+ */
+const buildRegister = async (courseId, { threshold } = {}) => {
+  await closeExpiredSessions({ course: courseId });
+
+  const limit = typeof threshold === 'number' ? threshold : await getAttendanceThreshold();
+  const sessions = await AttendanceSession.find({ course: courseId })
+    .select('date startTime endTime venue status records occurrenceDate')
+    .sort({ date: 1, startTime: 1 });
+
+  const rosters = await getCourseRosters([courseId]);
+  const studentIds = new Set(rosters.get(courseId.toString()) || []);
+  sessions.forEach(session => session.records.forEach(record => studentIds.add(record.student.toString())));
+
+  const students = await Student.find({ _id: { $in: [...studentIds] } })
+    .select('matricNumber level user')
+    .populate('user', 'fullName email');
+
+  const rows = students.map(student => {
+    const id = student._id.toString();
+    const marks = sessions.map(session => {
+      const record = session.records.find(item => item.student.toString() === id);
+      return Boolean(record && record.present);
+    });
+    const attended = marks.filter(Boolean).length;
+    const percentage = sessions.length > 0 ? Math.round((attended / sessions.length) * 1000) / 10 : 100;
+
+    return {
+      student: {
+        _id: student._id,
+        name: student.user?.fullName,
+        email: student.user?.email,
+        matricNumber: student.matricNumber,
+        level: student.level
+      },
+      marks,
+      attended,
+      total: sessions.length,
+      percentage,
+      eligible: percentage >= limit
+    };
+  }).sort((a, b) => String(a.student.matricNumber || a.student.name).localeCompare(String(b.student.matricNumber || b.student.name)));
+
+  return {
+    threshold: limit,
+    sessions: sessions.map(session => ({
+      _id: session._id,
+      date: session.date,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      venue: session.venue,
+      status: session.status,
+      present: session.records.filter(record => record.present).length
+    })),
+    students: rows
+  };
+};
+
+module.exports = {
+  MAX_CHECK_IN_ATTEMPTS,
+  generateSecret,
+  currentCode,
+  verifyCode,
+  parseQrPayload,
+  getAttendanceThreshold,
+  claimCheckInAttempt,
+  releaseCheckInAttempts,
+  closeSession,
+  markStudent,
+  closeExpiredSessions,
+  getStudentCourseIds,
+  buildRegister
+};
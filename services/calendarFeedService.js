@@ -0,0 +1,218 @@
+const ExamTimetable = require('../models/ExamTimetable');
+const Schedule = require('../models/Schedule');
+const Assignment = require('../models/Assignment');
+const Task = require('../models/Task');
+const Student = require('../models/Student');
+const Lecturer = require('../models/Lecturer');
+const Course = require('../models/Course');
+const { formatUtc, formatLocal } = require('../utils/icalendar');
+const { parseClock, formatClock, getSeriesWindow, expandOccurrences } = require('./scheduleOccurrenceService');
+const { dueDateFor } = require('./deadlineService');
+
+const UID_DOMAIN = 'gemspace';
+
+const RECURRENCE_RULES = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  biweekly: 'FREQ=WEEKLY;INTERVAL=2',
+  // Like seriesDates, skips months that have no such day
+  monthly: 'FREQ=MONTHLY'
+};
+
+// Revision number derived from the last update, so calendar apps pick up changes
+const sequenceOf = (doc) => (doc.updatedAt ? Math.floor(new Date(doc.updatedAt).getTime() / 1000) : 0);
+
+/**
+ * Find the courses whose events belong in a user's feed
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Course IDs and student or lecturer profile (if any)
+ */
+const getUserScope = async (user) => {
+  if (user.role === 'student') {
+    const student = await Student.findOne({ user: user._id }).select('courses');
+    return { courseIds: student ? student.courses : [], lecturer: null, student };
+  }
+
+  if (user.role === 'lecturer') {
+    const lecturer = await Lecturer.findOne({ user: user._id }).select('courses');
+    if (!lecturer) return { courseIds: [], lecturer: null };
+
+    const taught = await Course.find({ lecturer: lecturer._id }).select('_id');
+    const courseIds = [...new Set([
+      ...lecturer.courses.map(id => id.toString()),
+      ...taught.map(course => course._id.toString())
+    ])];
+
+    return { courseIds, lecturer };
+  }
+
+  return { courseIds: [], lecturer: null };
+};
+
+// Populated sessions keep a null course once the course is deleted
+const courseIdOf = (session) => (session.course ? (session.course._id || session.course).toString() : null);
+
+const getExamEvents = async (courseIds, lecturer) => {
+  const courseSet = new Set(courseIds.map(id => id.toString()));
+  const or = [{ 'sessions.course': { $in: courseIds } }];
+  if (lecturer) or.push({ 'sessions.invigilators': lecturer._id });
+
+  const timetables = await ExamTimetable.find({ isPublished: true, $or: or })
+    .populate('sessions.course', 'code title');
+
+  return timetables.flatMap(timetable => timetable.sessions
+    .filter(session => {
+      const courseId = courseIdOf(session);
+      const invigilating = lecturer && session.invigilators.some(id => id.toString() === lecturer._id.toString());
+      return courseSet.has(courseId) || invigilating;
+    })
+    .map(session => {
+      const courseId = courseIdOf(session);
+      // A session whose course has been deleted is still shown to its invigilators
+      const label = session.course && session.course.code ? `${session.course.code} - ${session.course.title}` : 'Exam';
+      const prefix = courseSet.has(courseId) ? 'Exam' : 'Invigilation';
+
+      return {
+        uid: `exam-${session._id}@${UID_DOMAIN}`,
+        start: formatLocal(session.date, session.startTime),
+        end: formatLocal(session.date, session.endTime),
+        summary: `${prefix}: ${label}`,
+        description: [timetable.title, session.notes].filter(Boolean).join('\n'),
+        location: session.venue,
+        sequence: sequenceOf(timetable),
+        lastModified: timetable.updatedAt
+      };
+    }));
+};
+
+const getScheduleEvents = async (courseIds, user) => {
+  const schedules = await Schedule.find({
+    $or: [{ course: { $in: courseIds } }, { lecturer: user._id }]
+  })
+    .populate('course', 'code title')
+    .populate('academicSession', 'startDate endDate semesters');
+
+  return schedules.flatMap(schedule => {
+    const start = parseClock(schedule.time);
+    const rule = schedule.isRecurring && RECURRENCE_RULES[schedule.recurrencePattern];
+    const summary = schedule.course ? `${schedule.course.code} - ${schedule.course.title}` : 'Class';
+    const uid = `schedule-${schedule._id}@${UID_DOMAIN}`;
+
+    const series = {
+      uid,
+      start: formatLocal(schedule.date, formatClock(start)),
+      end: formatLocal(schedule.date, formatClock(start + (schedule.duration || 60))),
+      summary,
+      description: schedule.notes,
+      location: schedule.venue,
+      status: schedule.status === 'canceled' ? 'CANCELLED' : 'CONFIRMED',
+      sequence: sequenceOf(schedule),
+      lastModified: schedule.updatedAt
+    };
+
+    if (!rule) {
+      // A one-off class shows its override directly
+      const [occurrence] = expandOccurrences(schedule, null, null, { includeCanceled: true });
+      if (!occurrence) return [series];
+      return [{
+        ...series,
+        start: formatLocal(occurrence.date, occurrence.startTime),
+        end: formatLocal(occurrence.date, occurrence.endTime),
+        location: occurrence.venue,
+        status: occurrence.status === 'canceled' ? 'CANCELLED' : 'CONFIRMED'
+      }];
+    }
+
+    // The series starts at its first occurrence inside the semester
+    const [first] = expandOccurrences(schedule, null, null, { includeCanceled: true });
+    if (first) {
+      series.start = formatLocal(first.originalDate, formatClock(start));
+      series.end = formatLocal(first.originalDate, formatClock(start + (schedule.duration || 60)));
+    }
+    // UNTIL is floating like DTSTART, so the last class is kept in every time zone
+    series.rrule = `${rule};UNTIL=${formatLocal(getSeriesWindow(schedule).end, '23:59')}`;
+
+    // Cancelled occurrences are excluded from the series, changed ones replace their instance
+    series.exdates = (schedule.overrides || [])
+      .filter(override => override.status === 'canceled')
+      .map(override => formatLocal(override.originalDate, formatClock(start)));
+
+    const changed = expandOccurrences(schedule, null, null)
+      .filter(occurrence => occurrence.status === 'rescheduled')
+      .map(occurrence => ({
+        ...series,
+        rrule: undefined,
+        exdates: undefined,
+        recurrenceId: formatLocal(occurrence.originalDate, formatClock(start)),
+        start: formatLocal(occurrence.date, occurrence.startTime),
+        end: formatLocal(occurrence.date, occurrence.endTime),
+        location: occurrence.venue,
+        description: [occurrence.reason, schedule.notes].filter(Boolean).join('\n')
+      }));
+
+    return [series, ...changed];
+  });
+};
+
+const getAssignmentEvents = async (courseIds, student, lecturer) => {
+  const query = lecturer
+    ? { $or: [{ lecturer: lecturer._id }, { course: { $in: courseIds } }] }
+    : { course: { $in: courseIds }, visibleToStudents: true };
+
+  const assignments = await Assignment.find(query)
+    .select('title course dueDate extensions updatedAt')
+    .populate('course', 'code');
+
+  return assignments.map(assignment => {
+    // Students see their own deadline when they have been given an extension
+    const dueDate = student ? dueDateFor(assignment, student._id) : assignment.dueDate;
+    return {
+      uid: `assignment-${assignment._id}@${UID_DOMAIN}`,
+      start: formatUtc(dueDate),
+      end: formatUtc(dueDate),
+      summary: `Due: ${assignment.title}${assignment.course ? ` (${assignment.course.code})` : ''}`,
+      sequence: sequenceOf(assignment),
+      lastModified: assignment.updatedAt
+    };
+  });
+};
+
+const getTaskEvents = async (courseIds, user) => {
+  const tasks = await Task.find({
+    dueDate: { $ne: null },
+    $or: [
+      { createdBy: user._id },
+      { course: { $in: courseIds }, visibleToStudents: true }
+    ]
+  }).populate('course', 'code');
+
+  return tasks.map(task => ({
+    uid: `task-${task._id}@${UID_DOMAIN}`,
+    start: formatUtc(task.dueDate),
+    end: formatUtc(task.dueDate),
+    summary: `Task: ${task.title}${task.course ? ` (${task.course.code})` : ''}`,
+    description: task.description,
+    status: task.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    sequence: sequenceOf(task),
+    lastModified: task.updatedAt
+  }));
+};
+
+/**
+ * Collect every calendar event for a user's feed
+ * Covers published exam sessions, lecture schedules, assignment due dates and task due dates.
+ * @param {Object} user - User document
+ * @returns {Promise<Array>} - Events accepted by utils/icalendar buildEvent
+ */
+exports.getUserCalendarEvents = async (user) => {
+  const { courseIds, lecturer, student } = await getUserScope(user);
+
+  const [exams, schedules, assignments, tasks] = await Promise.all([
+    getExamEvents(courseIds, lecturer),
+    getScheduleEvents(courseIds, user),
+    getAssignmentEvents(courseIds, student, lecturer),
+    getTaskEvents(courseIds, user)
+  ]);
+
+  return [...exams, ...schedules, ...assignments, ...tasks];
+};
@@ -0,0 +1,276 @@
+const { toMinutes } = require('./examConflictService');
+const { parseClock, formatClock } = require('./scheduleOccurrenceService');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Costs used to pick between otherwise valid placements
+const SHARED_STUDENT_PENALTY = 5;
+const LECTURER_DAY_LOAD_PENALTY = 2;
+const LATE_PERIOD_PENALTY = 1;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const intervalsOverlap = (a, b) => a.day === b.day &&
+  toMinutes(a.startTime) < toMinutes(b.endTime) &&
+  toMinutes(b.startTime) < toMinutes(a.endTime);
+
+/**
+ * Convert a day name (or abbreviation) into a weekday number, Sunday = 0
+ * @param {string|number} day
+ * @returns {number} - Weekday number, or -1 when the day is not recognised
+ */
+const parseDay = (day) => {
+  if (typeof day === 'number') return day >= 0 && day <= 6 ? day : -1;
+  const text = String(day || '').trim().toLowerCase();
+  if (text.length < 3) return -1;
+  return DAY_NAMES.findIndex(name => name.startsWith(text.slice(0, 3)));
+};
+
+// "2pm", "2:30 PM" and "14:30" all become HH:MM
+const normalizeClock = (time) => {
+  const match = String(time).trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (!match) return null;
+  return formatClock(parseClock(`${match[1]}:${match[2] || '00'} ${match[3] || ''}`));
+};
+
+/**
+ * Read a lecturer's office hours into weekly blocks
+ * Office hours are free-form: an array of { day, startTime, endTime } objects, or strings
+ * such as "Mon, Wed 10:00-12:00" or "Tuesday 2pm - 4pm".
+ * @param {string|Array} officeHours - Lecturer.officeHours
+ * @returns {Array} - Blocks as { day, startTime, endTime }
+ */
+const parseOfficeHours = (officeHours) => {
+  const entries = Array.isArray(officeHours) ? officeHours : [officeHours];
+  const blocks = [];
+
+  entries.filter(Boolean).forEach(entry => {
+    if (typeof entry === 'object') {
+      const day = parseDay(entry.day);
+      const [from, to] = entry.time ? String(entry.time).split(/\s*(?:-|–|to)\s*/) : [];
+      const startTime = normalizeClock(entry.startTime || entry.start || from || '');
+      const endTime = normalizeClock(entry.endTime || entry.end || to || '');
+      if (day >= 0 && startTime && endTime) blocks.push({ day, startTime, endTime });
+      return;
+    }
+
+    String(entry).split(/[;\n]/).forEach(part => {
+      const range = part.match(/(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)\s*(?:-|–|to)\s*(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)/i);
+      if (!range) return;
+      const startTime = normalizeClock(range[1]);
+      const endTime = normalizeClock(range[2]);
+      const days = (part.slice(0, range.index).match(/[a-z]+/gi) || [])
+        .map(parseDay)
+        .filter(day => day >= 0);
+      if (!startTime || !endTime) return;
+      [...new Set(days)].forEach(day => blocks.push({ day, startTime, endTime }));
+    });
+  });
+
+  return blocks;
+};
+
+/**
+ * Build the periods of a teaching day
+ * @param {string} dayStart - First period start (HH:MM)
+ * @param {string} dayEnd - Last period end (HH:MM)
+ * @param {number} periodMinutes - Length of a period
+ * @param {Array} [breaks] - Times with no teaching, as { startTime, endTime }
+ * @returns {Array} - Periods as { startTime, endTime }
+ */
+const buildPeriods = (dayStart, dayEnd, periodMinutes, breaks = []) => {
+  const periods = [];
+  // A length that is not a positive number would never reach the end of the day
+  if (!(periodMinutes > 0)) return periods;
+  for (let start = toMinutes(dayStart); start + periodMinutes <= toMinutes(dayEnd); start += periodMinutes) {
+    const period = { day: 0, startTime: formatClock(start), endTime: formatClock(start + periodMinutes) };
+    if (!breaks.some(item => intervalsOverlap(period, { ...item, day: 0 }))) {
+      periods.push({ startTime: period.startTime, endTime: period.endTime });
+    }
+  }
+  return periods;
+};
+
+// Split a course's weekly contact time into meetings no longer than maxMinutes
+const splitMeetings = (minutes, periodMinutes, maxMinutes) => {
+  const maxPeriods = Math.max(1, Math.floor(maxMinutes / periodMinutes));
+  let periodsLeft = Math.max(1, Math.ceil(minutes / periodMinutes));
+  const meetings = [];
+  while (periodsLeft > 0) {
+    const length = Math.min(maxPeriods, periodsLeft);
+    meetings.push(length);
+    periodsLeft -= length;
+  }
+  return meetings;
+};
+
+/**
+ * Generate a clash-free weekly class timetable
+ * Compulsory courses never share a time, lecturers are never double-booked or timetabled
+ * during office hours, and each meeting gets the smallest free venue that seats the class.
+ * @param {Object} options
+ * @param {Array} options.courses - Courses as { _id, code, credits, isCompulsory, lecturers (User IDs) }
+ * @param {Map<string, Set<string>>} options.rosters - Students registered per course
+ * @param {Array<number>} options.days - Teaching weekdays (Sunday = 0)
+ * @param {Array} options.periods - Periods of a teaching day from buildPeriods
+ * @param {Array} options.venues - Venues as { _id, name, capacity }
+ * @param {Map<string, Array>} [options.lecturerBusy] - Blocks each lecturer (User ID) is unavailable
+ * @param {Map<string, Array>} [options.venueBusy] - Blocks each venue (name) is already booked
+ * @param {Array} [options.compulsoryBusy] - Blocks taken by compulsory courses not being generated
+ * @param {number} [options.minutesPerCredit] - Weekly contact minutes per credit unit
+ * @param {number} [options.maxMeetingMinutes] - Longest single meeting
+ * @returns {Object} - Weekly meetings, unscheduled meetings and statistics
+ */
+const generateClassTimetable = ({
+  courses,
+  rosters,
+  days,
+  periods,
+  venues,
+  lecturerBusy = new Map(),
+  venueBusy = new Map(),
+  compulsoryBusy = [],
+  minutesPerCredit = 60,
+  maxMeetingMinutes = 120
+}) => {
+  const rosterOf = courseId => rosters.get(courseId) || new Set();
+  const periodMinutes = toMinutes(periods[0].endTime) - toMinutes(periods[0].startTime);
+
+  // Candidate blocks: runs of back-to-back periods on each teaching day
+  const blocksOf = (length) => days.flatMap(day => periods
+    .map((period, index) => periods.slice(index, index + length))
+    .filter(run => run.length === length &&
+      run.every((period, i) => i === 0 || run[i - 1].endTime === period.startTime))
+    .map(run => ({ day, startTime: run[0].startTime, endTime: run[run.length - 1].endTime, index: periods.indexOf(run[0]) })));
+
+  const busyLecturers = new Map([...lecturerBusy.entries()].map(([id, blocks]) => [id, [...blocks]]));
+  const busyVenues = new Map([...venueBusy.entries()].map(([name, blocks]) => [name, [...blocks]]));
+  const takenByCompulsory = [...compulsoryBusy];
+  const placed = [];
+
+  const meetings = courses.flatMap(course => {
+    const minutes = (course.credits || 1) * minutesPerCredit;
+    return splitMeetings(minutes, periodMinutes, maxMeetingMinutes)
+      .map((length, part, all) => ({ course, length, part: part + 1, parts: all.length }));
+  });
+
+  // Hardest meetings first: compulsory, then more lecturers, bigger classes and longer meetings
+  meetings.sort((a, b) => (Number(Boolean(b.course.isCompulsory)) - Number(Boolean(a.course.isCompulsory))) ||
+    (b.course.lecturers.length - a.course.lecturers.length) ||
+    (rosterOf(idOf(b.course)).size - rosterOf(idOf(a.course)).size) ||
+    (b.length - a.length));
+
+  const sessions = [];
+  const unscheduled = [];
+
+  meetings.forEach(meeting => {
+    const { course } = meeting;
+    const courseId = idOf(course);
+    const roster = rosterOf(courseId);
+
+    if (course.lecturers.length === 0) {
+      unscheduled.push({ course: courseId, code: course.code, part: meeting.part, reason: 'No lecturer assigned' });
+      return;
+    }
+
+    let best = null;
+    let reason = 'No time when the lecturer is free and no compulsory course clashes';
+
+    blocksOf(meeting.length).forEach(block => {
+      // One meeting of a course per day
+      if (placed.some(item => idOf(item.course) === courseId && item.day === block.day)) return;
+
+      if (course.lecturers.some(id => (busyLecturers.get(idOf(id)) || []).some(busy => intervalsOverlap(busy, block)))) return;
+
+      if (course.isCompulsory && takenByCompulsory.some(busy => intervalsOverlap(busy, block))) return;
+
+      const free = venues.filter(venue => !(busyVenues.get(venue.name) || []).some(busy => intervalsOverlap(busy, block)));
+      if (free.length === 0) {
+        reason = 'No free venue at any available time';
+        return;
+      }
+      const fitting = free.filter(venue => venue.capacity >= roster.size).sort((a, b) => a.capacity - b.capacity);
+      const venue = fitting[0] || [...free].sort((a, b) => b.capacity - a.capacity)[0];
+
+      let cost = fitting.length > 0 ? 0 : 100;
+      placed.filter(item => intervalsOverlap(item, block)).forEach(item => {
+        const other = rosterOf(idOf(item.course));
+        cost += [...roster].filter(student => other.has(student)).length * SHARED_STUDENT_PENALTY;
+      });
+      course.lecturers.forEach(id => {
+        cost += placed.filter(item => item.day === block.day && item.lecturers.includes(idOf(id))).length * LECTURER_DAY_LOAD_PENALTY;
+      });
+      cost += block.index * LATE_PERIOD_PENALTY / periods.length;
+
+      if (!best || cost < best.cost) best = { block, venue, cost, overCapacity: fitting.length === 0 };
+    });
+
+    if (!best) {
+      unscheduled.push({ course: courseId, code: course.code, part: meeting.part, reason });
+      return;
+    }
+
+    const { block, venue } = best;
+    const session = {
+      course: courseId,
+      code: course.code,
+      lecturers: course.lecturers.map(idOf),
+      day: block.day,
+      dayName: DAY_NAMES[block.day].charAt(0).toUpperCase() + DAY_NAMES[block.day].slice(1),
+      startTime: block.startTime,
+      endTime: block.endTime,
+      duration: toMinutes(block.endTime) - toMinutes(block.startTime),
+      venue: venue.name,
+      venueRef: venue._id,
+      students: roster.size,
+      capacity: venue.capacity,
+      overCapacity: best.overCapacity,
+      part: meeting.part,
+      parts: meeting.parts
+    };
+
+    sessions.push(session);
+    placed.push(session);
+    session.lecturers.forEach(id => {
+      if (!busyLecturers.has(id)) busyLecturers.set(id, []);
+      busyLecturers.get(id).push(block);
+    });
+    if (!busyVenues.has(venue.name)) busyVenues.set(venue.name, []);
+    busyVenues.get(venue.name).push(block);
+    if (course.isCompulsory) takenByCompulsory.push(block);
+  });
+
+  // Students (by registration) who still have two classes at once, e.g. clashing electives
+  const studentClashes = new Set();
+  for (let i = 0; i < sessions.length; i++) {
+    for (let j = i + 1; j < sessions.length; j++) {
+      if (sessions[i].course === sessions[j].course || !intervalsOverlap(sessions[i], sessions[j])) continue;
+      const other = rosterOf(sessions[j].course);
+      rosterOf(sessions[i].course).forEach(student => {
+        if (other.has(student)) studentClashes.add(student);
+      });
+    }
+  }
+
+  sessions.sort((a, b) => a.day - b.day || toMinutes(a.startTime) - toMinutes(b.startTime));
+
+  return {
+    sessions,
+    unscheduled,
+    stats: {
+      courses: courses.length,
+      meetingsRequested: meetings.length,
+      meetingsScheduled: sessions.length,
+      overCapacity: sessions.filter(session => session.overCapacity).length,
+      studentsWithClashes: studentClashes.size
+    }
+  };
+};
+
+module.exports = {
+  DAY_NAMES,
+  parseDay,
+  parseOfficeHours,
+  buildPeriods,
+  generateClassTimetable
+};
@@ -0,0 +1,78 @@
+const MINUTE_MS = 60 * 1000;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Find the extension currently granted to a student
+ * Later grants replace earlier ones; revoked grants are ignored.
+ * @param {Object} assignment - Assignment with extensions
+ * @param {string} studentId - Student ID
+ * @returns {Object|null}
+ */
+const activeExtension = (assignment, studentId) => {
+  if (!studentId) return null;
+  const grants = (assignment.extensions || [])
+    .filter(extension => !extension.revokedAt && idOf(extension.student) === idOf(studentId))
+    .sort((a, b) => new Date(b.grantedAt) - new Date(a.grantedAt));
+  return grants[0] || null;
+};
+
+/**
+ * Deadline that applies to one student, taking extensions into account
+ * @param {Object} assignment - Assignment with dueDate and extensions
+ * @param {string} [studentId] - Student ID
+ * @returns {Date}
+ */
+const dueDateFor = (assignment, studentId) => {
+  const extension = activeExtension(assignment, studentId);
+  return new Date(extension ? extension.dueDate : assignment.dueDate);
+};
+
+/**
+ * Work out whether work handed in at a given time is late, and the penalty that applies
+ * @param {Object} assignment - Assignment with dueDate, extensions and latePenalty
+ * @param {Date} submittedAt
+ * @param {string} [studentId] - Student whose extension applies
+ * @returns {Object} - { isLate, minutesLate, latePenalty }
+ */
+const lateStatus = (assignment, submittedAt, studentId) => {
+  const late = new Date(submittedAt) - dueDateFor(assignment, studentId);
+  const isLate = late > 0;
+  return {
+    isLate,
+    minutesLate: isLate ? Math.ceil(late / MINUTE_MS) : 0,
+    latePenalty: isLate ? assignment.latePenalty || 0 : 0
+  };
+};
+
+/**
+ * Show an assignment to a student with their own deadline
+ * Other students' extensions are removed from the object.
+ * @param {Object} assignmentObj - Plain assignment object being returned
+ * @param {Object} assignment - Assignment document
+ * @param {string} studentId - Student ID
+ * @returns {Object} - The same object
+ */
+const applyStudentDeadline = (assignmentObj, assignment, studentId) => {
+  const extension = activeExtension(assignment, studentId);
+  delete assignmentObj.extensions;
+
+  if (extension) {
+    assignmentObj.originalDueDate = assignment.dueDate;
+    assignmentObj.dueDate = extension.dueDate;
+    assignmentObj.extension = {
+      dueDate: extension.dueDate,
+      reason: extension.reason,
+      grantedAt: extension.grantedAt
+    };
+  }
+
+  return assignmentObj;
+};
+
+module.exports = {
+  activeExtension,
+  dueDateFor,
+  lateStatus,
+  applyStudentDeadline
+};
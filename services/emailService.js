@@ -51,6 +51,14 @@ const STYLES = {
   divider: `height: 1px; background: linear-gradient(to right, transparent, ${TEAL_LIGHT}, transparent); margin: 30px 0;`
 };
 
+// Text from users or request headers, made safe to place in email HTML
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 // Advanced email with geometric accents for futuristic look
 const emailBase = (content) => `
   <div style="${STYLES.container}">
@@ -136,6 +144,57 @@ exports.sendPasswordResetEmail = async (email, resetToken) => {
   }
 };
 
+/**
+ * Tell a user about a sign-in from a device they have not used before
+ * @param {string} email - Recipient email address
+ * @param {Object} details - { name, device, ipAddress, time }
+ * @returns {Promise<Object>} - Result with success status
+ */
+exports.sendNewDeviceLoginEmail = async (email, { name, device, ipAddress, time }) => {
+  try {
+    const when = time.toUTCString();
+    const safe = {
+      name: escapeHtml(name),
+      device: escapeHtml(device),
+      ipAddress: escapeHtml(ipAddress || 'unknown')
+    };
+    const subject = 'GemSpace: new sign-in to your account';
+    const text = `Hi ${name},\n\nYour GemSpace account was just signed in to from a new device.\n\nDevice: ${device}\nIP address: ${ipAddress || 'unknown'}\nTime: ${when}\n\nIf this was you, there is nothing to do. If not, change your password now and log out of your other sessions from your account settings.`;
+
+    const html = emailBase(`
+      <h2 style="${STYLES.sectionTitle}">New sign-in to your account</h2>
+      <p style="${STYLES.paragraph}">Hi ${safe.name}, your GemSpace account was just signed in to from a new device.</p>
+
+      <div style="${STYLES.featureCard}">
+        <p style="margin: 0;"><strong>Device:</strong> ${safe.device}</p>
+        <p style="margin: 8px 0 0;"><strong>IP address:</strong> ${safe.ipAddress}</p>
+        <p style="margin: 8px 0 0;"><strong>Time:</strong> ${when}</p>
+      </div>
+
+      <div style="${STYLES.divider}"></div>
+
+      <p style="${STYLES.paragraph}">If this was you, there is nothing to do.</p>
+      <p style="${STYLES.paragraph}">If it wasn't, change your password now and log out of your other sessions from your account settings.</p>
+    `);
+
+    const sent = await sendEmail({
+      to: email,
+      subject,
+      text,
+      html
+    });
+
+    if (sent) {
+      return { success: true };
+    } else {
+      return { success: false, error: 'Email could not be sent' };
+    }
+  } catch (error) {
+    console.error('Error sending new device sign-in email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Send a welcome email to new users
  * @param {string} email - Recipient email address
@@ -361,6 +420,7 @@ function getDefaultVerificationTemplate(code) {
 module.exports = {
   sendPasswordResetEmail: exports.sendPasswordResetEmail,
   sendWelcomeEmail: exports.sendWelcomeEmail,
-  sendVerificationCode: exports.sendVerificationCode
+  sendVerificationCode: exports.sendVerificationCode,
+  sendNewDeviceLoginEmail: exports.sendNewDeviceLoginEmail
 };
 
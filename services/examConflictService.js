@@ -0,0 +1,160 @@
+const Student = require('../models/Student');
+const Enrollment = require('../models/Enrollment');
+
+// Convert an HH:MM string into minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Calendar day of an exam session, used to group sessions that can clash
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Venues are free text, so compare them case- and whitespace-insensitively
+const normalizeVenue = (venue) => String(venue || '').trim().toLowerCase();
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Check whether two exam sessions overlap in time on the same day
+ * @param {Object} a - Session with date, startTime and endTime
+ * @param {Object} b - Session with date, startTime and endTime
+ * @returns {boolean}
+ */
+const sessionsOverlap = (a, b) => {
+  if (dayKey(a.date) !== dayKey(b.date)) return false;
+  return toMinutes(a.startTime) < toMinutes(b.endTime) &&
+    toMinutes(b.startTime) < toMinutes(a.endTime);
+};
+
+/**
+ * Build the set of students registered for each course
+ * Students are counted when the course is on their profile or they hold an accepted enrollment.
+ * @param {Array} courseIds - Course IDs to build rosters for
+ * @returns {Promise<Map<string, Set<string>>>} - Map of course ID to student IDs
+ */
+const getCourseRosters = async (courseIds) => {
+  const ids = [...new Set(courseIds.map(idOf))];
+  const rosters = new Map(ids.map(id => [id, new Set()]));
+
+  if (ids.length === 0) return rosters;
+
+  const [students, enrollments] = await Promise.all([
+    Student.find({ courses: { $in: ids } }).select('courses'),
+    Enrollment.find({ course: { $in: ids }, status: 'accepted' }).select('student course')
+  ]);
+
+  students.forEach(student => {
+    student.courses.forEach(course => {
+      const roster = rosters.get(course.toString());
+      if (roster) roster.add(student._id.toString());
+    });
+  });
+
+  enrollments.forEach(enrollment => {
+    const roster = rosters.get(enrollment.course.toString());
+    if (roster) roster.add(enrollment.student.toString());
+  });
+
+  return rosters;
+};
+
+/**
+ * Find student, venue and invigilator clashes between exam sessions
+ * @param {Array} sessions - Exam sessions (subdocuments or plain objects with _id)
+ * @param {Map<string, Set<string>>} rosters - Students registered per course
+ * @returns {Object} - Lists of student, venue and invigilator conflicts
+ */
+const findConflicts = (sessions, rosters) => {
+  const conflicts = { students: [], venues: [], invigilators: [] };
+
+  // Only sessions on the same day can clash
+  const byDay = new Map();
+  sessions.forEach(session => {
+    const key = dayKey(session.date);
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(session);
+  });
+
+  byDay.forEach((daySessions, date) => {
+    for (let i = 0; i < daySessions.length; i++) {
+      for (let j = i + 1; j < daySessions.length; j++) {
+        const a = daySessions[i];
+        const b = daySessions[j];
+
+        if (!sessionsOverlap(a, b)) continue;
+
+        const pair = {
+          date,
+          sessions: [idOf(a), idOf(b)],
+          courses: [idOf(a.course), idOf(b.course)],
+          times: [`${a.startTime}-${a.endTime}`, `${b.startTime}-${b.endTime}`]
+        };
+
+        if (normalizeVenue(a.venue) && normalizeVenue(a.venue) === normalizeVenue(b.venue)) {
+          conflicts.venues.push({ ...pair, venue: a.venue });
+        }
+
+        const invigilatorsA = (a.invigilators || []).map(idOf);
+        const sharedInvigilators = (b.invigilators || [])
+          .map(idOf)
+          .filter(id => invigilatorsA.includes(id));
+
+        if (sharedInvigilators.length > 0) {
+          conflicts.invigilators.push({ ...pair, invigilators: sharedInvigilators });
+        }
+
+        // A course split across several rooms does not clash with itself
+        if (pair.courses[0] !== pair.courses[1]) {
+          const rosterA = rosters.get(pair.courses[0]) || new Set();
+          const rosterB = rosters.get(pair.courses[1]) || new Set();
+          const sharedStudents = [...rosterA].filter(id => rosterB.has(id));
+
+          if (sharedStudents.length > 0) {
+            conflicts.students.push({
+              ...pair,
+              studentCount: sharedStudents.length,
+              students: sharedStudents
+            });
+          }
+        }
+      }
+    }
+  });
+
+  return conflicts;
+};
+
+/**
+ * Detect all conflicts among a timetable's sessions
+ * @param {Array} sessions - Exam sessions to check
+ * @param {Object} options
+ * @param {Array} [options.onlySessions] - Only report clashes involving these session IDs
+ * @returns {Promise<Object>} - Conflicts grouped by type with a total count
+ */
+const detectConflicts = async (sessions, { onlySessions } = {}) => {
+  const rosters = await getCourseRosters(sessions.map(session => session.course));
+  const conflicts = findConflicts(sessions, rosters);
+
+  if (onlySessions) {
+    const ids = onlySessions.map(idOf);
+    const involved = conflict => conflict.sessions.some(id => ids.includes(id));
+    conflicts.students = conflicts.students.filter(involved);
+    conflicts.venues = conflicts.venues.filter(involved);
+    conflicts.invigilators = conflicts.invigilators.filter(involved);
+  }
+
+  conflicts.total = conflicts.students.length + conflicts.venues.length + conflicts.invigilators.length;
+
+  return conflicts;
+};
+
+module.exports = {
+  toMinutes,
+  dayKey,
+  normalizeVenue,
+  sessionsOverlap,
+  getCourseRosters,
+  findConflicts,
+  detectConflicts
+};
@@ -0,0 +1,255 @@
+const { toMinutes, dayKey, normalizeVenue, sessionsOverlap } = require('./examConflictService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Penalties used to spread each student's exams out
+const SAME_DAY_PENALTY = 10;
+const ADJACENT_DAY_PENALTY = 3;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+const dayNumber = (date) => Math.floor(new Date(dayKey(date)).getTime() / DAY_MS);
+
+/**
+ * Build the list of exam slots between two dates
+ * @param {Date|string} startDate - First exam day
+ * @param {Date|string} endDate - Last exam day
+ * @param {Array} timeSlots - Daily slots as { startTime, endTime }
+ * @param {boolean} includeWeekends - Whether Saturdays and Sundays are exam days
+ * @returns {Array} - Slots ordered by date then start time
+ */
+const buildSlots = (startDate, endDate, timeSlots, includeWeekends = false) => {
+  const slots = [];
+  const first = dayNumber(startDate);
+  const last = dayNumber(endDate);
+  const dailySlots = [...timeSlots].sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+
+  for (let day = first; day <= last; day++) {
+    const date = new Date(day * DAY_MS);
+    const weekday = date.getUTCDay();
+    if (!includeWeekends && (weekday === 0 || weekday === 6)) continue;
+
+    dailySlots.forEach(slot => {
+      slots.push({ date, day, startTime: slot.startTime, endTime: slot.endTime });
+    });
+  }
+
+  return slots;
+};
+
+/**
+ * Generate a clash-free exam schedule
+ * Courses sharing the most students are placed first, each in the slot that keeps
+ * its students' exams furthest apart, in the smallest venues that can seat them.
+ * @param {Object} options
+ * @param {Array} options.courses - Courses to schedule ({ _id, code, lecturer })
+ * @param {Map<string, Set<string>>} options.rosters - Students registered per course
+ * @param {Array} options.slots - Slots from buildSlots
+ * @param {Array} options.venues - Venues as { name, capacity }
+ * @param {Array} [options.invigilators] - Lecturer IDs available to invigilate
+ * @param {number} [options.studentsPerInvigilator] - Candidates per invigilator in a room
+ * @param {Array} [options.existingSessions] - Sessions already fixed in the timetable
+ * @param {Array} [options.venueBookings] - Venue bookings held elsewhere, as { venue, date, startTime, endTime }
+ * @returns {Object} - Generated sessions, unscheduled courses and spread statistics
+ */
+const generateExamSchedule = ({
+  courses,
+  rosters,
+  slots,
+  venues,
+  invigilators = [],
+  studentsPerInvigilator = 50,
+  existingSessions = [],
+  venueBookings = []
+}) => {
+  const rosterOf = courseId => rosters.get(courseId) || new Set();
+
+  // Courses clash when they share at least one student
+  const neighbours = new Map();
+  const courseIds = [...new Set([
+    ...courses.map(course => idOf(course)),
+    ...existingSessions.map(session => idOf(session.course))
+  ])];
+
+  courseIds.forEach(id => neighbours.set(id, new Set()));
+  for (let i = 0; i < courseIds.length; i++) {
+    for (let j = i + 1; j < courseIds.length; j++) {
+      const rosterB = rosterOf(courseIds[j]);
+      if ([...rosterOf(courseIds[i])].some(student => rosterB.has(student))) {
+        neighbours.get(courseIds[i]).add(courseIds[j]);
+        neighbours.get(courseIds[j]).add(courseIds[i]);
+      }
+    }
+  }
+
+  const placed = [];
+  const studentDays = new Map();
+  const invigilatorLoad = new Map(invigilators.map(id => [idOf(id), 0]));
+
+  const recordSession = (session) => {
+    placed.push(session);
+    const day = dayNumber(session.date);
+    rosterOf(idOf(session.course)).forEach(student => {
+      if (!studentDays.has(student)) studentDays.set(student, new Map());
+      const days = studentDays.get(student);
+      days.set(day, (days.get(day) || 0) + 1);
+    });
+    (session.invigilators || []).forEach(id => {
+      const key = idOf(id);
+      if (invigilatorLoad.has(key)) {
+        invigilatorLoad.set(key, invigilatorLoad.get(key) +
+          toMinutes(session.endTime) - toMinutes(session.startTime));
+      }
+    });
+  };
+
+  // Existing sessions count towards clashes and spread, but each course is recorded once per slot
+  const seenExisting = new Set();
+  existingSessions.forEach(session => {
+    const key = `${idOf(session.course)}|${dayKey(session.date)}|${session.startTime}`;
+    if (seenExisting.has(key)) {
+      placed.push(session);
+    } else {
+      seenExisting.add(key);
+      recordSession(session);
+    }
+  });
+
+  const overlapping = slot => placed.filter(session => sessionsOverlap(session, slot));
+
+  const slotCost = (courseId, slot) => {
+    let cost = 0;
+    rosterOf(courseId).forEach(student => {
+      const days = studentDays.get(student);
+      if (!days) return;
+      cost += (days.get(slot.day) || 0) * SAME_DAY_PENALTY;
+      cost += ((days.get(slot.day - 1) || 0) + (days.get(slot.day + 1) || 0)) * ADJACENT_DAY_PENALTY;
+    });
+    return cost;
+  };
+
+  // Smallest single venue that fits, otherwise the fewest large venues that do together
+  const pickVenues = (size, busyVenues) => {
+    const free = venues
+      .filter(venue => !busyVenues.has(normalizeVenue(venue.name)))
+      .sort((a, b) => a.capacity - b.capacity);
+
+    const single = free.find(venue => venue.capacity >= size);
+    if (single) return [{ venue: single, seats: size }];
+
+    const chosen = [];
+    let remaining = size;
+    for (const venue of [...free].reverse()) {
+      if (remaining <= 0) break;
+      chosen.push({ venue, seats: Math.min(venue.capacity, remaining) });
+      remaining -= venue.capacity;
+    }
+    return remaining <= 0 ? chosen : null;
+  };
+
+  const pickInvigilators = (count, busyInvigilators) => [...invigilatorLoad.entries()]
+    .filter(([id]) => !busyInvigilators.has(id))
+    .sort((a, b) => a[1] - b[1])
+    .slice(0, count)
+    .map(([id]) => id);
+
+  const existingCourseIds = new Set(existingSessions.map(session => idOf(session.course)));
+  const order = courses
+    .filter(course => !existingCourseIds.has(idOf(course)))
+    .sort((a, b) => {
+      const degree = neighbours.get(idOf(b)).size - neighbours.get(idOf(a)).size;
+      return degree !== 0 ? degree : rosterOf(idOf(b)).size - rosterOf(idOf(a)).size;
+    });
+
+  const sessions = [];
+  const unscheduled = [];
+
+  order.forEach(course => {
+    const courseId = idOf(course);
+    const size = rosterOf(courseId).size;
+    let best = null;
+    let reason = 'No slot without a student clash';
+
+    slots.forEach(slot => {
+      const concurrent = overlapping(slot);
+      if (concurrent.some(session => neighbours.get(courseId).has(idOf(session.course)))) return;
+
+      const busyVenues = new Set([...concurrent, ...venueBookings.filter(booking => sessionsOverlap(booking, slot))]
+        .map(session => normalizeVenue(session.venue)));
+      const rooms = pickVenues(size, busyVenues);
+      if (!rooms) {
+        reason = `Not enough free venue capacity for ${size} students`;
+        return;
+      }
+
+      const cost = slotCost(courseId, slot);
+      if (!best || cost < best.cost || (cost === best.cost && concurrent.length < best.load)) {
+        best = { slot, rooms, cost, load: concurrent.length, concurrent };
+      }
+    });
+
+    if (!best) {
+      unscheduled.push({ course: courseId, code: course.code, students: size, reason });
+      return;
+    }
+
+    const busyInvigilators = new Set(best.concurrent.flatMap(session => (session.invigilators || []).map(idOf)));
+
+    best.rooms.forEach(({ venue, seats }, index) => {
+      const needed = Math.max(1, Math.ceil(seats / studentsPerInvigilator));
+      const assigned = pickInvigilators(needed, busyInvigilators);
+      assigned.forEach(id => busyInvigilators.add(id));
+
+      const session = {
+        course: courseId,
+        date: best.slot.date,
+        startTime: best.slot.startTime,
+        endTime: best.slot.endTime,
+        venue: venue.name,
+        invigilators: assigned,
+        notes: best.rooms.length > 1
+          ? `Part ${index + 1} of ${best.rooms.length} (${seats} candidates)`
+          : ''
+      };
+
+      sessions.push(session);
+      // Only the first room records the course's students, the rest only hold the venue
+      if (index === 0) {
+        recordSession(session);
+      } else {
+        placed.push(session);
+        assigned.forEach(id => {
+          if (invigilatorLoad.has(id)) {
+            invigilatorLoad.set(id, invigilatorLoad.get(id) +
+              toMinutes(session.endTime) - toMinutes(session.startTime));
+          }
+        });
+      }
+    });
+  });
+
+  let studentsWithSameDayExams = 0;
+  let studentsWithConsecutiveDays = 0;
+  studentDays.forEach(days => {
+    if ([...days.values()].some(count => count > 1)) studentsWithSameDayExams++;
+    if ([...days.keys()].some(day => days.has(day + 1))) studentsWithConsecutiveDays++;
+  });
+
+  return {
+    sessions,
+    unscheduled,
+    stats: {
+      coursesRequested: courses.length,
+      coursesScheduled: order.length - unscheduled.length,
+      sessionsCreated: sessions.length,
+      slotsAvailable: slots.length,
+      studentsWithSameDayExams,
+      studentsWithConsecutiveDays,
+      invigilationMinutes: Object.fromEntries(invigilatorLoad)
+    }
+  };
+};
+
+module.exports = {
+  buildSlots,
+  generateExamSchedule
+};
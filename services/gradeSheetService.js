@@ -0,0 +1,166 @@
+const Student = require('../models/Student');
+const { getCourseRosters } = require('./examConflictService');
+const { dueDateFor } = require('./deadlineService');
+const { toCsv } = require('../utils/csv');
+const { toXlsx } = require('../utils/xlsx');
+const { readSpreadsheet, normalizeHeading } = require('../utils/spreadsheet');
+
+const HEADERS = ['Matric Number', 'Name', 'Status', 'Submitted At', 'Version', 'Late', 'Score', 'Max Score', 'Feedback'];
+
+// Headings accepted on import, in lower case without spaces or punctuation
+const COLUMN_ALIASES = {
+  matricNumber: ['matricnumber', 'matricno', 'matric'],
+  score: ['score', 'mark', 'marks'],
+  feedback: ['feedback', 'comment', 'comments']
+};
+
+// The apostrophe added on export to keep formula-like text inert is dropped again
+const cellText = (value) => (value === null || value === undefined ? '' : String(value).replace(/^'(?=[=+\-@\t\r])/, '').trim());
+
+/**
+ * Load everyone who belongs on an assignment's grade sheet
+ * Students registered on the course are listed even without a submission.
+ * @param {Object} assignment - Assignment with course and submissions
+ * @returns {Promise<Array>} - Students with matricNumber and user populated
+ */
+const getSheetStudents = async (assignment) => {
+  const rosters = await getCourseRosters([assignment.course]);
+  const ids = new Set(rosters.get(assignment.course.toString()) || []);
+  assignment.submissions.forEach(submission => ids.add(submission.student.toString()));
+
+  return Student.find({ _id: { $in: [...ids] } })
+    .select('matricNumber user')
+    .populate('user', 'fullName email');
+};
+
+/**
+ * Build the rows of an assignment's grade sheet
+ * @param {Object} assignment - Assignment with submissions
+ * @param {Array} students - Students from getSheetStudents
+ * @returns {Object} - { headers, rows }
+ */
+const buildGradeSheet = (assignment, students) => {
+  const rows = students
+    .map(student => {
+      const submission = assignment.submissions.find(item => item.student.toString() === student._id.toString());
+      const latest = submission && submission.versions && submission.versions.length > 0
+        ? submission.versions[submission.versions.length - 1]
+        : null;
+      const submittedAt = submission ? submission.submittedAt : null;
+
+      return [
+        student.matricNumber,
+        student.user?.fullName,
+        submission ? submission.status : 'not submitted',
+        submittedAt ? new Date(submittedAt).toISOString() : '',
+        latest ? latest.number : (submission ? 1 : ''),
+        submission ? (new Date(submittedAt) > dueDateFor(assignment, student._id) ? 'yes' : 'no') : '',
+        submission && submission.grade && typeof submission.grade.score === 'number' ? submission.grade.score : '',
+        assignment.totalPoints || 100,
+        submission && submission.grade ? submission.grade.feedback || '' : ''
+      ];
+    })
+    .sort((a, b) => String(a[0] || a[1]).localeCompare(String(b[0] || b[1])));
+
+  return { headers: HEADERS, rows };
+};
+
+/**
+ * Render a grade sheet as CSV or XLSX
+ * @param {Object} sheet - Result of buildGradeSheet
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {string|Buffer}
+ */
+const renderGradeSheet = ({ headers, rows }, format) => (format === 'xlsx'
+  ? toXlsx(headers, rows, { sheetName: 'Grades' })
+  : toCsv(headers, rows));
+
+/**
+ * Read an uploaded grade sheet
+ * @param {Object} file - Multer file held in memory
+ * @returns {Object} - { rows: [{ row, matricNumber, score, feedback }] } or { error }
+ */
+const readGradeSheet = (file) => {
+  const { rows: table, error } = readSpreadsheet(file);
+  if (error) return { error };
+
+  const headings = (table[0] || []).map(normalizeHeading);
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([key, aliases]) => {
+    columns[key] = headings.findIndex(heading => aliases.includes(heading));
+  });
+
+  if (columns.matricNumber === -1 || columns.score === -1) {
+    return { error: 'The sheet must have "Matric Number" and "Score" columns' };
+  }
+
+  const rows = table.slice(1)
+    .map((cells, index) => ({
+      // Spreadsheet row number, counting the heading row
+      row: index + 2,
+      matricNumber: cellText(cells[columns.matricNumber]),
+      score: cellText(cells[columns.score]),
+      feedback: columns.feedback === -1 ? undefined : cellText(cells[columns.feedback])
+    }))
+    .filter(row => row.matricNumber || row.score || row.feedback);
+
+  return { rows };
+};
+
+/**
+ * Check imported rows against an assignment and decide what each one does
+ * @param {Array} rows - Rows from readGradeSheet
+ * @param {Object} assignment - Assignment with submissions and totalPoints
+ * @param {Array} students - Students on the sheet (from getSheetStudents)
+ * @returns {Array} - Rows with { status: 'valid'|'unchanged'|'skipped'|'failed', error, submission, score, feedback }
+ */
+const validateGradeRows = (rows, assignment, students) => {
+  const total = assignment.totalPoints || 100;
+  const byMatric = new Map(students
+    .filter(student => student.matricNumber)
+    .map(student => [student.matricNumber.trim().toUpperCase(), student]));
+  const seen = new Map();
+
+  return rows.map(row => {
+    const result = { row: row.row, matricNumber: row.matricNumber };
+    const fail = (error) => ({ ...result, status: 'failed', error });
+
+    if (!row.matricNumber) return fail('Matric number is missing');
+
+    const key = row.matricNumber.toUpperCase();
+    if (seen.has(key)) return fail(`Matric number also appears on row ${seen.get(key)}`);
+    seen.set(key, row.row);
+
+    const student = byMatric.get(key);
+    if (!student) return fail('No student with this matric number is registered on the course');
+    result.student = { _id: student._id, name: student.user?.fullName };
+
+    if (!row.score && !row.feedback) return { ...result, status: 'skipped' };
+
+    const submission = assignment.submissions.find(item => item.student.toString() === student._id.toString());
+    if (!submission) return fail('The student has not submitted this assignment');
+
+    const graded = submission.grade && typeof submission.grade.score === 'number';
+    let score = graded ? submission.grade.score : null;
+    if (row.score) {
+      score = Number(row.score);
+      if (isNaN(score) || score < 0 || score > total) return fail(`Score must be a number between 0 and ${total}`);
+    } else if (!graded) {
+      return fail('Score is missing');
+    }
+
+    const feedback = row.feedback === undefined ? (submission.grade && submission.grade.feedback) || '' : row.feedback;
+    const unchanged = graded && submission.grade.score === score && (submission.grade.feedback || '') === feedback;
+
+    return { ...result, status: unchanged ? 'unchanged' : 'valid', submission: submission._id, score, feedback };
+  });
+};
+
+module.exports = {
+  HEADERS,
+  getSheetStudents,
+  buildGradeSheet,
+  renderGradeSheet,
+  readGradeSheet,
+  validateGradeRows
+};
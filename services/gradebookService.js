@@ -0,0 +1,305 @@
+const Gradebook = require('../models/Gradebook');
+const Assignment = require('../models/Assignment');
+const Student = require('../models/Student');
+const Settings = require('../models/Settings');
+const { getCourseRosters } = require('./examConflictService');
+const { buildRegister } = require('./attendanceService');
+const { dueDateFor } = require('./deadlineService');
+const { getCourseQuizResults, quizScore } = require('./quizService');
+
+// Used when neither the gradebook nor system settings define a scale
+const DEFAULT_GRADING_SCALE = [
+  { letter: 'A', minScore: 70, gradePoint: 5 },
+  { letter: 'B', minScore: 60, gradePoint: 4 },
+  { letter: 'C', minScore: 50, gradePoint: 3 },
+  { letter: 'D', minScore: 45, gradePoint: 2 },
+  { letter: 'E', minScore: 40, gradePoint: 1 },
+  { letter: 'F', minScore: 0, gradePoint: 0 }
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Check a list of grade components
+ * @param {Array} components - Components as { name, source, weight, ... }
+ * @returns {string|null} - Problem description, or null when valid
+ */
+const validateComponents = (components) => {
+  if (!Array.isArray(components) || components.length === 0) {
+    return 'Please define at least one grade component';
+  }
+  if (components.some(component => !component.name || typeof component.weight !== 'number' || component.weight < 0)) {
+    return 'Every component needs a name and a non-negative weight';
+  }
+  const names = components.map(component => component.name.trim().toLowerCase());
+  if (new Set(names).size !== names.length) {
+    return 'Component names must be unique';
+  }
+  const total = components.reduce((sum, component) => sum + component.weight, 0);
+  if (Math.abs(total - 100) > 0.001) {
+    return `Component weights must add up to 100 (currently ${round(total)})`;
+  }
+  return null;
+};
+
+/**
+ * Check a grading scale
+ * @param {Array} scale - Bands as { letter, minScore, gradePoint }
+ * @returns {string|null} - Problem description, or null when valid
+ */
+const validateScale = (scale) => {
+  if (!Array.isArray(scale) || scale.length === 0) {
+    return 'Please provide at least one grade band';
+  }
+  if (scale.some(band => !band.letter || typeof band.minScore !== 'number' || band.minScore < 0 || band.minScore > 100)) {
+    return 'Every grade band needs a letter and a minimum score between 0 and 100';
+  }
+  if (!scale.some(band => band.minScore === 0)) {
+    return 'The grading scale must have a band starting at 0';
+  }
+  const minimums = scale.map(band => band.minScore);
+  if (new Set(minimums).size !== minimums.length) {
+    return 'Grade bands must have different minimum scores';
+  }
+  return null;
+};
+
+/**
+ * Find the letter grade for a final score
+ * @param {number} score - Final score (percentage)
+ * @param {Array} scale - Bands as { letter, minScore, gradePoint }
+ * @returns {Object} - { letter, gradePoint }
+ */
+const letterFor = (score, scale) => {
+  const band = [...scale]
+    .sort((a, b) => b.minScore - a.minScore)
+    .find(item => score >= item.minScore);
+  return band ? { letter: band.letter, gradePoint: band.gradePoint || 0 } : { letter: null, gradePoint: 0 };
+};
+
+/**
+ * System-wide grading scale from settings
+ * @returns {Promise<Array>}
+ */
+const getDefaultScale = async () => {
+  const settings = await Settings.findOne().select('gradingScale');
+  const scale = settings && settings.gradingScale && settings.gradingScale.length > 0
+    ? settings.toObject().gradingScale
+    : DEFAULT_GRADING_SCALE;
+  return scale.map(({ letter, minScore, gradePoint }) => ({ letter, minScore, gradePoint }));
+};
+
+/**
+ * Percentage earned on one assignment, after the late penalty
+ * @param {Object} assignment - Assignment with totalPoints, dueDate, extensions and latePenalty
+ * @param {Object} [submission] - The student's submission
+ * @param {Date} [now]
+ * @param {string} [studentId] - Student whose extension applies (defaults to the submission's)
+ * @returns {Object|null} - { percent, late, penalty, missing } or null when there is nothing to count yet
+ */
+const assignmentScore = (assignment, submission, now = new Date(), studentId = submission && submission.student) => {
+  const dueDate = dueDateFor(assignment, studentId);
+
+  if (!submission) {
+    // Missing work only counts (as zero) once the deadline has passed
+    return dueDate < now ? { percent: 0, late: false, penalty: 0, missing: true } : null;
+  }
+
+  if (!submission.grade || typeof submission.grade.score !== 'number') return null;
+
+  const total = assignment.totalPoints || 100;
+  const raw = Math.min(submission.grade.score, total) / total * 100;
+
+  // The graded version carries the penalty that applied when it was handed in;
+  // lateness is checked again so extensions granted afterwards are honoured
+  const version = submission.grade.version && (submission.versions || [])
+    .find(item => item.number === submission.grade.version);
+  const late = new Date(version ? version.submittedAt : submission.submittedAt) > dueDate;
+  const rate = version && version.isLate ? version.latePenalty : assignment.latePenalty || 0;
+  const penalty = late ? raw * (rate || 0) / 100 : 0;
+
+  return { percent: round(raw - penalty), late, penalty: round(penalty), missing: false };
+};
+
+// Average of assignment or quiz percentages, ignoring the lowest ones when configured
+const averageAssignments = (scores, dropLowest) => {
+  const counted = scores
+    .filter(Boolean)
+    .map(score => score.percent)
+    .sort((a, b) => a - b)
+    .slice(Math.min(dropLowest || 0, Math.max(scores.filter(Boolean).length - 1, 0)));
+  return counted.length > 0 ? round(counted.reduce((sum, value) => sum + value, 0) / counted.length) : null;
+};
+
+/**
+ * Compute every student's component scores, final score and letter grade
+ * @param {Object} gradebook - Gradebook (components, scale and manual scores)
+ * @param {Object} data
+ * @param {Array} data.students - Students as { _id, ... }
+ * @param {Array} data.assignments - Published assignments of the course with submissions
+ * @param {Array} [data.quizzes] - Published quizzes of the course with attempts (from getCourseQuizResults)
+ * @param {Map<string, Object>} [data.attendance] - Attendance per student ID as { percentage, total }
+ * @param {Date} [data.now]
+ * @returns {Array} - One row per student
+ */
+const computeGrades = (gradebook, { students, assignments, quizzes = [], attendance = new Map(), now = new Date() }) => {
+  const components = gradebook.components || [];
+  const scale = gradebook.gradingScale && gradebook.gradingScale.length > 0 ? gradebook.gradingScale : DEFAULT_GRADING_SCALE;
+
+  // Assignments (or quizzes) listed on a component belong to it; the rest go to components that list none
+  const itemsOf = (field, items) => {
+    const claimed = new Set(components.flatMap(component => (component[field] || []).map(idOf)));
+    return component => (component[field] && component[field].length > 0
+      ? items.filter(item => component[field].map(idOf).includes(idOf(item)))
+      : items.filter(item => !claimed.has(idOf(item))));
+  };
+  const assignmentsOf = itemsOf('assignments', assignments);
+  const quizzesOf = itemsOf('quizzes', quizzes);
+
+  return students.map(student => {
+    const studentId = idOf(student);
+    let pending = 0;
+
+    const results = components.map(component => {
+      let percent = null;
+      let details;
+
+      if (component.source === 'assignments') {
+        details = assignmentsOf(component).map(assignment => {
+          const submission = (assignment.submissions || []).find(item => idOf(item.student) === studentId);
+          const score = assignmentScore(assignment, submission, now, studentId);
+          if (submission && !score) pending++;
+          return {
+            assignment: assignment._id,
+            title: assignment.title,
+            ...(score || { percent: null })
+          };
+        });
+        percent = averageAssignments(details.map(item => (item.percent === null ? null : item)), component.dropLowest);
+      } else if (component.source === 'quizzes') {
+        details = quizzesOf(component).map(quiz => {
+          const score = quizScore(quiz, studentId, now);
+          if (score && score.pending) pending++;
+          return {
+            quiz: quiz._id,
+            title: quiz.title,
+            ...(score || { percent: null })
+          };
+        });
+        percent = averageAssignments(details.map(item => (item.percent === null ? null : item)), component.dropLowest);
+      } else if (component.source === 'attendance') {
+        const record = attendance.get(studentId);
+        percent = record && record.total > 0 ? record.percentage : null;
+      } else {
+        const entry = (gradebook.scores || []).find(item => idOf(item.student) === studentId &&
+          idOf(item.component) === idOf(component));
+        percent = entry ? round(entry.score / (component.maxScore || 100) * 100) : null;
+      }
+
+      return {
+        component: component._id,
+        name: component.name,
+        source: component.source,
+        weight: component.weight,
+        percent,
+        weighted: percent === null ? 0 : round(percent * component.weight / 100),
+        ...(details ? { [component.source]: details } : {})
+      };
+    });
+
+    const finalScore = round(results.reduce((sum, result) => sum + result.weighted, 0));
+    const { letter, gradePoint } = letterFor(finalScore, scale);
+
+    return {
+      student: studentId,
+      components: results,
+      finalScore,
+      letter,
+      gradePoint,
+      // Missing components count as zero until they are filled in
+      complete: results.every(result => result.percent !== null) && pending === 0,
+      pendingGrading: pending
+    };
+  });
+};
+
+/**
+ * Load a course's gradebook, or an unsaved one with the default scale
+ * @param {Object} course - Course with academicSession
+ * @returns {Promise<Object>} - Gradebook document
+ */
+const getGradebook = async (course) => {
+  const gradebook = await Gradebook.findOne({ course: course._id, academicSession: course.academicSession });
+  if (gradebook) return gradebook;
+  return new Gradebook({
+    course: course._id,
+    academicSession: course.academicSession,
+    components: [],
+    gradingScale: await getDefaultScale()
+  });
+};
+
+/**
+ * Compute grades for everyone registered on a course
+ * @param {Object} course - Course with academicSession
+ * @param {Object} gradebook - Gradebook of the course
+ * @param {Object} [options]
+ * @param {Array<string>} [options.studentIds] - Only these students
+ * @returns {Promise<Array>} - Rows from computeGrades with student details populated
+ */
+const buildGradebook = async (course, gradebook, { studentIds } = {}) => {
+  const rosters = await getCourseRosters([course._id]);
+  let ids = [...(rosters.get(course._id.toString()) || [])];
+  if (studentIds) ids = ids.filter(id => studentIds.includes(id));
+
+  const assignmentQuery = { course: course._id, isPublished: { $ne: false } };
+  if (course.academicSession) {
+    assignmentQuery.$or = [{ academicSession: course.academicSession }, { academicSession: { $exists: false } }, { academicSession: null }];
+  }
+
+  const usesAttendance = gradebook.components.some(component => component.source === 'attendance');
+  const usesQuizzes = gradebook.components.some(component => component.source === 'quizzes');
+  const [students, assignments, quizzes, register] = await Promise.all([
+    Student.find({ _id: { $in: ids } }).select('matricNumber level user').populate('user', 'fullName email'),
+    Assignment.find(assignmentQuery).select('title dueDate extensions totalPoints latePenalty submissions.student submissions.submittedAt submissions.grade submissions.status submissions.versions.number submissions.versions.submittedAt submissions.versions.isLate submissions.versions.latePenalty'),
+    usesQuizzes ? getCourseQuizResults(course) : [],
+    usesAttendance ? buildRegister(course._id) : null
+  ]);
+
+  const attendance = new Map(register
+    ? register.students.map(row => [row.student._id.toString(), { percentage: row.percentage, total: row.total }])
+    : []);
+
+  const rows = computeGrades(gradebook, { students, assignments, quizzes, attendance });
+  const byId = new Map(students.map(student => [student._id.toString(), student]));
+
+  return rows
+    .map(row => {
+      const student = byId.get(row.student);
+      return {
+        ...row,
+        student: {
+          _id: student._id,
+          name: student.user?.fullName,
+          email: student.user?.email,
+          matricNumber: student.matricNumber,
+          level: student.level
+        }
+      };
+    })
+    .sort((a, b) => String(a.student.matricNumber || a.student.name).localeCompare(String(b.student.matricNumber || b.student.name)));
+};
+
+module.exports = {
+  DEFAULT_GRADING_SCALE,
+  validateComponents,
+  validateScale,
+  letterFor,
+  getDefaultScale,
+  assignmentScore,
+  computeGrades,
+  getGradebook,
+  buildGradebook
+};
@@ -0,0 +1,201 @@
+const { scoreRubric } = require('./rubricService');
+
+// Longest submission text sent to a model; the rest is cut off
+const MAX_TEXT_LENGTH = 20000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Grading providers turn a prompt into the model's raw reply.
+ * A provider is { name, model, generate(prompt, context) -> Promise<string> }, where context
+ * holds { assignment, text } for providers that do not need the prompt.
+ */
+const geminiProvider = {
+  name: 'gemini',
+  model: 'gemini-1.5-flash',
+  generate: async (prompt) => {
+    // Loaded on first use so the stub can run without a Gemini API key
+    const { textModel } = require('../utils/aiModels');
+    const result = await textModel.generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+};
+
+const words = (text) => new Set(String(text || '').toLowerCase().match(/[a-z][a-z0-9]{3,}/g) || []);
+
+// Local stand-in for a model: scores by how many words of the instructions the text uses
+const stubProvider = {
+  name: 'stub',
+  model: 'keyword-overlap',
+  generate: async (prompt, { assignment, text }) => {
+    const expected = words(`${assignment.instructions || ''} ${assignment.description || ''}`);
+    const used = words(text);
+    const share = expected.size > 0 ? [...expected].filter(word => used.has(word)).length / expected.size : 0;
+
+    const rubric = (assignment.rubric || []).map(criterion => {
+      const levels = [...criterion.levels].sort((a, b) => a.points - b.points);
+      const level = levels[Math.min(levels.length - 1, Math.floor(share * levels.length))];
+      return { criterion: idOf(criterion), level: idOf(level), comment: `Matched ${Math.round(share * 100)}% of the key terms` };
+    });
+
+    return JSON.stringify({
+      score: round(share * (assignment.totalPoints || 100)),
+      feedback: `The answer covers ${Math.round(share * 100)}% of the key terms in the instructions.`,
+      rubric
+    });
+  }
+};
+
+const providers = {
+  gemini: geminiProvider,
+  stub: stubProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Add a grading provider that can then be chosen with AI_GRADING_PROVIDER
+ * @param {string} name - Provider name
+ * @param {Object} provider - { model, generate(prompt, context) }
+ */
+const registerGradingProvider = (name, provider) => {
+  if (!provider || typeof provider.generate !== 'function') {
+    throw new Error('A grading provider needs a generate(prompt, context) function');
+  }
+  providers[name] = { name, ...provider };
+};
+
+/**
+ * Use a provider for every suggestion from now on, overriding AI_GRADING_PROVIDER
+ * @param {string|Object|null} provider - Registered name, provider object, or null to go back to the environment setting
+ */
+const setGradingProvider = (provider) => {
+  if (typeof provider === 'string' && !providers[provider]) {
+    throw new Error(`Unknown grading provider "${provider}"`);
+  }
+  activeProvider = typeof provider === 'string' ? providers[provider] : provider;
+};
+
+// The provider in use: one set in code, else AI_GRADING_PROVIDER, else Gemini
+const getGradingProvider = () => {
+  if (activeProvider) return activeProvider;
+  const name = process.env.AI_GRADING_PROVIDER || 'gemini';
+  if (!providers[name]) throw new Error(`Unknown grading provider "${name}"`);
+  return providers[name];
+};
+
+/**
+ * Write the grading prompt for a text submission
+ * @param {Object} assignment - Assignment with instructions, totalPoints and rubric
+ * @param {string} text - The student's answer
+ * @returns {string}
+ */
+const buildGradingPrompt = (assignment, text) => {
+  const rubric = assignment.rubric || [];
+  const answer = text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH)}\n[...answer cut off...]` : text;
+
+  const rubricSection = rubric.length === 0 ? '' : `
+Rubric (choose exactly one level for every criterion, using the IDs given):
+${rubric.map(criterion => `- Criterion ${idOf(criterion)}: ${criterion.title}${criterion.description ? ` - ${criterion.description}` : ''}
+${criterion.levels.map(level => `    - Level ${idOf(level)}: ${level.label} (${level.points} points)${level.description ? ` - ${level.description}` : ''}`).join('\n')}`).join('\n')}
+`;
+
+  return `You are helping a university lecturer grade a student's written submission. Your suggestion will be reviewed by the lecturer before it is used.
+
+Assignment: ${assignment.title}
+Description: ${assignment.description || 'None'}
+Instructions: ${assignment.instructions || 'None'}
+Maximum score: ${assignment.totalPoints || 100}
+${rubricSection}
+Student's submission:
+"""
+${answer}
+"""
+
+Respond with JSON only, in this format:
+{
+  "score": <number from 0 to ${assignment.totalPoints || 100}>,
+  "feedback": "<constructive feedback addressed to the student>"${rubric.length > 0 ? `,
+  "rubric": [{ "criterion": "<criterion ID>", "level": "<level ID>", "comment": "<why this level>" }]` : ''}
+}`;
+};
+
+// The JSON object in a model's reply, which may be wrapped in a code block or prose
+const extractJson = (raw) => {
+  const text = String(raw || '');
+  const block = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = block ? block[1] : (text.match(/\{[\s\S]*\}/) || [text])[0];
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check a model's reply and turn it into a grade suggestion
+ * Rubric marks are scaled to the assignment's total points, as when a lecturer grades.
+ * @param {string} raw - The model's reply
+ * @param {Object} assignment - Assignment with totalPoints and rubric
+ * @returns {Object} - { suggestion: { score, rubric, feedback } } or { error }
+ */
+const parseSuggestion = (raw, assignment) => {
+  const reply = extractJson(raw);
+  if (!reply || typeof reply !== 'object') {
+    return { error: 'The grading assistant did not return a readable suggestion' };
+  }
+
+  const total = assignment.totalPoints || 100;
+  const feedback = typeof reply.feedback === 'string' ? reply.feedback.trim() : '';
+
+  if (assignment.rubric && assignment.rubric.length > 0) {
+    const result = scoreRubric(assignment.rubric, reply.rubric);
+    if (result.error) return { error: `The grading assistant's rubric marks were invalid: ${result.error}` };
+    return {
+      suggestion: {
+        score: result.max > 0 ? round(result.total / result.max * total) : 0,
+        rubric: result.criteria,
+        feedback
+      }
+    };
+  }
+
+  const score = Number(reply.score);
+  if (reply.score === null || reply.score === undefined || isNaN(score)) {
+    return { error: 'The grading assistant did not suggest a score' };
+  }
+
+  return {
+    suggestion: {
+      score: round(Math.min(Math.max(score, 0), total)),
+      rubric: [],
+      feedback
+    }
+  };
+};
+
+/**
+ * Ask the grading provider for a suggested grade for a text submission
+ * @param {Object} assignment - Assignment with instructions, totalPoints and rubric
+ * @param {string} text - The student's answer
+ * @returns {Promise<Object>} - { suggestion: { score, rubric, feedback, provider, model } } or { error }
+ */
+const suggestGrade = async (assignment, text) => {
+  const provider = getGradingProvider();
+  const raw = await provider.generate(buildGradingPrompt(assignment, text), { assignment, text });
+  const { suggestion, error } = parseSuggestion(raw, assignment);
+  if (error) return { error };
+  return { suggestion: { ...suggestion, provider: provider.name, model: provider.model } };
+};
+
+module.exports = {
+  registerGradingProvider,
+  setGradingProvider,
+  getGradingProvider,
+  buildGradingPrompt,
+  parseSuggestion,
+  suggestGrade
+};
@@ -0,0 +1,207 @@
+const AuthThrottle = require('../models/AuthThrottle');
+const Session = require('../models/Session');
+const Settings = require('../models/Settings');
+const emailService = require('./emailService');
+const { clientDetails } = require('./sessionService');
+
+/**
+ * How often each kind of request may be made before it is slowed down
+ * free: attempts in the window before any wait; each one after that doubles the wait from
+ * baseSeconds, up to maxSeconds. IP limits are looser since many users can share one address.
+ */
+const POLICIES = {
+  // Failed logins and failed two-factor codes
+  login: {
+    account: { free: 3, baseSeconds: 2 },
+    ip: { free: 20, baseSeconds: 2 },
+    windowMinutes: 60,
+    maxSeconds: 15 * 60
+  },
+  // Wrong verification codes
+  'verify-code': {
+    account: { free: 3, baseSeconds: 5 },
+    ip: { free: 20, baseSeconds: 5 },
+    windowMinutes: 60,
+    maxSeconds: 30 * 60
+  },
+  // Every request that emails a code or reset link
+  'send-code': {
+    account: { free: 3, baseSeconds: 60 },
+    ip: { free: 10, baseSeconds: 60 },
+    windowMinutes: 60,
+    maxSeconds: 60 * 60
+  }
+};
+
+// Wrong guesses allowed at one verification code before it is discarded
+const MAX_CODE_ATTEMPTS = 5;
+
+const DEFAULT_SETTINGS = { maxFailedLogins: 5, lockoutMinutes: 15, newDeviceAlerts: true };
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// req.ip honours X-Forwarded-For only from the proxies trusted in server.js
+const keysFor = (action, req, email) => ({
+  account: `${action}:account:${normalizeEmail(email)}`,
+  ip: `${action}:ip:${req.ip || (req.connection && req.connection.remoteAddress) || 'unknown'}`
+});
+
+/**
+ * Login security settings from system settings, with defaults
+ * @returns {Promise<Object>} - { maxFailedLogins, lockoutMinutes, newDeviceAlerts }
+ */
+const getLoginSecuritySettings = async () => {
+  const settings = await Settings.findOne().select('loginSecuritySettings');
+  const saved = settings && settings.toObject().loginSecuritySettings;
+  return { ...DEFAULT_SETTINGS, ...(saved || {}) };
+};
+
+/**
+ * Seconds to wait before a request may be made again
+ * @param {string} action - One of the POLICIES keys
+ * @param {Object} req - Request, for the IP address
+ * @param {string} email - Account the request is for
+ * @returns {Promise<number>} - 0 when the request may go ahead
+ */
+const checkThrottle = async (action, req, email) => {
+  const keys = Object.values(keysFor(action, req, email));
+  const blocked = await AuthThrottle.find({ key: { $in: keys }, blockedUntil: { $gt: new Date() } }).select('blockedUntil');
+  if (blocked.length === 0) return 0;
+  const until = Math.max(...blocked.map(record => record.blockedUntil.getTime()));
+  return Math.ceil((until - Date.now()) / 1000);
+};
+
+/**
+ * Count a request against the account and the IP address, slowing down further ones
+ * @param {string} action - One of the POLICIES keys
+ * @param {Object} req - Request, for the IP address
+ * @param {string} email - Account the request is for
+ * @returns {Promise<number>} - Seconds to wait before the next attempt
+ */
+const recordAttempt = async (action, req, email) => {
+  const policy = POLICIES[action];
+  const keys = keysFor(action, req, email);
+  const now = new Date();
+  let wait = 0;
+
+  for (const [scope, key] of Object.entries(keys)) {
+    // Counts start again once the window has passed without attempts
+    await AuthThrottle.deleteOne({ key, expiresAt: { $lte: now } });
+    const record = await AuthThrottle.findOneAndUpdate(
+      { key },
+      {
+        $inc: { count: 1 },
+        $set: { lastAttemptAt: now, expiresAt: new Date(now.getTime() + policy.windowMinutes * 60 * 1000) }
+      },
+      { upsert: true, new: true }
+    );
+
+    const { free, baseSeconds } = policy[scope];
+    if (record.count > free) {
+      const seconds = Math.min(baseSeconds * 2 ** (record.count - free - 1), policy.maxSeconds);
+      await AuthThrottle.updateOne({ _id: record._id }, { $set: { blockedUntil: new Date(now.getTime() + seconds * 1000) } });
+      wait = Math.max(wait, seconds);
+    }
+  }
+
+  return wait;
+};
+
+/**
+ * Forget an account's counted attempts after it succeeds; the IP address count is kept
+ * @param {string} action - One of the POLICIES keys
+ * @param {string} email - Account
+ * @returns {Promise<void>}
+ */
+const clearThrottle = async (action, email) => {
+  await AuthThrottle.deleteOne({ key: `${action}:account:${normalizeEmail(email)}` });
+};
+
+/**
+ * Whether logins to an account are refused for now
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+const isLocked = (user) => Boolean(user.lockedUntil && user.lockedUntil > new Date());
+
+/**
+ * Count a failed login (or second step) against the account, locking it after too many
+ * @param {Object} user - User document
+ * @param {Object} settings - Result of getLoginSecuritySettings
+ * @returns {Promise<boolean>} - Whether the account is now locked
+ */
+const recordFailedLogin = async (user, settings) => {
+  // The count starts again once an earlier lock has run out
+  if (user.lockedUntil && !isLocked(user)) {
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = undefined;
+  }
+
+  user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+  user.lastFailedLoginAt = new Date();
+  if (user.failedLoginAttempts >= settings.maxFailedLogins) {
+    user.lockedUntil = new Date(Date.now() + settings.lockoutMinutes * 60 * 1000);
+  }
+  await user.save({ validateBeforeSave: false });
+
+  return isLocked(user);
+};
+
+/**
+ * Clear an account's failed logins, lock and login throttling
+ * @param {Object} user - User document (saved by the caller)
+ * @returns {Promise<void>}
+ */
+const resetFailedLogins = async (user) => {
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockedUntil = undefined;
+  await AuthThrottle.deleteMany({ key: new RegExp(`^[^:]+:account:${escapeRegExp(normalizeEmail(user.email))}$`) });
+};
+
+/**
+ * Whether a sign-in comes from a browser or app the user has not signed in with before
+ * A user's very first sign-in is not treated as new, since there is nothing to compare with.
+ * @param {Object} user - User document
+ * @param {Object} req - Request, for the user agent
+ * @returns {Promise<boolean>}
+ */
+const isNewDevice = async (user, req) => {
+  const { userAgent } = clientDetails(req);
+  const [seenBefore, signedInBefore] = await Promise.all([
+    Session.exists({ user: user._id, userAgent }),
+    Session.exists({ user: user._id })
+  ]);
+  return Boolean(signedInBefore) && !seenBefore;
+};
+
+/**
+ * Email a user about a sign-in from a new device
+ * @param {Object} user - User document
+ * @param {Object} req - Request, for the device and IP address
+ * @returns {Promise<Object>} - Result with success status
+ */
+const sendNewDeviceAlert = (user, req) => {
+  const { device, ipAddress } = clientDetails(req);
+  return emailService.sendNewDeviceLoginEmail(user.email, {
+    name: user.fullName,
+    device,
+    ipAddress,
+    time: new Date()
+  });
+};
+
+module.exports = {
+  MAX_CODE_ATTEMPTS,
+  getLoginSecuritySettings,
+  checkThrottle,
+  recordAttempt,
+  clearThrottle,
+  isLocked,
+  recordFailedLogin,
+  resetFailedLogins,
+  isNewDevice,
+  sendNewDeviceAlert
+};
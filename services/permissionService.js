@@ -0,0 +1,158 @@
+const User = require('../models/User');
+const Lecturer = require('../models/Lecturer');
+const Department = require('../models/Department');
+const { PERMISSIONS, HEAD_OF_DEPARTMENT_PERMISSIONS } = require('../config/permissions');
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Role assignments of a user with their roles' permissions loaded
+// Lecturers heading a department also hold the head of department permissions there.
+const loadAssignments = async (user) => {
+  const userId = user._id || user.id;
+  const found = await User.findById(userId)
+    .select('roleAssignments')
+    .populate('roleAssignments.role', 'name permissions');
+  const assignments = found ? found.roleAssignments.filter(assignment => assignment.role) : [];
+
+  if (user.role === 'lecturer') {
+    const lecturer = await Lecturer.findOne({ user: userId }).select('_id');
+    const headed = lecturer
+      ? await Department.find({ headOfDepartment: lecturer._id, isActive: { $ne: false } }).select('_id')
+      : [];
+    headed.forEach(department => assignments.push({
+      role: { name: 'Head of department', permissions: HEAD_OF_DEPARTMENT_PERMISSIONS },
+      department: department._id
+    }));
+  }
+
+  return assignments;
+};
+
+// Departments covered by department and faculty assignments
+const departmentsCovered = async (assignments) => {
+  const departments = new Set(assignments.filter(item => item.department).map(item => idOf(item.department)));
+  const faculties = assignments.filter(item => item.faculty).map(item => item.faculty);
+  if (faculties.length > 0) {
+    const inFaculties = await Department.find({ faculty: { $in: faculties } }).distinct('_id');
+    inFaculties.forEach(id => departments.add(id.toString()));
+  }
+  return [...departments];
+};
+
+/**
+ * Work out where a user holds a permission
+ * Admin accounts hold every permission everywhere.
+ * @param {Object} user - User (document or the object set by auth middleware)
+ * @param {string} permission - Permission name
+ * @returns {Promise<Object>} - { all: true when held everywhere, departments: IDs where held }
+ */
+const permissionScope = async (user, permission) => {
+  if (user.role === 'admin') return { all: true, departments: [] };
+
+  const granting = (await loadAssignments(user))
+    .filter(assignment => (assignment.role.permissions || []).includes(permission));
+  if (granting.some(assignment => !assignment.department && !assignment.faculty)) {
+    return { all: true, departments: [] };
+  }
+  return { all: false, departments: await departmentsCovered(granting) };
+};
+
+/**
+ * Whether a user holds a permission, everywhere or for one department
+ * @param {Object} user
+ * @param {string} permission - Permission name
+ * @param {string} [departmentId] - Department the action is about
+ * @returns {Promise<boolean>}
+ */
+const hasPermission = async (user, permission, departmentId) => {
+  const scope = await permissionScope(user, permission);
+  return scope.all || Boolean(departmentId && scope.departments.includes(idOf(departmentId)));
+};
+
+/**
+ * Every permission a user holds and where
+ * @param {Object} user
+ * @returns {Promise<Object>} - Permission name -> 'all' or a list of department IDs
+ */
+const permissionSummary = async (user) => {
+  if (user.role === 'admin') {
+    return Object.fromEntries(Object.keys(PERMISSIONS).map(permission => [permission, 'all']));
+  }
+
+  const assignments = await loadAssignments(user);
+  const summary = {};
+  for (const permission of Object.keys(PERMISSIONS)) {
+    const granting = assignments.filter(assignment => (assignment.role.permissions || []).includes(permission));
+    if (granting.length === 0) continue;
+    summary[permission] = granting.some(assignment => !assignment.department && !assignment.faculty)
+      ? 'all'
+      : await departmentsCovered(granting);
+  }
+  return summary;
+};
+
+/**
+ * Values departments may be stored as in records: ObjectId, ID string, name or code
+ * Course.department, Student.department and Lecturer.department hold any of these.
+ * @param {Array} departmentIds
+ * @returns {Promise<Array>}
+ */
+const departmentValues = async (departmentIds) => {
+  const departments = await Department.find({ _id: { $in: departmentIds } }).select('name code');
+  return departments.flatMap(department => [department._id, department._id.toString(), department.name, department.code]);
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Names and codes match whatever their case and surrounding spaces, as in inDepartmentScope
+const matchingValue = (value) => (typeof value === 'string' && !/^[0-9a-f]{24}$/i.test(value)
+  ? new RegExp(`^\\s*${escapeRegExp(value.trim())}\\s*$`, 'i')
+  : value);
+
+/**
+ * Query condition limiting records to the departments of a permission scope
+ * @param {Object} scope - Result of permissionScope (req.permissionScope)
+ * @param {string} [field] - Field holding the department
+ * @returns {Promise<Object>} - {} when the scope covers every department
+ */
+const departmentFilter = async (scope, field = 'department') => {
+  if (scope.all) return {};
+  if (!scope.values) scope.values = await departmentValues(scope.departments);
+  return { [field]: { $in: scope.values.filter(value => value).map(matchingValue) } };
+};
+
+/**
+ * Whether a department (as stored on a record) is within a permission scope
+ * @param {Object} scope - Result of permissionScope (req.permissionScope)
+ * @param {Object|string} department - Department document, ID or name
+ * @returns {Promise<boolean>}
+ */
+const inDepartmentScope = async (scope, department) => {
+  if (scope.all) return true;
+  if (!department) return false;
+  if (!scope.values) scope.values = await departmentValues(scope.departments);
+  const value = String(department._id || department).trim().toLowerCase();
+  return scope.values.some(item => String(item).toLowerCase() === value);
+};
+
+/**
+ * Check a list of permission names
+ * @param {Array} permissions
+ * @returns {string|null} - Problem description, or null when valid
+ */
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) return 'Permissions must be a list';
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  if (unknown.length > 0) return `Unknown permission(s): ${unknown.join(', ')}`;
+  return null;
+};
+
+module.exports = {
+  permissionScope,
+  hasPermission,
+  permissionSummary,
+  departmentValues,
+  departmentFilter,
+  inDepartmentScope,
+  validatePermissions
+};
@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { getDefaultScale } = require('./gradebookService');
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const bandOf = (grade, scale) => scale.find(band => String(band.letter).toLowerCase() === String(grade || '').trim().toLowerCase());
+
+const hasNumber = (value) => typeof value === 'number' && !Number.isNaN(value);
+
+/**
+ * Whether a graded attempt meets a minimum grade on the scale
+ * The score and grade point recorded with the grade are used where present, since a course
+ * may have been graded on its own gradebook scale; only bare letters are looked up on the scale.
+ * With no minimum, any grade worth grade points is a pass.
+ * @param {Object} attempt - { grade, score, gradePoint } as recorded on the enrollment
+ * @param {string} [minimumGrade] - Lowest letter on the system scale that counts
+ * @param {Array} scale - System bands as { letter, minScore, gradePoint }
+ * @returns {boolean}
+ */
+const meetsGrade = (attempt, minimumGrade, scale) => {
+  const { grade, score, gradePoint } = attempt || {};
+  const earned = bandOf(grade, scale);
+
+  if (!minimumGrade) {
+    if (hasNumber(gradePoint)) return gradePoint > 0;
+    return Boolean(earned) && earned.gradePoint > 0;
+  }
+
+  // The minimum stands for its band's lowest score, whatever letter the course's own scale gave
+  const required = bandOf(minimumGrade, scale);
+  if (!required) return false;
+  if (hasNumber(score)) return score >= required.minScore;
+  return Boolean(earned) && earned.minScore >= required.minScore;
+};
+
+/**
+ * Load what a student has passed and is taking
+ * @param {Object} student - Student with courses
+ * @returns {Promise<Object>} - { grades: Map courseId -> [{ grade, score, gradePoint }], current: Set of courseIds, scale }
+ */
+const getAcademicRecord = async (student) => {
+  const [enrollments, scale] = await Promise.all([
+    Enrollment.find({ student: student._id }).select('course status grade score gradePoint previousAttempts'),
+    getDefaultScale()
+  ]);
+
+  const grades = new Map();
+  const current = new Set((student.courses || []).map(idOf));
+  enrollments.forEach(enrollment => {
+    const key = idOf(enrollment.course);
+    // Every graded attempt counts, so a repeated course is passed if any attempt passed it
+    const earned = [enrollment, ...(enrollment.previousAttempts || [])]
+      .filter(attempt => attempt.grade)
+      .map(({ grade, score, gradePoint }) => ({ grade, score, gradePoint }));
+    if (earned.length > 0) grades.set(key, [...(grades.get(key) || []), ...earned]);
+    if (!enrollment.grade && ['pending', 'accepted'].includes(enrollment.status)) current.add(key);
+  });
+
+  return { grades, current, scale };
+};
+
+// Short description of a required course for messages
+const courseLabel = (course) => (course && course.code ? `${course.code}${course.title ? `: ${course.title}` : ''}` : 'a course that no longer exists');
+
+/**
+ * List the requirements of a course a student has not met
+ * Co-requisites are met by passing the course, taking it now, or enrolling in it at the same time.
+ * @param {Object} course - Course with prerequisites.course and corequisites populated (code, title)
+ * @param {Object} record - Result of getAcademicRecord
+ * @param {Object} [options]
+ * @param {Set} [options.alongside] - Course IDs being enrolled in together with this one
+ * @returns {Array} - Unmet requirements as { type, course, minimumGrade, grades, message }
+ */
+const unmetRequirements = (course, record, { alongside = new Set() } = {}) => {
+  const { grades, current, scale } = record;
+  const unmet = [];
+
+  (course.prerequisites || []).forEach(requirement => {
+    const required = requirement.course;
+    if (!required) return;
+    const earned = grades.get(idOf(required)) || [];
+    if (earned.some(attempt => meetsGrade(attempt, requirement.minimumGrade, scale))) return;
+
+    unmet.push({
+      type: 'prerequisite',
+      course: { _id: required._id, code: required.code, title: required.title },
+      minimumGrade: requirement.minimumGrade || null,
+      grades: earned.map(attempt => attempt.grade),
+      message: requirement.minimumGrade
+        ? `Pass ${courseLabel(required)} with ${requirement.minimumGrade} or better`
+        : `Pass ${courseLabel(required)}`
+    });
+  });
+
+  (course.corequisites || []).forEach(required => {
+    if (!required) return;
+    const key = idOf(required);
+    const earned = grades.get(key) || [];
+    if (current.has(key) || alongside.has(key) || earned.some(attempt => meetsGrade(attempt, null, scale))) return;
+
+    unmet.push({
+      type: 'corequisite',
+      course: { _id: required._id, code: required.code, title: required.title },
+      minimumGrade: null,
+      grades: earned.map(attempt => attempt.grade),
+      message: `Take ${courseLabel(required)} in the same semester, or pass it first`
+    });
+  });
+
+  return unmet;
+};
+
+/**
+ * Check prerequisites and co-requisites declared for a course
+ * @param {Object} course - The course being changed
+ * @param {Array} prerequisites - Requirements as { course, minimumGrade }
+ * @param {Array} corequisites - Course IDs
+ * @returns {Promise<Object>} - { prerequisites, corequisites } or { error }
+ */
+const validateRequirements = async (course, prerequisites = [], corequisites = []) => {
+  if (!Array.isArray(prerequisites) || !Array.isArray(corequisites)) {
+    return { error: 'Prerequisites and co-requisites must be lists' };
+  }
+
+  const prereqIds = prerequisites.map(item => String(item && item.course ? idOf(item.course) : item));
+  const coreqIds = corequisites.map(item => String(item && item._id ? item._id : item));
+  const ids = [...prereqIds, ...coreqIds];
+
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Every requirement must be a valid course ID' };
+  }
+  if (ids.includes(course._id.toString())) {
+    return { error: 'A course cannot require itself' };
+  }
+  if (new Set(ids).size !== ids.length) {
+    return { error: 'Each course can only be listed once across prerequisites and co-requisites' };
+  }
+
+  const found = await Course.find({ _id: { $in: ids } }).select('code title');
+  if (found.length !== ids.length) {
+    return { error: 'One or more required courses were not found' };
+  }
+
+  const scale = await getDefaultScale();
+  const parsed = [];
+  for (const [index, item] of prerequisites.entries()) {
+    const minimumGrade = item && item.minimumGrade ? String(item.minimumGrade).trim() : '';
+    const band = minimumGrade ? bandOf(minimumGrade, scale) : null;
+    if (minimumGrade && !band) {
+      return { error: `Minimum grade "${minimumGrade}" is not on the grading scale (${scale.map(entry => entry.letter).join(', ')})` };
+    }
+    parsed.push({ course: prereqIds[index], minimumGrade: band ? band.letter : undefined });
+  }
+
+  // Prerequisites may not loop back to this course, or nobody could ever take it
+  const seen = new Set();
+  let frontier = prereqIds;
+  while (frontier.length > 0) {
+    const next = await Course.find({ _id: { $in: frontier } }).select('code prerequisites.course');
+    frontier = [];
+    for (const required of next) {
+      seen.add(required._id.toString());
+      for (const requirement of required.prerequisites || []) {
+        // Requirements on deleted courses are ignored, as in unmetRequirements
+        if (!requirement.course) continue;
+        const key = idOf(requirement.course);
+        if (key === course._id.toString()) {
+          return { error: `This would create a prerequisite loop: ${required.code} already requires ${course.code}` };
+        }
+        if (!seen.has(key)) frontier.push(key);
+      }
+    }
+  }
+
+  return { prerequisites: parsed, corequisites: coreqIds };
+};
+
+module.exports = {
+  meetsGrade,
+  getAcademicRecord,
+  unmetRequirements,
+  validateRequirements
+};
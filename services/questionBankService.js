@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const { parseQuestions, fromGeneratedQuiz } = require('./quizService');
+const { normalizeHeading } = require('../utils/spreadsheet');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Share of attempts in each of the upper and lower groups used for the discrimination index
+const DISCRIMINATION_GROUP = 0.27;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const cellText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+// Lower-case, de-duplicated tags from a list or a comma/semicolon separated string
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,;]/);
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * Read the classification of a bank question (topic, difficulty, learning outcome, tags)
+ * @param {Object} input - Fields from a request body or spreadsheet row
+ * @returns {Object} - { classification } or { error }
+ */
+const parseClassification = (input) => {
+  const classification = {};
+
+  ['topic', 'learningOutcome'].forEach(field => {
+    if (input[field] !== undefined) classification[field] = cellText(input[field]) || undefined;
+  });
+
+  if (input.difficulty !== undefined && input.difficulty !== null && input.difficulty !== '') {
+    const difficulty = String(input.difficulty).trim().toLowerCase();
+    if (!DIFFICULTIES.includes(difficulty)) {
+      return { error: `Difficulty must be one of: ${DIFFICULTIES.join(', ')}` };
+    }
+    classification.difficulty = difficulty;
+  }
+
+  if (input.tags !== undefined) classification.tags = normalizeTags(input.tags);
+
+  return { classification };
+};
+
+/**
+ * Check and tidy bank questions from a request body
+ * @param {Array} input - Quiz questions with topic, difficulty, learningOutcome and tags
+ * @returns {Object} - { questions } or { error }
+ */
+const parseBankQuestions = (input) => {
+  const { questions, error } = parseQuestions(input);
+  if (error) return { error };
+
+  for (const [index, question] of questions.entries()) {
+    const { classification, error: classError } = parseClassification(input[index]);
+    if (classError) return { error: `Question ${index + 1}: ${classError}` };
+    Object.assign(question, classification);
+    delete question.bankQuestion;
+  }
+
+  return { questions };
+};
+
+/**
+ * Turn the output of the AI quiz generator into bank questions
+ * @param {Array} generated - Items as produced by generateQuiz
+ * @param {Object} defaults - Classification applied to every question
+ * @returns {Object} - { questions } or { error }
+ */
+const bankQuestionsFromGenerated = (generated, defaults = {}) => {
+  const { classification, error: classError } = parseClassification(defaults);
+  if (classError) return { error: classError };
+
+  const { questions, error } = fromGeneratedQuiz(generated);
+  if (error) return { error };
+
+  return { questions: questions.map(question => ({ ...question, ...classification })) };
+};
+
+// Headings accepted on CSV import, in lower case without spaces or punctuation
+const COLUMN_ALIASES = {
+  type: ['type', 'questiontype'],
+  text: ['question', 'questiontext', 'text'],
+  options: ['options', 'choices'],
+  correct: ['correct', 'correctanswer', 'answer', 'answers'],
+  acceptedAnswers: ['acceptedanswers', 'accepted'],
+  points: ['points', 'marks'],
+  explanation: ['explanation'],
+  topic: ['topic'],
+  difficulty: ['difficulty', 'level'],
+  learningOutcome: ['learningoutcome', 'outcome', 'lo'],
+  tags: ['tags', 'tag']
+};
+
+/**
+ * Build question input from one spreadsheet row
+ * Options come from an "Options" column separated by "|", or from "Option 1", "Option 2"... columns.
+ * "Correct" holds 1-based option numbers (separated by "|" or ","), the option text, or true/false.
+ */
+const rowToQuestion = (cells, columns, optionColumns) => {
+  const cell = (key) => (columns[key] === -1 ? '' : cellText(cells[columns[key]]));
+  const type = (cell('type') || 'mcq').toLowerCase().replace(/[\s-]+/g, '_');
+
+  let options = optionColumns.map(index => cellText(cells[index])).filter(Boolean);
+  if (options.length === 0 && cell('options')) {
+    options = cell('options').split('|').map(option => option.trim()).filter(Boolean);
+  }
+  if (type === 'true_false' && options.length === 0) options = ['True', 'False'];
+
+  const correctText = cell('correct');
+  const correct = new Set();
+  correctText.split(/[|,]/).map(part => part.trim()).filter(Boolean).forEach(part => {
+    const number = Number(part);
+    const index = Number.isInteger(number) && number >= 1 && number <= options.length
+      ? number - 1
+      : options.findIndex(option => option.toLowerCase() === part.toLowerCase());
+    if (index !== -1) correct.add(index);
+  });
+
+  const acceptedAnswers = type === 'short_answer'
+    ? (cell('acceptedAnswers') || correctText).split('|').map(answer => answer.trim()).filter(Boolean)
+    : [];
+
+  return {
+    type,
+    text: cell('text'),
+    options: type === 'short_answer' ? [] : options.map((text, index) => ({ text, isCorrect: correct.has(index) })),
+    acceptedAnswers,
+    points: cell('points') === '' ? undefined : cell('points'),
+    explanation: cell('explanation') || undefined,
+    topic: cell('topic'),
+    difficulty: cell('difficulty'),
+    learningOutcome: cell('learningOutcome'),
+    tags: cell('tags')
+  };
+};
+
+/**
+ * Read bank questions from the rows of an uploaded spreadsheet
+ * Rows that cannot be read are reported and left out; the rest are returned.
+ * @param {Array<Array>} table - Rows of cells, headings first
+ * @returns {Object} - { questions, rows: [{ row, status, error }] } or { error }
+ */
+const questionsFromRows = (table) => {
+  const headings = (table[0] || []).map(normalizeHeading);
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([key, aliases]) => {
+    columns[key] = headings.findIndex(heading => aliases.includes(heading));
+  });
+  const optionColumns = headings
+    .map((heading, index) => (/^option\d+$/.test(heading) ? index : -1))
+    .filter(index => index !== -1);
+
+  if (columns.text === -1) {
+    return { error: 'The sheet must have a "Question" column' };
+  }
+
+  const questions = [];
+  const rows = [];
+  table.slice(1).forEach((cells, index) => {
+    // Spreadsheet row number, counting the heading row
+    const row = index + 2;
+    if (!cells.some(value => cellText(value))) return;
+
+    const input = rowToQuestion(cells, columns, optionColumns);
+    const { questions: parsed, error } = parseBankQuestions([input]);
+    if (error) {
+      rows.push({ row, status: 'failed', error: error.replace(/^Question 1:\s*/, '').replace(/^Question 1\b/, 'The question') });
+      return;
+    }
+    questions.push(parsed[0]);
+    rows.push({ row, status: 'imported' });
+  });
+
+  return { questions, rows };
+};
+
+/**
+ * Check the draw rules of an assessment built from the bank
+ * @param {Array} input - Rules as { tag, topic, difficulty, learningOutcome, count }
+ * @returns {Object} - { rules } or { error }
+ */
+const parseDrawRules = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'Please say how many questions to draw for at least one tag' };
+  }
+
+  const rules = [];
+  for (const [index, rule] of input.entries()) {
+    const label = `Rule ${index + 1}`;
+    const count = Number(rule && rule.count);
+    if (!Number.isInteger(count) || count < 1) {
+      return { error: `${label} must draw a whole number of questions of at least 1` };
+    }
+    const { classification, error } = parseClassification({
+      topic: rule.topic,
+      difficulty: rule.difficulty,
+      learningOutcome: rule.learningOutcome
+    });
+    if (error) return { error: `${label}: ${error}` };
+
+    rules.push({
+      ...classification,
+      tag: rule.tag ? String(rule.tag).trim().toLowerCase() : undefined,
+      count
+    });
+  }
+
+  return { rules };
+};
+
+const matchesRule = (question, rule) =>
+  (!rule.tag || (question.tags || []).includes(rule.tag)) &&
+  (!rule.topic || (question.topic || '').toLowerCase() === rule.topic.toLowerCase()) &&
+  (!rule.difficulty || question.difficulty === rule.difficulty) &&
+  (!rule.learningOutcome || (question.learningOutcome || '').toLowerCase() === rule.learningOutcome.toLowerCase());
+
+const describeRule = (rule) => ['tag', 'topic', 'difficulty', 'learningOutcome']
+  .filter(field => rule[field])
+  .map(field => `${field} "${rule[field]}"`)
+  .join(', ') || 'any question';
+
+/**
+ * Draw random questions from a bank, rule by rule, never using a question twice
+ * @param {Array} bank - Bank questions to draw from
+ * @param {Array} rules - Rules from parseDrawRules
+ * @returns {Object} - { questions } or { error }
+ */
+const drawQuestions = (bank, rules) => {
+  const used = new Set();
+  const questions = [];
+
+  for (const rule of rules) {
+    const pool = bank.filter(question => !used.has(idOf(question)) && matchesRule(question, rule));
+    if (pool.length < rule.count) {
+      return { error: `Only ${pool.length} unused question(s) match ${describeRule(rule)}; ${rule.count} requested` };
+    }
+
+    // Partial Fisher-Yates shuffle: the first `count` entries become a random sample
+    for (let i = 0; i < rule.count; i++) {
+      const j = i + crypto.randomInt(pool.length - i);
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+      used.add(idOf(pool[i]));
+      questions.push(pool[i]);
+    }
+  }
+
+  return { questions };
+};
+
+/**
+ * Copy a bank question into a quiz
+ * Options keep their IDs so the choices students make can be traced back to the bank.
+ * @param {Object} question - Bank question
+ * @returns {Object} - Quiz question
+ */
+const toQuizQuestion = (question) => ({
+  type: question.type,
+  text: question.text,
+  options: (question.options || []).map(option => ({ _id: option._id, text: option.text, isCorrect: option.isCorrect })),
+  acceptedAnswers: question.acceptedAnswers || [],
+  caseSensitive: question.caseSensitive,
+  points: question.points,
+  explanation: question.explanation,
+  bankQuestion: question._id
+});
+
+/**
+ * Item statistics for bank questions, from finished attempts of quizzes that used them
+ * Facility is the mean share of the marks earned. The discrimination index is the facility in the
+ * top 27% of attempts (by overall percentage) minus the facility in the bottom 27%.
+ * @param {Array} bankQuestions - Bank questions with options
+ * @returns {Promise<Map>} - Bank question ID -> { attempts, facility, discrimination, options: [{ _id, text, isCorrect, chosen, share }], unanswered }
+ */
+const questionStatistics = async (bankQuestions) => {
+  const ids = bankQuestions.map(question => question._id);
+  const quizzes = await Quiz.find({ 'questions.bankQuestion': { $in: ids } }).select('questions');
+
+  // Quiz question ID -> bank question ID, for every quiz question drawn from the bank
+  const sources = new Map();
+  quizzes.forEach(quiz => quiz.questions.forEach(question => {
+    if (question.bankQuestion) sources.set(idOf(question), { bank: idOf(question.bankQuestion), points: question.points || 0 });
+  }));
+
+  const attempts = quizzes.length === 0 ? [] : await QuizAttempt.find({
+    quiz: { $in: quizzes.map(quiz => quiz._id) },
+    status: { $in: ['submitted', 'timed_out'] }
+  }).select('percentage answers');
+
+  // Bank question ID -> responses as { percentage, credit, selected }
+  const responses = new Map(bankQuestions.map(question => [idOf(question), []]));
+  attempts.forEach(attempt => (attempt.answers || []).forEach(answer => {
+    const source = sources.get(idOf(answer.question));
+    if (!source || !responses.has(source.bank) || answer.needsReview) return;
+    responses.get(source.bank).push({
+      percentage: attempt.percentage || 0,
+      credit: source.points > 0 ? (answer.pointsAwarded || 0) / source.points : (answer.isCorrect ? 1 : 0),
+      selected: (answer.selected || []).map(idOf),
+      blank: (answer.selected || []).length === 0 && !answer.text
+    });
+  }));
+
+  const mean = (list) => list.reduce((sum, item) => sum + item.credit, 0) / list.length;
+
+  const stats = new Map();
+  bankQuestions.forEach(question => {
+    const list = responses.get(idOf(question));
+    const n = list.length;
+
+    let discrimination = null;
+    if (n >= 2) {
+      const ranked = [...list].sort((a, b) => b.percentage - a.percentage);
+      const size = Math.max(1, Math.round(n * DISCRIMINATION_GROUP));
+      discrimination = round(mean(ranked.slice(0, size)) - mean(ranked.slice(n - size)));
+    }
+
+    stats.set(idOf(question), {
+      attempts: n,
+      facility: n > 0 ? round(mean(list)) : null,
+      discrimination,
+      unanswered: list.filter(response => response.blank).length,
+      options: (question.options || []).map(option => {
+        const chosen = list.filter(response => response.selected.includes(idOf(option))).length;
+        return {
+          _id: option._id,
+          text: option.text,
+          isCorrect: option.isCorrect,
+          chosen,
+          share: n > 0 ? round(chosen / n) : null
+        };
+      })
+    });
+  });
+
+  return stats;
+};
+
+module.exports = {
+  DIFFICULTIES,
+  normalizeTags,
+  parseClassification,
+  parseBankQuestions,
+  bankQuestionsFromGenerated,
+  questionsFromRows,
+  parseDrawRules,
+  drawQuestions,
+  toQuizQuestion,
+  questionStatistics
+};
@@ -0,0 +1,431 @@
+const crypto = require('crypto');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+
+const QUESTION_TYPES = ['mcq', 'multi_select', 'true_false', 'short_answer'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Lower-case, single-spaced text for comparing short answers
+const normalizeAnswer = (text, caseSensitive) => {
+  const collapsed = String(text || '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? collapsed : collapsed.toLowerCase();
+};
+
+/**
+ * Check and tidy a list of quiz questions from a request body
+ * True/false questions may give `answer: true|false` instead of options.
+ * @param {Array} input - Questions as { type, text, options: [{ text, isCorrect }], acceptedAnswers, points, explanation }
+ * @returns {Object} - { questions } or { error }
+ */
+const parseQuestions = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'Please add at least one question' };
+  }
+
+  const questions = [];
+  for (const [index, question] of input.entries()) {
+    const label = `Question ${index + 1}`;
+    if (!question || !QUESTION_TYPES.includes(question.type)) {
+      return { error: `${label} must be one of: ${QUESTION_TYPES.join(', ')}` };
+    }
+    if (!question.text || !String(question.text).trim()) {
+      return { error: `${label} needs question text` };
+    }
+
+    const points = question.points === undefined ? 1 : Number(question.points);
+    if (isNaN(points) || points < 0) {
+      return { error: `${label} must be worth zero or more points` };
+    }
+
+    let options = (question.options || []).map(option => ({
+      ...(option._id ? { _id: option._id } : {}),
+      text: String(typeof option === 'string' ? option : option.text || '').trim(),
+      isCorrect: Boolean(option.isCorrect)
+    }));
+
+    if (question.type === 'true_false' && options.length === 0) {
+      if (typeof question.answer !== 'boolean') {
+        return { error: `${label} needs the correct answer (true or false)` };
+      }
+      options = [
+        { text: 'True', isCorrect: question.answer },
+        { text: 'False', isCorrect: !question.answer }
+      ];
+    }
+
+    if (question.type !== 'short_answer') {
+      const correct = options.filter(option => option.isCorrect).length;
+      if (options.length < 2 || options.some(option => !option.text)) {
+        return { error: `${label} needs at least two options with text` };
+      }
+      if (question.type === 'true_false' && options.length !== 2) {
+        return { error: `${label} must have exactly two options` };
+      }
+      if (question.type !== 'multi_select' && correct !== 1) {
+        return { error: `${label} must have exactly one correct option` };
+      }
+      if (question.type === 'multi_select' && correct === 0) {
+        return { error: `${label} must have at least one correct option` };
+      }
+    }
+
+    questions.push({
+      ...(question._id ? { _id: question._id } : {}),
+      type: question.type,
+      text: String(question.text).trim(),
+      options: question.type === 'short_answer' ? [] : options,
+      acceptedAnswers: question.type === 'short_answer'
+        ? (question.acceptedAnswers || []).map(answer => String(answer).trim()).filter(Boolean)
+        : [],
+      caseSensitive: Boolean(question.caseSensitive),
+      points,
+      explanation: question.explanation,
+      ...(question.bankQuestion ? { bankQuestion: question.bankQuestion } : {})
+    });
+  }
+
+  return { questions };
+};
+
+/**
+ * Turn the output of the AI quiz generator into quiz questions
+ * @param {Array} generated - Items as { question_text, options, correct_answer (index or option text), explanation }
+ * @returns {Object} - { questions } or { error }
+ */
+const fromGeneratedQuiz = (generated) => {
+  if (!Array.isArray(generated)) {
+    return { error: 'The generated quiz must be a list of questions' };
+  }
+
+  return parseQuestions(generated.map(item => {
+    const options = Array.isArray(item.options) ? item.options.map(String) : [];
+    let correct = Number(item.correct_answer);
+    if (isNaN(correct)) {
+      // Some responses give the answer text or a letter instead of an index
+      const answer = String(item.correct_answer || '').trim();
+      correct = options.findIndex(option => option.trim().toLowerCase() === answer.toLowerCase());
+      if (correct === -1 && /^[a-z]$/i.test(answer)) correct = answer.toUpperCase().charCodeAt(0) - 65;
+    }
+
+    return {
+      type: 'mcq',
+      text: item.question_text || item.question,
+      options: options.map((text, index) => ({ text: text.replace(/^[A-D][).]\s+/, ''), isCorrect: index === correct })),
+      points: 1,
+      explanation: item.explanation
+    };
+  }));
+};
+
+/**
+ * Check a student's answers against the quiz's questions and options
+ * @param {Object} quiz - Quiz with questions
+ * @param {Array} input - Answers as { question, selected: [optionId], text }
+ * @returns {Object} - { answers } or { error }
+ */
+const parseAnswers = (quiz, input) => {
+  if (!Array.isArray(input)) {
+    return { error: 'Answers must be a list' };
+  }
+
+  const answers = [];
+  for (const item of input) {
+    const question = item && item.question
+      ? quiz.questions.find(entry => idOf(entry) === String(item.question))
+      : null;
+    if (!question) {
+      return { error: 'Answer given for a question that is not on this quiz' };
+    }
+
+    if (question.type === 'short_answer') {
+      answers.push({ question: question._id, selected: [], text: item.text === undefined ? '' : String(item.text) });
+      continue;
+    }
+
+    const selected = [...new Set([].concat(item.selected || []).map(String))];
+    if (selected.some(id => !question.options.some(option => idOf(option) === id))) {
+      return { error: `Unknown option chosen for "${question.text}"` };
+    }
+    if (question.type !== 'multi_select' && selected.length > 1) {
+      return { error: `Only one option can be chosen for "${question.text}"` };
+    }
+    answers.push({ question: question._id, selected });
+  }
+
+  return { answers };
+};
+
+// Fisher-Yates shuffle using a cryptographic random source
+const shuffle = (list) => {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+/**
+ * Decide the order a new attempt shows questions and options in
+ * @param {Object} quiz - Quiz with questions
+ * @returns {Object} - { questionOrder, optionOrder }
+ */
+const buildAttemptOrder = (quiz) => {
+  const questions = quiz.shuffleQuestions ? shuffle(quiz.questions) : quiz.questions;
+  return {
+    questionOrder: questions.map(question => question._id),
+    optionOrder: questions
+      .filter(question => question.options && question.options.length > 0)
+      .map(question => ({
+        question: question._id,
+        // True/false keeps its natural order
+        options: (quiz.shuffleOptions && question.type !== 'true_false' ? shuffle(question.options) : question.options)
+          .map(option => option._id)
+      }))
+  };
+};
+
+/**
+ * When an attempt started now must be handed in
+ * @param {Object} quiz - Quiz with timeLimitMinutes and availableUntil
+ * @param {Date} startedAt
+ * @returns {Date|null}
+ */
+const attemptDeadline = (quiz, startedAt) => {
+  const limits = [];
+  if (quiz.timeLimitMinutes) limits.push(new Date(startedAt.getTime() + quiz.timeLimitMinutes * 60 * 1000));
+  if (quiz.availableUntil) limits.push(new Date(quiz.availableUntil));
+  return limits.length > 0 ? new Date(Math.min(...limits)) : null;
+};
+
+/**
+ * Mark one answer
+ * Multi-select questions earn partial credit: each correct choice adds, each wrong choice takes away.
+ * @param {Object} question - Quiz question
+ * @param {Object} [answer] - { selected, text }
+ * @returns {Object} - { isCorrect, pointsAwarded, needsReview }
+ */
+const gradeAnswer = (question, answer) => {
+  const points = question.points || 0;
+  const selected = new Set(((answer && answer.selected) || []).map(idOf));
+
+  if (question.type === 'short_answer') {
+    const text = answer && answer.text ? normalizeAnswer(answer.text, question.caseSensitive) : '';
+    if (!text) return { isCorrect: false, pointsAwarded: 0, needsReview: false };
+    if (!question.acceptedAnswers || question.acceptedAnswers.length === 0) {
+      return { isCorrect: undefined, pointsAwarded: 0, needsReview: true };
+    }
+    const isCorrect = question.acceptedAnswers.some(accepted => normalizeAnswer(accepted, question.caseSensitive) === text);
+    return { isCorrect, pointsAwarded: isCorrect ? points : 0, needsReview: false };
+  }
+
+  const correct = question.options.filter(option => option.isCorrect).map(idOf);
+  if (question.type === 'multi_select') {
+    const right = correct.filter(id => selected.has(id)).length;
+    const wrong = [...selected].filter(id => !correct.includes(id)).length;
+    const share = Math.max(0, (right - wrong) / correct.length);
+    return { isCorrect: share === 1, pointsAwarded: round(points * share), needsReview: false };
+  }
+
+  const isCorrect = selected.size === 1 && selected.has(correct[0]);
+  return { isCorrect, pointsAwarded: isCorrect ? points : 0, needsReview: false };
+};
+
+/**
+ * Mark every answer of an attempt and total the score
+ * Answers already reviewed by a lecturer keep their points.
+ * @param {Object} quiz - Quiz with questions
+ * @param {Object} attempt - Attempt document (changed in place)
+ * @returns {Object} - The attempt
+ */
+const gradeAttempt = (quiz, attempt) => {
+  const answers = quiz.questions.map(question => {
+    const given = (attempt.answers || []).find(answer => idOf(answer.question) === idOf(question));
+    if (given && given.reviewedBy) return given;
+    return {
+      question: question._id,
+      selected: given ? given.selected : [],
+      text: given ? given.text : undefined,
+      ...gradeAnswer(question, given)
+    };
+  });
+
+  attempt.answers = answers;
+  return totalAttempt(quiz, attempt);
+};
+
+/**
+ * Recalculate an attempt's score from its marked answers
+ * @param {Object} quiz - Quiz with questions
+ * @param {Object} attempt - Attempt document (changed in place)
+ * @returns {Object} - The attempt
+ */
+const totalAttempt = (quiz, attempt) => {
+  const maxScore = quiz.questions.reduce((sum, question) => sum + (question.points || 0), 0);
+  attempt.score = round(attempt.answers.reduce((sum, answer) => sum + (answer.pointsAwarded || 0), 0));
+  attempt.maxScore = maxScore;
+  attempt.percentage = maxScore > 0 ? round(attempt.score / maxScore * 100) : 0;
+  attempt.needsReview = attempt.answers.some(answer => answer.needsReview);
+  return attempt;
+};
+
+/**
+ * Hand in an attempt whose time has run out, with the answers saved so far
+ * @param {Object} quiz - Quiz with questions
+ * @param {Object} attempt - Attempt document
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - The attempt
+ */
+const closeIfExpired = async (quiz, attempt, now = new Date()) => {
+  if (attempt.status !== 'in_progress' || !attempt.deadline || now <= attempt.deadline) return attempt;
+  attempt.status = 'timed_out';
+  attempt.submittedAt = attempt.deadline;
+  gradeAttempt(quiz, attempt);
+  await attempt.save();
+  return attempt;
+};
+
+/**
+ * Show a quiz to a student in the order of their attempt, without answers
+ * @param {Object} quiz - Quiz with questions
+ * @param {Object} attempt - The student's attempt
+ * @param {Object} [options]
+ * @param {boolean} [options.reveal] - Include correct answers, marks and explanations
+ * @returns {Array} - Questions as shown to the student
+ */
+const presentQuestions = (quiz, attempt, { reveal = false } = {}) => {
+  const order = attempt.questionOrder && attempt.questionOrder.length > 0
+    ? attempt.questionOrder.map(id => quiz.questions.find(question => idOf(question) === idOf(id))).filter(Boolean)
+    : quiz.questions;
+
+  return order.map(question => {
+    const optionIds = (attempt.optionOrder || []).find(item => idOf(item.question) === idOf(question));
+    const options = optionIds
+      ? optionIds.options.map(id => question.options.find(option => idOf(option) === idOf(id))).filter(Boolean)
+      : question.options;
+    const answer = (attempt.answers || []).find(item => idOf(item.question) === idOf(question));
+
+    return {
+      _id: question._id,
+      type: question.type,
+      text: question.text,
+      points: question.points,
+      options: options.map(option => ({
+        _id: option._id,
+        text: option.text,
+        ...(reveal ? { isCorrect: option.isCorrect } : {})
+      })),
+      answer: answer ? { selected: answer.selected, text: answer.text } : null,
+      ...(reveal ? {
+        acceptedAnswers: question.acceptedAnswers,
+        explanation: question.explanation,
+        isCorrect: answer ? answer.isCorrect : false,
+        pointsAwarded: answer ? answer.pointsAwarded : 0,
+        needsReview: answer ? answer.needsReview : false,
+        feedback: answer ? answer.feedback : undefined
+      } : {})
+    };
+  });
+};
+
+/**
+ * Whether a student may see the marked answers of a finished attempt
+ * @param {Object} quiz
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const canRevealAnswers = (quiz, now = new Date()) => {
+  if (quiz.showAnswers === 'after_submit') return true;
+  if (quiz.showAnswers === 'after_close') return Boolean(quiz.availableUntil && now > quiz.availableUntil);
+  return false;
+};
+
+/**
+ * The percentage that counts for a student, following the quiz's scoring policy
+ * @param {Object} quiz - Quiz with scoringPolicy
+ * @param {Array} attempts - The student's finished attempts
+ * @returns {number|null}
+ */
+const quizPercentage = (quiz, attempts) => {
+  const finished = attempts
+    .filter(attempt => attempt.status !== 'in_progress' && typeof attempt.percentage === 'number')
+    .sort((a, b) => a.number - b.number);
+  if (finished.length === 0) return null;
+  if (quiz.scoringPolicy === 'latest') return finished[finished.length - 1].percentage;
+  if (quiz.scoringPolicy === 'average') {
+    return round(finished.reduce((sum, attempt) => sum + attempt.percentage, 0) / finished.length);
+  }
+  return Math.max(...finished.map(attempt => attempt.percentage));
+};
+
+/**
+ * Load the published quizzes of a course with every finished attempt, for the gradebook
+ * @param {Object} course - Course with academicSession
+ * @param {Date} [now]
+ * @returns {Promise<Array>} - Quizzes with an `attempts` array
+ */
+const getCourseQuizResults = async (course, now = new Date()) => {
+  const query = { course: course._id, isPublished: true };
+  if (course.academicSession) {
+    query.$or = [{ academicSession: course.academicSession }, { academicSession: { $exists: false } }, { academicSession: null }];
+  }
+
+  const quizzes = await Quiz.find(query).select('title questions scoringPolicy availableUntil timeLimitMinutes');
+  const attempts = await QuizAttempt.find({ quiz: { $in: quizzes.map(quiz => quiz._id) } })
+    .select('quiz student number status deadline percentage needsReview answers');
+
+  // Time-limited attempts nobody handed in are closed before they are counted
+  for (const attempt of attempts) {
+    const quiz = quizzes.find(item => idOf(item) === idOf(attempt.quiz));
+    await closeIfExpired(quiz, attempt, now);
+  }
+
+  return quizzes.map(quiz => ({
+    _id: quiz._id,
+    title: quiz.title,
+    scoringPolicy: quiz.scoringPolicy,
+    availableUntil: quiz.availableUntil,
+    attempts: attempts.filter(attempt => idOf(attempt.quiz) === idOf(quiz))
+  }));
+};
+
+/**
+ * Percentage a student earned on a quiz, for the gradebook
+ * @param {Object} quiz - Quiz from getCourseQuizResults
+ * @param {string} studentId
+ * @param {Date} [now]
+ * @returns {Object|null} - { percent, missing, pending } or null when there is nothing to count yet
+ */
+const quizScore = (quiz, studentId, now = new Date()) => {
+  const attempts = quiz.attempts.filter(attempt => idOf(attempt.student) === idOf(studentId));
+  if (attempts.some(attempt => attempt.needsReview)) return { percent: null, pending: true, missing: false };
+
+  const percent = quizPercentage(quiz, attempts);
+  if (percent !== null) return { percent, pending: false, missing: false };
+
+  // Not taking a quiz only counts (as zero) once it has closed
+  return quiz.availableUntil && new Date(quiz.availableUntil) < now
+    ? { percent: 0, pending: false, missing: true }
+    : null;
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  parseQuestions,
+  fromGeneratedQuiz,
+  parseAnswers,
+  buildAttemptOrder,
+  attemptDeadline,
+  gradeAnswer,
+  gradeAttempt,
+  totalAttempt,
+  closeIfExpired,
+  presentQuestions,
+  canRevealAnswers,
+  quizPercentage,
+  getCourseQuizResults,
+  quizScore
+};
@@ -0,0 +1,135 @@
+const { letterFor } = require('./gradebookService');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Read a rubric from a request body (JSON string from multipart forms, or an array)
+ * @param {string|Array} input - Criteria as { title, description, levels: [{ label, description, points }] }
+ * @returns {Object} - { criteria } or { error }
+ */
+const parseRubric = (input) => {
+  let criteria = input;
+  if (typeof input === 'string') {
+    try {
+      criteria = input.trim() ? JSON.parse(input) : [];
+    } catch (error) {
+      return { error: 'Rubric must be valid JSON' };
+    }
+  }
+
+  if (!Array.isArray(criteria)) {
+    return { error: 'Rubric must be a list of criteria' };
+  }
+
+  for (const criterion of criteria) {
+    if (!criterion || !criterion.title || !Array.isArray(criterion.levels) || criterion.levels.length === 0) {
+      return { error: 'Every rubric criterion needs a title and at least one level' };
+    }
+    if (criterion.levels.some(level => !level.label || isNaN(Number(level.points)) || Number(level.points) < 0)) {
+      return { error: `Every level of "${criterion.title}" needs a label and non-negative points` };
+    }
+  }
+
+  return {
+    criteria: criteria.map(criterion => ({
+      ...(criterion._id ? { _id: criterion._id } : {}),
+      title: String(criterion.title).trim(),
+      description: criterion.description,
+      levels: criterion.levels
+        .map(level => ({
+          ...(level._id ? { _id: level._id } : {}),
+          label: String(level.label).trim(),
+          description: level.description,
+          points: Number(level.points)
+        }))
+        .sort((a, b) => b.points - a.points)
+    }))
+  };
+};
+
+// Highest points available on a criterion
+const maxPointsOf = (criterion) => Math.max(...criterion.levels.map(level => level.points));
+
+/**
+ * Total the marks given against a rubric
+ * Each mark picks a level, or gives points directly (up to the criterion's best level).
+ * @param {Array} rubric - Assignment rubric criteria
+ * @param {Array} marks - Marks as { criterion, level, points, comment }
+ * @returns {Object} - { criteria, total, max } or { error }
+ */
+const scoreRubric = (rubric, marks) => {
+  if (!Array.isArray(marks)) {
+    return { error: 'Please provide a mark for each rubric criterion' };
+  }
+
+  const criteria = [];
+  for (const criterion of rubric) {
+    const mark = marks.find(item => item && item.criterion && String(item.criterion) === idOf(criterion));
+    if (!mark) {
+      return { error: `Please mark the "${criterion.title}" criterion` };
+    }
+
+    const maxPoints = maxPointsOf(criterion);
+    let level = mark.level ? criterion.levels.find(item => idOf(item) === String(mark.level)) : null;
+    if (mark.level && !level) {
+      return { error: `Unknown level for "${criterion.title}"` };
+    }
+
+    let points;
+    if (mark.points !== undefined && mark.points !== null && mark.points !== '') {
+      points = Number(mark.points);
+      if (isNaN(points) || points < 0 || points > maxPoints) {
+        return { error: `Points for "${criterion.title}" must be between 0 and ${maxPoints}` };
+      }
+      // Describe direct points with the best level they reach
+      level = level || [...criterion.levels].sort((a, b) => b.points - a.points).find(item => points >= item.points) || null;
+    } else if (level) {
+      points = level.points;
+    } else {
+      return { error: `Please choose a level or give points for "${criterion.title}"` };
+    }
+
+    criteria.push({
+      criterion: criterion._id,
+      title: criterion.title,
+      level: level ? level._id : undefined,
+      levelLabel: level ? level.label : undefined,
+      points,
+      maxPoints,
+      comment: mark.comment
+    });
+  }
+
+  return {
+    criteria,
+    total: round(criteria.reduce((sum, item) => sum + item.points, 0)),
+    max: round(criteria.reduce((sum, item) => sum + item.maxPoints, 0))
+  };
+};
+
+/**
+ * Express a score in an assignment's grading scheme
+ * @param {number} score - Points out of totalPoints
+ * @param {Object} assignment - Assignment with totalPoints and gradingScheme
+ * @param {Array} scale - Grading scale bands for letter grades
+ * @returns {Object} - { percentage, letter, display }
+ */
+const formatGrade = (score, assignment, scale) => {
+  const total = assignment.totalPoints || 100;
+  const percentage = round(score / total * 100);
+  const { letter } = letterFor(percentage, scale);
+
+  let display = `${round(score)}/${total}`;
+  if (assignment.gradingScheme === 'percentage') display = `${percentage}%`;
+  if (assignment.gradingScheme === 'letter') display = letter;
+
+  return { percentage, letter, display };
+};
+
+module.exports = {
+  parseRubric,
+  scoreRubric,
+  formatGrade
+};
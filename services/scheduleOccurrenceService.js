@@ -0,0 +1,213 @@
+const Schedule = require('../models/Schedule');
+const { toMinutes, dayKey } = require('./examConflictService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far a recurring class runs when it is not tied to an academic session
+const DEFAULT_HORIZON_DAYS = 180;
+
+// Guard against runaway series (a daily class for a whole year is well below this)
+const MAX_OCCURRENCES = 1000;
+
+const RECURRENCE_STEP_DAYS = {
+  daily: 1,
+  weekly: 7,
+  biweekly: 14
+};
+
+const startOfDay = (date) => new Date(`${dayKey(date)}T00:00:00.000Z`);
+
+// Schedule times are free text such as "09:00" or "9:00 AM"; returns minutes since midnight
+const parseClock = (time) => {
+  const match = String(time || '').match(/(\d{1,2}):(\d{2})\s*(am|pm)?/i);
+  if (!match) return 0;
+  let hours = parseInt(match[1], 10) % 24;
+  const minutes = parseInt(match[2], 10);
+  if (match[3] && match[3].toLowerCase() === 'pm' && hours < 12) hours += 12;
+  if (match[3] && match[3].toLowerCase() === 'am' && hours === 12) hours = 0;
+  return hours * 60 + minutes;
+};
+
+const formatClock = (minutes) => {
+  const clamped = Math.min(minutes, 23 * 60 + 59);
+  return `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Find the semester of an academic session a schedule belongs to
+ * Uses the schedule's semester name when set, otherwise the semester its first date falls in.
+ * @param {Object} session - AcademicSession with semesters
+ * @param {Object} schedule - Schedule with date and optional semester
+ * @returns {Object|null} - Semester as { name, startDate, endDate }
+ */
+const findSemester = (session, schedule) => {
+  const semesters = (session.semesters || []).filter(semester => semester.startDate && semester.endDate);
+
+  if (schedule.semester) {
+    const name = String(schedule.semester).trim().toLowerCase();
+    // "First" matches a semester named "First Semester"
+    const named = semesters.find(semester => String(semester.name || '').trim().toLowerCase() === name) ||
+      semesters.find(semester => String(semester.name || '').toLowerCase().includes(name));
+    if (named) return named;
+  }
+
+  // Otherwise the semester in progress on the first date, or failing that the next one to start
+  const first = startOfDay(schedule.date);
+  return semesters.find(semester => startOfDay(semester.startDate) <= first && first <= startOfDay(semester.endDate)) ||
+    semesters
+      .filter(semester => startOfDay(semester.startDate) > first)
+      .sort((a, b) => a.startDate - b.startDate)[0] ||
+    null;
+};
+
+/**
+ * Work out the first and last day a schedule's series can run
+ * Recurring classes are bounded by their semester, or the whole academic session when
+ * no semester matches. The academic session must be populated to be taken into account.
+ * @param {Object} schedule - Schedule document or plain object
+ * @returns {Object} - { start, end, semester }
+ */
+const getSeriesWindow = (schedule) => {
+  const first = startOfDay(schedule.date);
+
+  if (!schedule.isRecurring || !schedule.recurrencePattern || schedule.recurrencePattern === 'none') {
+    return { start: first, end: first, semester: null };
+  }
+
+  const session = schedule.academicSession && schedule.academicSession.endDate ? schedule.academicSession : null;
+  if (!session) {
+    return { start: first, end: new Date(first.getTime() + DEFAULT_HORIZON_DAYS * DAY_MS), semester: null };
+  }
+
+  const semester = findSemester(session, schedule);
+  const bounds = semester || session;
+  const start = bounds.startDate && startOfDay(bounds.startDate) > first ? startOfDay(bounds.startDate) : first;
+
+  return { start, end: startOfDay(bounds.endDate), semester: semester ? semester.name : null };
+};
+
+// Dates generated by the recurrence rule, before any per-occurrence changes
+const seriesDates = (schedule) => {
+  const { start, end } = getSeriesWindow(schedule);
+  const first = startOfDay(schedule.date);
+  const pattern = schedule.isRecurring ? schedule.recurrencePattern : 'none';
+
+  const dates = [];
+  for (let index = 0; index < MAX_OCCURRENCES; index++) {
+    let date;
+    if (pattern === 'monthly') {
+      date = new Date(first);
+      date.setUTCMonth(first.getUTCMonth() + index);
+      // Months without the start day (e.g. the 31st) are skipped, as FREQ=MONTHLY does
+      if (date.getUTCDate() !== first.getUTCDate()) {
+        if (date > end) break;
+        continue;
+      }
+    } else if (RECURRENCE_STEP_DAYS[pattern]) {
+      date = new Date(first.getTime() + index * RECURRENCE_STEP_DAYS[pattern] * DAY_MS);
+    } else if (index === 0) {
+      date = first;
+    } else {
+      break;
+    }
+
+    if (date > end) break;
+    if (date >= start) dates.push(date);
+  }
+
+  return dates;
+};
+
+/**
+ * Find the override recorded for one occurrence of a series
+ * @param {Object} schedule - Schedule with overrides
+ * @param {Date|string} originalDate - Date the series generated for the occurrence
+ * @returns {Object|undefined}
+ */
+const findOverride = (schedule, originalDate) => (schedule.overrides || [])
+  .find(override => dayKey(override.originalDate) === dayKey(originalDate));
+
+/**
+ * Expand a schedule into its occurrences, applying cancellations, moves and venue changes
+ * @param {Object} schedule - Schedule (academicSession populated to bound the series)
+ * @param {Date|string} [from] - Only occurrences on or after this day
+ * @param {Date|string} [to] - Only occurrences on or before this day
+ * @param {Object} [options]
+ * @param {boolean} [options.includeCanceled] - Keep cancelled occurrences in the result
+ * @returns {Array} - Occurrences ordered by date and start time
+ */
+const expandOccurrences = (schedule, from, to, { includeCanceled = false } = {}) => {
+  const rangeStart = from ? startOfDay(from) : null;
+  const rangeEnd = to ? startOfDay(to) : null;
+
+  return seriesDates(schedule)
+    .map(originalDate => {
+      const override = findOverride(schedule, originalDate);
+      const time = (override && override.time) || schedule.time;
+      const duration = (override && override.duration) || schedule.duration || 60;
+      const start = parseClock(time);
+      const movedVenue = override && override.venue;
+
+      let status = 'scheduled';
+      if (schedule.status === 'canceled' || (override && override.status === 'canceled')) {
+        status = 'canceled';
+      } else if (override) {
+        status = 'rescheduled';
+      }
+
+      return {
+        schedule: schedule._id,
+        course: schedule.course,
+        lecturer: schedule.lecturer,
+        originalDate,
+        date: override && override.date ? startOfDay(override.date) : originalDate,
+        startTime: formatClock(start),
+        endTime: formatClock(start + duration),
+        duration,
+        venue: movedVenue ? override.venue : schedule.venue,
+        venueRef: movedVenue ? override.venueRef : schedule.venueRef,
+        status,
+        reason: override ? override.reason : undefined,
+        notes: schedule.notes
+      };
+    })
+    .filter(occurrence => (includeCanceled || occurrence.status !== 'canceled') &&
+      (!rangeStart || occurrence.date >= rangeStart) &&
+      (!rangeEnd || occurrence.date <= rangeEnd))
+    .sort((a, b) => a.date - b.date || toMinutes(a.startTime) - toMinutes(b.startTime));
+};
+
+/**
+ * Load schedules and expand them into occurrences within a date range
+ * @param {Object} query - Schedule filter (e.g. { course: { $in: courseIds } })
+ * @param {Date|string} from - First day of the range
+ * @param {Date|string} to - Last day of the range
+ * @param {Object} [options] - Passed to expandOccurrences
+ * @returns {Promise<Array>} - Occurrences of every matching schedule, with course populated
+ */
+const getOccurrences = async (query, from, to, options = {}) => {
+  const rangeEnd = new Date(startOfDay(to).getTime() + DAY_MS - 1);
+
+  const schedules = await Schedule.find({
+    $and: [
+      query,
+      { $or: [{ date: { $lte: rangeEnd } }, { 'overrides.date': { $lte: rangeEnd } }] }
+    ]
+  })
+    .populate('course', 'code title')
+    .populate('academicSession', 'startDate endDate semesters');
+
+  return schedules
+    .flatMap(schedule => expandOccurrences(schedule, from, to, options))
+    .sort((a, b) => a.date - b.date || toMinutes(a.startTime) - toMinutes(b.startTime));
+};
+
+module.exports = {
+  parseClock,
+  formatClock,
+  findSemester,
+  getSeriesWindow,
+  findOverride,
+  expandOccurrences,
+  getOccurrences
+};
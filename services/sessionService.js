@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// How long a session lasts without being refreshed
+const SESSION_DAYS = parseInt(process.env.SESSION_EXPIRES_DAYS) || 30;
+
+// Refreshed sessions only record their last use this often, to spare a write on every request
+const LAST_USED_INTERVAL_MS = 5 * 60 * 1000;
+
+// Old refresh tokens remembered per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionExpiry = (from = new Date()) => new Date(from.getTime() + SESSION_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Short description of the device behind a user agent, e.g. "Chrome on Windows"
+ * @param {string} userAgent
+ * @returns {string}
+ */
+const describeDevice = (userAgent) => {
+  const agent = String(userAgent || '');
+  if (!agent) return 'Unknown device';
+
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']];
+  const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+  const browser = browsers.find(([marker]) => agent.includes(marker));
+  const system = systems.find(([marker]) => agent.includes(marker));
+
+  if (!browser && !system) return agent.split(/[\s/]/)[0] || 'Unknown device';
+  return [browser && browser[1], system && `on ${system[1]}`].filter(Boolean).join(' ');
+};
+
+// Client details recorded with a session
+// req.ip only reads X-Forwarded-For from the proxies trusted in server.js, so clients cannot set it themselves.
+const clientDetails = (req) => {
+  const userAgent = req.headers['user-agent'] || '';
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ipAddress: req.ip || (req.connection && req.connection.remoteAddress)
+  };
+};
+
+// Refresh tokens are "<session id>.<random secret>"; only the secret's hash is stored
+const newRefreshToken = (session) => {
+  const secret = crypto.randomBytes(40).toString('hex');
+  return { token: `${session._id}.${secret}`, hash: hashToken(secret) };
+};
+
+const issueTokens = (user, session, refreshToken) => ({
+  token: user.getSignedJwtToken(session._id),
+  refreshToken,
+  sessionId: session._id,
+  expiresAt: session.expiresAt
+});
+
+/**
+ * Start a session for a user who has just signed in
+ * @param {Object} user - User document
+ * @param {Object} req - Request, for the device, user agent and IP address
+ * @returns {Promise<Object>} - { token, refreshToken, sessionId, expiresAt }
+ */
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    ...clientDetails(req),
+    expiresAt: sessionExpiry()
+  });
+  const { token, hash } = newRefreshToken(session);
+  session.tokenHash = hash;
+  await session.save();
+
+  return issueTokens(user, session, token);
+};
+
+/**
+ * End one session
+ * @param {Object} session - Session document
+ * @param {string} reason - One of Session's revokeReason values
+ * @param {string} [revokedBy] - User ID that ended it
+ * @returns {Promise<Object>} - The session
+ */
+const revokeSession = async (session, reason, revokedBy) => {
+  if (session.revokedAt) return session;
+  session.revokedAt = new Date();
+  session.revokeReason = reason;
+  session.revokedBy = revokedBy;
+  await session.save();
+  return session;
+};
+
+/**
+ * End every active session of a user
+ * @param {string} userId
+ * @param {string} reason - One of Session's revokeReason values
+ * @param {Object} [options]
+ * @param {string} [options.revokedBy] - User ID that ended them
+ * @param {string} [options.except] - Session ID to keep, usually the current one
+ * @returns {Promise<number>} - Number of sessions ended
+ */
+const revokeUserSessions = async (userId, reason, { revokedBy, except } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokeReason: reason, revokedBy }
+  });
+  return result.modifiedCount;
+};
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ * Presenting a refresh token that was already used ends the whole session, since either the
+ * user or an attacker is holding a copy.
+ * @param {string} refreshToken
+ * @param {Object} req - Request, for the user agent and IP address
+ * @returns {Promise<Object>} - { token, refreshToken, sessionId, expiresAt, user } or { error }
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return { error: 'Invalid or expired refresh token' };
+
+  const session = await Session.findById(sessionId).select('+tokenHash +previousTokenHashes');
+  if (!session) return { error: 'Invalid or expired refresh token' };
+
+  const hash = hashToken(secret);
+  if (hash !== session.tokenHash) {
+    if ((session.previousTokenHashes || []).includes(hash)) {
+      await revokeSession(session, 'token_reuse');
+      return { error: 'This refresh token has already been used. The session has been ended; please log in again.' };
+    }
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  if (!session.isActive()) return { error: 'Invalid or expired refresh token' };
+
+  const user = await User.findById(session.user);
+  if (!user || user.isActive === false) {
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  // Swapped in one step on the token presented, so of two requests racing with the same token only one wins
+  const next = newRefreshToken(session);
+  const now = new Date();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { tokenHash: next.hash, ...clientDetails(req), lastUsedAt: now, expiresAt: sessionExpiry(now) },
+      $push: { previousTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // Another request rotated this token first, so it has now been used twice
+    const current = await Session.findById(session._id).select('+previousTokenHashes');
+    if (current && (current.previousTokenHashes || []).includes(hash)) {
+      await revokeSession(current, 'token_reuse');
+      return { error: 'This refresh token has already been used. The session has been ended; please log in again.' };
+    }
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  return { ...issueTokens(user, rotated, next.token), user };
+};
+
+/**
+ * Check an access token and the session it belongs to
+ * @param {string} token - Access token (JWT)
+ * @returns {Promise<Object>} - { user, session } or { error }
+ */
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return { error: 'Token is invalid or expired' };
+  }
+
+  // Tokens from before sessions were introduced cannot be revoked, so they are no longer accepted
+  if (!decoded.sid) return { error: 'Your session has expired. Please log in again.' };
+
+  const [user, session] = await Promise.all([
+    User.findById(decoded.id),
+    Session.findById(decoded.sid)
+  ]);
+  if (!user) return { error: 'User not found' };
+  if (!session || session.user.toString() !== user._id.toString() || !session.isActive()) {
+    return { error: 'Your session has ended. Please log in again.' };
+  }
+
+  if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } });
+  }
+
+  return { user, session };
+};
+
+module.exports = {
+  describeDevice,
+  clientDetails,
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  verifyAccessToken
+};
@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Assignment = require('../models/Assignment');
+const SubmissionText = require('../models/SubmissionText');
+const { canExtract, extractText } = require('../utils/textExtraction');
+
+// Matches are runs of at least this many identical words
+const SHINGLE_SIZE = 5;
+const MAX_PASSAGES = 10;
+const MAX_MATCHES = 5;
+// Older assignments of the course compared against, most recent first
+const MAX_PREVIOUS_ASSIGNMENTS = 20;
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+const words = (text) => String(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Index a text by its word n-grams
+ * @param {string} text
+ * @returns {Object} - { words, shingles: Map<string, Array<number>> }
+ */
+const fingerprint = (text) => {
+  const list = words(text);
+  const lower = list.map(word => word.toLowerCase());
+  const shingles = new Map();
+  for (let i = 0; i + SHINGLE_SIZE <= lower.length; i++) {
+    const key = lower.slice(i, i + SHINGLE_SIZE).join(' ');
+    if (!shingles.has(key)) shingles.set(key, []);
+    shingles.get(key).push(i);
+  }
+  return { words: list, shingles };
+};
+
+/**
+ * Measure how much of one document appears in another
+ * @param {Object} source - Fingerprint of the document being checked
+ * @param {Object} other - Fingerprint of the document compared against
+ * @param {Set<string>} [ignore] - Shingles never counted (e.g. the assignment brief)
+ * @returns {Object} - { score (percentage of source words matched), passages }
+ */
+const compareDocuments = (source, other, ignore = new Set()) => {
+  const covered = new Array(source.words.length).fill(false);
+  const hits = [];
+
+  for (let i = 0; i + SHINGLE_SIZE <= source.words.length; i++) {
+    const key = source.words.slice(i, i + SHINGLE_SIZE).join(' ').toLowerCase();
+    if (ignore.has(key) || !other.shingles.has(key)) continue;
+    hits.push({ at: i, otherAt: other.shingles.get(key)[0] });
+    for (let j = i; j < i + SHINGLE_SIZE; j++) covered[j] = true;
+  }
+
+  // Consecutive matching n-grams form one passage
+  const runs = [];
+  hits.forEach(hit => {
+    const last = runs[runs.length - 1];
+    if (last && hit.at === last.end + 1) {
+      last.end = hit.at;
+      last.otherEnd = Math.max(last.otherEnd, hit.otherAt);
+    } else {
+      runs.push({ start: hit.at, end: hit.at, otherStart: hit.otherAt, otherEnd: hit.otherAt });
+    }
+  });
+
+  const passages = runs
+    .map(run => ({
+      start: run.start,
+      end: run.end + SHINGLE_SIZE,
+      words: run.end + SHINGLE_SIZE - run.start,
+      text: source.words.slice(run.start, run.end + SHINGLE_SIZE).join(' '),
+      matchedText: other.words.slice(run.otherStart, run.otherEnd + SHINGLE_SIZE).join(' ')
+    }))
+    .sort((a, b) => b.words - a.words)
+    .slice(0, MAX_PASSAGES)
+    .sort((a, b) => a.start - b.start);
+
+  const matchedWords = covered.filter(Boolean).length;
+  return {
+    score: source.words.length > 0 ? Math.round(matchedWords / source.words.length * 1000) / 10 : 0,
+    passages
+  };
+};
+
+/**
+ * Compare each current submission with every other document
+ * @param {Array} documents - Documents as { id, student, assignment, academicSession, previous, text }
+ * @param {Object} [options]
+ * @param {string} [options.ignoreText] - Text every submission may legitimately repeat, such as the brief
+ * @returns {Array} - Per current submission: { id, student, wordCount, score, matches }
+ */
+const analyzeSubmissions = (documents, { ignoreText = '' } = {}) => {
+  const ignore = new Set(fingerprint(ignoreText).shingles.keys());
+  const indexed = documents.map(document => ({ ...document, print: fingerprint(document.text) }));
+
+  return indexed
+    .filter(document => !document.previous)
+    .map(document => {
+      const matches = document.print.words.length < SHINGLE_SIZE ? [] : indexed
+        .filter(other => other.id !== document.id && other.print.words.length >= SHINGLE_SIZE)
+        .map(other => {
+          const { score, passages } = compareDocuments(document.print, other.print, ignore);
+          return {
+            submission: other.id,
+            student: other.student,
+            assignment: other.assignment,
+            academicSession: other.academicSession,
+            previousSession: Boolean(other.previous),
+            sameStudent: String(other.student) === String(document.student),
+            score,
+            passages
+          };
+        })
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_MATCHES);
+
+      // A student's own earlier work does not raise their score
+      const counted = matches.filter(match => !match.sameStudent);
+      return {
+        id: document.id,
+        student: document.student,
+        wordCount: document.print.words.length,
+        score: counted.length > 0 ? counted[0].score : 0,
+        matches
+      };
+    });
+};
+
+/**
+ * Find an uploaded file on disk from its stored URL
+ * Submission URLs do not always name the folder multer wrote to, so the known upload folders are tried.
+ * @param {string} fileUrl - e.g. /uploads/submissions/files-123.pdf
+ * @returns {string|null}
+ */
+const resolveUploadPath = (fileUrl) => {
+  if (!fileUrl || /^https?:\/\//i.test(fileUrl)) return null;
+  const relative = fileUrl.replace(/^\/+/, '');
+  const name = path.basename(relative);
+  const candidates = [
+    path.join(PUBLIC_DIR, relative),
+    path.join(__dirname, '..', relative),
+    ...['submissions', 'messages', 'assignments'].map(folder => path.join(PUBLIC_DIR, 'uploads', folder, name))
+  ];
+  return candidates.find(candidate => candidate.startsWith(path.join(__dirname, '..')) && fs.existsSync(candidate)) || null;
+};
+
+const signatureOf = (assignment, submission) => {
+  const files = (submission.files || []).map(file => `${file.fileUrl}:${file.size || ''}`).join('|');
+  const comments = assignment.submissionType === 'file' ? '' : submission.comments || '';
+  return crypto.createHash('sha1').update(`${files}#${comments}`).digest('hex');
+};
+
+/**
+ * Get the text of a submission, extracting it from the files when not cached
+ * @param {Object} assignment - Assignment the submission belongs to
+ * @param {Object} submission - Submission subdocument
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Extract again even when cached
+ * @returns {Promise<Object>} - SubmissionText document
+ */
+const getSubmissionText = async (assignment, submission, { refresh = false } = {}) => {
+  const signature = signatureOf(assignment, submission);
+  const cached = await SubmissionText.findOne({ submission: submission._id });
+  if (cached && cached.signature === signature && !refresh) return cached;
+
+  const parts = [];
+  const errors = [];
+
+  // Text-entry submissions keep their answer in the comments
+  if (assignment.submissionType !== 'file' && submission.comments) parts.push(submission.comments);
+
+  for (const file of submission.files || []) {
+    const ext = path.extname(file.filename || file.fileUrl || '').toLowerCase();
+    if (!canExtract(ext)) {
+      errors.push(`${file.filename}: text cannot be read from ${ext || 'this'} files`);
+      continue;
+    }
+    const filePath = resolveUploadPath(file.fileUrl);
+    if (!filePath) {
+      errors.push(`${file.filename}: file not found`);
+      continue;
+    }
+    try {
+      parts.push(await extractText(filePath, ext));
+    } catch (error) {
+      errors.push(`${file.filename}: ${error.message}`);
+    }
+  }
+
+  const text = parts.join('\n\n');
+  return SubmissionText.findOneAndUpdate(
+    { submission: submission._id },
+    {
+      submission: submission._id,
+      assignment: assignment._id,
+      course: assignment.course,
+      academicSession: assignment.academicSession,
+      student: submission.student,
+      text,
+      wordCount: words(text).length,
+      signature,
+      extractionErrors: errors,
+      extractedAt: new Date()
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Check an assignment's submissions against each other and against the course's earlier sessions
+ * @param {Object} assignment - Assignment document with submissions
+ * @param {Object} [options]
+ * @param {boolean} [options.includePrevious] - Also compare with earlier sessions' submissions
+ * @param {boolean} [options.refresh] - Re-extract text from every file
+ * @returns {Promise<Object>} - { results, extraction, previousAssignments }
+ */
+const checkAssignmentSimilarity = async (assignment, { includePrevious = true, refresh = false } = {}) => {
+  const documents = [];
+  const extraction = new Map();
+
+  for (const submission of assignment.submissions) {
+    const record = await getSubmissionText(assignment, submission, { refresh });
+    extraction.set(submission._id.toString(), record);
+    documents.push({
+      id: submission._id.toString(),
+      student: submission.student.toString(),
+      assignment: assignment._id,
+      academicSession: assignment.academicSession,
+      previous: false,
+      text: record.text
+    });
+  }
+
+  let previousAssignments = [];
+  if (includePrevious) {
+    previousAssignments = await Assignment.find({
+      _id: { $ne: assignment._id },
+      course: assignment.course,
+      academicSession: { $ne: assignment.academicSession },
+      createdAt: { $lt: assignment.createdAt }
+    })
+      .sort({ createdAt: -1 })
+      .limit(MAX_PREVIOUS_ASSIGNMENTS)
+      .select('title course academicSession submissionType submissions');
+
+    for (const previous of previousAssignments) {
+      for (const submission of previous.submissions) {
+        const record = await getSubmissionText(previous, submission, { refresh });
+        documents.push({
+          id: submission._id.toString(),
+          student: submission.student.toString(),
+          assignment: previous._id,
+          academicSession: previous.academicSession,
+          previous: true,
+          text: record.text
+        });
+      }
+    }
+  }
+
+  const results = analyzeSubmissions(documents, {
+    ignoreText: [assignment.description, assignment.instructions].filter(Boolean).join('\n')
+  });
+
+  // Keep the headline score on each submission
+  const checkedAt = new Date();
+  if (results.length > 0) {
+    await Assignment.bulkWrite(results.map(result => ({
+      updateOne: {
+        filter: { _id: assignment._id },
+        update: { $set: { 'submissions.$[submission].similarity': { score: result.score, checkedAt } } },
+        arrayFilters: [{ 'submission._id': assignment.submissions.find(item => item._id.toString() === result.id)._id }]
+      }
+    })));
+  }
+
+  return {
+    checkedAt,
+    results,
+    extraction,
+    previousAssignments: previousAssignments.map(previous => ({
+      _id: previous._id,
+      title: previous.title,
+      academicSession: previous.academicSession,
+      submissions: previous.submissions.length
+    }))
+  };
+};
+
+module.exports = {
+  SHINGLE_SIZE,
+  fingerprint,
+  compareDocuments,
+  analyzeSubmissions,
+  resolveUploadPath,
+  getSubmissionText,
+  checkAssignmentSimilarity
+};
@@ -0,0 +1,49 @@
+const { lateStatus } = require('./deadlineService');
+
+/**
+ * Build a new version of a submission
+ * @param {Object} assignment - Assignment being submitted to
+ * @param {Object} submission - Submission (existing versions are used for numbering)
+ * @param {Object} content - { student, files, comments, submittedAt }
+ * @returns {Object} - Version as stored in submission.versions
+ */
+const createVersion = (assignment, submission, { student, files, comments, submittedAt }) => ({
+  number: (submission && submission.versions ? submission.versions.length : 0) + 1,
+  submittedAt,
+  files,
+  comments,
+  ...lateStatus(assignment, submittedAt, student || (submission && submission.student))
+});
+
+/**
+ * Record a submission made before versioning as its first version
+ * @param {Object} assignment - Assignment the submission belongs to
+ * @param {Object} submission - Submission subdocument
+ */
+const ensureVersionHistory = (assignment, submission) => {
+  if (submission.versions && submission.versions.length > 0) return;
+  submission.versions = [createVersion(assignment, null, {
+    student: submission.student,
+    files: submission.files || [],
+    comments: submission.comments,
+    submittedAt: submission.submittedAt
+  })];
+};
+
+/**
+ * Find one version of a submission, or the latest one
+ * @param {Object} submission - Submission subdocument
+ * @param {number} [number] - Version number
+ * @returns {Object|undefined}
+ */
+const findVersion = (submission, number) => {
+  const versions = submission.versions || [];
+  if (number === undefined || number === null || number === '') return versions[versions.length - 1];
+  return versions.find(version => version.number === Number(number));
+};
+
+module.exports = {
+  createVersion,
+  ensureVersionHistory,
+  findVersion
+};
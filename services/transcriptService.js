@@ -0,0 +1,301 @@
+const Enrollment = require('../models/Enrollment');
+const AcademicSession = require('../models/AcademicSession');
+const Settings = require('../models/Settings');
+const { getDefaultScale } = require('./gradebookService');
+const { createPdf } = require('../utils/pdf');
+
+const SEMESTER_ORDER = ['first', 'second', 'summer'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const semesterRank = (semester) => {
+  const index = SEMESTER_ORDER.findIndex(name => String(semester || '').toLowerCase().startsWith(name));
+  return index === -1 ? SEMESTER_ORDER.length : index;
+};
+
+const sessionStart = (session) => (session && session.startDate ? new Date(session.startDate).getTime() : 0);
+
+// Chronological order of attempts: session start, then semester, then grading date
+const compareAttempts = (a, b) => sessionStart(a.academicSession) - sessionStart(b.academicSession) ||
+  semesterRank(a.semester) - semesterRank(b.semester) ||
+  new Date(a.gradedAt || 0) - new Date(b.gradedAt || 0);
+
+/**
+ * Grade point of a letter on the current scale
+ * Falls back to the grade point stored with the attempt when the letter is not on the scale.
+ * @param {Object} attempt - { grade, gradePoint }
+ * @param {Array} scale - Bands as { letter, gradePoint }
+ * @returns {number|null}
+ */
+const gradePointFor = (attempt, scale) => {
+  const band = scale.find(item => String(item.letter).toLowerCase() === String(attempt.grade || '').trim().toLowerCase());
+  if (band) return band.gradePoint;
+  return typeof attempt.gradePoint === 'number' ? attempt.gradePoint : null;
+};
+
+// Mark which attempts of each course count towards the CGPA
+const applyRepeatPolicy = (attempts, repeatPolicy) => {
+  const byCourse = new Map();
+  attempts.forEach(attempt => {
+    const key = attempt.course._id.toString();
+    if (!byCourse.has(key)) byCourse.set(key, []);
+    byCourse.get(key).push(attempt);
+  });
+
+  const counted = new Set();
+  byCourse.forEach(list => {
+    const graded = list.filter(attempt => attempt.gradePoint !== null);
+    if (repeatPolicy === 'all') {
+      graded.forEach(attempt => counted.add(attempt));
+    } else if (repeatPolicy === 'best') {
+      const best = [...graded].sort((a, b) => b.gradePoint - a.gradePoint || compareAttempts(b, a))[0];
+      if (best) counted.add(best);
+    } else if (graded.length > 0) {
+      counted.add(graded[graded.length - 1]);
+    }
+  });
+  return counted;
+};
+
+const summarize = (attempts) => {
+  const creditsAttempted = attempts.reduce((sum, attempt) => sum + (attempt.course.credits || 0), 0);
+  const creditsEarned = attempts
+    .filter(attempt => attempt.gradePoint > 0)
+    .reduce((sum, attempt) => sum + (attempt.course.credits || 0), 0);
+  const qualityPoints = attempts.reduce((sum, attempt) => sum + attempt.gradePoint * (attempt.course.credits || 0), 0);
+  return {
+    creditsAttempted,
+    creditsEarned,
+    qualityPoints: round(qualityPoints),
+    gpa: creditsAttempted > 0 ? round(qualityPoints / creditsAttempted) : null
+  };
+};
+
+/**
+ * Group graded attempts into semesters with GPA and running CGPA
+ * @param {Array} attempts - Attempts as { course: { _id, code, title, credits }, academicSession, semester, grade, score, gradePoint, gradedAt }
+ * @param {Object} options
+ * @param {Array} options.scale - Grading scale bands as { letter, minScore, gradePoint }
+ * @param {string} [options.repeatPolicy] - 'latest', 'best' or 'all' attempts of a repeated course count
+ * @returns {Object} - { terms, summary }
+ */
+const buildTranscript = (attempts, { scale, repeatPolicy = 'latest' }) => {
+  const sorted = attempts
+    .map(attempt => ({ ...attempt, gradePoint: gradePointFor(attempt, scale) }))
+    .sort(compareAttempts);
+
+  // Number the attempts of each course
+  const seen = new Map();
+  sorted.forEach(attempt => {
+    const key = attempt.course._id.toString();
+    attempt.attempt = (seen.get(key) || 0) + 1;
+    seen.set(key, attempt.attempt);
+  });
+  sorted.forEach(attempt => {
+    attempt.repeated = seen.get(attempt.course._id.toString()) > 1;
+  });
+
+  const terms = [];
+  sorted.forEach(attempt => {
+    const sessionId = attempt.academicSession ? attempt.academicSession._id.toString() : 'none';
+    const key = `${sessionId}:${semesterRank(attempt.semester)}`;
+    let term = terms.find(item => item.key === key);
+    if (!term) {
+      term = { key, academicSession: attempt.academicSession, semester: attempt.semester, courses: [] };
+      terms.push(term);
+    }
+    term.courses.push(attempt);
+  });
+
+  const finalCounted = applyRepeatPolicy(sorted, repeatPolicy);
+
+  const result = terms.map((term, index) => {
+    const graded = term.courses.filter(attempt => attempt.gradePoint !== null);
+    // Cumulative figures as they stood at the end of this semester
+    const upToNow = terms.slice(0, index + 1).flatMap(item => item.courses);
+    const cumulative = summarize([...applyRepeatPolicy(upToNow, repeatPolicy)]);
+
+    return {
+      academicSession: term.academicSession
+        ? { _id: term.academicSession._id, name: term.academicSession.name, year: term.academicSession.year }
+        : null,
+      semester: term.semester || null,
+      courses: term.courses.map(attempt => ({
+        course: attempt.course,
+        grade: attempt.grade,
+        score: attempt.score === undefined ? null : attempt.score,
+        gradePoint: attempt.gradePoint,
+        attempt: attempt.attempt,
+        repeated: attempt.repeated,
+        countsTowardsCgpa: finalCounted.has(attempt)
+      })),
+      ...summarize(graded),
+      cgpa: cumulative.gpa
+    };
+  });
+
+  const overall = summarize([...finalCounted]);
+  return {
+    terms: result,
+    summary: {
+      creditsAttempted: overall.creditsAttempted,
+      creditsEarned: overall.creditsEarned,
+      qualityPoints: overall.qualityPoints,
+      cgpa: overall.gpa,
+      maxGradePoint: Math.max(...scale.map(band => band.gradePoint || 0)),
+      repeatPolicy,
+      coursesRepeated: [...seen.values()].filter(count => count > 1).length
+    }
+  };
+};
+
+/**
+ * Load a student's graded enrollments and build their transcript
+ * @param {Object} student - Student document
+ * @returns {Promise<Object>} - { terms, summary, inProgress, scale }
+ */
+const getTranscript = async (student) => {
+  const [enrollments, settings, scale] = await Promise.all([
+    Enrollment.find({ student: student._id, status: 'accepted' })
+      .populate('course', 'code title credits academicSession semester'),
+    Settings.findOne().select('transcriptSettings'),
+    getDefaultScale()
+  ]);
+
+  const valid = enrollments.filter(enrollment => enrollment.course);
+  const sessionIds = new Set();
+  valid.forEach(enrollment => {
+    const session = enrollment.academicSession || enrollment.course.academicSession;
+    if (session) sessionIds.add(session.toString());
+    (enrollment.previousAttempts || []).forEach(attempt => {
+      if (attempt.academicSession) sessionIds.add(attempt.academicSession.toString());
+    });
+  });
+
+  const sessions = await AcademicSession.find({ _id: { $in: [...sessionIds] } }).select('name year startDate endDate');
+  const sessionOf = id => (id ? sessions.find(session => session._id.toString() === id.toString()) || null : null);
+
+  const attempts = [];
+  valid.forEach(enrollment => {
+    const course = {
+      _id: enrollment.course._id,
+      code: enrollment.course.code,
+      title: enrollment.course.title,
+      credits: enrollment.course.credits || 0
+    };
+
+    (enrollment.previousAttempts || []).forEach(attempt => attempts.push({
+      course,
+      academicSession: sessionOf(attempt.academicSession),
+      semester: attempt.semester,
+      grade: attempt.grade,
+      score: attempt.score,
+      gradePoint: attempt.gradePoint,
+      gradedAt: attempt.gradedAt
+    }));
+
+    if (enrollment.grade) {
+      attempts.push({
+        course,
+        academicSession: sessionOf(enrollment.academicSession || enrollment.course.academicSession),
+        semester: enrollment.semester || enrollment.course.semester,
+        grade: enrollment.grade,
+        score: enrollment.score,
+        gradePoint: enrollment.gradePoint,
+        gradedAt: enrollment.gradedAt || enrollment.updatedAt
+      });
+    }
+  });
+
+  const repeatPolicy = (settings && settings.transcriptSettings && settings.transcriptSettings.repeatPolicy) || 'latest';
+  const transcript = buildTranscript(attempts, { scale, repeatPolicy });
+
+  return {
+    ...transcript,
+    inProgress: valid
+      .filter(enrollment => !enrollment.grade)
+      .map(enrollment => ({
+        _id: enrollment.course._id,
+        code: enrollment.course.code,
+        title: enrollment.course.title,
+        credits: enrollment.course.credits
+      })),
+    scale
+  };
+};
+
+/**
+ * Render a transcript as a printable PDF
+ * @param {Object} transcript - Result of getTranscript
+ * @param {Object} student - Student details as { name, matricNumber, department, level, program }
+ * @param {string} [institution] - Name printed in the heading
+ * @returns {Buffer}
+ */
+const transcriptToPdf = (transcript, student, institution = 'GemSpace') => {
+  const pdf = createPdf();
+  const columns = [
+    { width: 70 },
+    { width: 225 },
+    { width: 50, align: 'right' },
+    { width: 50, align: 'right' },
+    { width: 45, align: 'right' },
+    { width: 55, align: 'right' }
+  ];
+
+  pdf.text(institution, { size: 16, bold: true, align: 'center' })
+    .text('Academic Transcript', { size: 12, align: 'center' })
+    .moveDown()
+    .text(`Name: ${student.name || ''}`)
+    .text(`Matric Number: ${student.matricNumber || '-'}`)
+    .text(`Department: ${student.department || '-'}    Level: ${student.level || '-'}${student.program ? `    Programme: ${student.program}` : ''}`)
+    .text(`Issued: ${new Date().toISOString().slice(0, 10)}`)
+    .rule();
+
+  transcript.terms.forEach(term => {
+    pdf.ensureSpace(80)
+      .moveDown(0.5)
+      .text(`${term.academicSession ? term.academicSession.name : 'Unassigned session'} - ${term.semester || ''} Semester`, { size: 11, bold: true })
+      .row(['Code', 'Title', 'Credits', 'Score', 'Grade', 'Points'], columns, { bold: true });
+
+    term.courses.forEach(entry => {
+      pdf.row([
+        entry.course.code,
+        `${entry.course.title}${entry.repeated ? ` (attempt ${entry.attempt})` : ''}`,
+        entry.course.credits,
+        entry.score === null ? '-' : entry.score,
+        entry.grade,
+        entry.gradePoint === null ? '-' : entry.gradePoint
+      ], columns);
+    });
+
+    pdf.text(`Credits: ${term.creditsAttempted}   Earned: ${term.creditsEarned}   GPA: ${term.gpa === null ? '-' : term.gpa.toFixed(2)}   CGPA: ${term.cgpa === null ? '-' : term.cgpa.toFixed(2)}`, { size: 9, bold: true, align: 'right' });
+  });
+
+  const { summary } = transcript;
+  pdf.moveDown()
+    .rule()
+    .text(`Total credits attempted: ${summary.creditsAttempted}    Total credits earned: ${summary.creditsEarned}`, { size: 10, bold: true })
+    .text(`Cumulative GPA: ${summary.cgpa === null ? '-' : summary.cgpa.toFixed(2)} / ${Number(summary.maxGradePoint).toFixed(2)}`, { size: 11, bold: true });
+
+  if (summary.coursesRepeated > 0) {
+    const policies = {
+      latest: 'the most recent attempt',
+      best: 'the best attempt',
+      all: 'every attempt'
+    };
+    pdf.text(`Repeated courses: ${summary.coursesRepeated}. The CGPA counts ${policies[summary.repeatPolicy]} of a repeated course.`, { size: 8 });
+  }
+
+  if (transcript.inProgress.length > 0) {
+    pdf.text(`Courses in progress: ${transcript.inProgress.map(course => course.code).join(', ')}`, { size: 8 });
+  }
+
+  return pdf.toBuffer();
+};
+
+module.exports = {
+  gradePointFor,
+  buildTranscript,
+  getTranscript,
+  transcriptToPdf
+};
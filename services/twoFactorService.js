@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const LoginChallenge = require('../models/LoginChallenge');
+const emailService = require('./emailService');
+const { clientDetails } = require('./sessionService');
+const { verifyCode } = require('../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Seconds before another email code can be sent for the same challenge
+const EMAIL_RESEND_SECONDS = 30;
+
+const DEFAULT_SETTINGS = { requiredRoles: [], challengeMinutes: 10, maxAttempts: 5 };
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// Recovery codes are compared without case, spaces or dashes
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Two-factor settings from system settings, with defaults
+ * @returns {Promise<Object>} - { requiredRoles, challengeMinutes, maxAttempts }
+ */
+const getTwoFactorSettings = async () => {
+  const settings = await Settings.findOne().select('twoFactorSettings');
+  const saved = settings && settings.toObject().twoFactorSettings;
+  return { ...DEFAULT_SETTINGS, ...(saved || {}) };
+};
+
+/**
+ * Whether a user must pass a second step at sign-in
+ * @param {Object} user - User with role and twoFactor
+ * @param {Object} settings - Result of getTwoFactorSettings
+ * @returns {boolean}
+ */
+const needsSecondStep = (user, settings) => Boolean(user.twoFactor && user.twoFactor.enabled) ||
+  (settings.requiredRoles || []).includes(user.role);
+
+/**
+ * Create a set of recovery codes
+ * @returns {Object} - { codes: plain codes to show once, hashes: to store }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hash(normalizeRecoveryCode(code))) };
+};
+
+/**
+ * Email a new sign-in code for a challenge
+ * @param {Object} challenge - LoginChallenge document
+ * @param {Object} user - User with email
+ * @returns {Promise<Object>} - { sent: true } or { error }
+ */
+const sendEmailCode = async (challenge, user) => {
+  if (challenge.emailSentAt && Date.now() - challenge.emailSentAt.getTime() < EMAIL_RESEND_SECONDS * 1000) {
+    return { error: `Please wait ${EMAIL_RESEND_SECONDS} seconds before asking for another code` };
+  }
+
+  const result = await emailService.sendVerificationCode(user.email, 'login');
+  if (!result.success) return { error: 'The sign-in code could not be emailed. Please try again.' };
+
+  challenge.emailCodeHash = hash(result.verificationCode);
+  challenge.emailSentAt = new Date();
+  await challenge.save();
+  return { sent: true };
+};
+
+/**
+ * Start the second step of a sign-in
+ * Users who must use two-factor sign-in but have not set it up are sent an email code.
+ * @param {Object} user - User whose password was accepted
+ * @param {Object} req - Request, for the device details
+ * @param {Object} settings - Result of getTwoFactorSettings
+ * @returns {Promise<Object>} - { challengeToken, method, expiresAt, setupRequired } or { error }
+ */
+const startChallenge = async (user, req, settings) => {
+  const enrolled = Boolean(user.twoFactor && user.twoFactor.enabled);
+  const method = enrolled ? user.twoFactor.method : 'email';
+  const token = crypto.randomBytes(32).toString('hex');
+  const { ipAddress, userAgent } = clientDetails(req);
+
+  const challenge = await LoginChallenge.create({
+    user: user._id,
+    tokenHash: hash(token),
+    method,
+    ipAddress,
+    userAgent,
+    expiresAt: new Date(Date.now() + settings.challengeMinutes * 60 * 1000)
+  });
+
+  if (method === 'email') {
+    const { error } = await sendEmailCode(challenge, user);
+    if (error) {
+      await challenge.deleteOne();
+      return { error };
+    }
+  }
+
+  return {
+    challengeToken: token,
+    method,
+    expiresAt: challenge.expiresAt,
+    // Required by policy but not yet set up: the user should enroll once signed in
+    setupRequired: !enrolled
+  };
+};
+
+/**
+ * Find an open challenge from its token
+ * @param {string} token - Challenge token from the client
+ * @returns {Promise<Object|null>} - LoginChallenge with emailCodeHash, or null
+ */
+const findChallenge = async (token) => {
+  if (!token) return null;
+  const challenge = await LoginChallenge.findOne({ tokenHash: hash(token) }).select('+emailCodeHash');
+  if (!challenge || challenge.completedAt || challenge.expiresAt <= new Date()) return null;
+  return challenge;
+};
+
+/**
+ * Check the code given for a challenge
+ * @param {Object} challenge - LoginChallenge document
+ * @param {Object} input - { code, method: 'totp'|'email'|'recovery' } (method defaults to the challenge's)
+ * @param {Object} settings - Result of getTwoFactorSettings
+ * @returns {Promise<Object>} - { user, method, recoveryCodesRemaining } or { error, expired }
+ */
+const completeChallenge = async (challenge, { code, method }, settings) => {
+  const user = await User.findById(challenge.user).select('+twoFactor.totpSecret +twoFactor.recoveryCodes +twoFactor.lastTotpStep');
+  if (!user || user.isActive === false) return { error: 'Invalid or expired sign-in challenge', expired: true };
+
+  const using = method || challenge.method;
+  const twoFactor = user.twoFactor || {};
+  let accepted = false;
+
+  if (using === 'totp') {
+    if (!twoFactor.enabled || twoFactor.method !== 'totp' || !twoFactor.totpSecret) {
+      return { error: 'No authenticator app is set up for this account' };
+    }
+    const step = verifyCode(twoFactor.totpSecret, code);
+    // A code already used for an earlier sign-in cannot be replayed
+    if (step !== null && (twoFactor.lastTotpStep === undefined || step > twoFactor.lastTotpStep)) {
+      user.twoFactor.lastTotpStep = step;
+      accepted = true;
+    }
+  } else if (using === 'email') {
+    if (!challenge.emailCodeHash) return { error: 'No code has been emailed for this sign-in yet' };
+    const given = String(code || '').trim();
+    accepted = /^\d+$/.test(given) && crypto.timingSafeEqual(Buffer.from(hash(given)), Buffer.from(challenge.emailCodeHash));
+  } else if (using === 'recovery') {
+    const codeHash = hash(normalizeRecoveryCode(code));
+    const codes = twoFactor.recoveryCodes || [];
+    if (codes.includes(codeHash)) {
+      user.twoFactor.recoveryCodes = codes.filter(item => item !== codeHash);
+      accepted = true;
+    }
+  } else {
+    return { error: 'Method must be one of: totp, email, recovery' };
+  }
+
+  if (!accepted) {
+    challenge.attempts += 1;
+    // Too many wrong codes: the password has to be entered again
+    if (challenge.attempts >= settings.maxAttempts) {
+      challenge.expiresAt = new Date();
+      await challenge.save();
+      return { error: 'Too many incorrect codes. Please sign in again.', expired: true };
+    }
+    await challenge.save();
+    return { error: 'Invalid verification code' };
+  }
+
+  challenge.completedAt = new Date();
+  await challenge.save();
+  await user.save({ validateBeforeSave: false });
+
+  return {
+    user,
+    method: using,
+    recoveryCodesRemaining: (user.twoFactor.recoveryCodes || []).length
+  };
+};
+
+module.exports = {
+  getTwoFactorSettings,
+  needsSecondStep,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  sendEmailCode,
+  startChallenge,
+  findChallenge,
+  completeChallenge
+};
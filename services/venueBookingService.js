@@ -0,0 +1,380 @@
+const mongoose = require('mongoose');
+const Venue = require('../models/Venue');
+const Schedule = require('../models/Schedule');
+const ExamTimetable = require('../models/ExamTimetable');
+const AcademicSession = require('../models/AcademicSession');
+const { toMinutes, dayKey, normalizeVenue, getCourseRosters } = require('./examConflictService');
+const { formatClock, expandOccurrences, getSeriesWindow } = require('./scheduleOccurrenceService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const startOfDay = (date) => new Date(`${dayKey(date)}T00:00:00.000Z`);
+
+/**
+ * Find a registered venue by ID, name or code
+ * @param {string|Object} value - Venue ID, name, code or Venue document
+ * @returns {Promise<Object|null>} - Venue document, or null for unregistered venues
+ */
+const resolveVenue = async (value) => {
+  if (!value) return null;
+  if (value instanceof Venue) return value;
+
+  const text = String(value).trim();
+  if (mongoose.Types.ObjectId.isValid(text) && /^[a-f\d]{24}$/i.test(text)) {
+    const venue = await Venue.findById(text);
+    if (venue) return venue;
+  }
+
+  return Venue.findOne({
+    $or: [
+      { name: { $regex: new RegExp(`^${escapeRegex(text)}$`, 'i') } },
+      { code: text.toUpperCase() }
+    ]
+  });
+};
+
+const venueQuery = (venue, field) => {
+  const names = [venue.name, venue.code].filter(Boolean)
+    .map(name => new RegExp(`^\\s*${escapeRegex(name)}\\s*$`, 'i'));
+  const or = [{ [field]: { $in: names } }];
+  if (venue._id) or.push({ [`${field}Ref`]: venue._id });
+  return or;
+};
+
+// Whether a stored venue (free text plus optional reference) points at the given venue
+const sameVenue = (venue, text, ref) => {
+  if (venue._id && ref && idOf(ref) === idOf(venue)) return true;
+  const target = normalizeVenue(text);
+  return Boolean(target) && [venue.name, venue.code].some(name => normalizeVenue(name) === target);
+};
+
+const overlaps = (a, b) => dayKey(a.date) === dayKey(b.date) &&
+  toMinutes(a.startTime) < toMinutes(b.endTime) &&
+  toMinutes(b.startTime) < toMinutes(a.endTime);
+
+/**
+ * List everything booked in a venue between two dates
+ * Covers class schedules (expanded across their recurrence) and exam sessions of every timetable.
+ * @param {Object} venue - Venue document, or { name } for an unregistered venue
+ * @param {Date|string} from - First day of the range
+ * @param {Date|string} to - Last day of the range
+ * @param {Object} [options]
+ * @param {string} [options.excludeSchedule] - Schedule being edited
+ * @param {string} [options.excludeTimetable] - Timetable whose sessions are checked separately
+ * @param {Array} [options.excludeSessions] - Exam session IDs being edited
+ * @returns {Promise<Array>} - Bookings ordered by date and start time
+ */
+const getVenueBookings = async (venue, from, to, options = {}) => {
+  const { excludeSchedule, excludeOccurrence, excludeTimetable, excludeSessions = [] } = options;
+  const rangeEnd = new Date(startOfDay(to).getTime() + DAY_MS - 1);
+  const skipSessions = new Set(excludeSessions.map(idOf));
+
+  // Occurrences moved into this venue count as well as series held here
+  const scheduleQuery = {
+    status: { $ne: 'canceled' },
+    $or: [...venueQuery(venue, 'venue'), ...venueQuery(venue, 'overrides.venue')]
+  };
+  if (excludeSchedule) scheduleQuery._id = { $ne: excludeSchedule };
+
+  const timetableQuery = {
+    sessions: {
+      $elemMatch: {
+        date: { $gte: startOfDay(from), $lte: rangeEnd },
+        $or: venueQuery(venue, 'venue')
+      }
+    }
+  };
+  if (excludeTimetable) timetableQuery._id = { $ne: excludeTimetable };
+
+  const [schedules, timetables] = await Promise.all([
+    Schedule.find(scheduleQuery)
+      .populate('course', 'code title')
+      .populate('academicSession', 'startDate endDate semesters'),
+    ExamTimetable.find(timetableQuery)
+      .select('title sessions')
+      .populate('sessions.course', 'code title')
+  ]);
+
+  const bookings = [];
+
+  const isExcluded = occurrence => excludeOccurrence &&
+    idOf(occurrence.schedule) === idOf(excludeOccurrence.schedule) &&
+    dayKey(occurrence.originalDate) === dayKey(excludeOccurrence.originalDate);
+
+  schedules.forEach(schedule => {
+    expandOccurrences(schedule, from, to)
+      .filter(occurrence => !isExcluded(occurrence) && sameVenue(venue, occurrence.venue, occurrence.venueRef))
+      .forEach(occurrence => {
+        bookings.push({
+          type: 'class',
+          reference: schedule._id,
+          course: schedule.course,
+          originalDate: occurrence.originalDate,
+          date: occurrence.date,
+          startTime: occurrence.startTime,
+          endTime: occurrence.endTime
+        });
+      });
+  });
+
+  timetables.forEach(timetable => {
+    timetable.sessions
+      .filter(session => !skipSessions.has(idOf(session)) &&
+        sameVenue(venue, session.venue, session.venueRef) &&
+        session.date >= startOfDay(from) && session.date <= rangeEnd)
+      .forEach(session => {
+        bookings.push({
+          type: 'exam',
+          reference: session._id,
+          timetable: { _id: timetable._id, title: timetable.title },
+          course: session.course,
+          date: session.date,
+          startTime: session.startTime,
+          endTime: session.endTime
+        });
+      });
+  });
+
+  return bookings.sort((a, b) => dayKey(a.date).localeCompare(dayKey(b.date)) ||
+    toMinutes(a.startTime) - toMinutes(b.startTime));
+};
+
+// Pair each requested slot with the existing bookings it overlaps
+const findDoubleBookings = (requested, bookings, venueName) => requested.flatMap(slot => bookings
+  .filter(booking => overlaps(slot, booking))
+  .map(booking => ({
+    ...(slot.session ? { session: slot.session } : {}),
+    venue: venueName,
+    date: dayKey(slot.date),
+    time: `${slot.startTime}-${slot.endTime}`,
+    bookedBy: {
+      type: booking.type,
+      reference: booking.reference,
+      timetable: booking.timetable,
+      course: booking.course,
+      time: `${booking.startTime}-${booking.endTime}`
+    }
+  })));
+
+// Enrolment of a course above the seats of a registered venue
+const capacityIssues = async (venue, course) => {
+  if (!venue || !course) return [];
+
+  const rosters = await getCourseRosters([course]);
+  const enrolment = (rosters.get(idOf(course)) || new Set()).size;
+  if (enrolment <= venue.capacity) return [];
+
+  return [{
+    course: idOf(course),
+    venue: venue.name,
+    capacity: venue.capacity,
+    enrolment
+  }];
+};
+
+// Schedules may hold the academic session as an ID; the series window needs its dates
+const withAcademicSession = async (schedule) => {
+  const plain = schedule.toObject ? schedule.toObject() : { ...schedule };
+  if (plain.academicSession && !plain.academicSession.endDate) {
+    plain.academicSession = await AcademicSession.findById(plain.academicSession)
+      .select('startDate endDate semesters');
+  }
+  return plain;
+};
+
+/**
+ * Check a class schedule against the venue registry before it is saved
+ * Every occurrence of the series held in the schedule's venue is checked; double bookings
+ * are returned in `conflicts` and enrolment above the room capacity in `capacity`.
+ * @param {Object} schedule - Schedule fields (course, date, time, duration, venue, recurrence, academicSession)
+ * @param {Object} [options]
+ * @param {string} [options.excludeSchedule] - ID of the schedule being updated
+ * @param {Array} [options.pending] - Unsaved schedules created in the same request
+ * @returns {Promise<Object>} - { venue, conflicts, capacity }
+ */
+const checkScheduleBooking = async (schedule, { excludeSchedule, pending = [] } = {}) => {
+  const venue = await resolveVenue(schedule.venueRef || schedule.venue);
+  const target = venue || { name: schedule.venue };
+
+  const series = await withAcademicSession(schedule);
+  const occurrences = expandOccurrences(series)
+    .filter(occurrence => sameVenue(target, occurrence.venue, occurrence.venueRef));
+
+  let bookings = [];
+  if (occurrences.length > 0) {
+    const { start, end } = getSeriesWindow(series);
+    bookings = await getVenueBookings(target, start, end, { excludeSchedule });
+
+    for (const other of pending) {
+      if (other === schedule || !sameVenue(target, other.venue, other.venueRef)) continue;
+      expandOccurrences(await withAcademicSession(other), start, end).forEach(occurrence => {
+        bookings.push({ type: 'class', reference: null, course: other.course, ...occurrence });
+      });
+    }
+  }
+
+  return {
+    venue,
+    conflicts: findDoubleBookings(occurrences, bookings, target.name),
+    capacity: await capacityIssues(venue, schedule.course)
+  };
+};
+
+/**
+ * Check a single moved or re-roomed occurrence of a class against the venue registry
+ * @param {Object} schedule - Schedule the occurrence belongs to
+ * @param {Object} occurrence - { originalDate, date, startTime, endTime, venue }
+ * @returns {Promise<Object>} - { venue, conflicts, capacity }
+ */
+const checkOccurrenceBooking = async (schedule, occurrence) => {
+  const venue = await resolveVenue(occurrence.venueRef || occurrence.venue);
+  const target = venue || { name: occurrence.venue };
+
+  const bookings = await getVenueBookings(target, occurrence.date, occurrence.date, {
+    excludeOccurrence: { schedule: schedule._id, originalDate: occurrence.originalDate }
+  });
+
+  return {
+    venue,
+    conflicts: findDoubleBookings([occurrence], bookings, target.name),
+    capacity: await capacityIssues(venue, schedule.course)
+  };
+};
+
+/**
+ * Check exam sessions against the venue registry before a timetable is saved
+ * Sessions with a registered venue get its reference and canonical name. Clashes with
+ * classes and other timetables are returned in `conflicts` (clashes inside the timetable
+ * are left to examConflictService). Courses whose candidates outnumber the seats of all
+ * rooms used for the sitting are returned in `capacity`.
+ * @param {Object} timetable - ExamTimetable document
+ * @param {Array} [sessionIds] - Only check these sessions
+ * @returns {Promise<Object>} - { conflicts, capacity, unregistered }
+ */
+const checkExamBookings = async (timetable, sessionIds) => {
+  const ids = sessionIds ? new Set(sessionIds.map(idOf)) : null;
+  const targets = timetable.sessions.filter(session => !ids || ids.has(idOf(session)));
+
+  // Resolve each distinct venue once
+  const resolved = new Map();
+  const rooms = new Map();
+  for (const session of timetable.sessions) {
+    const key = session.venueRef ? idOf(session.venueRef) : normalizeVenue(session.venue);
+    if (!resolved.has(key)) resolved.set(key, await resolveVenue(session.venueRef || session.venue));
+
+    const venue = resolved.get(key);
+    rooms.set(idOf(session), venue);
+    if (venue && (!ids || ids.has(idOf(session)))) {
+      session.venueRef = venue._id;
+      session.venue = venue.name;
+    }
+  }
+  const venueOf = session => rooms.get(idOf(session));
+
+  const conflicts = [];
+  const byVenue = new Map();
+  targets.forEach(session => {
+    const venue = venueOf(session) || { name: session.venue };
+    const key = venue._id ? idOf(venue) : normalizeVenue(venue.name);
+    if (!byVenue.has(key)) byVenue.set(key, { venue, sessions: [] });
+    byVenue.get(key).sessions.push(session);
+  });
+
+  for (const { venue, sessions } of byVenue.values()) {
+    const dates = sessions.map(session => startOfDay(session.date).getTime());
+    const bookings = await getVenueBookings(venue, new Date(Math.min(...dates)), new Date(Math.max(...dates)), {
+      excludeTimetable: timetable._id
+    });
+    conflicts.push(...findDoubleBookings(
+      sessions.map(session => ({
+        session: session._id,
+        date: session.date,
+        startTime: session.startTime,
+        endTime: session.endTime
+      })),
+      bookings,
+      venue.name
+    ));
+  }
+
+  // A sitting is every room used by one course in one slot
+  const sittings = new Map();
+  timetable.sessions.forEach(session => {
+    const key = `${idOf(session.course)}|${dayKey(session.date)}|${session.startTime}`;
+    if (!sittings.has(key)) sittings.set(key, []);
+    sittings.get(key).push(session);
+  });
+
+  const checkedSittings = [...sittings.values()].filter(group => group.some(session => targets.includes(session)));
+  const rosters = await getCourseRosters(checkedSittings.map(group => group[0].course));
+  const capacity = [];
+  const unregistered = new Set();
+
+  checkedSittings.forEach(group => {
+    const rooms = group.map(venueOf);
+    group.forEach((session, index) => {
+      if (!rooms[index]) unregistered.add(session.venue);
+    });
+    if (rooms.some(room => !room)) return;
+
+    const seats = rooms.reduce((sum, room) => sum + (room.examCapacity || room.capacity), 0);
+    const enrolment = (rosters.get(idOf(group[0].course)) || new Set()).size;
+    if (enrolment > seats) {
+      capacity.push({
+        course: idOf(group[0].course),
+        date: dayKey(group[0].date),
+        startTime: group[0].startTime,
+        venues: rooms.map(room => room.name),
+        capacity: seats,
+        enrolment
+      });
+    }
+  });
+
+  return { conflicts, capacity, unregistered: [...unregistered] };
+};
+
+/**
+ * Work out the free periods of a venue for each day of a range
+ * @param {Array} bookings - Bookings from getVenueBookings
+ * @param {Date|string} from - First day
+ * @param {Date|string} to - Last day
+ * @param {string} dayStart - Opening time (HH:MM)
+ * @param {string} dayEnd - Closing time (HH:MM)
+ * @returns {Array} - Days as { date, bookings, free }
+ */
+const buildAvailability = (bookings, from, to, dayStart, dayEnd) => {
+  const days = [];
+  for (let time = startOfDay(from).getTime(); time <= startOfDay(to).getTime(); time += DAY_MS) {
+    const date = dayKey(new Date(time));
+    const dayBookings = bookings.filter(booking => dayKey(booking.date) === date);
+
+    const free = [];
+    let cursor = toMinutes(dayStart);
+    dayBookings.forEach(booking => {
+      const start = toMinutes(booking.startTime);
+      if (start > cursor && cursor < toMinutes(dayEnd)) {
+        free.push({ startTime: formatClock(cursor), endTime: formatClock(Math.min(start, toMinutes(dayEnd))) });
+      }
+      cursor = Math.max(cursor, toMinutes(booking.endTime));
+    });
+    if (cursor < toMinutes(dayEnd)) {
+      free.push({ startTime: formatClock(cursor), endTime: dayEnd });
+    }
+
+    days.push({ date, bookings: dayBookings, free });
+  }
+  return days;
+};
+
+module.exports = {
+  resolveVenue,
+  getVenueBookings,
+  findDoubleBookings,
+  checkScheduleBooking,
+  checkOccurrenceBooking,
+  checkExamBookings,
+  buildAvailability
+};
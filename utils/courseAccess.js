@@ -0,0 +1,24 @@
+const Course = require('../models/Course');
+const Lecturer = require('../models/Lecturer');
+
+/**
+ * Whether a user may manage a course: admins, lecturers assigned to it, or the
+ * lecturer (User) who owns a record belonging to it such as a class schedule
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} courseId - Course ID
+ * @param {string} [ownerId] - User ID that owns the record being managed
+ * @returns {Promise<boolean>}
+ */
+const canManageCourse = async (user, courseId, ownerId) => {
+  if (user.role === 'admin') return true;
+  if (ownerId && ownerId.toString() === user.id) return true;
+
+  const lecturer = await Lecturer.findOne({ user: user.id }).select('_id');
+  if (!lecturer) return false;
+  const course = await Course.findById(courseId).select('lecturer');
+  return Boolean(course && (course.lecturer || []).some(id => id.toString() === lecturer._id.toString()));
+};
+
+module.exports = {
+  canManageCourse
+};
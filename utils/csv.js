@@ -0,0 +1,93 @@
+/**
+ * Small CSV (RFC 4180) helpers for report exports and imports
+ */
+
+// Leading characters that make spreadsheet applications treat a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quote a value when it contains a delimiter, quote or line break.
+// Text that a spreadsheet would run as a formula is prefixed with an apostrophe so it shows as text.
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array<string>} headers - Column headings
+ * @param {Array<Array>} rows - Row values in the same order as the headings
+ * @returns {string}
+ */
+const toCsv = (headers, rows) => [headers, ...rows]
+  .map(row => row.map(escapeCell).join(','))
+  .join('\r\n') + '\r\n';
+
+/**
+ * Parse a CSV document
+ * Handles quoted cells, escaped quotes, line breaks inside quotes and a leading byte order mark.
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} - Rows of cell values
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Send a CSV document as a file download
+ * @param {Object} res - Express response
+ * @param {string} filename - Download file name
+ * @param {string} csv - CSV content
+ */
+const sendCsv = (res, filename, csv) => {
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename.replace(/[^\w.-]+/g, '_')}"`
+  });
+  res.status(200).send(csv);
+};
+
+module.exports = {
+  escapeCell,
+  toCsv,
+  parseCsv,
+  sendCsv
+};
@@ -0,0 +1,125 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for subscribable calendar feeds
+ */
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Escape text values (commas, semicolons, backslashes and newlines)
+const escapeText = (text) => String(text || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format a timestamp as a UTC date-time (e.g. 20250602T090000Z)
+ * @param {Date|string} date
+ * @returns {string}
+ */
+const formatUtc = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+/**
+ * Format a calendar day and HH:MM wall-clock time as a floating local date-time
+ * Floating times are shown at the same clock time in every time zone, which matches
+ * how lecture and exam times are entered.
+ * @param {Date|string} date - Day of the event (only the date part is used)
+ * @param {string} time - Time in HH:MM format
+ * @returns {string}
+ */
+const formatLocal = (date, time = '00:00') => {
+  const d = new Date(date);
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(hours || 0)}${pad(minutes || 0)}00`;
+};
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build a VEVENT block
+ * @param {Object} event
+ * @param {string} event.uid - Stable unique ID, so edits replace the earlier copy
+ * @param {string} event.start - DTSTART value from formatUtc/formatLocal
+ * @param {string} [event.end] - DTEND value
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} [event.status] - CONFIRMED, TENTATIVE or CANCELLED
+ * @param {number} [event.sequence] - Revision number, increases on every change
+ * @param {Date} [event.lastModified]
+ * @param {string} [event.rrule] - Recurrence rule, e.g. FREQ=WEEKLY;UNTIL=...
+ * @param {Array<string>} [event.exdates] - Start times of cancelled instances of the series
+ * @param {string} [event.recurrenceId] - Original start of the series instance this event replaces
+ * @returns {Array<string>} - Unfolded content lines
+ */
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${event.start}`
+  ];
+
+  if (event.end) lines.push(`DTEND:${event.end}`);
+  if (event.recurrenceId) lines.push(`RECURRENCE-ID:${event.recurrenceId}`);
+  if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+  if (event.exdates && event.exdates.length > 0) lines.push(`EXDATE:${event.exdates.join(',')}`);
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+  lines.push(`SEQUENCE:${event.sequence || 0}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUtc(event.lastModified)}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {Array} options.events - Events accepted by buildEvent
+ * @returns {string}
+ */
+const buildCalendar = ({ name, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//GemSpace//Timetable Feed//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flatMap(buildEvent),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  formatUtc,
+  formatLocal,
+  buildEvent,
+  buildCalendar
+};
@@ -0,0 +1,174 @@
+/**
+ * Minimal PDF writer for printable reports (text, rules and simple tables on A4 pages)
+ * Uses the built-in Helvetica fonts, so no font files or external packages are needed.
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// Standard fonts only cover WinAnsi; anything else is replaced so the file stays valid
+const escapeText = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/[^\x20-\x7e]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+// Rough Helvetica width, used to right-align and truncate cells
+const textWidth = (text, size) => String(text).length * size * 0.5;
+
+const fitText = (text, width, size) => {
+  const value = String(text === null || text === undefined ? '' : text);
+  if (!width || textWidth(value, size) <= width) return value;
+  const chars = Math.max(1, Math.floor(width / (size * 0.5)) - 1);
+  return `${value.slice(0, chars)}.`;
+};
+
+/**
+ * Start a new PDF document
+ * @returns {Object} - Writer with text, row, rule, moveDown, ensureSpace and toBuffer methods
+ */
+const createPdf = () => {
+  const pages = [];
+  let content = null;
+  let y = 0;
+
+  const addPage = () => {
+    content = [];
+    pages.push(content);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  const ensureSpace = (height) => {
+    if (!content || y - height < MARGIN) addPage();
+  };
+
+  const writeAt = (text, x, size, bold) => {
+    content.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${escapeText(text)}) Tj ET`);
+  };
+
+  const writer = {
+    width: PAGE_WIDTH - MARGIN * 2,
+    margin: MARGIN,
+
+    /**
+     * Write a line of text
+     * @param {string} text
+     * @param {Object} [options] - { size, bold, align: 'left'|'center'|'right' }
+     */
+    text(text, { size = 10, bold = false, align = 'left' } = {}) {
+      ensureSpace(size + 4);
+      y -= size + 4;
+      const value = fitText(text, writer.width, size);
+      let x = MARGIN;
+      if (align === 'center') x = (PAGE_WIDTH - textWidth(value, size)) / 2;
+      if (align === 'right') x = PAGE_WIDTH - MARGIN - textWidth(value, size);
+      writeAt(value, x, size, bold);
+      return writer;
+    },
+
+    /**
+     * Write one table row
+     * @param {Array} cells - Cell values
+     * @param {Array} columns - Columns as { width, align }
+     * @param {Object} [options] - { size, bold }
+     */
+    row(cells, columns, { size = 9, bold = false } = {}) {
+      ensureSpace(size + 6);
+      y -= size + 6;
+      let x = MARGIN;
+      cells.forEach((cell, index) => {
+        const column = columns[index] || { width: 60 };
+        const value = fitText(cell, column.width - 4, size);
+        const offset = column.align === 'right' ? column.width - 4 - textWidth(value, size) : 0;
+        writeAt(value, x + Math.max(offset, 0), size, bold);
+        x += column.width;
+      });
+      return writer;
+    },
+
+    // Horizontal line across the page
+    rule() {
+      ensureSpace(6);
+      y -= 4;
+      content.push(`0.5 w ${MARGIN} ${y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${y.toFixed(2)} l S`);
+      y -= 2;
+      return writer;
+    },
+
+    moveDown(lines = 1) {
+      ensureSpace(lines * 12);
+      y -= lines * 12;
+      return writer;
+    },
+
+    // Start a new page unless the given height still fits
+    ensureSpace(height) {
+      ensureSpace(height);
+      return writer;
+    },
+
+    /**
+     * Serialize the document
+     * @returns {Buffer}
+     */
+    toBuffer() {
+      if (pages.length === 0) addPage();
+
+      const objects = [];
+      const pageIds = pages.map((_, index) => 5 + index * 2);
+
+      objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+      objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+      objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+      pages.forEach((lines, index) => {
+        const pageId = pageIds[index];
+        const footer = `BT /F1 8 Tf ${PAGE_WIDTH / 2 - 20} 25 Td (Page ${index + 1} of ${pages.length}) Tj ET`;
+        const stream = [...lines, footer].join('\n');
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+      });
+
+      let output = '%PDF-1.4\n';
+      const offsets = [];
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(output, 'latin1');
+        output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+
+      const xref = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id++) {
+        output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+      }
+      output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+
+  return writer;
+};
+
+/**
+ * Send a PDF document as a download
+ * @param {Object} res - Express response
+ * @param {string} filename - Download file name
+ * @param {Buffer} buffer - PDF content
+ */
+const sendPdf = (res, filename, buffer) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename.replace(/[^\w.-]+/g, '_')}"`,
+    'Content-Length': buffer.length
+  });
+  res.status(200).send(buffer);
+};
+
+module.exports = {
+  createPdf,
+  sendPdf
+};
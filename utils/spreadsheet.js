@@ -0,0 +1,30 @@
+/**
+ * Read uploaded CSV or XLSX files as rows of cells
+ */
+const path = require('path');
+const { parseCsv } = require('./csv');
+const { parseXlsx } = require('./xlsx');
+
+/**
+ * Read the rows of an uploaded spreadsheet
+ * @param {Object} file - Multer file held in memory
+ * @returns {Object} - { rows: Array<Array> } or { error }
+ */
+const readSpreadsheet = (file) => {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  try {
+    if (ext === '.xlsx') return { rows: parseXlsx(file.buffer) };
+    if (ext === '.csv' || ext === '.txt') return { rows: parseCsv(file.buffer.toString('utf8')) };
+  } catch (error) {
+    return { error: `The file could not be read: ${error.message}` };
+  }
+  return { error: 'Please upload a .csv or .xlsx file' };
+};
+
+// Lower-case heading without spaces or punctuation, for matching column names loosely
+const normalizeHeading = (heading) => String(heading || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+module.exports = {
+  readSpreadsheet,
+  normalizeHeading
+};
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+let pdfParse;
+let mammoth;
+try {
+  pdfParse = require('pdf-parse');
+} catch (err) {
+  console.warn('pdf-parse module not found. PDF processing will not be available.');
+}
+
+try {
+  mammoth = require('mammoth');
+} catch (err) {
+  console.warn('mammoth module not found. DOCX processing will not be available.');
+}
+
+async function extractTextFromPDF(filePath) {
+  if (!pdfParse) {
+    throw new Error('PDF processing is not available. Please install pdf-parse package.');
+  }
+
+  const dataBuffer = fs.readFileSync(filePath);
+  try {
+    const data = await pdfParse(dataBuffer);
+    return data.text;
+  } catch (error) {
+    console.error('Error extracting text from PDF:', error);
+    throw new Error('Failed to extract text from PDF');
+  }
+}
+
+async function extractTextFromDOCX(filePath) {
+  if (!mammoth) {
+    throw new Error('DOCX processing is not available. Please install mammoth package.');
+  }
+
+  try {
+    const result = await mammoth.extractRawText({ path: filePath });
+    return result.value;
+  } catch (error) {
+    console.error('Error extracting text from DOCX:', error);
+    throw new Error('Failed to extract text from DOCX');
+  }
+}
+
+/**
+ * Whether text can be extracted from files with this extension
+ * @param {string} ext - File extension including the dot (e.g. ".pdf")
+ * @returns {boolean}
+ */
+const canExtract = (ext) => {
+  const type = String(ext).toLowerCase();
+  if (type === '.pdf') return Boolean(pdfParse);
+  if (type === '.docx') return Boolean(mammoth);
+  return type === '.txt';
+};
+
+/**
+ * Extract plain text from a PDF, DOCX or TXT file
+ * @param {string} filePath - Path on disk
+ * @param {string} [ext] - Extension to use instead of the path's own
+ * @returns {Promise<string>}
+ */
+const extractText = async (filePath, ext = path.extname(filePath)) => {
+  const type = String(ext).toLowerCase();
+  if (type === '.pdf') return extractTextFromPDF(filePath);
+  if (type === '.docx') return extractTextFromDOCX(filePath);
+  if (type === '.txt') return fs.readFileSync(filePath, 'utf8');
+  throw new Error('Unsupported file format');
+};
+
+module.exports = {
+  extractTextFromPDF,
+  extractTextFromDOCX,
+  canExtract,
+  extractText
+};
@@ -0,0 +1,105 @@
+/**
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = String(text || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Create a new random secret, base32 encoded for authenticator apps
+ * @returns {string}
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Number of the 30-second time step a moment falls in
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD_SECONDS);
+
+/**
+ * The code for a secret at a time step (HOTP, RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string}
+ */
+const codeAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(value).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code, allowing for clocks that are a step apart
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} [options]
+ * @param {number} [options.window] - Steps accepted either side of now
+ * @param {number} [options.time] - Time to check at (ms)
+ * @returns {number|null} - The matching time step, or null
+ */
+const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(given) || given.length !== DIGITS) return null;
+
+  const now = timeStep(time);
+  for (let step = now - window; step <= now + window; step++) {
+    const expected = codeAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return step;
+  }
+  return null;
+};
+
+/**
+ * Provisioning URI to show as a QR code in authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account name, usually the email address
+ * @param {string} issuer - Service name shown in the app
+ * @returns {string}
+ */
+const provisioningUri = (secret, account, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  timeStep,
+  codeAt,
+  verifyCode,
+  provisioningUri
+};
@@ -0,0 +1,185 @@
+/**
+ * Single-sheet XLSX (Office Open XML) helpers for report exports and imports
+ */
+const { createZip, readZip } = require('./zip');
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Control characters are not allowed in XML
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+const unescapeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+  .replace(/&amp;/g, '&');
+
+// Column letters for a zero-based index (0 -> A, 26 -> AA)
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const columnIndex = (name) => name
+  .split('')
+  .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+const cellXml = (value, ref, style) => {
+  if (value === null || value === undefined || value === '') return '';
+  const s = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}"${s} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+/**
+ * Build an XLSX workbook with one sheet
+ * @param {Array<string>} headers - Column headings (shown in bold)
+ * @param {Array<Array>} rows - Row values in the same order as the headings
+ * @param {Object} [options]
+ * @param {string} [options.sheetName]
+ * @returns {Buffer}
+ */
+const toXlsx = (headers, rows, { sheetName = 'Sheet1' } = {}) => {
+  const sheetRows = [headers, ...rows].map((row, r) => {
+    const cells = row.map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`, r === 0 ? 1 : 0)).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+
+  const zip = createZip();
+  zip.add('[Content_Types].xml', `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '</Types>');
+  zip.add('_rels/.rels', `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+    `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>');
+  zip.add('xl/workbook.xml', `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+    `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+    '</workbook>');
+  zip.add('xl/_rels/workbook.xml.rels', `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+    `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+    `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+    '</Relationships>');
+  zip.add('xl/styles.xml', `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">` +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+    '</styleSheet>');
+  zip.add('xl/worksheets/sheet1.xml', `${XML_HEADER}<worksheet xmlns="${MAIN_NS}">` +
+    `<sheetData>${sheetRows}</sheetData></worksheet>`);
+
+  return zip.toBuffer();
+};
+
+// Text of an <si> or <is> element, joining rich-text runs
+const textOf = (xml) => (xml.match(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g) || [])
+  .map(part => unescapeXml(part.replace(/^<t(?:\s[^>]*)?>/, '').replace(/<\/t>$/, '')))
+  .join('');
+
+const attributeOf = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? match[1] : null;
+};
+
+/**
+ * Read the first sheet of an XLSX workbook
+ * @param {Buffer} buffer - Workbook contents
+ * @returns {Array<Array>} - Rows of cell values (strings, numbers or booleans)
+ */
+const parseXlsx = (buffer) => {
+  const files = readZip(buffer);
+  const read = (name) => (files.has(name) ? files.get(name).toString('utf8') : null);
+
+  // Find the first sheet through the workbook relationships
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const workbook = read('xl/workbook.xml');
+  const relationships = read('xl/_rels/workbook.xml.rels');
+  const firstSheet = workbook && workbook.match(/<sheet\s[^>]*>/);
+  if (firstSheet && relationships) {
+    const id = attributeOf(firstSheet[0], 'r:id');
+    const relationship = (relationships.match(/<Relationship\s[^>]*>/g) || [])
+      .find(tag => attributeOf(tag, 'Id') === id);
+    const target = relationship && attributeOf(relationship, 'Target');
+    if (target) sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+
+  const sheet = read(sheetPath);
+  if (!sheet) throw new Error('The workbook has no worksheet');
+
+  const sharedXml = read('xl/sharedStrings.xml');
+  const shared = sharedXml ? (sharedXml.match(/<si>[\s\S]*?<\/si>/g) || []).map(textOf) : [];
+
+  const rows = [];
+  (sheet.match(/<row\s[^>]*\/>|<row[\s>][\s\S]*?<\/row>/g) || []).forEach((rowXml, position) => {
+    const rowNumber = Number(attributeOf(rowXml.match(/<row[^>]*>/)[0], 'r')) || position + 1;
+    const values = [];
+
+    (rowXml.match(/<c\s[^>]*\/>|<c\s[^>]*>[\s\S]*?<\/c>/g) || []).forEach((cellXml, column) => {
+      const tag = cellXml.match(/<c\s[^>]*>/)[0];
+      const ref = attributeOf(tag, 'r');
+      const index = ref ? columnIndex(ref.replace(/\d+$/, '')) : column;
+      const type = attributeOf(tag, 't');
+      const raw = cellXml.match(/<v>([\s\S]*?)<\/v>/);
+
+      let value = null;
+      if (type === 'inlineStr') value = textOf(cellXml);
+      else if (!raw) value = null;
+      else if (type === 's') value = shared[Number(raw[1])] ?? null;
+      else if (type === 'b') value = raw[1] === '1';
+      else if (type === 'str' || type === 'e') value = unescapeXml(raw[1]);
+      else value = Number(raw[1]);
+
+      values[index] = value;
+    });
+
+    rows[rowNumber - 1] = Array.from(values, value => (value === undefined ? null : value));
+  });
+
+  return Array.from(rows, row => row || []);
+};
+
+/**
+ * Send an XLSX workbook as a file download
+ * @param {Object} res - Express response
+ * @param {string} filename - Download file name
+ * @param {Buffer} buffer - Workbook contents
+ */
+const sendXlsx = (res, filename, buffer) => {
+  res.set({
+    'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'Content-Disposition': `attachment; filename="${filename.replace(/[^\w.-]+/g, '_')}"`,
+    'Content-Length': buffer.length
+  });
+  res.status(200).send(buffer);
+};
+
+module.exports = {
+  toXlsx,
+  parseXlsx,
+  sendXlsx
+};
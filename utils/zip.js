@@ -0,0 +1,237 @@
+/**
+ * Minimal ZIP archive reader and writer (no ZIP64, no encryption)
+ * Enough for spreadsheet files and download bundles without extra dependencies.
+ */
+const zlib = require('zlib');
+
+// Without ZIP64 an archive holds at most 65535 entries and sizes and offsets must fit in 32 bits
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+// Limits when reading uploaded archives, so a small file cannot inflate into gigabytes
+const READ_LIMITS = { maxEntries: 1000, maxTotalSize: 100 * 1024 * 1024 };
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS time and date fields
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Create a ZIP writer that emits the archive in chunks as entries are added
+ * @param {Function} [write] - Receives each Buffer chunk; chunks are collected for toBuffer() when omitted
+ * @returns {Object} - { add(name, data, options), finish(), toBuffer() }
+ */
+const createZip = (write) => {
+  const chunks = [];
+  const emit = write || (chunk => chunks.push(chunk));
+  const entries = [];
+  const names = new Set();
+  let offset = 0;
+
+  const push = (chunk) => {
+    emit(chunk);
+    offset += chunk.length;
+  };
+
+  const zip = {
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive (names are made unique)
+     * @param {Buffer|string} data - File contents
+     * @param {Object} [options]
+     * @param {Date} [options.date] - Modification time
+     * @returns {string} - Name used in the archive
+     */
+    add(name, data, { date = new Date() } = {}) {
+      const base = name.replace(/\\/g, '/').replace(/^\/+/, '');
+      let unique = base;
+      for (let n = 2; names.has(unique); n++) {
+        unique = base.replace(/(\.[^./]*)?$/, ext => ` (${n})${ext || ''}`);
+      }
+      names.add(unique);
+
+      if (entries.length >= MAX_ENTRIES) {
+        throw new Error(`A ZIP archive can hold at most ${MAX_ENTRIES} files`);
+      }
+
+      const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+      const deflated = zlib.deflateRawSync(content);
+      // Already-compressed files (images, PDFs, DOCX) are stored as they are
+      const compressed = deflated.length < content.length;
+      const body = compressed ? deflated : content;
+      const fileName = Buffer.from(unique, 'utf8');
+      // Checked before anything is written, so the archive written so far stays valid
+      if (content.length > MAX_SIZE || offset + 30 + fileName.length + body.length > MAX_SIZE) {
+        throw new Error('A ZIP archive cannot be larger than 4 GB');
+      }
+      const { time, date: day } = dosDateTime(date);
+      const entry = {
+        fileName,
+        method: compressed ? 8 : 0,
+        time,
+        date: day,
+        crc: crc32(content),
+        compressedSize: body.length,
+        size: content.length,
+        offset
+      };
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(LOCAL_HEADER, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(UTF8_FLAG, 6);
+      header.writeUInt16LE(entry.method, 8);
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(day, 12);
+      header.writeUInt32LE(entry.crc, 14);
+      header.writeUInt32LE(entry.compressedSize, 18);
+      header.writeUInt32LE(entry.size, 22);
+      header.writeUInt16LE(fileName.length, 26);
+      header.writeUInt16LE(0, 28);
+
+      push(header);
+      push(fileName);
+      push(body);
+      entries.push(entry);
+      return unique;
+    },
+
+    /**
+     * Write the central directory; no entries may be added afterwards
+     */
+    finish() {
+      const start = offset;
+      const directorySize = entries.reduce((sum, entry) => sum + 46 + entry.fileName.length, 0);
+      if (start + directorySize + 22 > MAX_SIZE) {
+        throw new Error('A ZIP archive cannot be larger than 4 GB');
+      }
+      entries.forEach(entry => {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(CENTRAL_HEADER, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(UTF8_FLAG, 8);
+        header.writeUInt16LE(entry.method, 10);
+        header.writeUInt16LE(entry.time, 12);
+        header.writeUInt16LE(entry.date, 14);
+        header.writeUInt32LE(entry.crc, 16);
+        header.writeUInt32LE(entry.compressedSize, 20);
+        header.writeUInt32LE(entry.size, 24);
+        header.writeUInt16LE(entry.fileName.length, 28);
+        header.writeUInt32LE(entry.offset, 42);
+        push(header);
+        push(entry.fileName);
+      });
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - start, 12);
+      end.writeUInt32LE(start, 16);
+      push(end);
+    },
+
+    /**
+     * Finish the archive and return it (only when no write callback was given)
+     * @returns {Buffer}
+     */
+    toBuffer() {
+      zip.finish();
+      return Buffer.concat(chunks);
+    }
+  };
+
+  return zip;
+};
+
+/**
+ * Read the files of a ZIP archive
+ * Throws when the archive is corrupt or holds more files or data than the limits allow.
+ * @param {Buffer} buffer - Archive contents
+ * @param {Object} [limits]
+ * @param {number} [limits.maxEntries] - Most files the archive may hold
+ * @param {number} [limits.maxTotalSize] - Most bytes all files may take up once uncompressed
+ * @returns {Map<string, Buffer>} - File contents by path
+ */
+const readZip = (buffer, { maxEntries = READ_LIMITS.maxEntries, maxTotalSize = READ_LIMITS.maxTotalSize } = {}) => {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('Not a ZIP archive');
+
+  const count = buffer.readUInt16LE(end + 10);
+  if (count > maxEntries) throw new Error(`The archive holds more than ${maxEntries} files`);
+
+  let position = buffer.readUInt32LE(end + 16);
+  let totalSize = 0;
+  const files = new Map();
+  const tooLarge = () => new Error(`The archive's contents are larger than ${Math.floor(maxTotalSize / (1024 * 1024))} MB`);
+
+  for (let i = 0; i < count; i++) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== CENTRAL_HEADER) throw new Error('Corrupt ZIP archive');
+    const method = buffer.readUInt16LE(position + 10);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+
+    if (localOffset + 30 > buffer.length) throw new Error('Corrupt ZIP archive');
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    let content;
+    if (method === 0) {
+      content = data;
+    } else if (method === 8) {
+      // Inflating stops at what is left of the limit instead of trusting the declared size
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(maxTotalSize - totalSize, 1) });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+        throw error;
+      }
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method}`);
+    }
+
+    totalSize += content.length;
+    if (totalSize > maxTotalSize) throw tooLarge();
+    files.set(name, content);
+
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+};
+
+module.exports = {
+  MAX_ENTRIES,
+  MAX_SIZE,
+  crc32,
+  createZip,
+  readZip
+};